@@ -0,0 +1,151 @@
+// Provider batch APIs, called by the server's /api/batch routes (server.js)
+// Each adapter speaks one provider's asynchronous batch protocol and translates it to a
+// shared shape, so the browser submits and polls every provider the same way:
+//
+//   batch   { id, status: 'in_progress' | 'ended', upstreamStatus, counts: { total, succeeded, failed },
+//             createdAt, endedAt, error }
+//   result  { customId, body } for a request that succeeded (body is the normal API response),
+//           { customId, error } otherwise
+//
+// Adapters receive an upstream client { json(path, init), text(path, init) } bound to the
+// provider's base URL and auth; it throws with the upstream status when a call fails.
+import { NDJSONParser } from './stream-parser.js';
+
+// Batch output files are JSONL
+function parseJSONL(text) {
+    const parser = new NDJSONParser();
+    return [...parser.push(text), ...parser.flush()];
+}
+
+const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// Why a submitted request list is malformed, or null when every item is { customId, body } with
+// body.messages (if any) a list of messages; checked before anything reads the bodies
+export function batchRequestsError(requests) {
+    if (!Array.isArray(requests) || requests.length === 0) {
+        return 'requests must be a non-empty array of { customId, body }';
+    }
+    const index = requests.findIndex(request => !isObject(request) || typeof request.customId !== 'string' || !isObject(request.body) ||
+        (request.body.messages !== undefined && (!Array.isArray(request.body.messages) || !request.body.messages.every(isObject))));
+    return index === -1 ? null : `requests[${index}] must be { customId, body } with body.messages an array of message objects`;
+}
+
+function toISODate(seconds) {
+    return seconds ? new Date(seconds * 1000).toISOString() : null;
+}
+
+// OpenAI Batch API: upload the requests as a JSONL file, then create a batch over it
+const OPENAI_ENDED_STATUSES = ['completed', 'failed', 'expired', 'cancelled'];
+
+function normalizeOpenAIBatch(batch) {
+    const counts = batch.request_counts || {};
+    return {
+        id: batch.id,
+        status: OPENAI_ENDED_STATUSES.includes(batch.status) ? 'ended' : 'in_progress',
+        upstreamStatus: batch.status,
+        counts: { total: counts.total || 0, succeeded: counts.completed || 0, failed: counts.failed || 0 },
+        createdAt: toISODate(batch.created_at),
+        endedAt: toISODate(batch.completed_at || batch.failed_at || batch.expired_at || batch.cancelled_at),
+        // Validation failures reject the whole file
+        error: batch.errors?.data?.map(error => error.message).join('; ') || null
+    };
+}
+
+export const OPENAI_BATCH_API = {
+    async create(client, requests) {
+        const jsonl = requests
+            .map(({ customId, body }) => JSON.stringify({ custom_id: customId, method: 'POST', url: '/v1/chat/completions', body }))
+            .join('\n');
+        const form = new FormData();
+        form.append('purpose', 'batch');
+        form.append('file', new Blob([jsonl], { type: 'application/jsonl' }), 'batch.jsonl');
+
+        const file = await client.json('/files', { method: 'POST', body: form });
+        const batch = await client.json('/batches', {
+            method: 'POST',
+            body: JSON.stringify({ input_file_id: file.id, endpoint: '/v1/chat/completions', completion_window: '24h' })
+        });
+        return normalizeOpenAIBatch(batch);
+    },
+
+    async retrieve(client, id) {
+        return normalizeOpenAIBatch(await client.json(`/batches/${encodeURIComponent(id)}`));
+    },
+
+    async cancel(client, id) {
+        return normalizeOpenAIBatch(await client.json(`/batches/${encodeURIComponent(id)}/cancel`, { method: 'POST' }));
+    },
+
+    // Successes are in the output file; failed and expired requests in the error file
+    async results(client, id) {
+        const batch = await client.json(`/batches/${encodeURIComponent(id)}`);
+        const fileIds = [batch.output_file_id, batch.error_file_id].filter(Boolean);
+        const files = await Promise.all(fileIds.map(fileId => client.text(`/files/${encodeURIComponent(fileId)}/content`)));
+
+        return files.flatMap(parseJSONL).map(line => {
+            const status = line.response?.status_code;
+            if (status === 200 && !line.error) {
+                return { customId: line.custom_id, body: line.response.body };
+            }
+            return {
+                customId: line.custom_id,
+                error: line.error?.message || line.response?.body?.error?.message || `HTTP ${status}`
+            };
+        });
+    }
+};
+
+// Anthropic Message Batches API: requests are sent inline as { custom_id, params }
+function normalizeAnthropicBatch(batch) {
+    const counts = batch.request_counts || {};
+    const failed = (counts.errored || 0) + (counts.canceled || 0) + (counts.expired || 0);
+    return {
+        id: batch.id,
+        status: batch.processing_status === 'ended' ? 'ended' : 'in_progress',
+        upstreamStatus: batch.processing_status,
+        counts: { total: (counts.processing || 0) + (counts.succeeded || 0) + failed, succeeded: counts.succeeded || 0, failed },
+        createdAt: batch.created_at || null,
+        endedAt: batch.ended_at || null,
+        error: null
+    };
+}
+
+const ANTHROPIC_RESULT_ERRORS = {
+    canceled: 'Request canceled before it was processed',
+    expired: 'Batch expired before this request was processed'
+};
+
+export const ANTHROPIC_BATCH_API = {
+    async create(client, requests) {
+        const batch = await client.json('/messages/batches', {
+            method: 'POST',
+            body: JSON.stringify({ requests: requests.map(({ customId, body }) => ({ custom_id: customId, params: body })) })
+        });
+        return normalizeAnthropicBatch(batch);
+    },
+
+    async retrieve(client, id) {
+        return normalizeAnthropicBatch(await client.json(`/messages/batches/${encodeURIComponent(id)}`));
+    },
+
+    async cancel(client, id) {
+        return normalizeAnthropicBatch(await client.json(`/messages/batches/${encodeURIComponent(id)}/cancel`, { method: 'POST' }));
+    },
+
+    // Read from the batch's results path on the configured base URL rather than results_url,
+    // so a stand-in server is used end to end
+    async results(client, id) {
+        const text = await client.text(`/messages/batches/${encodeURIComponent(id)}/results`);
+
+        return parseJSONL(text).map(line => {
+            const result = line.result || {};
+            if (result.type === 'succeeded') {
+                return { customId: line.custom_id, body: result.message };
+            }
+            return {
+                customId: line.custom_id,
+                error: result.error?.error?.message || result.error?.message || ANTHROPIC_RESULT_ERRORS[result.type] || 'Request failed'
+            };
+        });
+    }
+};
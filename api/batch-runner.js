@@ -0,0 +1,255 @@
+// Batch runs: a set of prompts sent to every selected model through the providers' batch
+// APIs (billed at BATCH_CONFIG.priceRate) instead of live requests. Each provider's share of
+// a job is one upstream batch behind /api/batch/<provider>; jobs are plain objects the
+// caller persists, so polling can pick up again after a reload. Results are not persisted
+// (toStored): they can run to megabytes, and restoreResults fetches them again from the provider.
+//
+//   job   { id, createdAt, status: 'submitting' | 'running' | 'done', prompts, models, skippedModels,
+//           tools, responseSchema, batches: [{ provider, id, status, counts, error, collected }],
+//           results: { customId: result } }
+import { ProviderFactory } from './providers.js';
+import { ProviderRegistry } from './provider-registry.js';
+import { Metrics } from './metrics.js';
+import { validateToolCall } from './tools.js';
+import { validateStructuredOutput } from './structured-output.js';
+import { BATCH_CONFIG } from '../config/models.js';
+import { ErrorHandler } from '../utils/error-handler.js';
+
+// One prompt per line, or prompts separated by lines holding only --- when they span several lines
+export function parseBatchPrompts(text) {
+    const lines = (text || '').split(/\r?\n/);
+    const prompts = lines.some(line => line.trim() === '---')
+        ? lines.join('\n').split(/^\s*---\s*$/m)
+        : lines;
+    return prompts.map(prompt => prompt.trim()).filter(Boolean);
+}
+
+// Custom IDs must suit Anthropic's ^[a-zA-Z0-9_-]{1,64}$
+export function batchCustomId(promptIndex, modelIndex) {
+    return `p${promptIndex}-m${modelIndex}`;
+}
+
+function parseCustomId(customId) {
+    const match = /^p(\d+)-m(\d+)$/.exec(customId || '');
+    return match ? { promptIndex: Number(match[1]), modelIndex: Number(match[2]) } : null;
+}
+
+export class BatchRunner {
+    static supportsBatch(provider) {
+        return !!ProviderRegistry.get(provider)?.batch;
+    }
+
+    // models are model configs from the settings panel; those without a batch API are skipped
+    // tools and responseSchema are kept to check the results once they arrive
+    static createJob(prompts, models, { tools = [], responseSchema = null } = {}) {
+        const batchModels = models.filter(model => this.supportsBatch(model.provider));
+        return {
+            id: `batch-${Date.now()}`,
+            createdAt: new Date().toISOString(),
+            status: 'submitting',
+            prompts,
+            models: batchModels.map(({ id, name, provider, contextWindow }) => ({ id, name, provider, contextWindow })),
+            skippedModels: models.filter(model => !batchModels.includes(model)).map(model => model.name),
+            tools: tools.length ? tools : null,
+            responseSchema,
+            batches: [],
+            results: {}
+        };
+    }
+
+    // A job as persisted: everything but its results
+    static toStored(job) {
+        const { results, ...stored } = job;
+        return stored;
+    }
+
+    static fromStored(stored) {
+        return { ...stored, results: {} };
+    }
+
+    // Calls a batch route; failures throw with the server's message
+    static async request(provider, path, apiKey, init = {}) {
+        const response = await fetch(`${ProviderRegistry.batchPath(provider)}${path}`, {
+            ...init,
+            headers: { 'Content-Type': 'application/json', ...(apiKey ? { 'x-api-key': apiKey } : {}) }
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error?.message || `HTTP ${response.status}`);
+        }
+        return data;
+    }
+
+    // Submit one batch per provider; buildOptions(modelId) gives the request options for a model
+    // A provider that fails to submit is recorded with its error and the others carry on
+    // onSubmitted(job) runs as soon as each upstream batch exists, so the caller can persist its ID
+    static async submit(job, apiKeys, buildOptions, onSubmitted = () => {}) {
+        const providers = [...new Set(job.models.map(model => model.provider))];
+
+        for (const providerId of providers) {
+            const record = { provider: providerId, id: null, status: 'ended', counts: null, error: null, collected: false };
+            job.batches.push(record);
+
+            try {
+                const apiKey = apiKeys[providerId];
+                if (!apiKey && ProviderFactory.requiresApiKey(providerId)) {
+                    throw new Error('API key not configured');
+                }
+
+                const requests = this.buildRequests(job, providerId, apiKey, buildOptions);
+                if (requests.length > BATCH_CONFIG.maxRequests) {
+                    throw new Error(`${requests.length} requests exceed the limit of ${BATCH_CONFIG.maxRequests} per batch`);
+                }
+
+                const batch = await this.request(providerId, '', apiKey, { method: 'POST', body: JSON.stringify({ requests }) });
+                Object.assign(record, batch);
+                onSubmitted(job);
+            } catch (error) {
+                record.error = error.message;
+                record.collected = true;
+            }
+        }
+
+        job.status = job.batches.every(batch => batch.collected) ? 'done' : 'running';
+        return job;
+    }
+
+    static buildRequests(job, providerId, apiKey, buildOptions) {
+        const provider = ProviderFactory.createProvider(providerId, apiKey);
+
+        return job.models.flatMap((model, modelIndex) => {
+            if (model.provider !== providerId) return [];
+
+            const options = buildOptions(model.id);
+            return job.prompts.map((prompt, promptIndex) => {
+                const { requestBody } = provider.buildRequestBody(model.id, prompt, options);
+                delete requestBody.stream; // Batch requests never stream
+                return { customId: batchCustomId(promptIndex, modelIndex), body: requestBody };
+            });
+        });
+    }
+
+    // Refresh every running batch; collect results from the ones that ended
+    static async poll(job, apiKeys) {
+        for (const record of job.batches) {
+            if (record.collected) continue;
+
+            try {
+                const apiKey = apiKeys[record.provider];
+                Object.assign(record, await this.request(record.provider, `/${encodeURIComponent(record.id)}`, apiKey));
+
+                if (record.status === 'ended') {
+                    await this.fetchResults(job, record, apiKey);
+                    record.collected = true;
+                }
+                record.pollError = null;
+            } catch (error) {
+                // Leave the batch running and try again on the next poll
+                record.pollError = error.message;
+            }
+        }
+
+        if (job.batches.every(batch => batch.collected)) {
+            job.status = 'done';
+        }
+        return job;
+    }
+
+    // Fetch the results of batches collected before a reload (see toStored)
+    static async restoreResults(job, apiKeys) {
+        for (const record of job.batches) {
+            if (!record.collected || !record.id) continue;
+
+            try {
+                await this.fetchResults(job, record, apiKeys[record.provider]);
+                record.pollError = null;
+            } catch (error) {
+                record.pollError = error.message;
+            }
+        }
+        return job;
+    }
+
+    static async fetchResults(job, record, apiKey) {
+        const { results } = await this.request(record.provider, `/${encodeURIComponent(record.id)}/results`, apiKey);
+        await this.collectResults(job, record.provider, apiKey, results);
+    }
+
+    static async cancel(job, apiKeys) {
+        for (const record of job.batches) {
+            if (record.status === 'ended') continue;
+            try {
+                const apiKey = apiKeys[record.provider];
+                Object.assign(record, await this.request(record.provider, `/${encodeURIComponent(record.id)}/cancel`, apiKey, { method: 'POST' }));
+            } catch (error) {
+                record.pollError = error.message;
+            }
+        }
+        return job;
+    }
+
+    // Turn raw batch results into the same result objects live requests produce, priced at the batch rate
+    static async collectResults(job, providerId, apiKey, results) {
+        const provider = ProviderFactory.createProvider(providerId, apiKey);
+        const pricingByModel = new Map();
+
+        for (const item of results) {
+            const ids = parseCustomId(item.customId);
+            const model = ids && job.models[ids.modelIndex];
+            if (!model || model.provider !== providerId) continue;
+
+            if (!pricingByModel.has(model.id)) {
+                pricingByModel.set(model.id, Metrics.scalePricing(await provider.getPricing(model.id), BATCH_CONFIG.priceRate));
+            }
+
+            job.results[item.customId] = this.createResult(provider, model, item, pricingByModel.get(model.id), job);
+        }
+    }
+
+    static createResult(provider, model, item, pricing, { tools, responseSchema }) {
+        const base = {
+            model: model.name,
+            modelId: model.id,
+            provider: model.provider,
+            batch: true,
+            timestamp: new Date().toISOString()
+        };
+
+        if (item.error) {
+            const errorInfo = ErrorHandler.parseError(new Error(item.error), model.provider, model.id);
+            return { ...base, error: errorInfo.message, errorSuggestion: errorInfo.suggestion, errorType: errorInfo.type };
+        }
+
+        const result = provider.parseResponse(item.body, pricing);
+
+        if (tools?.length && result.toolCalls?.length) {
+            result.toolCalls = result.toolCalls.map(call => ({ ...call, ...validateToolCall(call, tools) }));
+        }
+        if (responseSchema) {
+            result.structuredOutput = validateStructuredOutput(result.text || '', responseSchema);
+        }
+
+        // Thinking blocks are only needed to continue a live tool call turn, and per-token
+        // logprobs would crowd the stored job; the logprob summary is kept
+        delete result.thinkingBlocks;
+        delete result.logprobs;
+        return { ...base, ...result };
+    }
+
+    // Progress over every provider batch in a job
+    static getProgress(job) {
+        return job.batches.reduce((progress, batch) => ({
+            total: progress.total + (batch.counts?.total || 0),
+            succeeded: progress.succeeded + (batch.counts?.succeeded || 0),
+            failed: progress.failed + (batch.counts?.failed || 0)
+        }), { total: 0, succeeded: 0, failed: 0 });
+    }
+
+    static getTotalCost(job) {
+        return Object.values(job.results).reduce((sum, result) => sum + (result.estimatedCost || 0), 0);
+    }
+
+    static getResult(job, promptIndex, modelIndex) {
+        return job.results[batchCustomId(promptIndex, modelIndex)] || null;
+    }
+}
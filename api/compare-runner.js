@@ -0,0 +1,123 @@
+// Server-side comparisons for POST /api/compare (server.js): one prompt sent to several models
+// at once without the UI, for scripts and other tools. Requests go through the same provider
+// classes as the browser, reaching the server's own proxy routes, and progress is reported as
+// events tagged by model ID:
+//
+//   start    { models: [{ id, name, provider }] }
+//   chunk    { model, text, kind }                  kind: 'text' | 'reasoning'
+//   done     { model, response }                    response as in Exporter.formatResponse
+//   error    { model, response }                    the same, for a model that failed
+//   summary  Exporter.exportToJSON({ prompt, responses })
+//
+//   request  { prompt, models: [modelId | { id, provider, name, apiModelId, baseUrl, parameters }],
+//              parameters: { temperature, maxTokens, topP, ..., reasoningEffort, logprobs },
+//              systemPrompt, tools, responseSchema, samples }
+import { ProviderFactory } from './providers.js';
+import { ProviderRegistry } from './provider-registry.js';
+import { Sampler } from './sampling.js';
+import { parseToolDefinitions } from './tools.js';
+import { parseResponseSchema } from './structured-output.js';
+import { Exporter } from '../utils/export.js';
+import { DEFAULT_PARAMS, SAMPLING_PARAMS, SAMPLING_CONFIG, getDisplayName } from '../config/models.js';
+
+// Request options a caller may set, as in the settings panel
+const PARAMETER_FIELDS = [
+    'temperature', 'maxTokens', ...Object.keys(SAMPLING_PARAMS),
+    'reasoningEffort', 'thinkingBudget', 'logprobs', 'topLogprobs', 'promptCaching'
+];
+
+function pickParameters(parameters = {}) {
+    return Object.fromEntries(PARAMETER_FIELDS
+        .filter(field => parameters[field] !== undefined && parameters[field] !== null)
+        .map(field => [field, parameters[field]]));
+}
+
+function requestError(message) {
+    return Object.assign(new Error(message), { status: 400 });
+}
+
+export class CompareRunner {
+    // Validate a request body into { prompt, models, options, samples }; throws with status 400
+    static parseRequest(body) {
+        const { prompt, models, parameters, systemPrompt, tools, responseSchema, samples = 1 } = body || {};
+
+        if (typeof prompt !== 'string' || !prompt.trim()) {
+            throw requestError('prompt must be a non-empty string');
+        }
+        if (!Array.isArray(models) || models.length === 0) {
+            throw requestError('models must be a non-empty array of model IDs or { id, provider } objects');
+        }
+
+        const options = {
+            temperature: DEFAULT_PARAMS.temperature,
+            maxTokens: DEFAULT_PARAMS.max_tokens,
+            ...pickParameters(parameters)
+        };
+        if (systemPrompt) options.systemPrompt = systemPrompt;
+
+        try {
+            const parsedTools = tools ? parseToolDefinitions(JSON.stringify(tools)) : [];
+            if (parsedTools.length > 0) options.tools = parsedTools;
+            if (responseSchema) options.responseSchema = parseResponseSchema(JSON.stringify(responseSchema));
+        } catch (error) {
+            throw requestError(error.message);
+        }
+
+        return {
+            prompt,
+            models: models.map(model => this.resolveModel(model)),
+            options,
+            samples: Math.min(Math.max(parseInt(samples, 10) || 1, 1), SAMPLING_CONFIG.maxSamples)
+        };
+    }
+
+    // A model config like the settings panel's; the provider is detected from the ID when not given
+    static resolveModel(model) {
+        const spec = typeof model === 'string' ? { id: model } : model;
+        if (!spec?.id || typeof spec.id !== 'string') {
+            throw requestError('each model needs an id');
+        }
+
+        const provider = spec.provider || ProviderRegistry.getProviderFromModelId(spec.id);
+        if (!ProviderRegistry.get(provider)) {
+            throw requestError(`Unknown provider for model ${spec.id}; pass { id, provider }`);
+        }
+
+        return {
+            id: spec.id,
+            apiModelId: spec.apiModelId,
+            name: spec.name || getDisplayName(spec.id),
+            provider,
+            baseUrl: spec.baseUrl,
+            endpointId: spec.endpointId,
+            endpointName: spec.endpointName,
+            contextWindow: spec.contextWindow ?? null,
+            parameters: pickParameters(spec.parameters)
+        };
+    }
+
+    // Run every model in parallel; emit(event, data) reports progress as documented above
+    // apiKeys: provider id -> key; signal aborts every request (the caller went away);
+    // proxyHeaders go with each proxy call, so it runs as the caller
+    static async run({ prompt, models, options, samples }, apiKeys, emit, { signal = null, proxyHeaders = {} } = {}) {
+        emit('start', { models: models.map(({ id, name, provider }) => ({ id, name, provider })) });
+
+        const responses = await Promise.all(models.map(async (modelConfig) => {
+            const { parameters, ...config } = modelConfig;
+            const requestOptions = { ...options, ...parameters, signal, proxyHeaders };
+            const onChunk = (text, kind = 'text') => emit('chunk', { model: config.id, text, kind });
+            const apiKey = apiKeys[config.provider];
+
+            const result = samples > 1
+                ? await Sampler.run(config, prompt, apiKey, requestOptions, samples, onChunk)
+                : await ProviderFactory.executeRequest(config, prompt, apiKey, requestOptions, onChunk);
+
+            emit(result.error ? 'error' : 'done', { model: config.id, response: Exporter.formatResponse(result) });
+            return result;
+        }));
+
+        const summary = Exporter.exportToJSON({ prompt, responses });
+        emit('summary', summary);
+        return summary;
+    }
+}
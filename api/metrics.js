@@ -11,15 +11,86 @@ export class Metrics {
         return Math.ceil(text.length / 4);
     }
 
+    // Estimate input tokens for a whole message thread (used when the API doesn't report usage)
+    // Only text parts are counted for multimodal content
+    static estimateMessagesTokenCount(messages = []) {
+        return this.estimateTokenCount(messages.map(message => this.getContentText(message.content)).join('\n'));
+    }
+
+    static getContentText(content) {
+        if (!Array.isArray(content)) return content || '';
+        return content.map(part => part?.text || '').filter(Boolean).join('\n');
+    }
+
     // Calculate cost based on token usage and pricing
     // pricing should be an object with { input: number, output: number } per 1K tokens
-    static calculateCost(pricing, inputTokens, outputTokens) {
+    // cache is { writeTokens, readTokens }: prompt caching usage, already counted in inputTokens
+    static calculateCost(pricing, inputTokens, outputTokens, reasoningTokens = 0, cache = {}) {
         if (!pricing) return null;
 
-        const inputCost = (inputTokens / 1000) * pricing.input;
+        const input = this.calculateInputCosts(pricing, inputTokens, cache);
         const outputCost = (outputTokens / 1000) * pricing.output;
 
-        return inputCost + outputCost;
+        return input.uncached + input.cacheWrite + input.cacheRead + outputCost +
+            this.calculateReasoningCost(pricing, reasoningTokens);
+    }
+
+    // Input cost split three ways: uncached input, cache writes and cache reads
+    // pricing.cacheWrite / pricing.cacheRead are per 1K tokens; cache tokens fall back to the input price
+    static calculateInputCosts(pricing, inputTokens, cache = {}) {
+        if (!pricing) return null;
+
+        const writeTokens = cache.writeTokens || 0;
+        const readTokens = cache.readTokens || 0;
+        const uncachedTokens = Math.max(0, inputTokens - writeTokens - readTokens);
+
+        return {
+            uncached: (uncachedTokens / 1000) * pricing.input,
+            cacheWrite: (writeTokens / 1000) * (pricing.cacheWrite ?? pricing.input),
+            cacheRead: (readTokens / 1000) * (pricing.cacheRead ?? pricing.input)
+        };
+    }
+
+    // Fill in cache prices as multiples of the input price when the pricing source has none
+    // rates is { write, read }, e.g. { write: 1.25, read: 0.1 } for Anthropic
+    static withCachePricing(pricing, rates) {
+        if (!pricing || !rates) return pricing;
+        return {
+            ...pricing,
+            cacheWrite: pricing.cacheWrite ?? pricing.input * rates.write,
+            cacheRead: pricing.cacheRead ?? pricing.input * rates.read
+        };
+    }
+
+    // Every price scaled by rate, e.g. 0.5 for batch requests billed at half price
+    static scalePricing(pricing, rate) {
+        if (!pricing) return pricing;
+        return Object.fromEntries(Object.entries(pricing)
+            .map(([field, price]) => [field, typeof price === 'number' ? price * rate : price]));
+    }
+
+    // Reasoning tokens are billed as output but reported on their own
+    static calculateReasoningCost(pricing, reasoningTokens) {
+        if (!pricing) return null;
+        return (reasoningTokens / 1000) * pricing.output;
+    }
+
+    // Mean and minimum log probability over a response's tokens ({ token, logprob, top }),
+    // or null when the provider returned none
+    static summarizeLogprobs(tokens = []) {
+        const values = tokens.map(token => token.logprob).filter(Number.isFinite);
+        if (values.length === 0) return null;
+        return {
+            mean: values.reduce((sum, value) => sum + value, 0) / values.length,
+            min: values.reduce((min, value) => Math.min(min, value), Infinity),
+            count: values.length
+        };
+    }
+
+    // Log probability with the probability it stands for, e.g. "-0.105 (90.0%)"
+    static formatLogprob(logprob) {
+        if (!Number.isFinite(logprob)) return 'N/A';
+        return `${logprob.toFixed(3)} (${(Math.exp(logprob) * 100).toFixed(1)}%)`;
     }
 
     // Format cost for display
@@ -49,15 +120,56 @@ export class Metrics {
         return count.toString();
     }
 
+    // Format generation throughput for display
+    static formatThroughput(tokensPerSecond) {
+        if (tokensPerSecond === null || tokensPerSecond === undefined) return '--';
+        return `${tokensPerSecond.toFixed(1)} tok/s`;
+    }
+
     // Performance tracker for measuring API call latency
+    // Streaming providers also mark each content chunk for first-token and throughput metrics
     static createPerformanceTracker() {
         const startTime = performance.now();
+        const chunkTimes = [];
 
         return {
             stop: () => {
                 const endTime = performance.now();
                 return endTime - startTime;
-            }
+            },
+            markChunk: () => {
+                chunkTimes.push(performance.now());
+            },
+            getStreamMetrics: (outputTokens) => this.calculateStreamMetrics(startTime, chunkTimes, outputTokens)
+        };
+    }
+
+    // Streaming timing from chunk arrival times (ms since request start):
+    // - timeToFirstToken / timeToLastToken: when the first and last content chunks arrived
+    // - tokensPerSecond: output tokens over the generation window between them
+    // - interChunkJitter: standard deviation of the gaps between chunks
+    static calculateStreamMetrics(startTime, chunkTimes, outputTokens) {
+        if (chunkTimes.length === 0) {
+            return { timeToFirstToken: null, timeToLastToken: null, tokensPerSecond: null, interChunkJitter: null };
+        }
+
+        const firstChunk = chunkTimes[0];
+        const lastChunk = chunkTimes[chunkTimes.length - 1];
+        const generationSeconds = (lastChunk - firstChunk) / 1000;
+
+        const gaps = chunkTimes.slice(1).map((time, index) => time - chunkTimes[index]);
+        let interChunkJitter = null;
+        if (gaps.length > 0) {
+            const meanGap = gaps.reduce((sum, gap) => sum + gap, 0) / gaps.length;
+            const variance = gaps.reduce((sum, gap) => sum + (gap - meanGap) ** 2, 0) / gaps.length;
+            interChunkJitter = Math.sqrt(variance);
+        }
+
+        return {
+            timeToFirstToken: firstChunk - startTime,
+            timeToLastToken: lastChunk - startTime,
+            tokensPerSecond: generationSeconds > 0 ? outputTokens / generationSeconds : null,
+            interChunkJitter
         };
     }
 }
@@ -0,0 +1,136 @@
+// Model catalog, served by the server's /api/models/<provider> route (server.js)
+// Merges a provider's own model list with the local metadata file (config/model-metadata.json)
+// and OpenRouter's model data, so the UI and the QA sidecar get one description per model
+// instead of guessing from the model ID:
+//
+//   entry   { id, provider, name, contextWindow, maxOutputTokens, modalities: { input, output } | null,
+//             supportsTools, supportsReasoning, pricing, deprecationDate, capabilities, sources }
+//
+// Unknown fields are null. Precedence is the local file, then the provider's list, then OpenRouter;
+// pricing comes from getModelPricingAsync, the same source cost estimates use. A local entry with
+// chat: false drops a model the chat endpoints can't serve.
+//
+// Adapters receive the same upstream client as the batch adapters (api/batch-api.js).
+import { getDisplayName, getModelPricingAsync } from '../config/models.js';
+
+// Listed models that are not chat models (embeddings, speech, images, completions-only)
+const NON_CHAT_PATTERN = /embed|whisper|tts|dall-e|davinci|babbage|moderation|realtime|audio|transcribe|image|search|computer-use|instruct|codex|deep-research|sora|aqa/;
+
+// Dated snapshots share their family's metadata (gpt-4o-2024-08-06, claude-3-opus-20240229, gpt-4-0613)
+const DATE_SUFFIX_PATTERN = /-(\d{4}-\d{2}-\d{2}|\d{8}|\d{4})$/;
+
+export function baseModelId(modelId) {
+    return modelId.replace(DATE_SUFFIX_PATTERN, '');
+}
+
+// Provider model lists: path to fetch, fallback context window, and a parser to { id, name, ... }
+export const OPENAI_MODELS = {
+    path: '/models',
+    defaults: { contextWindow: 8192 },
+    // The list only has IDs; everything else comes from the metadata file or OpenRouter
+    parse: (data) => (data.data || [])
+        .filter(model => !NON_CHAT_PATTERN.test(model.id))
+        .map(model => ({ id: model.id }))
+};
+
+export const ANTHROPIC_MODELS = {
+    path: '/models?limit=1000',
+    defaults: { contextWindow: 200000 },
+    parse: (data) => (data.data || [])
+        .filter(model => model.type === 'model')
+        .map(model => ({ id: model.id, name: model.display_name || null }))
+};
+
+export const GOOGLE_MODELS = {
+    path: '/models?pageSize=1000',
+    defaults: { contextWindow: 32000 },
+    parse: (data) => (data.models || [])
+        .filter(model => model.supportedGenerationMethods?.includes('generateContent') &&
+            model.name.includes('gemini') && !NON_CHAT_PATTERN.test(model.name))
+        .map(model => ({
+            id: model.name.replace('models/', ''),
+            name: model.displayName || null,
+            contextWindow: model.inputTokenLimit || null,
+            maxOutputTokens: model.outputTokenLimit || null,
+            supportsReasoning: typeof model.thinking === 'boolean' ? model.thinking : null
+        }))
+};
+
+// OpenRouter model data in catalog terms
+function fromOpenRouter(model) {
+    if (!model) return {};
+    const architecture = model.architecture || {};
+    const parameters = model.supported_parameters;
+    return {
+        // "OpenAI: GPT-4.1" -> "GPT-4.1"
+        name: model.name ? model.name.replace(/^[^:]+:\s*/, '') : null,
+        contextWindow: model.context_length || null,
+        maxOutputTokens: model.top_provider?.max_completion_tokens || null,
+        modalities: architecture.input_modalities
+            ? { input: architecture.input_modalities, output: architecture.output_modalities || ['text'] }
+            : null,
+        supportsTools: Array.isArray(parameters) ? parameters.includes('tools') : null,
+        supportsReasoning: Array.isArray(parameters) ? parameters.includes('reasoning') : null
+    };
+}
+
+// First value that is set, most trusted source first
+function pick(field, ...sources) {
+    for (const source of sources) {
+        if (source?.[field] !== undefined && source[field] !== null) return source[field];
+    }
+    return null;
+}
+
+export class ModelCatalog {
+    // Local metadata for a model: its own entry, or its undated family's
+    static findMetadata(metadata, modelId) {
+        return metadata?.[modelId] || metadata?.[baseModelId(modelId)] || null;
+    }
+
+    // One catalog entry from what each source knows about the model
+    // listed: the adapter's parsed model; local: metadata file entry; openRouter: OpenRouter's model object
+    static mergeEntry(providerId, listed, local, openRouter, pricing = null, defaults = {}) {
+        const remote = fromOpenRouter(openRouter);
+        const sources = { local, provider: listed, openrouter: openRouter };
+        const entry = {
+            id: listed.id,
+            provider: providerId,
+            name: pick('name', local, listed, remote) || getDisplayName(listed.id),
+            contextWindow: pick('contextWindow', local, listed, remote, defaults),
+            maxOutputTokens: pick('maxOutputTokens', local, listed, remote),
+            modalities: pick('modalities', local, listed, remote),
+            supportsTools: pick('supportsTools', local, listed, remote),
+            supportsReasoning: pick('supportsReasoning', local, listed, remote),
+            pricing,
+            deprecationDate: pick('deprecationDate', local, listed, remote),
+            capabilities: ['chat', 'streaming'],
+            sources: Object.keys(sources).filter(source => sources[source])
+        };
+
+        if (entry.modalities?.input?.includes('image')) entry.capabilities.push('vision');
+        if (entry.supportsTools) entry.capabilities.push('tools');
+        return entry;
+    }
+
+    // The provider's chat models, newest ID first
+    // sources: { metadata: this provider's section of the metadata file, getOpenRouterModel(id) }
+    static async list(providerId, adapter, client, { metadata = {}, getOpenRouterModel = async () => null } = {}) {
+        const listed = adapter.parse(await client.json(adapter.path));
+
+        const entries = await Promise.all(listed.map(async (model) => {
+            const local = this.findMetadata(metadata, model.id);
+            if (local?.chat === false) return null;
+
+            const [openRouter, pricing] = await Promise.all([
+                getOpenRouterModel(model.id),
+                getModelPricingAsync(model.id)
+            ]);
+            return this.mergeEntry(providerId, model, local, openRouter, pricing, adapter.defaults);
+        }));
+
+        return entries
+            .filter(Boolean)
+            .sort((a, b) => b.id.localeCompare(a.id));
+    }
+}
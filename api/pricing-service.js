@@ -3,11 +3,15 @@
 
 const OPENROUTER_API_URL = 'https://openrouter.ai/api/v1/models';
 const CACHE_DURATION_MS = 24 * 60 * 60 * 1000; // 1 day in milliseconds
+// After a failed fetch, callers get the fallback prices until this has passed instead of refetching
+const FAILURE_BACKOFF_MS = 5 * 60 * 1000;
 
 class PricingService {
     constructor() {
         this.cache = new Map();
+        this.models = new Map(); // OpenRouter id -> model object, for the model catalog
         this.lastFetch = null;
+        this.lastFailure = null;
         this.allModels = null;
         this.fetchPromise = null;
     }
@@ -18,6 +22,10 @@ class PricingService {
         return (Date.now() - this.lastFetch) < CACHE_DURATION_MS;
     }
 
+    isBackingOff() {
+        return !!this.lastFailure && (Date.now() - this.lastFailure) < FAILURE_BACKOFF_MS;
+    }
+
     // Fetch all models from OpenRouter API
     async fetchAllModels() {
         // If already fetching, wait for that request
@@ -30,6 +38,11 @@ class PricingService {
             return this.allModels;
         }
 
+        // OpenRouter failed a moment ago; keep whatever was cached rather than asking again
+        if (this.isBackingOff()) {
+            return this.allModels || [];
+        }
+
         // Fetch fresh data
         this.fetchPromise = (async () => {
             try {
@@ -43,17 +56,28 @@ class PricingService {
                 const data = await response.json();
                 this.allModels = data.data || [];
                 this.lastFetch = Date.now();
+                this.lastFailure = null;
 
                 // Build cache map for quick lookups
                 this.cache.clear();
+                this.models.clear();
                 for (const model of this.allModels) {
+                    this.models.set(model.id, model);
                     if (model.pricing) {
-                        this.cache.set(model.id, {
+                        const pricing = {
                             // OpenRouter prices are per 1M tokens, convert to per 1K
                             input: parseFloat(model.pricing.prompt) * 1000,
                             output: parseFloat(model.pricing.completion) * 1000,
                             source: 'openrouter'
-                        });
+                        };
+                        // Prompt caching prices, listed for models that support it
+                        if (model.pricing.input_cache_write) {
+                            pricing.cacheWrite = parseFloat(model.pricing.input_cache_write) * 1000;
+                        }
+                        if (model.pricing.input_cache_read) {
+                            pricing.cacheRead = parseFloat(model.pricing.input_cache_read) * 1000;
+                        }
+                        this.cache.set(model.id, pricing);
                     }
                 }
 
@@ -61,7 +85,8 @@ class PricingService {
                 return this.allModels;
             } catch (error) {
                 console.error('[PricingService] Failed to fetch from OpenRouter:', error.message);
-                return [];
+                this.lastFailure = Date.now();
+                return this.allModels || [];
             } finally {
                 this.fetchPromise = null;
             }
@@ -75,24 +100,34 @@ class PricingService {
     async getPricing(modelId) {
         // Ensure cache is populated
         await this.fetchAllModels();
+        return this.lookup(this.cache, modelId);
+    }
 
+    // Get OpenRouter's model object (context length, modalities, parameters) for a model
+    async getModel(modelId) {
+        await this.fetchAllModels();
+        return this.lookup(this.models, modelId);
+    }
+
+    // Find a provider model ID in a map keyed by OpenRouter ID
+    lookup(map, modelId) {
         // Try exact match first
-        if (this.cache.has(modelId)) {
-            return this.cache.get(modelId);
+        if (map.has(modelId)) {
+            return map.get(modelId);
         }
 
         // Try common model ID mappings
         const mappings = this.getModelMappings(modelId);
         for (const mappedId of mappings) {
-            if (this.cache.has(mappedId)) {
-                return this.cache.get(mappedId);
+            if (map.has(mappedId)) {
+                return map.get(mappedId);
             }
         }
 
         // Try partial match (e.g., "gpt-4-turbo" matches "openai/gpt-4-turbo")
-        for (const [cachedId, pricing] of this.cache.entries()) {
+        for (const [cachedId, value] of map.entries()) {
             if (cachedId.includes(modelId) || modelId.includes(cachedId.split('/').pop())) {
-                return pricing;
+                return value;
             }
         }
 
@@ -108,6 +143,16 @@ class PricingService {
         mappings.push(`anthropic/${modelId}`);
         mappings.push(`google/${modelId}`);
 
+        // Dated snapshots (gpt-4.1-2025-04-14, claude-sonnet-4-5-20250929) under their family's ID,
+        // and Claude versions the way OpenRouter writes them (claude-3-5-sonnet -> claude-3.5-sonnet)
+        const baseId = modelId.replace(/-(\d{4}-\d{2}-\d{2}|\d{8}|\d{4})$/, '');
+        if (baseId !== modelId) {
+            mappings.push(`openai/${baseId}`, `anthropic/${baseId}`, `google/${baseId}`);
+        }
+        if (baseId.startsWith('claude-')) {
+            mappings.push(`anthropic/${baseId.replace(/(\d)-(\d)(?!\d)/g, '$1.$2')}`);
+        }
+
         // Common aliases
         if (modelId.includes('gpt-4o')) {
             mappings.push('openai/gpt-4o');
@@ -144,7 +189,9 @@ class PricingService {
     // Force refresh the cache
     async refresh() {
         this.lastFetch = null;
+        this.lastFailure = null;
         this.cache.clear();
+        this.models.clear();
         return this.fetchAllModels();
     }
 
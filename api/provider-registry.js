@@ -0,0 +1,140 @@
+// Provider plugin registry, shared by the browser app and the server proxy
+// A provider module registers one definition; settings, storage, the model grid and the
+// proxy routes are all built from the registered definitions:
+//
+//   id               - short key used in storage, model configs and /api/proxy/<id>/*
+//   name             - display name for settings and model groups
+//   keyField         - { label, placeholder, createKeyUrl, envVar } for the API key input,
+//                      or null when the provider needs no key (or configures it elsewhere);
+//                      envVar names the server-held key the proxy attaches when none is sent
+//   proxy            - how the server forwards /api/proxy/<id>/* upstream:
+//                        target               upstream base URL (null: x-base-url is required)
+//                        targetEnv            env var that overrides target on the server
+//                        targetPath           path appended to whichever base URL is used (e.g. '/api')
+//                        allowTargetOverride  accept an x-base-url header (checked by utils/target-policy.js)
+//                        headers(apiKey)      upstream auth headers, when a key was sent
+//                        query(apiKey)        upstream query parameters (e.g. Gemini's ?key=)
+//                        forwardQuery         client query parameters passed through (e.g. ['alt'])
+//                        isStreaming(path, body)  whether to pipe the response (default: body.stream)
+//                        requestBody(path, body)  the body as sent upstream, when it differs from the client's
+//                        streamError(message) text to write when an upstream stream breaks mid-way
+//                        usage(data)          tokens billed in a response body or stream event, as
+//                                             { inputTokens, outputTokens, cacheWriteTokens, cacheReadTokens }
+//                                             with unreported fields left out; input includes cache tokens and
+//                                             output includes reasoning (see api/usage-meter.js)
+//                        model(path, body)    model ID a request is priced by (default: body.model)
+//   modelPattern     - RegExp matching this provider's model IDs, for getProviderFromModelId
+//   defaultModels    - preferred model IDs, in order, to preselect on first run
+//   formatModelName  - (model) => label in the model list; defaults to model.name
+//   batch            - optional batch API adapter (see api/batch-api.js) behind /api/batch/<id>;
+//                      the provider must also implement buildRequestBody and parseResponse
+//   models           - optional model list adapter (see api/model-catalog.js) behind /api/models/<id>;
+//                      the server merges its list with local metadata, replacing listModels
+//   create(apiKey, endpointConfig) - returns an APIProvider, which supplies model listing
+//                      (listModels, for providers without a models adapter), the request
+//                      builder (makeRequest) and the stream parser (createStreamParser)
+const REQUIRED_FIELDS = ['id', 'name', 'proxy', 'create'];
+
+const definitions = new Map(); // id -> definition, in registration order
+
+// Origin prepended to proxy paths; empty in the browser, the server's own address when the
+// server runs providers itself (POST /api/compare)
+let proxyOrigin = '';
+
+// Providers whose key the server holds (from /api/env in the browser, the environment on the
+// server); the proxy attaches it, so requests to them need no key of their own
+const serverKeyed = new Set();
+
+export class ProviderRegistry {
+    static register(definition) {
+        const missing = REQUIRED_FIELDS.filter(field => !definition[field]);
+        if (missing.length > 0) {
+            throw new Error(`Provider ${definition.id || '(unnamed)'} is missing ${missing.join(', ')}`);
+        }
+        if (!/^[a-z0-9_-]+$/.test(definition.id)) {
+            throw new Error(`Provider id "${definition.id}" must be lowercase letters, digits, dashes or underscores`);
+        }
+        if (definitions.has(definition.id)) {
+            throw new Error(`Provider "${definition.id}" is already registered`);
+        }
+
+        definitions.set(definition.id, { keyField: null, defaultModels: [], ...definition });
+    }
+
+    static get(id) {
+        return definitions.get(id) || null;
+    }
+
+    static list() {
+        return [...definitions.values()];
+    }
+
+    // Providers configured with an API key in settings
+    static listKeyed() {
+        return this.list().filter(definition => definition.keyField);
+    }
+
+    static requiresApiKey(id) {
+        return !!this.get(id)?.keyField;
+    }
+
+    static setServerKeys(ids) {
+        serverKeyed.clear();
+        ids.forEach(id => serverKeyed.add(id));
+    }
+
+    static hasServerKey(id) {
+        return serverKeyed.has(id);
+    }
+
+    // Whether a request to this provider must bring its own key
+    static needsClientKey(id) {
+        return this.requiresApiKey(id) && !this.hasServerKey(id);
+    }
+
+    static create(id, apiKey, endpointConfig = {}) {
+        const definition = this.get(id);
+        if (!definition) {
+            throw new Error(`Unknown provider: ${id}`);
+        }
+        return definition.create(apiKey, endpointConfig);
+    }
+
+    static getProviderFromModelId(modelId) {
+        return this.list().find(definition => definition.modelPattern?.test(modelId))?.id || 'unknown';
+    }
+
+    static formatModelName(model) {
+        const format = this.get(model.provider)?.formatModelName;
+        return format ? format(model) : model.name;
+    }
+
+    // Providers that accept batch submissions
+    static listBatchCapable() {
+        return this.list().filter(definition => definition.batch);
+    }
+
+    // Browser-side base path of a provider's proxy route
+    static proxyPath(id) {
+        return `/api/proxy/${id}`;
+    }
+
+    static setProxyOrigin(origin) {
+        proxyOrigin = origin.replace(/\/+$/, '');
+    }
+
+    // Absolute URL for a proxy path, so provider requests also work outside the browser
+    static resolveProxyUrl(url) {
+        return url.startsWith('/') ? `${proxyOrigin}${url}` : url;
+    }
+
+    // Browser-side base path of a provider's batch routes
+    static batchPath(id) {
+        return `/api/batch/${id}`;
+    }
+
+    // Browser-side path of a provider's model catalog
+    static catalogPath(id) {
+        return `/api/models/${id}`;
+    }
+}
@@ -1,13 +1,26 @@
 // API provider integrations with streaming and dynamic model discovery
-import { API_ENDPOINTS, getModelPricing, getModelPricingAsync, DEFAULT_PARAMS, STREAMING_CONFIG } from '../config/models.js';
+import { API_ENDPOINTS, getModelPricing, getModelPricingAsync, CACHE_PRICE_RATES, LOGPROBS_CONFIG, DEFAULT_PARAMS, SAMPLING_PARAMS, STREAMING_CONFIG, REASONING_BUDGETS, isModelReasoningCapable } from '../config/models.js';
 import { Metrics } from './metrics.js';
 import { ErrorHandler } from '../utils/error-handler.js';
+import { RequestTimer } from './request-timer.js';
+import { isRetryableStatus, computeRetryDelay, waitForRetry } from './retry.js';
+import { createToolCall, validateToolCall } from './tools.js';
+import { STRUCTURED_OUTPUT_TOOL, validateStructuredOutput } from './structured-output.js';
+import { SSEParser, NDJSONParser, readStream } from './stream-parser.js';
+import { ProviderRegistry } from './provider-registry.js';
+import { OPENAI_BATCH_API, ANTHROPIC_BATCH_API } from './batch-api.js';
+import { OPENAI_MODELS, ANTHROPIC_MODELS, GOOGLE_MODELS } from './model-catalog.js';
 
 export class APIProvider {
     constructor(apiKey) {
         this.apiKey = apiKey;
     }
 
+    // The user's key, when one was entered; without it the server attaches its own
+    getKeyHeaders() {
+        return this.apiKey ? { 'x-api-key': this.apiKey } : {};
+    }
+
     async listModels() {
         throw new Error('listModels must be implemented by subclass');
     }
@@ -15,82 +28,477 @@ export class APIProvider {
     async makeRequest(modelId, prompt, options = {}, onChunk = null) {
         throw new Error('makeRequest must be implemented by subclass');
     }
+
+    // Parser for the streaming response body; most providers stream SSE
+    createStreamParser() {
+        return new SSEParser();
+    }
+
+    // Native names for the SAMPLING_PARAMS this provider accepts
+    getParamMap() {
+        return {};
+    }
+
+    getMaxTemperature() {
+        return 2;
+    }
+
+    getMaxStopSequences() {
+        return Infinity;
+    }
+
+    // Whether the model can return token log probabilities; providers that can override this
+    supportsLogprobs() {
+        return false;
+    }
+
+    // Completions one request can return (options.choices, sent as n or the provider's equivalent);
+    // 1 means repeated samples need repeated requests
+    getMaxChoices() {
+        return 1;
+    }
+
+    // Clamp temperature and translate the optional sampling parameters to native names
+    // Returns { temperature, params, reasoning, logprobs, notes }; notes say what was lowered, trimmed or dropped,
+    // reasoning is { effort, budgetTokens } when a reasoning model was asked to think,
+    // and logprobs is { topLogprobs } when token log probabilities were asked for
+    resolveSamplingParams(options, modelId = '') {
+        const notes = [];
+        const params = {};
+        const paramMap = this.getParamMap();
+        let reasoning = null;
+        let logprobs = null;
+
+        if (options.reasoningEffort) {
+            if (isModelReasoningCapable(modelId)) {
+                reasoning = {
+                    effort: options.reasoningEffort,
+                    budgetTokens: options.thinkingBudget || REASONING_BUDGETS[options.reasoningEffort]
+                };
+            } else {
+                notes.push('reasoning effort is not supported by this model and was not sent');
+            }
+        }
+
+        if (options.logprobs) {
+            if (this.supportsLogprobs(modelId)) {
+                const topLogprobs = options.topLogprobs ?? LOGPROBS_CONFIG.defaultTopLogprobs;
+                logprobs = { topLogprobs: Math.min(Math.max(topLogprobs, 0), LOGPROBS_CONFIG.maxTopLogprobs) };
+            } else {
+                notes.push('token logprobs are not supported by this model and were not requested');
+            }
+        }
+
+        let temperature = options.temperature !== undefined ? options.temperature : DEFAULT_PARAMS.temperature;
+        if (temperature > this.getMaxTemperature()) {
+            notes.push(`temperature ${temperature} lowered to this provider's maximum of ${this.getMaxTemperature()}`);
+            temperature = this.getMaxTemperature();
+        }
+
+        Object.entries(SAMPLING_PARAMS).forEach(([name, label]) => {
+            let value = options[name];
+            if (value === undefined || value === null || (Array.isArray(value) && value.length === 0)) return;
+
+            if (!paramMap[name]) {
+                notes.push(`${label} is not supported by this provider and was not sent`);
+                return;
+            }
+
+            if (name === 'stopSequences' && value.length > this.getMaxStopSequences()) {
+                notes.push(`only the first ${this.getMaxStopSequences()} stop sequences were sent`);
+                value = value.slice(0, this.getMaxStopSequences());
+            }
+
+            params[paramMap[name]] = value;
+        });
+
+        return { temperature, params, reasoning, logprobs, notes };
+    }
+
+    // Token and cost fields for a result; reasoning tokens are counted apart from the answer's
+    // cache is { writeTokens, readTokens } from getCacheUsage; both are included in inputTokens
+    usageFields(pricing, inputTokens, outputTokens, reasoningTokens = 0, cache = {}) {
+        const cacheWriteTokens = cache.writeTokens || 0;
+        const cacheReadTokens = cache.readTokens || 0;
+        const cached = cacheWriteTokens > 0 || cacheReadTokens > 0;
+
+        return {
+            inputTokens,
+            outputTokens,
+            reasoningTokens,
+            cacheWriteTokens,
+            cacheReadTokens,
+            totalTokens: inputTokens + outputTokens + reasoningTokens,
+            estimatedCost: Metrics.calculateCost(pricing, inputTokens, outputTokens, reasoningTokens, cache),
+            reasoningCost: reasoningTokens ? Metrics.calculateReasoningCost(pricing, reasoningTokens) : null,
+            inputCosts: cached ? Metrics.calculateInputCosts(pricing, inputTokens, cache) : null
+        };
+    }
+
+    // Token log probability fields for a result: logprobs [{ token, logprob, top: [{ token, logprob }] }]
+    // and logprobStats { mean, min, count }; empty when the response carried none
+    logprobFields(tokens) {
+        if (!tokens?.length) return {};
+        return { logprobs: tokens, logprobStats: Metrics.summarizeLogprobs(tokens) };
+    }
+
+    // Every completion of a request that asked for several: choices [{ text, finishReason, logprobs, logprobStats }],
+    // left out when there is only one
+    choiceFields(choices) {
+        if (choices.length <= 1) return {};
+        return {
+            choices: choices.map(({ text, finishReason, logprobs }) => ({
+                text: text || '',
+                finishReason: finishReason ?? null,
+                ...this.logprobFields(logprobs)
+            }))
+        };
+    }
+
+    // Prompt caching usage reported in a response's usage block; providers that cache override this
+    getCacheUsage() {
+        return { writeTokens: 0, readTokens: 0 };
+    }
+
+    // Cache write/read prices relative to input ({ write, read }), or null without prompt caching
+    getCachePriceRates() {
+        return null;
+    }
+
+    // Pricing per 1K tokens, or null when unknown
+    async getPricing(modelId) {
+        return Metrics.withCachePricing(await getModelPricingAsync(modelId), this.getCachePriceRates());
+    }
+
+    // Send a request, retrying transient failures (see api/retry.js) before any output arrives
+    // Every try is recorded in options.attempts; options.onRetry is told about each wait
+    async fetchWithRetry(url, init, timer, streaming, options = {}) {
+        const attempts = options.attempts || [];
+        const maxAttempts = STREAMING_CONFIG.maxRetries + 1;
+
+        for (let attempt = 1; ; attempt++) {
+            const record = { attempt, startedAt: new Date().toISOString() };
+            const attemptTracker = Metrics.createPerformanceTracker();
+            attempts.push(record);
+
+            let response;
+            try {
+                timer.start(streaming);
+                response = await fetch(ProviderRegistry.resolveProxyUrl(url), {
+                    ...init,
+                    // Server-side callers pass on the user's credentials (see api/compare-runner.js)
+                    headers: { ...init.headers, ...options.proxyHeaders },
+                    signal: timer.signal
+                });
+            } catch (error) {
+                record.latency = attemptTracker.stop();
+                record.error = timer.resolveError(error).message;
+                throw error;
+            }
+
+            record.status = response.status;
+            record.latency = attemptTracker.stop();
+
+            const delayMs = attempt < maxAttempts && isRetryableStatus(response.status)
+                ? computeRetryDelay(attempt, response.headers)
+                : null;
+            if (delayMs === null) return response;
+
+            const errorBody = await response.json().catch(() => null);
+            record.error = errorBody?.error?.message || errorBody?.message ||
+                (typeof errorBody?.error === 'string' ? errorBody.error : `HTTP ${response.status}`);
+            record.retryDelay = delayMs;
+
+            // Backoff is not a stalled connection
+            timer.clear();
+            options.onRetry?.({ attempt: attempt + 1, maxAttempts, delayMs, status: response.status, error: record.error });
+            await waitForRetry(delayMs, timer.signal);
+        }
+    }
+
+    // Build the provider-neutral message thread: prior turns followed by the new prompt
+    // History entries use { role: 'user' | 'assistant', content: string }
+    // Tool turns continue the prompt after tool calls; see formatToolTurn
+    buildMessages(prompt, history = [], images = [], toolTurns = []) {
+        const content = images.length > 0 ? this.buildUserContent(prompt, images) : prompt;
+        return [...history, { role: 'user', content }, ...toolTurns.map(turn => this.formatToolTurn(turn))];
+    }
+
+    // Native message for a tool turn, which is either
+    // { role: 'assistant', content, toolCalls: [{ id, name, arguments }] } or
+    // { role: 'tool', toolCallId, name, content } carrying a (mock) tool result
+    formatToolTurn(turn) {
+        throw new Error('formatToolTurn must be implemented by subclass');
+    }
+
+    // Provider-specific multimodal content for a prompt with attached images
+    // Images are { name, mimeType, size, data } with base64 data (no data: prefix)
+    buildUserContent(prompt, images) {
+        throw new Error('buildUserContent must be implemented by subclass');
+    }
 }
 
 // OpenAI Provider
 export class OpenAIProvider extends APIProvider {
-    async listModels() {
-        try {
-            const response = await fetch(`${API_ENDPOINTS.openai}/models`, {
-                headers: {
-                    'x-api-key': this.apiKey
+    get endpoint() {
+        return API_ENDPOINTS.openai;
+    }
+
+    getHeaders() {
+        return this.getKeyHeaders();
+    }
+
+    // OpenAI caches long prompt prefixes automatically and reports the tokens it reused
+    getCacheUsage(usage) {
+        return { writeTokens: 0, readTokens: usage?.prompt_tokens_details?.cached_tokens || 0 };
+    }
+
+    getCachePriceRates() {
+        return CACHE_PRICE_RATES.openai;
+    }
+
+    getParamMap() {
+        return {
+            topP: 'top_p',
+            stopSequences: 'stop',
+            presencePenalty: 'presence_penalty',
+            frequencyPenalty: 'frequency_penalty',
+            seed: 'seed'
+        };
+    }
+
+    getMaxStopSequences() {
+        return 4;
+    }
+
+    // o-series and GPT-5 reason before answering
+    isReasoningModel(modelId) {
+        return /^o\d|^gpt-5/.test(modelId);
+    }
+
+    // Reasoning models reject the logprobs parameters
+    supportsLogprobs(modelId) {
+        return !this.isReasoningModel(modelId);
+    }
+
+    getMaxChoices() {
+        return 128;
+    }
+
+    // choices[].logprobs.content, from a whole response or one streamed chunk
+    normalizeLogprobs(content) {
+        return (content || []).map(entry => ({
+            token: entry.token,
+            logprob: entry.logprob,
+            top: (entry.top_logprobs || []).map(({ token, logprob }) => ({ token, logprob }))
+        }));
+    }
+
+    // Reasoning models only accept their default sampling settings
+    resolveSamplingParams(options, modelId = '') {
+        const sampling = super.resolveSamplingParams(options, modelId);
+        if (!this.isReasoningModel(modelId)) return sampling;
+
+        if (sampling.temperature !== 1) {
+            sampling.notes.push('temperature is fixed for reasoning models and was not sent');
+        }
+        sampling.temperature = undefined;
+
+        Object.entries({ topP: 'top_p', presencePenalty: 'presence penalty', frequencyPenalty: 'frequency penalty', stopSequences: 'stop sequences' })
+            .forEach(([name, label]) => {
+                const nativeName = this.getParamMap()[name];
+                if (nativeName in sampling.params) {
+                    delete sampling.params[nativeName];
+                    sampling.notes.push(`${label} is not supported by reasoning models and was not sent`);
                 }
             });
 
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}`);
-            }
+        return sampling;
+    }
 
-            const data = await response.json();
+    // Ask for a final usage chunk so streamed runs report real (and reasoning) token counts
+    get includeStreamUsage() {
+        return true;
+    }
 
-            // Filter for chat models only
-            const chatModels = data.data
-                .filter(model =>
-                    model.id.includes('gpt-4') ||
-                    model.id.includes('gpt-3.5-turbo')
-                )
-                .map(model => ({
-                    id: model.id,
-                    name: model.id,
-                    provider: 'openai',
-                    contextWindow: this.getContextWindow(model.id),
-                    capabilities: ['chat', 'streaming']
-                }))
-                .sort((a, b) => b.id.localeCompare(a.id)); // Newest first
+    // Reasoning (o-series) models take instructions in a developer message instead of system
+    getSystemRole(modelId) {
+        return /^o\d/.test(modelId) ? 'developer' : 'system';
+    }
 
-            return chatModels;
-        } catch (error) {
-            const errorInfo = ErrorHandler.parseError(error, 'openai', null);
-            throw new Error(errorInfo.message);
-        }
+    formatTools(tools) {
+        return tools.map(tool => ({
+            type: 'function',
+            function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+        }));
     }
 
-    getContextWindow(modelId) {
-        if (modelId.includes('gpt-4-turbo')) return 128000;
-        if (modelId.includes('gpt-4')) return 8192;
-        if (modelId.includes('gpt-3.5-turbo-16k')) return 16385;
-        if (modelId.includes('gpt-3.5')) return 4096;
-        return 8192;
+    // Non-strict: strict mode rejects schemas that leave properties optional, and every
+    // response is validated locally anyway
+    applyResponseSchema(requestBody, schema) {
+        requestBody.response_format = {
+            type: 'json_schema',
+            json_schema: { name: 'response', schema, strict: false }
+        };
     }
 
-    async makeRequest(modelId, prompt, options = {}, onChunk = null) {
-        const tracker = Metrics.createPerformanceTracker();
-        const pricing = await getModelPricingAsync(modelId);
+    formatToolTurn(turn) {
+        if (turn.role === 'tool') {
+            return { role: 'tool', tool_call_id: turn.toolCallId, content: turn.content };
+        }
+        return {
+            role: 'assistant',
+            content: turn.content || null,
+            tool_calls: turn.toolCalls.map(call => ({
+                id: call.id,
+                type: 'function',
+                function: { name: call.name, arguments: JSON.stringify(call.arguments ?? {}) }
+            }))
+        };
+    }
+
+    buildUserContent(prompt, images) {
+        return [
+            { type: 'text', text: prompt },
+            ...images.map(image => ({
+                type: 'image_url',
+                image_url: { url: `data:${image.mimeType};base64,${image.data}` }
+            }))
+        ];
+    }
 
-        const temperature = options.temperature !== undefined ? options.temperature : DEFAULT_PARAMS.temperature;
+    // Chat completions request body; shared by live requests and batch submissions
+    buildRequestBody(modelId, prompt, options = {}, stream = false) {
+        const sampling = this.resolveSamplingParams(options, modelId);
         const maxTokens = options.maxTokens !== undefined ? options.maxTokens : DEFAULT_PARAMS.max_tokens;
 
-        // Store request for debugging
+        const messages = this.buildMessages(prompt, options.history, options.images, options.toolTurns);
+        if (options.systemPrompt) {
+            messages.unshift({ role: this.getSystemRole(modelId), content: options.systemPrompt });
+        }
+
         const requestBody = {
             model: modelId,
-            messages: [{ role: 'user', content: prompt }],
-            temperature: temperature,
-            max_tokens: maxTokens,
-            stream: onChunk ? true : false
+            messages: messages,
+            temperature: sampling.temperature,
+            stream,
+            ...sampling.params
         };
 
+        // Reasoning models count hidden reasoning against max_completion_tokens and reject max_tokens
+        if (this.isReasoningModel(modelId)) {
+            requestBody.max_completion_tokens = maxTokens;
+        } else {
+            requestBody.max_tokens = maxTokens;
+        }
+
+        if (sampling.reasoning) {
+            requestBody.reasoning_effort = sampling.reasoning.effort;
+        }
+
+        if (sampling.logprobs) {
+            requestBody.logprobs = true;
+            requestBody.top_logprobs = sampling.logprobs.topLogprobs;
+        }
+
+        if (options.choices > 1) {
+            requestBody.n = options.choices;
+        }
+
+        if (stream && this.includeStreamUsage) {
+            requestBody.stream_options = { include_usage: true };
+        }
+
+        if (options.tools?.length) {
+            requestBody.tools = this.formatTools(options.tools);
+        }
+
+        if (options.responseSchema) {
+            this.applyResponseSchema(requestBody, options.responseSchema);
+        }
+
+        return { requestBody, messages };
+    }
+
+    // Result fields for a complete (non-streaming) chat completion, including batch results
+    // messages are the request's, for estimating input tokens when usage is missing
+    parseResponse(data, pricing, { messages = [] } = {}) {
+        const completion = data.choices[0]?.message?.content || '';
+        // OpenAI only reports a count; some compatible servers (DeepSeek, vLLM) return the reasoning text
+        const reasoning = data.choices[0]?.message?.reasoning_content || data.choices[0]?.message?.reasoning || '';
+        const finishReason = data.choices[0]?.finish_reason;
+        const toolCalls = (data.choices[0]?.message?.tool_calls || [])
+            .map(call => createToolCall(call.id, call.function?.name, call.function?.arguments));
+        const logprobs = this.normalizeLogprobs(data.choices[0]?.logprobs?.content);
+        const choices = this.choiceFields(data.choices.map(choice => ({
+            text: choice.message?.content,
+            finishReason: choice.finish_reason,
+            logprobs: this.normalizeLogprobs(choice.logprobs?.content)
+        })));
+
+        // Some OpenAI-compatible servers omit usage; fall back to estimates
+        const inputTokens = data.usage?.prompt_tokens ?? Metrics.estimateMessagesTokenCount(messages);
+        const cache = this.getCacheUsage(data.usage);
+        const reasoningTokens = data.usage?.completion_tokens_details?.reasoning_tokens ?? Metrics.estimateTokenCount(reasoning);
+        const outputTokens = data.usage?.completion_tokens !== undefined
+            ? data.usage.completion_tokens - reasoningTokens
+            : Metrics.estimateTokenCount(completion);
+
+        // Check for empty response (a tool call is a complete answer on its own)
+        if ((!completion || completion.trim() === '') && toolCalls.length === 0) {
+            let errorMsg = 'Empty response from model';
+            let suggestion = 'The model returned no content.';
+
+            if (finishReason === 'content_filter') {
+                errorMsg = 'Response blocked by content filter';
+                suggestion = 'OpenAI content filters blocked this response. Try rephrasing your prompt.';
+            } else if (finishReason === 'length') {
+                errorMsg = 'Response truncated (max tokens reached)';
+                suggestion = 'The response was cut off. Try a shorter prompt or increase max_tokens.';
+            }
+
+            return {
+                text: completion,
+                reasoning,
+                ...this.usageFields(pricing, inputTokens, outputTokens, reasoningTokens, cache),
+                warning: errorMsg,
+                warningSuggestion: suggestion,
+                warningType: 'empty_response',
+                finishReason: finishReason,
+                ...choices
+            };
+        }
+
+        return {
+            text: completion,
+            reasoning,
+            ...this.usageFields(pricing, inputTokens, outputTokens, reasoningTokens, cache),
+            ...this.logprobFields(logprobs),
+            ...choices,
+            finishReason: finishReason,
+            toolCalls
+        };
+    }
+
+    async makeRequest(modelId, prompt, options = {}, onChunk = null) {
+        const tracker = Metrics.createPerformanceTracker();
+        const pricing = await this.getPricing(modelId);
+        const { requestBody, messages } = this.buildRequestBody(modelId, prompt, options, !!onChunk);
+
+        const timer = new RequestTimer(options.signal);
+
         try {
-            const response = await fetch(`${API_ENDPOINTS.openai}/chat/completions`, {
+            const response = await this.fetchWithRetry(`${this.endpoint}/chat/completions`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
-                    'x-api-key': this.apiKey
+                    ...this.getHeaders()
                 },
                 body: JSON.stringify(requestBody)
-            });
+            }, timer, !!onChunk, options);
 
             if (!response.ok) {
-                const error = await response.json();
+                const error = await response.json().catch(() => ({}));
                 const customError = new Error(error.error?.message || `HTTP ${response.status}`);
                 customError.rawResponse = error;
                 throw customError;
@@ -98,58 +506,21 @@ export class OpenAIProvider extends APIProvider {
 
             // Handle streaming response
             if (onChunk && response.body) {
-                return await this.handleStreamingResponse(response, tracker, pricing, modelId, onChunk, requestBody);
+                timer.headersReceived();
+                return await this.handleStreamingResponse(response, tracker, pricing, modelId, messages, onChunk, timer);
             }
 
             // Handle non-streaming response
             const latency = tracker.stop();
             const data = await response.json();
-            const completion = data.choices[0]?.message?.content || '';
-            const usage = data.usage;
-            const finishReason = data.choices[0]?.finish_reason;
-
-            // Check for empty response
-            if (!completion || completion.trim() === '') {
-                let errorMsg = 'Empty response from model';
-                let suggestion = 'The model returned no content.';
-
-                if (finishReason === 'content_filter') {
-                    errorMsg = 'Response blocked by content filter';
-                    suggestion = 'OpenAI content filters blocked this response. Try rephrasing your prompt.';
-                } else if (finishReason === 'length') {
-                    errorMsg = 'Response truncated (max tokens reached)';
-                    suggestion = 'The response was cut off. Try a shorter prompt or increase max_tokens.';
-                }
-
-                return {
-                    text: completion,
-                    latency,
-                    inputTokens: usage.prompt_tokens,
-                    outputTokens: usage.completion_tokens,
-                    totalTokens: usage.total_tokens,
-                    estimatedCost: Metrics.calculateCost(pricing, usage.prompt_tokens, usage.completion_tokens),
-                    warning: errorMsg,
-                    warningSuggestion: suggestion,
-                    warningType: 'empty_response',
-                    finishReason: finishReason,
-                    rawApiRequest: requestBody,
-                    rawApiResponse: data
-                };
-            }
-
             return {
-                text: completion,
+                ...this.parseResponse(data, pricing, { messages }),
                 latency,
-                inputTokens: usage.prompt_tokens,
-                outputTokens: usage.completion_tokens,
-                totalTokens: usage.total_tokens,
-                estimatedCost: Metrics.calculateCost(pricing, usage.prompt_tokens, usage.completion_tokens),
-                finishReason: finishReason,
                 rawApiRequest: requestBody,
                 rawApiResponse: data
             };
         } catch (error) {
-            const errorInfo = ErrorHandler.parseError(error, 'openai', modelId);
+            const errorInfo = ErrorHandler.parseError(timer.resolveError(error), 'openai', modelId);
             return {
                 error: errorInfo.message,
                 errorSuggestion: errorInfo.suggestion,
@@ -157,77 +528,101 @@ export class OpenAIProvider extends APIProvider {
                 latency: tracker.stop(),
                 rawError: errorInfo.rawError
             };
+        } finally {
+            timer.clear();
         }
     }
 
-    async handleStreamingResponse(response, tracker, pricing, modelId, onChunk) {
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
+    async handleStreamingResponse(response, tracker, pricing, modelId, messages, onChunk, timer = new RequestTimer()) {
         let fullText = '';
-        let buffer = '';
+        let reasoning = '';
+        let finishReason = null;
+        let usage = null;
+        const logprobs = [];
+        const extraChoices = []; // Completions after the first when n > 1, by index
+        const toolCallParts = []; // Tool call fragments arrive per index: id and name once, arguments in pieces
+
+        const processEvent = ({ data }) => {
+            if (data === '[DONE]') return;
+
+            let parsed;
+            try {
+                parsed = JSON.parse(data);
+            } catch (e) {
+                return; // Skip invalid JSON
+            }
 
-        try {
-            while (true) {
-                const { done, value } = await reader.read();
-                if (done) break;
-
-                buffer += decoder.decode(value, { stream: true });
-                const lines = buffer.split('\n');
-                buffer = lines.pop() || '';
-
-                for (const line of lines) {
-                    if (line.startsWith('data: ')) {
-                        const data = line.slice(6);
-                        if (data === '[DONE]') continue;
-
-                        try {
-                            const parsed = JSON.parse(data);
-                            const content = parsed.choices[0]?.delta?.content;
-                            if (content) {
-                                fullText += content;
-                                onChunk(content);
-                            }
-                        } catch (e) {
-                            // Skip invalid JSON
-                        }
-                    }
-                }
+            // The usage chunk comes last, with an empty choices array
+            if (parsed.usage) usage = parsed.usage;
+
+            // With n > 1 the completions stream interleaved, told apart by index; only the first is shown live
+            (parsed.choices || []).filter(choice => choice.index > 0).forEach(choice => {
+                const extra = extraChoices[choice.index] ||= { text: '', finishReason: null, logprobs: [] };
+                extra.text += choice.delta?.content || '';
+                extra.logprobs.push(...this.normalizeLogprobs(choice.logprobs?.content));
+                extra.finishReason = choice.finish_reason || extra.finishReason;
+            });
+
+            const choice = parsed.choices?.find(candidate => !candidate.index);
+            const reasoningContent = choice?.delta?.reasoning_content || choice?.delta?.reasoning;
+            if (reasoningContent) {
+                reasoning += reasoningContent;
+                timer.tokenReceived();
+                onChunk(reasoningContent, 'reasoning');
             }
 
-            // Process any remaining buffer content
-            if (buffer && buffer.trim()) {
-                const lines = buffer.split('\n');
-                for (const line of lines) {
-                    if (line.startsWith('data: ')) {
-                        const data = line.slice(6);
-                        if (data === '[DONE]') continue;
-                        try {
-                            const parsed = JSON.parse(data);
-                            const content = parsed.choices[0]?.delta?.content;
-                            if (content) {
-                                fullText += content;
-                                onChunk(content);
-                            }
-                        } catch (e) { /* ignore */ }
-                    }
-                }
+            const content = choice?.delta?.content;
+            if (content) {
+                fullText += content;
+                timer.tokenReceived();
+                tracker.markChunk();
+                onChunk(content);
             }
 
+            logprobs.push(...this.normalizeLogprobs(choice?.logprobs?.content));
+
+            (choice?.delta?.tool_calls || []).forEach(fragment => {
+                const part = toolCallParts[fragment.index ?? 0] ||= { id: '', name: '', arguments: '' };
+                if (fragment.id) part.id = fragment.id;
+                if (fragment.function?.name) part.name += fragment.function.name;
+                if (fragment.function?.arguments) part.arguments += fragment.function.arguments;
+                timer.tokenReceived();
+                tracker.markChunk();
+            });
+
+            finishReason = choice?.finish_reason || finishReason;
+        };
+
+        try {
+            for await (const event of readStream(response.body, this.createStreamParser(), () => timer.chunkReceived())) {
+                processEvent(event);
+            }
+
+            const toolCalls = toolCallParts.filter(Boolean).map(part => createToolCall(part.id, part.name, part.arguments));
             const latency = tracker.stop();
-            const inputTokens = Metrics.estimateTokenCount(prompt);
-            const outputTokens = Metrics.estimateTokenCount(fullText);
+            const inputTokens = usage?.prompt_tokens ?? Metrics.estimateMessagesTokenCount(messages);
+            const cache = this.getCacheUsage(usage);
+            const reasoningTokens = usage?.completion_tokens_details?.reasoning_tokens ?? Metrics.estimateTokenCount(reasoning);
+            const outputTokens = usage
+                ? usage.completion_tokens - reasoningTokens
+                : Metrics.estimateTokenCount(fullText + toolCalls.map(call => call.rawArguments).join(''));
 
             return {
                 text: fullText,
+                reasoning,
                 latency,
-                inputTokens,
-                outputTokens,
-                totalTokens: inputTokens + outputTokens,
-                estimatedCost: Metrics.calculateCost(pricing, inputTokens, outputTokens),
-                streamed: true
+                ...this.usageFields(pricing, inputTokens, outputTokens, reasoningTokens, cache),
+                ...this.logprobFields(logprobs),
+                ...this.choiceFields(Array.from({ length: extraChoices.length || 1 }, (_, index) =>
+                    index === 0 ? { text: fullText, finishReason, logprobs } : extraChoices[index] || {})),
+                finishReason: finishReason,
+                toolCalls,
+                streamed: true,
+                // With n > 1 usage counts every completion but the timing is the first one's
+                ...tracker.getStreamMetrics(outputTokens / Math.max(extraChoices.length, 1))
             };
         } catch (error) {
-            const errorInfo = ErrorHandler.parseError(error, 'openai', modelId);
+            const errorInfo = ErrorHandler.parseError(timer.resolveError(error), 'openai', modelId);
             return {
                 error: errorInfo.message,
                 errorSuggestion: errorInfo.suggestion,
@@ -239,15 +634,44 @@ export class OpenAIProvider extends APIProvider {
     }
 }
 
-// Anthropic Provider
-export class AnthropicProvider extends APIProvider {
+// OpenAI-compatible Provider (vLLM, LM Studio, llama.cpp server, LiteLLM, ...)
+// Reuses OpenAI request and stream handling against a user-configured base URL
+export class OpenAICompatibleProvider extends OpenAIProvider {
+    constructor(apiKey, endpointConfig = {}) {
+        super(apiKey);
+        this.endpointId = endpointConfig.id;
+        this.endpointName = endpointConfig.name;
+        this.baseUrl = endpointConfig.baseUrl;
+    }
+
+    get endpoint() {
+        return API_ENDPOINTS.custom;
+    }
+
+    // Not every compatible server accepts stream_options
+    get includeStreamUsage() {
+        return false;
+    }
+
+    getHeaders() {
+        // Many local servers run without auth, so the key is optional
+        return { 'x-base-url': this.baseUrl, ...this.getKeyHeaders() };
+    }
+
+    // Self-hosted models have no public price list
+    async getPricing() {
+        return null;
+    }
+
+    // Many compatible servers ignore n and return a single completion
+    getMaxChoices() {
+        return 1;
+    }
+
     async listModels() {
         try {
-            // Anthropic now provides a models list endpoint
-            const response = await fetch(`${API_ENDPOINTS.anthropic}/models`, {
-                headers: {
-                    'x-api-key': this.apiKey
-                }
+            const response = await fetch(`${this.endpoint}/models`, {
+                headers: this.getHeaders()
             });
 
             if (!response.ok) {
@@ -256,113 +680,204 @@ export class AnthropicProvider extends APIProvider {
 
             const data = await response.json();
 
-            // Filter for chat-capable models and map to standard format
-            const chatModels = (data.data || [])
-                .filter(model => model.type === 'model')
+            // Model IDs are namespaced by endpoint so the same model served twice stays distinct
+            return (data.data || [])
                 .map(model => ({
-                    id: model.id,
-                    name: model.display_name || model.id,
-                    provider: 'anthropic',
-                    contextWindow: 200000, // Default context window
+                    id: `custom:${this.endpointId}:${model.id}`,
+                    apiModelId: model.id,
+                    name: model.id,
+                    provider: 'custom',
+                    endpointId: this.endpointId,
+                    endpointName: this.endpointName,
+                    baseUrl: this.baseUrl,
+                    contextWindow: model.max_model_len || model.context_length || 8192,
                     capabilities: ['chat', 'streaming']
                 }))
-                .sort((a, b) => b.id.localeCompare(a.id)); // Newest first
-
-            return chatModels;
+                .sort((a, b) => a.name.localeCompare(b.name));
         } catch (error) {
-            console.error('Error listing Anthropic models:', error);
-            // Fallback to known models if API fails
-            return [
-                {
-                    id: 'claude-3-5-sonnet-20241022',
-                    name: 'Claude 3.5 Sonnet (v2)',
-                    provider: 'anthropic',
-                    contextWindow: 200000,
-                    capabilities: ['chat', 'streaming']
-                },
-                {
-                    id: 'claude-3-opus-20240229',
-                    name: 'Claude 3 Opus',
-                    provider: 'anthropic',
-                    contextWindow: 200000,
-                    capabilities: ['chat', 'streaming']
-                },
-                {
-                    id: 'claude-3-haiku-20240307',
-                    name: 'Claude 3 Haiku',
-                    provider: 'anthropic',
-                    contextWindow: 200000,
-                    capabilities: ['chat', 'streaming']
-                }
-            ];
+            const errorInfo = ErrorHandler.parseError(error, 'openai', null);
+            throw new Error(errorInfo.message);
         }
     }
+}
 
-    async makeRequest(modelId, prompt, options = {}, onChunk = null) {
-        const tracker = Metrics.createPerformanceTracker();
-        const pricing = await getModelPricingAsync(modelId);
+// Anthropic Provider
+export class AnthropicProvider extends APIProvider {
+    // input_tokens excludes the tokens written to or read from the cache
+    getCacheUsage(usage) {
+        return {
+            writeTokens: usage?.cache_creation_input_tokens || 0,
+            readTokens: usage?.cache_read_input_tokens || 0
+        };
+    }
 
-        const temperature = options.temperature !== undefined ? options.temperature : DEFAULT_PARAMS.temperature;
-        const maxTokens = options.maxTokens !== undefined ? options.maxTokens : DEFAULT_PARAMS.max_tokens;
+    getCachePriceRates() {
+        return CACHE_PRICE_RATES.anthropic;
+    }
 
-        console.log('='.repeat(80));
-        console.log(`[ANTHROPIC REQUEST] Model: ${modelId}, Streaming: ${!!onChunk}`);
-        console.log('Prompt:', prompt.substring(0, 100));
+    formatTools(tools) {
+        return tools.map(tool => ({ name: tool.name, description: tool.description, input_schema: tool.parameters }));
+    }
 
-        try {
-            const response = await fetch(`${API_ENDPOINTS.anthropic}/messages`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'x-api-key': this.apiKey,
-                    'anthropic-version': '2023-06-01'
-                },
-                body: JSON.stringify({
-                    model: modelId,
-                    messages: [{ role: 'user', content: prompt }],
-                    temperature: temperature,
-                    max_tokens: maxTokens,
-                    stream: onChunk ? true : false
-                })
-            });
+    getParamMap() {
+        return { topP: 'top_p', topK: 'top_k', stopSequences: 'stop_sequences' };
+    }
 
-            console.log(`[ANTHROPIC RESPONSE] Status: ${response.status}, OK: ${response.ok}`);
+    getMaxTemperature() {
+        return 1;
+    }
 
-            if (!response.ok) {
-                const errorBody = await response.json();
-                console.log('[ANTHROPIC ERROR RESPONSE]:', JSON.stringify(errorBody, null, 2));
-                const errorMessage = errorBody.error?.message || errorBody.message || `HTTP ${response.status}`;
-                const customError = new Error(errorMessage);
-                customError.rawResponse = errorBody;
-                throw customError;
-            }
+    // Extended thinking requires the default temperature and rules out top_k, top_p and forced tools
+    resolveSamplingParams(options, modelId = '') {
+        const sampling = super.resolveSamplingParams(options, modelId);
+        if (!sampling.reasoning) return sampling;
 
-            // Handle streaming response
-            if (onChunk && response.body) {
-                return await this.handleStreamingResponse(response, tracker, pricing, modelId, prompt, onChunk);
+        if (sampling.temperature !== 1) {
+            sampling.notes.push('temperature is fixed while extended thinking is on and was not sent');
+        }
+        sampling.temperature = undefined;
+
+        ['top_k', 'top_p'].forEach(nativeName => {
+            if (nativeName in sampling.params) {
+                delete sampling.params[nativeName];
+                sampling.notes.push(`${nativeName} is not supported with extended thinking and was not sent`);
             }
+        });
 
-            // Handle non-streaming response
-            const latency = tracker.stop();
-            const data = await response.json();
-            console.log('[ANTHROPIC SUCCESS]:', {
-                model: modelId,
-                usage: data.usage,
-                stopReason: data.stop_reason
-            });
-            const completion = data.content[0]?.text || '';
-            const usage = data.usage;
-            const stopReason = data.stop_reason;
+        if (options.responseSchema) {
+            sampling.notes.push('structured output is requested rather than forced while extended thinking is on');
+        }
 
-            // Check for empty response (truly empty, not just short)
-            // Note: Short responses like "4" or "Yes" are valid and should not be flagged
-            if (!completion || completion.trim() === '') {
-                let errorMsg = 'Empty Response from Claude';
-                let suggestion = 'Claude returned no meaningful content. ';
+        return sampling;
+    }
 
-                if (stopReason === 'end_turn') {
-                    errorMsg = 'Claude Completed Turn with Empty Response';
-                    suggestion = `Claude believes its turn is complete but returned no content. This commonly occurs due to:
+    // No native JSON mode: force a single tool whose input schema is the response schema
+    applyResponseSchema(requestBody, schema) {
+        requestBody.tools = [...(requestBody.tools || []), {
+            name: STRUCTURED_OUTPUT_TOOL,
+            description: 'Respond by calling this tool with the complete answer as its input.',
+            input_schema: schema
+        }];
+        requestBody.tool_choice = { type: 'tool', name: STRUCTURED_OUTPUT_TOOL };
+    }
+
+    // Tool results go back in a user message; consecutive user messages are merged by the API
+    formatToolTurn(turn) {
+        if (turn.role === 'tool') {
+            return {
+                role: 'user',
+                content: [{ type: 'tool_result', tool_use_id: turn.toolCallId, content: turn.content }]
+            };
+        }
+        // Thinking blocks must be sent back unchanged (with their signatures) before the tool use
+        return {
+            role: 'assistant',
+            content: [
+                ...(turn.thinkingBlocks || []),
+                ...(turn.content ? [{ type: 'text', text: turn.content }] : []),
+                ...turn.toolCalls.map(call => ({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments ?? {} }))
+            ]
+        };
+    }
+
+    // Anthropic recommends images before the text that refers to them
+    buildUserContent(prompt, images) {
+        return [
+            ...images.map(image => ({
+                type: 'image',
+                source: { type: 'base64', media_type: image.mimeType, data: image.data }
+            })),
+            { type: 'text', text: prompt }
+        ];
+    }
+
+    // Copy of a message whose last content block carries a cache breakpoint, so everything
+    // up to and including it is cached; string content becomes a single text block
+    addCacheBreakpoint(message) {
+        const content = typeof message.content === 'string'
+            ? [{ type: 'text', text: message.content }]
+            : [...message.content];
+        content[content.length - 1] = { ...content[content.length - 1], cache_control: { type: 'ephemeral' } };
+        return { ...message, content };
+    }
+
+    // Messages API request body; shared by live requests and batch submissions
+    buildRequestBody(modelId, prompt, options = {}, stream = false) {
+        const sampling = this.resolveSamplingParams(options, modelId);
+        const maxTokens = options.maxTokens !== undefined ? options.maxTokens : DEFAULT_PARAMS.max_tokens;
+
+        const messages = this.buildMessages(prompt, options.history, options.images, options.toolTurns);
+
+        const requestBody = {
+            model: modelId,
+            messages: messages,
+            temperature: sampling.temperature,
+            max_tokens: maxTokens,
+            stream,
+            ...sampling.params
+        };
+
+        // Anthropic takes the system prompt as a top-level field, not a message
+        // Cache breakpoints mark the end of a prefix to reuse: the system prompt and/or this prompt
+        if (options.systemPrompt) {
+            requestBody.system = options.promptCaching?.systemPrompt
+                ? [{ type: 'text', text: options.systemPrompt, cache_control: { type: 'ephemeral' } }]
+                : options.systemPrompt;
+        }
+
+        if (options.promptCaching?.prompt) {
+            messages[messages.length - 1] = this.addCacheBreakpoint(messages[messages.length - 1]);
+        }
+
+        if (options.tools?.length) {
+            requestBody.tools = this.formatTools(options.tools);
+        }
+
+        if (options.responseSchema) {
+            this.applyResponseSchema(requestBody, options.responseSchema);
+        }
+
+        // The thinking budget comes on top of the answer's max tokens
+        if (sampling.reasoning) {
+            requestBody.thinking = { type: 'enabled', budget_tokens: sampling.reasoning.budgetTokens };
+            requestBody.max_tokens = maxTokens + sampling.reasoning.budgetTokens;
+            if (requestBody.tool_choice) {
+                requestBody.tool_choice = { type: 'auto' };
+            }
+        }
+
+        return { requestBody, messages };
+    }
+
+    // Result fields for a complete (non-streaming) Messages API response, including batch results
+    parseResponse(data, pricing, { latency = null } = {}) {
+        // A forced structured output call is the answer itself, not a tool call
+        const structuredBlock = data.content.find(block => block.type === 'tool_use' && block.name === STRUCTURED_OUTPUT_TOOL);
+        const completion = structuredBlock
+            ? JSON.stringify(structuredBlock.input)
+            : data.content.filter(block => block.type === 'text').map(block => block.text).join('');
+        const toolCalls = data.content
+            .filter(block => block.type === 'tool_use' && block !== structuredBlock)
+            .map(block => createToolCall(block.id, block.name, block.input));
+        const usage = data.usage;
+        const cache = this.getCacheUsage(usage);
+        const inputTokens = usage.input_tokens + cache.writeTokens + cache.readTokens;
+        const stopReason = data.stop_reason;
+
+        // Thinking is billed as output but not counted separately, so estimate its share
+        const thinkingBlocks = data.content.filter(block => block.type === 'thinking' || block.type === 'redacted_thinking');
+        const reasoning = thinkingBlocks.map(block => block.thinking || '').join('\n\n');
+        const reasoningTokens = Math.min(Metrics.estimateTokenCount(reasoning), usage.output_tokens);
+
+        // Check for empty response (truly empty, not just short)
+        // Note: Short responses like "4" or "Yes" are valid and should not be flagged
+        if ((!completion || completion.trim() === '') && toolCalls.length === 0) {
+            let errorMsg = 'Empty Response from Claude';
+            let suggestion = 'Claude returned no meaningful content. ';
+
+            if (stopReason === 'end_turn') {
+                errorMsg = 'Claude Completed Turn with Empty Response';
+                suggestion = `Claude believes its turn is complete but returned no content. This commonly occurs due to:
 
 • **Prompt Structure**: The model may interpret the conversation as already complete
 • **Intermittent Behavior**: Some Claude models occasionally exhibit this behavior (known issue)
@@ -375,10 +890,10 @@ export class AnthropicProvider extends APIProvider {
 4. Retry the request (intermittent issue may resolve)
 5. Try a different Claude model (e.g., Haiku or Opus instead of Sonnet)
 
-**Technical Details**: stop_reason="${stopReason}", output_tokens=${usage.output_tokens}, input_tokens=${usage.input_tokens}`;
-                } else if (stopReason === 'max_tokens') {
-                    errorMsg = 'Response Truncated (Max Tokens Reached)';
-                    suggestion = `The response was cut off because it reached the maximum token limit.
+**Technical Details**: stop_reason="${stopReason}", output_tokens=${usage.output_tokens}, input_tokens=${inputTokens}`;
+            } else if (stopReason === 'max_tokens') {
+                errorMsg = 'Response Truncated (Max Tokens Reached)';
+                suggestion = `The response was cut off because it reached the maximum token limit.
 
 **Recommended Actions**:
 1. Increase the max_tokens parameter in settings
@@ -386,16 +901,16 @@ export class AnthropicProvider extends APIProvider {
 3. Break your question into smaller parts
 
 **Technical Details**: stop_reason="${stopReason}", max_tokens_limit=${DEFAULT_PARAMS.max_tokens}`;
-                } else if (stopReason === 'stop_sequence') {
-                    errorMsg = 'Response Stopped at Stop Sequence';
-                    suggestion = `The model encountered a predefined stop sequence.
+            } else if (stopReason === 'stop_sequence') {
+                errorMsg = 'Response Stopped at Stop Sequence';
+                suggestion = `The model encountered a predefined stop sequence.
 
 **Technical Details**: stop_reason="${stopReason}"`;
-                } else {
-                    // Unknown reason for empty response - likely streaming timeout
-                    if (stopReason === null) {
-                        errorMsg = 'Streaming Connection Interrupted';
-                        suggestion = `The streaming connection was interrupted before receiving a complete response from Claude.
+            } else {
+                // Unknown reason for empty response - likely streaming timeout
+                if (stopReason === null) {
+                    errorMsg = 'Streaming Connection Interrupted';
+                    suggestion = `The streaming connection was interrupted before receiving a complete response from Claude.
 
 **Most Likely Causes**:
 • **Proxy/Network Timeout**: The connection between the proxy server and Anthropic's API timed out
@@ -411,9 +926,9 @@ export class AnthropicProvider extends APIProvider {
 
 **Technical Details**: stop_reason=null (never received), output_tokens=${usage.output_tokens}, response_length=${completion.length}, latency=${latency}ms
 **Diagnosis**: No stop_reason received indicates the streaming connection ended prematurely, likely due to network/proxy timeout rather than an API-level issue.`;
-                    } else {
-                        errorMsg = 'Unexpected Empty Response';
-                        suggestion = `Claude returned an empty response without a clear reason.
+                } else {
+                    errorMsg = 'Unexpected Empty Response';
+                    suggestion = `Claude returned an empty response without a clear reason.
 
 **Possible Causes**:
 • API service overload (HTTP 529 - try again later)
@@ -427,34 +942,80 @@ export class AnthropicProvider extends APIProvider {
 4. Simplify your prompt
 
 **Technical Details**: stop_reason="${stopReason || 'null'}", output_tokens=${usage.output_tokens}, response_length=${completion.length}`;
-                    }
                 }
-
-                return {
-                    text: completion,
-                    latency,
-                    inputTokens: usage.input_tokens,
-                    outputTokens: usage.output_tokens,
-                    totalTokens: usage.input_tokens + usage.output_tokens,
-                    estimatedCost: Metrics.calculateCost(pricing, usage.input_tokens, usage.output_tokens),
-                    warning: errorMsg,
-                    warningSuggestion: suggestion,
-                    warningType: 'empty_response',
-                    stopReason: stopReason
-                };
-            };
+            }
 
             return {
                 text: completion,
+                reasoning,
+                thinkingBlocks,
                 latency,
-                inputTokens: usage.input_tokens,
-                outputTokens: usage.output_tokens,
-                totalTokens: usage.input_tokens + usage.output_tokens,
-                estimatedCost: Metrics.calculateCost(pricing, usage.input_tokens, usage.output_tokens),
+                ...this.usageFields(pricing, inputTokens, usage.output_tokens - reasoningTokens, reasoningTokens, cache),
+                warning: errorMsg,
+                warningSuggestion: suggestion,
+                warningType: 'empty_response',
+                stopReason: stopReason
             };
+        }
+
+        return {
+            text: completion,
+            reasoning,
+            thinkingBlocks,
+            latency,
+            ...this.usageFields(pricing, inputTokens, usage.output_tokens - reasoningTokens, reasoningTokens, cache),
+            stopReason: stopReason,
+            toolCalls
+        };
+    }
+
+    async makeRequest(modelId, prompt, options = {}, onChunk = null) {
+        const tracker = Metrics.createPerformanceTracker();
+        const pricing = await this.getPricing(modelId);
+        const { requestBody, messages } = this.buildRequestBody(modelId, prompt, options, !!onChunk);
+
+        const timer = new RequestTimer(options.signal);
+
+        try {
+            const response = await this.fetchWithRetry(`${API_ENDPOINTS.anthropic}/messages`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...this.getKeyHeaders(),
+                    'anthropic-version': '2023-06-01'
+                },
+                body: JSON.stringify(requestBody)
+            }, timer, !!onChunk, options);
+
+            if (!response.ok) {
+                const errorBody = await response.json();
+                const errorMessage = errorBody.error?.message || errorBody.message || `HTTP ${response.status}`;
+                const customError = new Error(errorMessage);
+                customError.rawResponse = errorBody;
+                throw customError;
+            }
+
+            // Handle streaming response
+            if (onChunk && response.body) {
+                timer.headersReceived();
+                return await this.handleStreamingResponse(response, tracker, pricing, modelId, messages, onChunk, timer);
+            }
+
+            // Handle non-streaming response
+            const latency = tracker.stop();
+            const data = await response.json();
+            return this.parseResponse(data, pricing, { latency });
         } catch (error) {
-            console.error('[ANTHROPIC ERROR]:', error.message);
-            console.error('Stack:', error.stack);
+            // User pressed Stop, a deadline fired or the comparator itself refused - not an API failure
+            if (error.name === 'AbortError' || timer.timedOut || ErrorHandler.isComparatorError(error)) {
+                const errorInfo = ErrorHandler.parseError(timer.resolveError(error), 'anthropic', modelId);
+                return {
+                    error: errorInfo.message,
+                    errorSuggestion: errorInfo.suggestion,
+                    errorType: errorInfo.type,
+                    latency: tracker.stop()
+                };
+            }
 
             // Check if this is a "model not available" error
             // Anthropic API sometimes returns "model: <model_id>" or specific error types
@@ -495,86 +1056,90 @@ export class AnthropicProvider extends APIProvider {
                     ...error.rawResponse
                 }
             };
+        } finally {
+            timer.clear();
         }
     }
 
-    async handleStreamingResponse(response, tracker, pricing, modelId, prompt, onChunk) {
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
+    async handleStreamingResponse(response, tracker, pricing, modelId, messages, onChunk, timer = new RequestTimer()) {
         let fullText = '';
-        let buffer = '';
         let inputTokens = 0;
         let outputTokens = 0;
+        let cache = this.getCacheUsage();
         let stopReason = null;
+        const toolUseBlocks = []; // By content block index; input JSON arrives in pieces
+        const thinkingBlocks = []; // By content block index; kept whole for tool call continuations
+
+        const processEvent = ({ event, data }) => {
+            let parsed;
+            try {
+                parsed = JSON.parse(data);
+            } catch (e) {
+                return; // Skip invalid JSON
+            }
 
-        try {
-            while (true) {
-                const { done, value } = await reader.read();
-                if (done) break;
-
-                buffer += decoder.decode(value, { stream: true });
-                const lines = buffer.split('\n');
-                buffer = lines.pop() || '';
-
-                for (const line of lines) {
-                    if (line.startsWith('data: ')) {
-                        const data = line.slice(6);
-
-                        try {
-                            const parsed = JSON.parse(data);
-
-                            if (parsed.type === 'content_block_delta') {
-                                const content = parsed.delta?.text;
-                                if (content) {
-                                    fullText += content;
-                                    onChunk(content);
-                                }
-                            } else if (parsed.type === 'message_start') {
-                                inputTokens = parsed.message?.usage?.input_tokens || 0;
-                            } else if (parsed.type === 'message_delta') {
-                                outputTokens = parsed.usage?.output_tokens || 0;
-                                stopReason = parsed.delta?.stop_reason || stopReason;
-                            }
-                        } catch (e) {
-                            // Skip invalid JSON
-                        }
-                    }
-                }
+            // Mid-stream failures (e.g. overloaded) arrive as an error event after a 200
+            if (event === 'error') {
+                throw new Error(`${parsed.error?.type || 'error'}: ${parsed.error?.message || 'stream failed'}`);
             }
 
-            // Process any remaining buffer content
-            if (buffer && buffer.trim()) {
-                const lines = buffer.split('\n');
-                for (const line of lines) {
-                    if (line.startsWith('data: ')) {
-                        const data = line.slice(6);
-                        try {
-                            const parsed = JSON.parse(data);
-                            if (parsed.type === 'content_block_delta') {
-                                const content = parsed.delta?.text;
-                                if (content) {
-                                    fullText += content;
-                                    onChunk(content);
-                                }
-                            } else if (parsed.type === 'message_delta') {
-                                outputTokens = parsed.usage?.output_tokens || outputTokens;
-                                stopReason = parsed.delta?.stop_reason || stopReason;
-                            }
-                        } catch (e) { /* ignore */ }
-                    }
+            if (parsed.type === 'content_block_start' && parsed.content_block?.type === 'thinking') {
+                thinkingBlocks[parsed.index] = { type: 'thinking', thinking: '', signature: '' };
+            } else if (parsed.type === 'content_block_start' && parsed.content_block?.type === 'redacted_thinking') {
+                thinkingBlocks[parsed.index] = parsed.content_block;
+            } else if (parsed.type === 'content_block_delta' && parsed.delta?.type === 'thinking_delta' && thinkingBlocks[parsed.index]) {
+                thinkingBlocks[parsed.index].thinking += parsed.delta.thinking;
+                timer.tokenReceived();
+                onChunk(parsed.delta.thinking, 'reasoning');
+            } else if (parsed.type === 'content_block_delta' && parsed.delta?.type === 'signature_delta' && thinkingBlocks[parsed.index]) {
+                thinkingBlocks[parsed.index].signature += parsed.delta.signature;
+            } else if (parsed.type === 'content_block_start' && parsed.content_block?.type === 'tool_use') {
+                // The forced structured output tool streams its input JSON as the response text
+                if (parsed.content_block.name === STRUCTURED_OUTPUT_TOOL) return;
+                toolUseBlocks[parsed.index] = { id: parsed.content_block.id, name: parsed.content_block.name, json: '' };
+            } else if (parsed.type === 'content_block_delta') {
+                const content = parsed.delta?.text ?? (toolUseBlocks[parsed.index] ? null : parsed.delta?.partial_json);
+                if (content) {
+                    fullText += content;
+                    timer.tokenReceived();
+                    tracker.markChunk();
+                    onChunk(content);
+                } else if (parsed.delta?.type === 'input_json_delta' && toolUseBlocks[parsed.index]) {
+                    toolUseBlocks[parsed.index].json += parsed.delta.partial_json;
+                    timer.tokenReceived();
+                    tracker.markChunk();
                 }
+            } else if (parsed.type === 'message_start') {
+                cache = this.getCacheUsage(parsed.message?.usage);
+                inputTokens = (parsed.message?.usage?.input_tokens || 0) + cache.writeTokens + cache.readTokens;
+            } else if (parsed.type === 'message_delta') {
+                outputTokens = parsed.usage?.output_tokens || outputTokens;
+                stopReason = parsed.delta?.stop_reason || stopReason;
+            }
+        };
+
+        try {
+            for await (const event of readStream(response.body, this.createStreamParser(), () => timer.chunkReceived())) {
+                processEvent(event);
             }
 
+            const toolCalls = toolUseBlocks.filter(Boolean).map(block => createToolCall(block.id, block.name, block.json));
+            // Thinking is billed as output but not counted separately, so estimate its share
+            const completedThinkingBlocks = thinkingBlocks.filter(Boolean);
+            const reasoning = completedThinkingBlocks.map(block => block.thinking || '').join('\n\n');
             const latency = tracker.stop();
             // Use reported tokens or estimate
-            if (!inputTokens) inputTokens = Metrics.estimateTokenCount(prompt);
-            if (!outputTokens) outputTokens = Metrics.estimateTokenCount(fullText);
+            if (!inputTokens) inputTokens = Metrics.estimateMessagesTokenCount(messages);
+            if (!outputTokens) outputTokens = Metrics.estimateTokenCount(reasoning + fullText + toolUseBlocks.map(block => block?.json || '').join(''));
+
+            const reasoningTokens = Math.min(Metrics.estimateTokenCount(reasoning), outputTokens);
+            outputTokens -= reasoningTokens;
 
             // Check for empty response (truly empty, not just short) - streaming mode
             // Note: Short responses like "4" or "Yes" are valid and should not be flagged
             // Only flag as empty if we have BOTH empty text AND a problematic stop_reason
             // This prevents false positives for short but valid responses
-            const hasEmptyText = !fullText || fullText.trim() === '';
+            const hasEmptyText = (!fullText || fullText.trim() === '') && toolCalls.length === 0;
             const hasProblematicStopReason = stopReason === 'end_turn' || stopReason === 'max_tokens' || stopReason === 'stop_sequence';
 
             if (hasEmptyText && hasProblematicStopReason) {
@@ -616,11 +1181,10 @@ export class AnthropicProvider extends APIProvider {
 
                 return {
                     text: fullText,
+                    reasoning,
+                    thinkingBlocks: completedThinkingBlocks,
                     latency,
-                    inputTokens,
-                    outputTokens,
-                    totalTokens: inputTokens + outputTokens,
-                    estimatedCost: Metrics.calculateCost(pricing, inputTokens, outputTokens),
+                    ...this.usageFields(pricing, inputTokens, outputTokens, reasoningTokens, cache),
                     warning: errorMsg,
                     warningSuggestion: suggestion,
                     warningType: 'empty_response',
@@ -631,16 +1195,17 @@ export class AnthropicProvider extends APIProvider {
 
             return {
                 text: fullText,
+                reasoning,
+                thinkingBlocks: completedThinkingBlocks,
                 latency,
-                inputTokens,
-                outputTokens,
-                totalTokens: inputTokens + outputTokens,
-                estimatedCost: Metrics.calculateCost(pricing, inputTokens, outputTokens),
+                ...this.usageFields(pricing, inputTokens, outputTokens, reasoningTokens, cache),
                 stopReason: stopReason,
-                streamed: true
+                toolCalls,
+                streamed: true,
+                ...tracker.getStreamMetrics(outputTokens)
             };
         } catch (error) {
-            const errorInfo = ErrorHandler.parseError(error, 'anthropic', modelId);
+            const errorInfo = ErrorHandler.parseError(timer.resolveError(error), 'anthropic', modelId);
             return {
                 error: errorInfo.message,
                 errorSuggestion: errorInfo.suggestion,
@@ -654,104 +1219,186 @@ export class AnthropicProvider extends APIProvider {
 
 // Google Provider
 export class GoogleProvider extends APIProvider {
-    async listModels() {
-        try {
-            // Fetch models from Google API via proxy
-            const response = await fetch(`${API_ENDPOINTS.google}/models`, {
-                method: 'GET',
-                headers: { 'x-api-key': this.apiKey }
-            });
+    // Gemini caches implicitly; the cached share is part of promptTokenCount
+    getCacheUsage(usageMetadata) {
+        return { writeTokens: 0, readTokens: usageMetadata?.cachedContentTokenCount || 0 };
+    }
 
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}`);
-            }
+    getCachePriceRates() {
+        return CACHE_PRICE_RATES.google;
+    }
 
-            const data = await response.json();
+    // Gemini calls the assistant role "model" and wraps text in parts
+    toGeminiContents(messages) {
+        return messages.map(message => ({
+            role: message.role === 'assistant' ? 'model' : 'user',
+            parts: Array.isArray(message.content) ? message.content : [{ text: message.content }]
+        }));
+    }
 
-            // Filter for models that support generateContent and are Gemini models
-            const chatModels = (data.models || [])
-                .filter(model =>
-                    model.supportedGenerationMethods?.includes('generateContent') &&
-                    model.name.includes('gemini')
-                )
-                .map(model => {
-                    const id = model.name.replace('models/', '');
-                    return {
-                        id: id,
-                        name: model.displayName || id,
-                        provider: 'google',
-                        contextWindow: model.inputTokenLimit || 32000,
-                        capabilities: model.supportedGenerationMethods || ['generateContent']
-                    };
-                })
-                .sort((a, b) => b.id.localeCompare(a.id));
-
-            return chatModels;
-        } catch (error) {
-            console.error('Error listing Google models:', error);
-            // Fallback to known models if API fails (e.g. no key yet)
-            // Updated Dec 2025: Google deprecated 1.5 models, now using 2.0/2.5
-            return [
-                {
-                    id: 'gemini-2.5-flash',
-                    name: 'Gemini 2.5 Flash',
-                    provider: 'google',
-                    contextWindow: 1048576,
-                    capabilities: ['generateContent']
-                },
-                {
-                    id: 'gemini-2.5-pro',
-                    name: 'Gemini 2.5 Pro',
-                    provider: 'google',
-                    contextWindow: 1048576,
-                    capabilities: ['generateContent']
-                },
-                {
-                    id: 'gemini-2.0-flash',
-                    name: 'Gemini 2.0 Flash',
-                    provider: 'google',
-                    contextWindow: 1048576,
-                    capabilities: ['generateContent']
-                },
-                {
-                    id: 'gemini-flash-latest',
-                    name: 'Gemini Flash Latest',
-                    provider: 'google',
-                    contextWindow: 1048576,
-                    capabilities: ['generateContent']
-                }
-            ];
+    // Gemini's schema dialect (an OpenAPI subset) rejects these keywords
+    toGeminiSchema(schema) {
+        if (Array.isArray(schema)) return schema.map(item => this.toGeminiSchema(item));
+        if (!schema || typeof schema !== 'object') return schema;
+
+        return Object.fromEntries(Object.entries(schema)
+            .filter(([key]) => !['$schema', 'additionalProperties'].includes(key))
+            .map(([key, value]) => [key, key === 'enum' || key === 'required' ? value : this.toGeminiSchema(value)]));
+    }
+
+    getParamMap() {
+        return {
+            topP: 'topP',
+            topK: 'topK',
+            stopSequences: 'stopSequences',
+            presencePenalty: 'presencePenalty',
+            frequencyPenalty: 'frequencyPenalty',
+            seed: 'seed'
+        };
+    }
+
+    getMaxStopSequences() {
+        return 5;
+    }
+
+    applyResponseSchema(requestBody, schema) {
+        requestBody.generationConfig.responseMimeType = 'application/json';
+        requestBody.generationConfig.responseSchema = this.toGeminiSchema(schema);
+    }
+
+    formatTools(tools) {
+        return [{
+            functionDeclarations: tools.map(tool => ({
+                name: tool.name,
+                description: tool.description,
+                parameters: this.toGeminiSchema(tool.parameters)
+            }))
+        }];
+    }
+
+    // Content is already in parts form; toGeminiContents maps the roles
+    formatToolTurn(turn) {
+        if (turn.role === 'tool') {
+            return {
+                role: 'user',
+                content: [{ functionResponse: { name: turn.name, response: { content: turn.content } } }]
+            };
         }
+        return {
+            role: 'assistant',
+            content: [
+                ...(turn.content ? [{ text: turn.content }] : []),
+                ...turn.toolCalls.map(call => ({ functionCall: { name: call.name, args: call.arguments ?? {} } }))
+            ]
+        };
+    }
+
+    // Gemini has no call ids, so number calls in order of appearance
+    supportsLogprobs() {
+        return true;
+    }
+
+    // candidateCount accepts up to 8
+    getMaxChoices() {
+        return 8;
+    }
+
+    // Answer text of one candidate, without thought summaries
+    getCandidateText(candidate) {
+        return (candidate?.content?.parts || []).filter(part => !part.thought).map(part => part.text || '').join('');
+    }
+
+    // candidates[].logprobsResult: the chosen token at each step, with the top candidates alongside
+    normalizeLogprobs(logprobsResult) {
+        const topCandidates = logprobsResult?.topCandidates || [];
+        return (logprobsResult?.chosenCandidates || []).map((chosen, index) => ({
+            token: chosen.token,
+            logprob: chosen.logProbability,
+            top: (topCandidates[index]?.candidates || []).map(({ token, logProbability }) => ({ token, logprob: logProbability }))
+        }));
+    }
+
+    extractFunctionCalls(parts, offset = 0) {
+        return parts
+            .filter(part => part.functionCall)
+            .map((part, index) => createToolCall(`call_${offset + index}`, part.functionCall.name, part.functionCall.args));
+    }
+
+    // Gemini parts: the prompt text plus inline_data for each image
+    buildUserContent(prompt, images) {
+        return [
+            { text: prompt },
+            ...images.map(image => ({
+                inline_data: { mime_type: image.mimeType, data: image.data }
+            }))
+        ];
     }
 
     async makeRequest(modelId, prompt, options = {}, onChunk = null) {
         const tracker = Metrics.createPerformanceTracker();
-        const pricing = await getModelPricingAsync(modelId);
+        const pricing = await this.getPricing(modelId);
 
-        const temperature = options.temperature !== undefined ? options.temperature : DEFAULT_PARAMS.temperature;
+        const sampling = this.resolveSamplingParams(options, modelId);
         const maxTokens = options.maxTokens !== undefined ? options.maxTokens : DEFAULT_PARAMS.max_tokens;
 
+        const messages = this.buildMessages(prompt, options.history, options.images, options.toolTurns);
+
+        const timer = new RequestTimer(options.signal);
+
         try {
             const endpoint = onChunk
-                ? `${API_ENDPOINTS.google}/models/${modelId}:streamGenerateContent`
+                ? `${API_ENDPOINTS.google}/models/${modelId}:streamGenerateContent?alt=sse`
                 : `${API_ENDPOINTS.google}/models/${modelId}:generateContent`;
 
-            const response = await fetch(endpoint, {
+            const requestBody = {
+                contents: this.toGeminiContents(messages),
+                generationConfig: {
+                    temperature: sampling.temperature,
+                    maxOutputTokens: maxTokens,
+                    ...sampling.params
+                }
+            };
+
+            if (options.systemPrompt) {
+                requestBody.systemInstruction = { parts: [{ text: options.systemPrompt }] };
+            }
+
+            if (options.tools?.length) {
+                requestBody.tools = this.formatTools(options.tools);
+            }
+
+            if (options.responseSchema) {
+                this.applyResponseSchema(requestBody, options.responseSchema);
+            }
+
+            // includeThoughts returns thought summaries as parts flagged thought: true
+            if (sampling.reasoning) {
+                requestBody.generationConfig.thinkingConfig = {
+                    thinkingBudget: sampling.reasoning.budgetTokens,
+                    includeThoughts: true
+                };
+            }
+
+            if (options.choices > 1) {
+                requestBody.generationConfig.candidateCount = options.choices;
+            }
+
+            // logprobs is the number of alternatives and must be at least 1 when sent
+            if (sampling.logprobs) {
+                requestBody.generationConfig.responseLogprobs = true;
+                if (sampling.logprobs.topLogprobs > 0) {
+                    requestBody.generationConfig.logprobs = sampling.logprobs.topLogprobs;
+                }
+            }
+
+            const response = await this.fetchWithRetry(endpoint, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
-                    'x-api-key': this.apiKey
+                    ...this.getKeyHeaders()
                 },
-                body: JSON.stringify({
-                    contents: [{
-                        parts: [{ text: prompt }]
-                    }],
-                    generationConfig: {
-                        temperature: temperature,
-                        maxOutputTokens: maxTokens
-                    }
-                })
-            });
+                body: JSON.stringify(requestBody)
+            }, timer, !!onChunk, options);
 
             if (!response.ok) {
                 let errorMessage = `HTTP ${response.status}`;
@@ -776,7 +1423,8 @@ export class GoogleProvider extends APIProvider {
 
             // Handle streaming response
             if (onChunk && response.body) {
-                return await this.handleStreamingResponse(response, tracker, pricing, modelId, prompt, onChunk);
+                timer.headersReceived();
+                return await this.handleStreamingResponse(response, tracker, pricing, modelId, messages, onChunk, timer);
             }
 
             // Handle non-streaming response
@@ -797,13 +1445,25 @@ export class GoogleProvider extends APIProvider {
                 };
             }
 
-            const completion = data.candidates[0]?.content?.parts[0]?.text || '';
-            const inputTokens = data.usageMetadata?.promptTokenCount || Metrics.estimateTokenCount(prompt);
+            const parts = data.candidates[0]?.content?.parts || [];
+            const completion = parts.filter(part => !part.thought).map(part => part.text || '').join('');
+            const reasoning = parts.filter(part => part.thought).map(part => part.text || '').join('');
+            const toolCalls = this.extractFunctionCalls(parts);
+            const inputTokens = data.usageMetadata?.promptTokenCount || Metrics.estimateMessagesTokenCount(messages);
+            const cache = this.getCacheUsage(data.usageMetadata);
             const outputTokens = data.usageMetadata?.candidatesTokenCount || Metrics.estimateTokenCount(completion);
+            // Thinking tokens are reported apart from candidatesTokenCount
+            const reasoningTokens = data.usageMetadata?.thoughtsTokenCount || Metrics.estimateTokenCount(reasoning);
             const finishReason = data.candidates[0]?.finishReason;
+            const logprobs = this.normalizeLogprobs(data.candidates[0]?.logprobsResult);
+            const choices = this.choiceFields(data.candidates.map(candidate => ({
+                text: this.getCandidateText(candidate),
+                finishReason: candidate.finishReason,
+                logprobs: this.normalizeLogprobs(candidate.logprobsResult)
+            })));
 
             // Check for empty response
-            if (!completion || completion.trim() === '') {
+            if ((!completion || completion.trim() === '') && toolCalls.length === 0) {
                 let errorMsg = 'Empty response from model';
                 let suggestion = 'The model returned no content.';
 
@@ -817,121 +1477,425 @@ export class GoogleProvider extends APIProvider {
 
                 return {
                     text: completion,
+                    reasoning,
                     latency,
-                    inputTokens,
-                    outputTokens,
-                    totalTokens: inputTokens + outputTokens,
-                    estimatedCost: Metrics.calculateCost(pricing, inputTokens, outputTokens),
+                    ...this.usageFields(pricing, inputTokens, outputTokens, reasoningTokens, cache),
                     warning: errorMsg,
                     warningSuggestion: suggestion,
                     warningType: 'empty_response',
-                    finishReason: finishReason
+                    finishReason: finishReason,
+                    ...choices
                 };
             }
 
             return {
                 text: completion,
+                reasoning,
                 latency,
-                inputTokens,
-                outputTokens,
-                totalTokens: inputTokens + outputTokens,
-                estimatedCost: Metrics.calculateCost(pricing, inputTokens, outputTokens),
-                finishReason: finishReason
+                ...this.usageFields(pricing, inputTokens, outputTokens, reasoningTokens, cache),
+                ...this.logprobFields(logprobs),
+                ...choices,
+                finishReason: finishReason,
+                toolCalls
             };
         } catch (error) {
-            const errorInfo = ErrorHandler.parseError(error, 'google', modelId);
+            const errorInfo = ErrorHandler.parseError(timer.resolveError(error), 'google', modelId);
             return {
                 error: errorInfo.message,
                 errorSuggestion: errorInfo.suggestion,
                 errorType: errorInfo.type,
                 latency: tracker.stop()
             };
+        } finally {
+            timer.clear();
         }
     }
 
-    async handleStreamingResponse(response, tracker, pricing, modelId, prompt, onChunk) {
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
+    async handleStreamingResponse(response, tracker, pricing, modelId, messages, onChunk, timer = new RequestTimer()) {
         let fullText = '';
-        let buffer = '';
+        let reasoning = '';
         let inputTokens = 0;
         let outputTokens = 0;
+        let reasoningTokens = 0;
+        let cache = this.getCacheUsage();
+        const toolCalls = [];
+        const logprobs = [];
+        const extraCandidates = []; // Candidates after the first when candidateCount > 1, by index
+
+        const processEvent = ({ data }) => {
+            let parsed;
+            try {
+                parsed = JSON.parse(data);
+            } catch (e) {
+                return; // Skip invalid JSON
+            }
 
-        try {
-            while (true) {
-                const { done, value } = await reader.read();
-                if (done) break;
-
-                buffer += decoder.decode(value, { stream: true });
-
-                // Google streams JSON objects separated by newlines
-                const lines = buffer.split('\n');
-                buffer = lines.pop() || '';
-
-                for (const line of lines) {
-                    if (line.trim()) {
-                        try {
-                            const parsed = JSON.parse(line);
-
-                            if (parsed && parsed.candidates && parsed.candidates[0]?.content?.parts) {
-                                const content = parsed.candidates[0].content.parts[0]?.text;
-                                if (content) {
-                                    fullText += content;
-                                    onChunk(content);
-                                }
-                            }
-
-                            if (parsed.usageMetadata) {
-                                inputTokens = parsed.usageMetadata.promptTokenCount || inputTokens;
-                                outputTokens = parsed.usageMetadata.candidatesTokenCount || outputTokens;
-                            }
-                        } catch (e) {
-                            // Skip invalid JSON
-                        }
-                    }
+            // Several candidates stream side by side, told apart by index; only the first is shown live
+            (parsed?.candidates || []).filter(candidate => candidate.index > 0).forEach(candidate => {
+                const extra = extraCandidates[candidate.index] ||= { text: '', finishReason: null, logprobs: [] };
+                extra.text += this.getCandidateText(candidate);
+                extra.logprobs.push(...this.normalizeLogprobs(candidate.logprobsResult));
+                extra.finishReason = candidate.finishReason || extra.finishReason;
+            });
+
+            const candidate = parsed?.candidates?.find(entry => !entry.index);
+            const parts = candidate?.content?.parts;
+            if (parts) {
+                const thoughts = parts.filter(part => part.thought).map(part => part.text || '').join('');
+                if (thoughts) {
+                    reasoning += thoughts;
+                    timer.tokenReceived();
+                    onChunk(thoughts, 'reasoning');
                 }
-            }
 
-            // Process any remaining buffer content
-            if (buffer && buffer.trim()) {
-                const lines = buffer.split('\n');
-                for (const line of lines) {
-                    if (line.trim()) {
-                        try {
-                            const parsed = JSON.parse(line);
-                            if (parsed.candidates && parsed.candidates[0]?.content?.parts) {
-                                const content = parsed.candidates[0].content.parts[0]?.text;
-                                if (content) {
-                                    fullText += content;
-                                    onChunk(content);
-                                }
-                            }
-                            if (parsed.usageMetadata) {
-                                inputTokens = parsed.usageMetadata.promptTokenCount || inputTokens;
-                                outputTokens = parsed.usageMetadata.candidatesTokenCount || outputTokens;
-                            }
-                        } catch (e) { /* ignore */ }
-                    }
+                const content = parts.filter(part => !part.thought).map(part => part.text || '').join('');
+                if (content) {
+                    fullText += content;
+                    timer.tokenReceived();
+                    tracker.markChunk();
+                    onChunk(content);
+                }
+
+                // Function calls arrive whole, never split across chunks
+                const calls = this.extractFunctionCalls(parts, toolCalls.length);
+                if (calls.length) {
+                    toolCalls.push(...calls);
+                    timer.tokenReceived();
+                    tracker.markChunk();
                 }
             }
 
+            // Each chunk carries the log probabilities of its own tokens
+            logprobs.push(...this.normalizeLogprobs(candidate?.logprobsResult));
+
+            if (parsed?.usageMetadata) {
+                inputTokens = parsed.usageMetadata.promptTokenCount || inputTokens;
+                outputTokens = parsed.usageMetadata.candidatesTokenCount || outputTokens;
+                reasoningTokens = parsed.usageMetadata.thoughtsTokenCount || reasoningTokens;
+                cache = this.getCacheUsage(parsed.usageMetadata);
+            }
+        };
+
+        try {
+            for await (const event of readStream(response.body, this.createStreamParser(), () => timer.chunkReceived())) {
+                processEvent(event);
+            }
+
             const latency = tracker.stop();
 
             // Use reported tokens or estimate
-            if (!inputTokens) inputTokens = Metrics.estimateTokenCount(prompt);
+            if (!inputTokens) inputTokens = Metrics.estimateMessagesTokenCount(messages);
             if (!outputTokens) outputTokens = Metrics.estimateTokenCount(fullText);
+            if (!reasoningTokens) reasoningTokens = Metrics.estimateTokenCount(reasoning);
+
+            return {
+                text: fullText,
+                reasoning,
+                latency,
+                ...this.usageFields(pricing, inputTokens, outputTokens, reasoningTokens, cache),
+                ...this.logprobFields(logprobs),
+                ...this.choiceFields(Array.from({ length: extraCandidates.length || 1 }, (_, index) =>
+                    index === 0 ? { text: fullText, logprobs } : extraCandidates[index] || {})),
+                toolCalls,
+                streamed: true,
+                // With several candidates usage counts them all but the timing is the first one's
+                ...tracker.getStreamMetrics(outputTokens / Math.max(extraCandidates.length, 1))
+            };
+        } catch (error) {
+            const errorInfo = ErrorHandler.parseError(timer.resolveError(error), 'google', modelId);
+            return {
+                error: errorInfo.message,
+                errorSuggestion: errorInfo.suggestion,
+                errorType: errorInfo.type,
+                latency: tracker.stop(),
+                text: fullText
+            };
+        }
+    }
+}
+
+// Ollama Provider - local models served by an Ollama daemon
+// Streams NDJSON from /api/chat rather than SSE and always costs $0
+export class OllamaProvider extends APIProvider {
+    constructor(apiKey, endpointConfig = {}) {
+        super(apiKey);
+        this.baseUrl = endpointConfig.baseUrl || '';
+    }
+
+    getHeaders() {
+        // Without an override the server falls back to OLLAMA_BASE_URL
+        return this.baseUrl ? { 'x-base-url': this.baseUrl } : {};
+    }
+
+    async getPricing() {
+        return { input: 0, output: 0 };
+    }
+
+    createStreamParser() {
+        return new NDJSONParser();
+    }
+
+    async listModels() {
+        try {
+            const response = await fetch(`${API_ENDPOINTS.ollama}/tags`, {
+                headers: this.getHeaders()
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const data = await response.json();
+
+            return (data.models || [])
+                .map(model => ({
+                    id: model.name,
+                    name: model.name,
+                    provider: 'ollama',
+                    baseUrl: this.baseUrl,
+                    contextWindow: 8192, // /api/tags doesn't report it; Ollama's default num_ctx is smaller
+                    capabilities: this.isVisionModel(model) ? ['chat', 'streaming', 'vision'] : ['chat', 'streaming'],
+                    parameterSize: model.details?.parameter_size || null
+                }))
+                .sort((a, b) => a.id.localeCompare(b.id));
+        } catch (error) {
+            const errorInfo = ErrorHandler.parseError(error, 'ollama', null);
+            throw new Error(errorInfo.message);
+        }
+    }
+
+    // Vision models ship a CLIP/mllama projector alongside the language model
+    isVisionModel(model) {
+        const families = model.details?.families || [];
+        return families.includes('clip') || families.includes('mllama');
+    }
+
+    // Ollama takes images as a base64 list on the message rather than content parts
+    buildMessages(prompt, history = [], images = [], toolTurns = []) {
+        const messages = super.buildMessages(prompt, history, [], toolTurns);
+        if (images.length > 0) {
+            messages[history.length].images = images.map(image => image.data);
+        }
+        return messages;
+    }
+
+    // Ollama takes every sampling parameter inside "options"
+    getParamMap() {
+        return {
+            topP: 'top_p',
+            topK: 'top_k',
+            stopSequences: 'stop',
+            presencePenalty: 'presence_penalty',
+            frequencyPenalty: 'frequency_penalty',
+            seed: 'seed'
+        };
+    }
+
+    // OpenAI-style tools, but arguments travel as objects rather than JSON strings
+    formatTools(tools) {
+        return tools.map(tool => ({
+            type: 'function',
+            function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+        }));
+    }
+
+    formatToolTurn(turn) {
+        if (turn.role === 'tool') {
+            return { role: 'tool', tool_name: turn.name, content: turn.content };
+        }
+        return {
+            role: 'assistant',
+            content: turn.content || '',
+            tool_calls: turn.toolCalls.map(call => ({ function: { name: call.name, arguments: call.arguments ?? {} } }))
+        };
+    }
+
+    // Calls carry no ids, so number them in order of appearance
+    extractToolCalls(message, offset = 0) {
+        return (message?.tool_calls || []).map((call, index) =>
+            createToolCall(call.id || `call_${offset + index}`, call.function?.name, call.function?.arguments));
+    }
+
+    async makeRequest(modelId, prompt, options = {}, onChunk = null) {
+        const tracker = Metrics.createPerformanceTracker();
+        const pricing = await this.getPricing(modelId);
+
+        const sampling = this.resolveSamplingParams(options, modelId);
+        const maxTokens = options.maxTokens !== undefined ? options.maxTokens : DEFAULT_PARAMS.max_tokens;
+
+        const messages = this.buildMessages(prompt, options.history, options.images, options.toolTurns);
+        if (options.systemPrompt) {
+            messages.unshift({ role: 'system', content: options.systemPrompt });
+        }
+
+        // Ollama streams by default, so always send the flag explicitly
+        const requestBody = {
+            model: modelId,
+            messages: messages,
+            stream: onChunk ? true : false,
+            options: {
+                temperature: sampling.temperature,
+                num_predict: maxTokens,
+                ...sampling.params
+            }
+        };
+
+        if (options.tools?.length) {
+            requestBody.tools = this.formatTools(options.tools);
+        }
+
+        // Ollama constrains generation to a JSON Schema passed as "format"
+        if (options.responseSchema) {
+            requestBody.format = options.responseSchema;
+        }
+
+        // Thinking models return their reasoning in message.thinking only when asked to think
+        if (sampling.reasoning) {
+            requestBody.think = true;
+        }
+
+        const timer = new RequestTimer(options.signal);
+
+        try {
+            const response = await this.fetchWithRetry(`${API_ENDPOINTS.ollama}/chat`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...this.getHeaders()
+                },
+                body: JSON.stringify(requestBody)
+            }, timer, !!onChunk, options);
+
+            if (!response.ok) {
+                const error = await response.json().catch(() => ({}));
+                const customError = new Error(error.error?.message || error.error || `HTTP ${response.status}`);
+                customError.rawResponse = error;
+                throw customError;
+            }
+
+            // Handle streaming response
+            if (onChunk && response.body) {
+                timer.headersReceived();
+                return await this.handleStreamingResponse(response, tracker, pricing, modelId, messages, onChunk, timer);
+            }
+
+            // Handle non-streaming response
+            const latency = tracker.stop();
+            const data = await response.json();
+            const completion = data.message?.content || '';
+            const reasoning = data.message?.thinking || '';
+            const toolCalls = this.extractToolCalls(data.message);
+            const inputTokens = data.prompt_eval_count ?? Metrics.estimateMessagesTokenCount(messages);
+            // eval_count covers thinking and answer together, so estimate the thinking share
+            const totalOutputTokens = data.eval_count ?? Metrics.estimateTokenCount(reasoning + completion);
+            const reasoningTokens = Math.min(Metrics.estimateTokenCount(reasoning), totalOutputTokens);
+            const outputTokens = totalOutputTokens - reasoningTokens;
+            const finishReason = data.done_reason || null;
+
+            const result = {
+                text: completion,
+                reasoning,
+                latency,
+                ...this.usageFields(pricing, inputTokens, outputTokens, reasoningTokens),
+                finishReason: finishReason,
+                toolCalls,
+                rawApiRequest: requestBody,
+                rawApiResponse: data
+            };
+
+            if ((!completion || completion.trim() === '') && toolCalls.length === 0) {
+                result.warning = finishReason === 'length' ? 'Response truncated (max tokens reached)' : 'Empty response from model';
+                result.warningSuggestion = finishReason === 'length'
+                    ? 'The response was cut off. Increase max tokens in settings.'
+                    : 'The local model returned no content. Try rephrasing your prompt or a different model.';
+                result.warningType = 'empty_response';
+            }
+
+            return result;
+        } catch (error) {
+            const errorInfo = ErrorHandler.parseError(timer.resolveError(error), 'ollama', modelId);
+            return {
+                error: errorInfo.message,
+                errorSuggestion: errorInfo.suggestion,
+                errorType: errorInfo.type,
+                latency: tracker.stop(),
+                rawError: errorInfo.rawError
+            };
+        } finally {
+            timer.clear();
+        }
+    }
+
+    async handleStreamingResponse(response, tracker, pricing, modelId, messages, onChunk, timer = new RequestTimer()) {
+        let fullText = '';
+        let reasoning = '';
+        let inputTokens = 0;
+        let outputTokens = 0;
+        let finishReason = null;
+        const toolCalls = [];
+
+        // Each NDJSON line is a complete object; the final one has done: true and the token counts
+        const processObject = (parsed) => {
+            if (parsed.error) {
+                throw new Error(parsed.error);
+            }
+
+            const thinking = parsed.message?.thinking;
+            if (thinking) {
+                reasoning += thinking;
+                timer.tokenReceived();
+                onChunk(thinking, 'reasoning');
+            }
+
+            const content = parsed.message?.content;
+            if (content) {
+                fullText += content;
+                timer.tokenReceived();
+                tracker.markChunk();
+                onChunk(content);
+            }
+
+            const calls = this.extractToolCalls(parsed.message, toolCalls.length);
+            if (calls.length) {
+                toolCalls.push(...calls);
+                timer.tokenReceived();
+                tracker.markChunk();
+            }
+
+            if (parsed.done) {
+                inputTokens = parsed.prompt_eval_count || inputTokens;
+                outputTokens = parsed.eval_count || outputTokens;
+                finishReason = parsed.done_reason || finishReason;
+            }
+        };
+
+        try {
+            for await (const parsed of readStream(response.body, this.createStreamParser(), () => timer.chunkReceived())) {
+                processObject(parsed);
+            }
+
+            const latency = tracker.stop();
+
+            // Use reported tokens or estimate
+            if (!inputTokens) inputTokens = Metrics.estimateMessagesTokenCount(messages);
+            if (!outputTokens) outputTokens = Metrics.estimateTokenCount(reasoning + fullText);
+
+            // eval_count covers thinking and answer together, so estimate the thinking share
+            const reasoningTokens = Math.min(Metrics.estimateTokenCount(reasoning), outputTokens);
+            outputTokens -= reasoningTokens;
 
             return {
                 text: fullText,
+                reasoning,
                 latency,
-                inputTokens,
-                outputTokens,
-                totalTokens: inputTokens + outputTokens,
-                estimatedCost: Metrics.calculateCost(pricing, inputTokens, outputTokens),
-                streamed: true
+                ...this.usageFields(pricing, inputTokens, outputTokens, reasoningTokens),
+                finishReason: finishReason,
+                toolCalls,
+                streamed: true,
+                ...tracker.getStreamMetrics(outputTokens)
             };
         } catch (error) {
-            const errorInfo = ErrorHandler.parseError(error, 'google', modelId);
+            const errorInfo = ErrorHandler.parseError(timer.resolveError(error), 'ollama', modelId);
             return {
                 error: errorInfo.message,
                 errorSuggestion: errorInfo.suggestion,
@@ -945,53 +1909,102 @@ export class GoogleProvider extends APIProvider {
 
 // Provider factory
 export class ProviderFactory {
-    static createProvider(provider, apiKey) {
-        switch (provider) {
-            case 'openai':
-                return new OpenAIProvider(apiKey);
-            case 'anthropic':
-                return new AnthropicProvider(apiKey);
-            case 'google':
-                return new GoogleProvider(apiKey);
-            default:
-                throw new Error(`Unknown provider: ${provider}`);
-        }
+    // Keys held by the server don't have to be entered in the browser
+    static requiresApiKey(provider) {
+        return ProviderRegistry.needsClientKey(provider);
+    }
+
+    static createProvider(provider, apiKey, endpointConfig = {}) {
+        return ProviderRegistry.create(provider, apiKey, endpointConfig);
     }
 
-    static async listModels(provider, apiKey) {
+    // Provider for a model config, bound to its custom endpoint when it has one
+    static createProviderFor(modelConfig, apiKey) {
+        return this.createProvider(modelConfig.provider, apiKey, {
+            id: modelConfig.endpointId,
+            name: modelConfig.endpointName,
+            baseUrl: modelConfig.baseUrl
+        });
+    }
+
+    // Providers with a models adapter are listed by the server's catalog; the rest list themselves
+    static async listModels(provider, apiKey, endpointConfig = {}) {
         try {
-            const providerInstance = this.createProvider(provider, apiKey);
-            return await providerInstance.listModels();
+            const models = ProviderRegistry.get(provider)?.models
+                ? await this.fetchCatalog(provider, apiKey)
+                : await this.createProvider(provider, apiKey, endpointConfig).listModels();
+            // Tag models with the registered id, so subclassed plugins route to themselves
+            return models.map(model => ({ ...model, provider }));
         } catch (error) {
             console.error(`Error listing models for ${provider}:`, error);
             return [];
         }
     }
 
+    // Catalog entries (see api/model-catalog.js) for a provider's chat models
+    static async fetchCatalog(provider, apiKey) {
+        const response = await fetch(ProviderRegistry.catalogPath(provider), {
+            headers: apiKey ? { 'x-api-key': apiKey } : {}
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error?.message || `HTTP ${response.status}`);
+        }
+        return data.models || [];
+    }
+
+    // Sampling settings as requested (before any provider clamping), for the card and export
+    static getRequestedParams(options) {
+        return Object.fromEntries(['temperature', 'maxTokens', ...Object.keys(SAMPLING_PARAMS)]
+            .filter(name => options[name] !== undefined && options[name] !== null)
+            .map(name => [name, options[name]]));
+    }
+
     static async executeRequest(modelConfig, prompt, apiKey, options = {}, onChunk = null) {
         const tracker = Metrics.createPerformanceTracker();
 
-        if (!apiKey) {
+        if (!apiKey && this.requiresApiKey(modelConfig.provider)) {
             return {
                 model: modelConfig.name,
                 provider: modelConfig.provider,
                 error: 'API key not configured',
-                errorSuggestion: `Please add your ${modelConfig.provider} API key in settings.`,
+                errorSuggestion: `Please add your ${ProviderRegistry.get(modelConfig.provider)?.name || modelConfig.provider} API key in settings.`,
                 errorType: 'auth',
                 latency: 0
             };
         }
 
         try {
-            const provider = this.createProvider(modelConfig.provider, apiKey);
-            const result = await provider.makeRequest(modelConfig.id, prompt, options, onChunk);
+            const provider = this.createProviderFor(modelConfig, apiKey);
+            const attempts = [];
+            const result = await provider.makeRequest(modelConfig.apiModelId || modelConfig.id, prompt, { ...options, attempts }, onChunk);
+
+            // Judge each tool call against the schema the model was given
+            if (options.tools?.length && result.toolCalls?.length) {
+                result.toolCalls = result.toolCalls.map(call => ({ ...call, ...validateToolCall(call, options.tools) }));
+            }
+
+            // Structured output mode: the text must be JSON conforming to the response schema
+            if (options.responseSchema && !result.error) {
+                result.structuredOutput = validateStructuredOutput(result.text || '', options.responseSchema);
+            }
 
             return {
                 model: modelConfig.name,
                 modelId: modelConfig.id,
                 provider: modelConfig.provider,
                 contextWindow: modelConfig.contextWindow,
+                systemPrompt: options.systemPrompt || null,
+                // Requested sampling settings, and what the provider lowered or dropped
+                parameters: this.getRequestedParams(options),
+                parameterNotes: provider.resolveSamplingParams(options, modelConfig.apiModelId || modelConfig.id).notes,
+                tools: options.tools || null,
+                responseSchema: options.responseSchema || null,
+                toolTurns: options.toolTurns?.length ? options.toolTurns : null,
+                // Attachment metadata for the export; the images themselves are not repeated
+                attachments: options.images?.map(({ name, mimeType, size }) => ({ name, mimeType, size })) || null,
                 timestamp: new Date().toISOString(),
+                attempts,
                 ...result
             };
         } catch (error) {
@@ -1008,3 +2021,117 @@ export class ProviderFactory {
         }
     }
 }
+
+// Built-in providers; extra ones register from their own modules (see config/providers.js)
+const SSE_ERROR_EVENT = (message) => `event: error\ndata: ${JSON.stringify({ type: 'error', error: { type: 'api_error', message } })}\n\n`;
+
+// Chat Completions usage, in the final stream chunk or the response body
+const OPENAI_USAGE = ({ usage }) => usage && {
+    inputTokens: usage.prompt_tokens,
+    outputTokens: usage.completion_tokens,
+    cacheReadTokens: usage.prompt_tokens_details?.cached_tokens
+};
+
+ProviderRegistry.register({
+    id: 'openai',
+    name: 'OpenAI',
+    keyField: { label: 'OpenAI API Key', placeholder: 'sk-...', createKeyUrl: 'https://platform.openai.com/api-keys', envVar: 'OPENAI_API_KEY' },
+    proxy: {
+        target: 'https://api.openai.com/v1',
+        targetEnv: 'OPENAI_BASE_URL',
+        headers: (apiKey) => ({ 'Authorization': `Bearer ${apiKey}` }),
+        // Chat streams only report usage when asked to, and an unmetered call would escape the quotas
+        requestBody: (path, body) => path === 'chat/completions' && body?.stream
+            ? { ...body, stream_options: { ...body.stream_options, include_usage: true } }
+            : body,
+        usage: OPENAI_USAGE
+    },
+    batch: OPENAI_BATCH_API,
+    models: OPENAI_MODELS,
+    modelPattern: /^(gpt-|o\d)/,
+    defaultModels: ['gpt-4-turbo', 'gpt-4o', 'gpt-4'],
+    create: (apiKey) => new OpenAIProvider(apiKey)
+});
+
+ProviderRegistry.register({
+    id: 'anthropic',
+    name: 'Anthropic',
+    keyField: { label: 'Anthropic API Key', placeholder: 'sk-ant-...', createKeyUrl: 'https://console.anthropic.com/settings/keys', envVar: 'ANTHROPIC_API_KEY' },
+    proxy: {
+        target: 'https://api.anthropic.com/v1',
+        targetEnv: 'ANTHROPIC_BASE_URL',
+        headers: (apiKey) => ({ 'x-api-key': apiKey, 'anthropic-version': '2023-06-01' }),
+        // Sent as an SSE error event so AnthropicProvider reports it instead of a truncated answer
+        streamError: SSE_ERROR_EVENT,
+        // message_start nests the input usage; message_delta carries the running output count.
+        // input_tokens excludes the cache tokens
+        usage: (data) => {
+            const usage = data.usage || data.message?.usage;
+            if (!usage) return null;
+            const cacheWriteTokens = usage.cache_creation_input_tokens || 0;
+            const cacheReadTokens = usage.cache_read_input_tokens || 0;
+            return {
+                inputTokens: usage.input_tokens === undefined ? undefined : usage.input_tokens + cacheWriteTokens + cacheReadTokens,
+                outputTokens: usage.output_tokens,
+                cacheWriteTokens: usage.cache_creation_input_tokens,
+                cacheReadTokens: usage.cache_read_input_tokens
+            };
+        }
+    },
+    batch: ANTHROPIC_BATCH_API,
+    models: ANTHROPIC_MODELS,
+    modelPattern: /^claude-/,
+    defaultModels: ['claude-3-5-sonnet-20241022', 'claude-3-opus-20240229'],
+    create: (apiKey) => new AnthropicProvider(apiKey)
+});
+
+ProviderRegistry.register({
+    id: 'google',
+    name: 'Google',
+    keyField: { label: 'Google API Key', placeholder: 'AIza...', createKeyUrl: 'https://aistudio.google.com/app/apikey', envVar: 'INFERENCE_TOKEN' },
+    proxy: {
+        target: 'https://generativelanguage.googleapis.com/v1beta',
+        // Gemini takes the key as a query parameter; alt=sse selects SSE streaming
+        query: (apiKey) => ({ key: apiKey }),
+        forwardQuery: ['alt'],
+        isStreaming: (path) => path.includes('streamGenerateContent'),
+        // Every chunk carries the running totals; thinking tokens are billed as output
+        usage: ({ usageMetadata: usage }) => usage && {
+            inputTokens: usage.promptTokenCount,
+            outputTokens: (usage.candidatesTokenCount || 0) + (usage.thoughtsTokenCount || 0),
+            cacheReadTokens: usage.cachedContentTokenCount
+        },
+        model: (path) => path.match(/^models\/([^:]+):/)?.[1] || null
+    },
+    models: GOOGLE_MODELS,
+    modelPattern: /^gemini-/,
+    defaultModels: ['gemini-2.5-flash', 'gemini-2.5-pro', 'gemini-2.0-flash', 'gemini-flash-latest'],
+    create: (apiKey) => new GoogleProvider(apiKey)
+});
+
+// The key is optional and kept per endpoint, so there is no settings key field
+ProviderRegistry.register({
+    id: 'custom',
+    name: 'OpenAI-Compatible',
+    proxy: {
+        target: null,
+        allowTargetOverride: true,
+        headers: (apiKey) => ({ 'Authorization': `Bearer ${apiKey}` }),
+        usage: OPENAI_USAGE
+    },
+    create: (apiKey, endpointConfig) => new OpenAICompatibleProvider(apiKey, endpointConfig)
+});
+
+ProviderRegistry.register({
+    id: 'ollama',
+    name: 'Ollama',
+    proxy: {
+        target: 'http://localhost:11434',
+        targetEnv: 'OLLAMA_BASE_URL',
+        targetPath: '/api',
+        allowTargetOverride: true,
+        // Counts arrive with the final message (done: true)
+        usage: (data) => data.done ? { inputTokens: data.prompt_eval_count || 0, outputTokens: data.eval_count || 0 } : null
+    },
+    create: (apiKey, endpointConfig) => new OllamaProvider(apiKey, endpointConfig)
+});
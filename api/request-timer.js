@@ -0,0 +1,95 @@
+// Phase-based request deadlines shared by the browser providers and the server proxy
+// Wraps an AbortController: each phase (re)arms a single timer, and expiry aborts the
+// request with a TimeoutError that records which phase stalled
+import { TIMEOUT_CONFIG } from '../config/models.js';
+
+const PHASE_LABELS = {
+    connection: 'Connection',
+    firstToken: 'First token',
+    idle: 'Stream idle',
+    nonStreaming: 'Response'
+};
+
+export class TimeoutError extends Error {
+    constructor(phase, timeoutMs) {
+        super(`${PHASE_LABELS[phase]} timeout after ${timeoutMs / 1000}s`);
+        this.name = 'TimeoutError';
+        this.phase = phase;
+        this.timeoutMs = timeoutMs;
+    }
+}
+
+export class RequestTimer {
+    // parentSignal: user/client cancellation to forward; graceMs: added to every deadline
+    // (the proxy uses it so the browser, which knows the exact phase, normally reports first)
+    constructor(parentSignal = null, { graceMs = 0 } = {}) {
+        this.controller = new AbortController();
+        this.graceMs = graceMs;
+        this.timer = null;
+        this.phase = null;
+        this.timeoutError = null;
+
+        if (parentSignal) {
+            if (parentSignal.aborted) {
+                this.controller.abort(parentSignal.reason);
+            } else {
+                parentSignal.addEventListener('abort', () => {
+                    this.clear();
+                    this.controller.abort(parentSignal.reason);
+                }, { once: true });
+            }
+        }
+    }
+
+    get signal() {
+        return this.controller.signal;
+    }
+
+    get timedOut() {
+        return this.timeoutError !== null;
+    }
+
+    arm(phase) {
+        clearTimeout(this.timer);
+        this.phase = phase;
+
+        const timeoutMs = TIMEOUT_CONFIG[phase] + this.graceMs;
+        this.timer = setTimeout(() => {
+            this.timeoutError = new TimeoutError(phase, timeoutMs);
+            this.controller.abort(this.timeoutError);
+        }, timeoutMs);
+    }
+
+    // Request sent: streaming waits for headers, non-streaming for the whole body
+    start(streaming) {
+        this.arm(streaming ? 'connection' : 'nonStreaming');
+    }
+
+    // Streaming headers arrived: now wait for the first token
+    headersReceived() {
+        this.arm('firstToken');
+    }
+
+    // A token was emitted: from here on only silence between chunks counts
+    tokenReceived() {
+        this.arm('idle');
+    }
+
+    // Any bytes (pings, metadata) keep an already-flowing stream alive
+    chunkReceived() {
+        if (this.phase === 'idle') {
+            this.arm('idle');
+        }
+    }
+
+    clear() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    // Browsers and Node differ in what fetch rejects with after abort(reason);
+    // prefer our TimeoutError whenever the deadline fired
+    resolveError(error) {
+        return this.timeoutError || error;
+    }
+}
@@ -0,0 +1,91 @@
+// Automatic retry policy for transient provider failures
+// Backoff is exponential with jitter, but never shorter than the provider asked for
+import { STREAMING_CONFIG } from '../config/models.js';
+
+// 529 is Anthropic's "overloaded"
+export const RETRYABLE_STATUSES = [429, 500, 503, 529];
+
+// Response headers the proxy forwards so the browser can honor rate-limit hints
+export const RATE_LIMIT_HEADER_PATTERN = /^(retry-after(-ms)?|x-ratelimit-.+|anthropic-ratelimit-.+)$/i;
+
+export function isRetryableStatus(status) {
+    return RETRYABLE_STATUSES.includes(status);
+}
+
+// OpenAI reset durations: "20ms", "1s", "6m0s", "1h2m3.5s"
+function parseDuration(value) {
+    const parts = [...value.matchAll(/(\d+(?:\.\d+)?)(ms|h|m|s)/g)];
+    if (parts.length === 0 || parts.map(part => part[0]).join('') !== value) return null;
+
+    const unitMs = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+    return parts.reduce((total, [, amount, unit]) => total + parseFloat(amount) * unitMs[unit], 0);
+}
+
+// Seconds, a duration string, or an absolute date (HTTP date or RFC 3339, as Anthropic sends)
+function parseWaitValue(value, now) {
+    const trimmed = value.trim();
+    if (/^\d+(\.\d+)?$/.test(trimmed)) return parseFloat(trimmed) * 1000;
+
+    const duration = parseDuration(trimmed);
+    if (duration !== null) return duration;
+
+    const date = Date.parse(trimmed);
+    return isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// Wait requested by the provider in ms, or null when the response carries no hint
+export function getServerRetryDelay(headers, now = Date.now()) {
+    const retryAfterMs = headers.get('retry-after-ms');
+    if (retryAfterMs && !isNaN(retryAfterMs)) return Number(retryAfterMs);
+
+    const retryAfter = headers.get('retry-after');
+    if (retryAfter) {
+        const delay = parseWaitValue(retryAfter, now);
+        if (delay !== null) return delay;
+    }
+
+    // Otherwise wait for the latest reset among exhausted buckets (requests, tokens, ...)
+    let delay = null;
+    headers.forEach((value, name) => {
+        const match = name.match(/^x-ratelimit-reset-(.+)$/) || name.match(/^anthropic-ratelimit-(.+)-reset$/);
+        if (!match) return;
+
+        const bucket = match[1];
+        const remaining = headers.get(`x-ratelimit-remaining-${bucket}`) ?? headers.get(`anthropic-ratelimit-${bucket}-remaining`);
+        if (remaining !== null && Number(remaining) > 0) return;
+
+        const reset = parseWaitValue(value, now);
+        if (reset !== null) delay = Math.max(delay ?? 0, reset);
+    });
+    return delay;
+}
+
+// Delay before the next attempt, or null when the wait would exceed maxRetryDelay
+export function computeRetryDelay(attempt, headers, random = Math.random) {
+    const backoff = STREAMING_CONFIG.retryDelay * 2 ** (attempt - 1);
+    const jittered = backoff / 2 + random() * backoff / 2;
+    const serverDelay = getServerRetryDelay(headers);
+    const delay = Math.round(Math.max(jittered, serverDelay ?? 0));
+
+    return delay > STREAMING_CONFIG.maxRetryDelay ? null : delay;
+}
+
+// Sleep between attempts; rejects with the abort reason if the request is stopped meanwhile
+export function waitForRetry(delayMs, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason);
+            return;
+        }
+
+        const onAbort = () => {
+            clearTimeout(timeout);
+            reject(signal.reason);
+        };
+        const timeout = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, delayMs);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
@@ -0,0 +1,138 @@
+// Repeated sampling: the same prompt sent to one model several times, to judge how much its
+// answers vary rather than trusting a single sample. Samples come from one request where the
+// provider can return several completions (OpenAI n, Gemini candidateCount) and from repeated
+// requests otherwise; only the first request streams to the card.
+//
+//   sample  { text, finishReason, latency, request, logprobs, logprobStats } or { text, error, errorType, latency, request }
+//           (request: which request it came from; completions of one request share its latency)
+//   stats   { count, failed, latency: { min, median, max }, length: { mean, variance, stdDev },
+//             similarity: { mean, min } }   (lengths in characters, similarity from 0 to 1)
+import { ProviderFactory } from './providers.js';
+import { SAMPLING_CONFIG } from '../config/models.js';
+
+// Completions per request: as many as the provider returns at once, the rest in further requests
+export function planSampleRequests(samples, maxChoices = 1) {
+    const plan = [];
+    let remaining = samples;
+    while (remaining > 0) {
+        const count = Math.min(remaining, Math.max(maxChoices, 1));
+        plan.push(count);
+        remaining -= count;
+    }
+    return plan;
+}
+
+// Word overlap (Jaccard) between two texts: 1 for the same words, 0 for none in common
+export function textSimilarity(a, b) {
+    const wordsA = new Set((a || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+    const wordsB = new Set((b || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+    if (wordsA.size === 0 && wordsB.size === 0) return 1;
+
+    let shared = 0;
+    wordsA.forEach(word => {
+        if (wordsB.has(word)) shared++;
+    });
+    return shared / (wordsA.size + wordsB.size - shared);
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Spread over the samples that completed; null with fewer than two to compare. Latency is
+// spread over requests rather than samples, and left out when they all came from one
+export function computeSampleStats(samples) {
+    const completed = samples.filter(sample => !sample.error);
+    if (completed.length < 2) return null;
+
+    const requestLatencies = new Map();
+    completed.forEach((sample, index) => requestLatencies.set(sample.request ?? `sample-${index}`, sample.latency));
+    const latencies = [...requestLatencies.values()].filter(Number.isFinite);
+    const lengths = completed.map(sample => (sample.text || '').length);
+    const meanLength = lengths.reduce((sum, length) => sum + length, 0) / lengths.length;
+    const variance = lengths.reduce((sum, length) => sum + (length - meanLength) ** 2, 0) / lengths.length;
+
+    const similarities = [];
+    for (let i = 0; i < completed.length; i++) {
+        for (let j = i + 1; j < completed.length; j++) {
+            similarities.push(textSimilarity(completed[i].text, completed[j].text));
+        }
+    }
+
+    return {
+        count: completed.length,
+        failed: samples.length - completed.length,
+        latency: latencies.length > 1
+            ? { min: Math.min(...latencies), median: median(latencies), max: Math.max(...latencies) }
+            : null,
+        length: { mean: meanLength, variance, stdDev: Math.sqrt(variance) },
+        similarity: {
+            mean: similarities.reduce((sum, value) => sum + value, 0) / similarities.length,
+            min: Math.min(...similarities)
+        }
+    };
+}
+
+export class Sampler {
+    // Run a model `samples` times on one prompt; options and onChunk are as for
+    // ProviderFactory.executeRequest, with onChunk given to the first request only
+    static async run(modelConfig, prompt, apiKey, options, samples, onChunk = null) {
+        const modelId = modelConfig.apiModelId || modelConfig.id;
+        const maxChoices = ProviderFactory.createProviderFor(modelConfig, apiKey).getMaxChoices(modelId);
+        const plan = planSampleRequests(Math.min(samples, SAMPLING_CONFIG.maxSamples), maxChoices);
+
+        const results = await Promise.all(plan.map((choices, index) => ProviderFactory.executeRequest(
+            modelConfig,
+            prompt,
+            apiKey,
+            choices > 1 ? { ...options, choices } : options,
+            index === 0 ? onChunk : null
+        )));
+
+        return this.combine(results);
+    }
+
+    // The first result that didn't fail stands for the model (text, tool calls, conversation turn);
+    // tokens and cost add up over every request, and samples lists each completion with the primary's first
+    static combine(results) {
+        const primary = results.find(result => !result.error) || results[0];
+        const ordered = [primary, ...results.filter(result => result !== primary)];
+        const samples = ordered.flatMap((result, request) => this.toSamples(result, request));
+
+        const sum = (field) => ordered.reduce((total, result) => total + (result[field] || 0), 0);
+        // Costs stay null when no request could be priced
+        const sumCost = (field) => ordered.some(result => Number.isFinite(result[field])) ? sum(field) : primary[field];
+
+        const { choices, ...fields } = primary;
+        return {
+            ...fields,
+            inputTokens: sum('inputTokens'),
+            outputTokens: sum('outputTokens'),
+            reasoningTokens: sum('reasoningTokens'),
+            totalTokens: sum('totalTokens'),
+            estimatedCost: sumCost('estimatedCost'),
+            reasoningCost: sumCost('reasoningCost'),
+            samples,
+            sampleRequests: results.length,
+            sampleStats: computeSampleStats(samples)
+        };
+    }
+
+    // A result's completions: its choices when it returned several, otherwise the result itself
+    static toSamples(result, request = 0) {
+        const latency = result.latency ?? null;
+        if (result.error) {
+            return [{ text: result.text || '', error: result.error, errorType: result.errorType, latency, request }];
+        }
+
+        const choices = result.choices || [{
+            text: result.text || '',
+            finishReason: result.finishReason ?? null,
+            logprobs: result.logprobs,
+            logprobStats: result.logprobStats
+        }];
+        return choices.map(choice => ({ ...choice, latency, request }));
+    }
+}
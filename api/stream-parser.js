@@ -0,0 +1,227 @@
+// Incremental parsers for the streaming formats the providers use, shared by the
+// browser providers and the QA sidecar: SSE (OpenAI, Anthropic, Gemini with alt=sse),
+// NDJSON (Ollama) and a JSON array streamed element by element (Gemini without alt=sse).
+// Each parser takes text in arbitrary pieces via push() and returns whatever became
+// complete; flush() drains what is left once the stream ends.
+
+const LINE_BREAK = /\r\n|\r|\n/;
+
+// Splits text into lines across chunk boundaries; accepts \n, \r\n and bare \r
+class LineBuffer {
+    constructor() {
+        this.buffer = '';
+    }
+
+    push(text) {
+        this.buffer += text;
+
+        // Hold back a trailing \r: it may be the first half of a \r\n split across chunks
+        const end = this.buffer.endsWith('\r') ? this.buffer.length - 1 : this.buffer.length;
+        const lines = this.buffer.slice(0, end).split(LINE_BREAK);
+        this.buffer = lines.pop() + this.buffer.slice(end);
+        return lines;
+    }
+
+    flush() {
+        const rest = this.buffer;
+        this.buffer = '';
+        return rest ? rest.split(LINE_BREAK) : [];
+    }
+}
+
+// Server-sent events per the WHATWG spec: event/data/id/retry fields, multi-line data
+// and ":" comments (keep-alive pings). Yields { event, data, id } once the blank line
+// ending an event arrives.
+export class SSEParser {
+    constructor() {
+        this.lines = new LineBuffer();
+        this.eventType = '';
+        this.dataLines = [];
+        this.lastEventId = '';
+        this.retry = null; // Reconnection delay the server asked for, in ms
+    }
+
+    push(text) {
+        return this.processLines(this.lines.push(text));
+    }
+
+    // A final event without its closing blank line is still delivered
+    flush() {
+        const events = this.processLines(this.lines.flush());
+        const last = this.dispatch();
+        return last ? [...events, last] : events;
+    }
+
+    processLines(lines) {
+        const events = [];
+        lines.forEach(line => {
+            if (line === '') {
+                const event = this.dispatch();
+                if (event) events.push(event);
+            } else if (!line.startsWith(':')) {
+                this.processField(line);
+            }
+        });
+        return events;
+    }
+
+    processField(line) {
+        const colon = line.indexOf(':');
+        const field = colon === -1 ? line : line.slice(0, colon);
+        let value = colon === -1 ? '' : line.slice(colon + 1);
+        if (value.startsWith(' ')) value = value.slice(1);
+
+        if (field === 'data') {
+            this.dataLines.push(value);
+        } else if (field === 'event') {
+            this.eventType = value;
+        } else if (field === 'id' && !value.includes('\0')) {
+            this.lastEventId = value;
+        } else if (field === 'retry' && /^\d+$/.test(value)) {
+            this.retry = Number(value);
+        }
+    }
+
+    dispatch() {
+        const hasData = this.dataLines.length > 0;
+        const event = hasData
+            ? { event: this.eventType || 'message', data: this.dataLines.join('\n'), id: this.lastEventId }
+            : null;
+
+        this.eventType = '';
+        this.dataLines = [];
+        return event;
+    }
+}
+
+// Newline-delimited JSON: one value per line; blank lines are ignored
+export class NDJSONParser {
+    constructor() {
+        this.lines = new LineBuffer();
+    }
+
+    push(text) {
+        return this.parseLines(this.lines.push(text));
+    }
+
+    flush() {
+        return this.parseLines(this.lines.flush());
+    }
+
+    parseLines(lines) {
+        const values = [];
+        lines.forEach(line => {
+            if (!line.trim()) return;
+            try {
+                values.push(JSON.parse(line));
+            } catch (e) {
+                // Skip invalid JSON; one garbled line should not end an otherwise healthy stream
+            }
+        });
+        return values;
+    }
+}
+
+// A JSON array arriving in pieces, e.g. "[{...},\r\n{...}]" pretty-printed over many lines.
+// Yields each top-level element as soon as its closing bracket arrives; a bare top-level
+// object (such as an error body) is yielded too. Elements must be objects or arrays.
+export class JSONArrayParser {
+    constructor() {
+        this.buffer = '';
+        this.position = 0; // Next character to scan
+        this.depth = 0;
+        this.start = -1; // Where the element being read begins, -1 between elements
+        this.elementDepth = 0;
+        this.inString = false;
+        this.escaped = false;
+    }
+
+    push(text) {
+        this.buffer += text;
+        const values = [];
+
+        for (; this.position < this.buffer.length; this.position++) {
+            const char = this.buffer[this.position];
+
+            // Brackets inside strings do not count
+            if (this.inString) {
+                if (this.escaped) this.escaped = false;
+                else if (char === '\\') this.escaped = true;
+                else if (char === '"') this.inString = false;
+                continue;
+            }
+
+            if (char === '"') {
+                this.inString = true;
+            } else if (char === '{' || char === '[') {
+                const outerArray = this.depth === 0 && char === '[';
+                if (!outerArray && this.start === -1) {
+                    this.start = this.position;
+                    this.elementDepth = this.depth;
+                }
+                this.depth++;
+            } else if (char === '}' || char === ']') {
+                this.depth--;
+                if (this.start !== -1 && this.depth === this.elementDepth) {
+                    try {
+                        values.push(JSON.parse(this.buffer.slice(this.start, this.position + 1)));
+                    } catch (e) {
+                        // Skip invalid JSON, as the line-based parsers do
+                    }
+                    this.start = -1;
+                }
+            }
+        }
+
+        // Drop everything already consumed so the buffer only holds the open element
+        const keep = this.start === -1 ? this.position : this.start;
+        this.buffer = this.buffer.slice(keep);
+        this.position -= keep;
+        if (this.start !== -1) this.start = 0;
+
+        return values;
+    }
+
+    // An element still open when the stream ends was cut off and cannot be parsed
+    flush() {
+        this.buffer = '';
+        this.position = 0;
+        this.start = -1;
+        return [];
+    }
+}
+
+// Picks the parser matching a response's Content-Type; JSON is read as a streamed array
+export function createStreamParser(contentType = '') {
+    if (contentType.includes('text/event-stream')) return new SSEParser();
+    if (contentType.includes('ndjson')) return new NDJSONParser();
+    return new JSONArrayParser();
+}
+
+// Decodes a response body and yields each parsed item as it completes. Accepts a web
+// ReadableStream or any async iterable of bytes (node-fetch); onBytes runs per chunk read,
+// for keeping idle timers alive.
+export async function* readStream(body, parser, onBytes = () => {}) {
+    const decoder = new TextDecoder();
+    const chunks = body.getReader ? readChunks(body.getReader()) : body;
+
+    for await (const value of chunks) {
+        onBytes();
+        yield* parser.push(decoder.decode(value, { stream: true }));
+    }
+
+    yield* parser.push(decoder.decode());
+    yield* parser.flush();
+}
+
+async function* readChunks(reader) {
+    try {
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) return;
+            yield value;
+        }
+    } finally {
+        reader.releaseLock();
+    }
+}
@@ -0,0 +1,36 @@
+// Structured output: a JSON Schema every model must answer in, checked locally afterwards
+// Providers map the schema to their native mechanism; Anthropic has none, so it is forced
+// to call a single tool whose input is the schema and the tool input becomes the answer
+import { JsonSchema } from '../utils/json-schema.js';
+
+export const STRUCTURED_OUTPUT_TOOL = 'structured_output';
+
+// Parse the schema panel's JSON; throws with a user-facing message when invalid
+export function parseResponseSchema(text) {
+    let schema;
+    try {
+        schema = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Response schema is not valid JSON: ${error.message}`);
+    }
+
+    // OpenAI json_schema and Anthropic tool input both require an object at the root
+    if (!schema || schema.type !== 'object') {
+        throw new Error('Response schema must be a JSON Schema with type "object" at the root');
+    }
+
+    return schema;
+}
+
+// Does the response text parse as JSON and conform to the schema?
+export function validateStructuredOutput(text, schema) {
+    let value;
+    try {
+        value = JSON.parse(text);
+    } catch (error) {
+        return { valid: false, errors: [`not valid JSON: ${error.message}`] };
+    }
+
+    const errors = JsonSchema.validate(value, schema).map(error => JsonSchema.formatError(error));
+    return { valid: errors.length === 0, errors };
+}
@@ -0,0 +1,68 @@
+// Tool (function) calling: provider-neutral tool definitions and tool call checks
+// Definitions are { name, description, parameters: JSON Schema }; providers translate
+// them to their native format. OpenAI-style { type: 'function', function: {...} } entries
+// are accepted too, so schemas can be pasted straight from existing agent code.
+import { JsonSchema } from '../utils/json-schema.js';
+
+// The strictest provider rule (OpenAI/Anthropic/Gemini all accept this subset)
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+// Parse the tool panel's JSON; throws with a user-facing message when invalid
+export function parseToolDefinitions(text) {
+    if (!text || !text.trim()) return [];
+
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Tool definitions are not valid JSON: ${error.message}`);
+    }
+
+    const entries = Array.isArray(parsed) ? parsed : [parsed];
+    return entries.map((entry, index) => {
+        const definition = entry?.type === 'function' && entry.function ? entry.function : entry;
+
+        if (!definition || typeof definition.name !== 'string' || !TOOL_NAME_PATTERN.test(definition.name)) {
+            throw new Error(`Tool ${index + 1}: "name" must be 1-64 letters, digits, underscores or dashes`);
+        }
+
+        const parameters = definition.parameters || { type: 'object', properties: {} };
+        if (parameters.type !== 'object') {
+            throw new Error(`Tool "${definition.name}": "parameters" must be a JSON Schema with type "object"`);
+        }
+
+        return {
+            name: definition.name,
+            description: definition.description || '',
+            parameters
+        };
+    });
+}
+
+// Neutral tool call from a provider response; args may be a JSON string (OpenAI) or an object
+export function createToolCall(id, name, args) {
+    if (typeof args !== 'string') {
+        return { id, name, arguments: args ?? {}, rawArguments: JSON.stringify(args ?? {}) };
+    }
+
+    try {
+        return { id, name, arguments: JSON.parse(args || '{}'), rawArguments: args };
+    } catch (error) {
+        return { id, name, arguments: null, rawArguments: args };
+    }
+}
+
+// Did the model pick a defined tool and fill its arguments according to the schema?
+export function validateToolCall(call, tools) {
+    const tool = tools.find(definition => definition.name === call.name);
+    if (!tool) {
+        return { valid: false, errors: [`unknown tool "${call.name}"`] };
+    }
+
+    if (call.arguments === null) {
+        return { valid: false, errors: ['arguments are not valid JSON'] };
+    }
+
+    const errors = JsonSchema.validate(call.arguments, tool.parameters).map(error => JsonSchema.formatError(error));
+    return { valid: errors.length === 0, errors };
+}
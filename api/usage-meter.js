@@ -0,0 +1,155 @@
+// Token usage and cost of one proxied call, read from the upstream response with the
+// provider's proxy.usage hook (see api/provider-registry.js). Streams are parsed as they pass
+// through the proxy; providers report running totals, so each report overrides the fields it has.
+// Cost uses the provider's getPricing and Metrics.calculateCost, the same as a result card's.
+// Batches get one meter per model, adding up their results or estimating them beforehand.
+import { createStreamParser, SSEParser } from './stream-parser.js';
+import { Metrics } from './metrics.js';
+
+// Output tokens assumed for a batch request that sets no max_tokens
+const BATCH_OUTPUT_ALLOWANCE = 4096;
+// Request fields holding prompt text, in any provider's body format; images and other data are skipped
+const PROMPT_TEXT_FIELDS = new Set(['content', 'text', 'system', 'prompt', 'input']);
+
+// Characters of prompt text anywhere in a request body; walked without recursion, as a body can
+// nest arbitrarily deep
+function promptChars(body) {
+    let chars = 0;
+    const pending = [[null, body]];
+    while (pending.length > 0) {
+        const [field, value] = pending.pop();
+        if (typeof value === 'string') {
+            if (PROMPT_TEXT_FIELDS.has(field)) chars += value.length;
+        } else if (Array.isArray(value)) {
+            value.forEach(item => pending.push([field, item]));
+        } else if (value && typeof value === 'object') {
+            pending.push(...Object.entries(value));
+        }
+    }
+    return chars;
+}
+
+// A request's output allowance (max_tokens and its per-provider names), when it sets one
+function outputAllowance(body) {
+    return [body?.max_tokens, body?.max_completion_tokens, body?.generationConfig?.maxOutputTokens, body?.options?.num_predict]
+        .find(Number.isFinite);
+}
+
+export class UsageMeter {
+    constructor(definition, model) {
+        this.definition = definition;
+        this.model = model;
+        this.usage = { inputTokens: 0, outputTokens: 0, cacheWriteTokens: 0, cacheReadTokens: 0 };
+        this.reported = false; // Whether the response carried any usage at all
+        this.estimated = false; // Whether the usage is estimateUnreported's rather than the provider's
+        this.receivedChars = 0;
+        this.parser = null;
+    }
+
+    // Model ID a proxied request is priced by
+    static modelFor(definition, path, body) {
+        return definition.proxy.model ? definition.proxy.model(path, body) : body?.model || null;
+    }
+
+    // Usage of a batch's results ({ customId, body } items, see api/batch-api.js), per model
+    static forBatchResults(definition, results) {
+        return this.perModel(definition, results
+            .filter(item => item.body)
+            .map(({ body }) => [body.model, definition.proxy.usage?.(body)]));
+    }
+
+    // A batch's likely usage before it runs, per model, erring high: prompt text at ~4 characters
+    // a token and each request's whole output allowance
+    static estimateBatch(definition, requests) {
+        return this.perModel(definition, requests.map(({ body }) => [body?.model, {
+            inputTokens: Metrics.estimateMessagesTokenCount(body?.messages) + Metrics.estimateTokenCount(Metrics.getContentText(body?.system)),
+            outputTokens: [body?.max_tokens, body?.max_completion_tokens].find(Number.isFinite) ?? BATCH_OUTPUT_ALLOWANCE
+        }]));
+    }
+
+    static perModel(definition, entries) {
+        const meters = new Map();
+        entries.forEach(([model, usage]) => {
+            if (!usage) return;
+            if (!meters.has(model)) meters.set(model, new UsageMeter(definition, model || null));
+            meters.get(model).add(usage);
+        });
+        return [...meters.values()];
+    }
+
+    // A parsed response body, or one item of a stream
+    read(data) {
+        if (!data || typeof data !== 'object') return;
+
+        const reported = this.definition.proxy.usage?.(data);
+        if (!reported) return;
+
+        this.reported = true;
+        Object.entries(reported).forEach(([field, value]) => {
+            if (typeof value === 'number') this.usage[field] = value;
+        });
+    }
+
+    // Usage of another whole response, added to what the meter holds
+    add(usage) {
+        this.reported = true;
+        Object.entries(usage).forEach(([field, value]) => {
+            if (typeof value === 'number') this.usage[field] += value;
+        });
+    }
+
+    // Response text as it arrives (every piece of a stream, or a whole body)
+    received(text) {
+        this.receivedChars += text.length;
+    }
+
+    // Streamed text in arbitrary pieces; contentType picks the parser, as in the browser
+    push(text, contentType = '') {
+        this.received(text);
+        this.parser ||= createStreamParser(contentType);
+        this.parser.push(text).forEach(item => this.readStreamItem(item));
+    }
+
+    finish() {
+        this.parser?.flush().forEach(item => this.readStreamItem(item));
+    }
+
+    readStreamItem(item) {
+        if (!(this.parser instanceof SSEParser)) return this.read(item);
+        try {
+            this.read(JSON.parse(item.data));
+        } catch (e) {
+            // [DONE] and other non-JSON events carry no usage
+        }
+    }
+
+    // Usage for an answered call that reported none (a stream cut off before its usage event, or a
+    // server that never sends one), erring high: the prompt text of the request body at ~4 characters
+    // a token, and as output what arrived counted the same way, markup and all, up to the request's
+    // output allowance
+    estimateUnreported(body) {
+        const allowance = outputAllowance(body);
+        const seen = Math.ceil(this.receivedChars / 4);
+        this.add({
+            inputTokens: Math.ceil(promptChars(body) / 4),
+            outputTokens: allowance === undefined ? seen : Math.min(allowance, seen)
+        });
+        this.estimated = true;
+    }
+
+    get totalTokens() {
+        return this.usage.inputTokens + this.usage.outputTokens;
+    }
+
+    // Dollars, or null when the model has no known price (e.g. self-hosted endpoints)
+    async cost() {
+        if (!this.reported || !this.model) return null;
+        return this.costAt(await this.definition.create(null, {}).getPricing(this.model));
+    }
+
+    // Dollars at the given pricing (per 1K tokens, as in config/models.js); null without one
+    costAt(pricing) {
+        const { inputTokens, outputTokens, cacheWriteTokens, cacheReadTokens } = this.usage;
+        return Metrics.calculateCost(pricing, inputTokens, outputTokens, 0, { writeTokens: cacheWriteTokens, readTokens: cacheReadTokens });
+    }
+}
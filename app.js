@@ -1,15 +1,22 @@
 // Main Application with streaming support and dynamic models
+import './config/providers.js';
 import { ProviderFactory } from './api/providers.js';
+import { ProviderRegistry } from './api/provider-registry.js';
+import { Sampler } from './api/sampling.js';
+import { isModelVisionCapable } from './config/models.js';
 import { Storage } from './utils/storage.js';
 import { Exporter } from './utils/export.js';
 import { PromptInput } from './components/prompt-input.js';
 import { ModelCard } from './components/model-card.js';
 import { SettingsPanel } from './components/settings-panel.js';
+import { BatchPanel } from './components/batch-panel.js';
+import { LoginDialog } from './components/login-dialog.js';
 
 class App {
     constructor() {
         this.promptInput = new PromptInput();
         this.settingsPanel = new SettingsPanel();
+        this.batchPanel = new BatchPanel();
         this.modelsGrid = document.getElementById('modelsGrid');
         this.exportSection = document.getElementById('exportSection');
         this.exportBtn = document.getElementById('exportBtn');
@@ -17,6 +24,11 @@ class App {
         this.currentResults = null;
         this.modelCards = new Map();
         this.currentPrompt = '';
+        this.currentImages = []; // Attachments sent with the current prompt (reused by Retry)
+        this.currentTools = []; // Tool definitions offered with the current prompt
+        this.currentResponseSchema = null; // Structured output schema, when that mode is on
+        this.conversationMode = false;
+        this.abortControllers = new Map(); // modelId -> AbortController for in-flight requests
 
         this.init();
     }
@@ -24,6 +36,9 @@ class App {
     async init() {
         // Set up event listeners
         this.promptInput.onSubmit((prompt) => this.handleSubmit(prompt));
+        this.promptInput.onNewConversation(() => this.resetConversations());
+        this.promptInput.onStop(() => this.stopAll());
+        this.batchPanel.onSubmit((prompts) => this.handleBatchSubmit(prompts));
         this.exportBtn.addEventListener('click', () => this.handleExport());
 
         // Listen for settings updates
@@ -36,6 +51,16 @@ class App {
             this.retryModel(e.detail.modelId);
         });
 
+        // Mock tool results were added to the card: run the next step of the turn
+        window.addEventListener('continueToolCalls', (e) => {
+            this.retryModel(e.detail.modelId);
+        });
+
+        // Listen for per-card stop events
+        window.addEventListener('stopModel', (e) => {
+            this.stopModel(e.detail.modelId);
+        });
+
         // Wait for settings panel to initialize
         await new Promise(resolve => setTimeout(resolve, 500));
 
@@ -47,10 +72,7 @@ class App {
     }
 
     checkApiKeys() {
-        const apiKeys = Storage.getAllApiKeys();
-        const hasAnyKey = apiKeys.openai || apiKeys.anthropic || apiKeys.google;
-
-        if (!hasAnyKey) {
+        if (!this.hasAnyProviderConfigured()) {
             // Show settings panel if no API keys are configured
             setTimeout(() => {
                 this.settingsPanel.open();
@@ -58,6 +80,21 @@ class App {
         }
     }
 
+    hasAnyProviderConfigured() {
+        return Object.values(Storage.getAllApiKeys()).some(Boolean) ||
+            ProviderRegistry.listKeyed().some(({ id }) => ProviderRegistry.hasServerKey(id)) ||
+            Storage.getCustomEndpoints().length > 0 ||
+            Storage.getOllamaSettings().enabled;
+    }
+
+    // Custom endpoints carry their own optional key; Ollama needs none
+    getApiKey(modelConfig, apiKeys) {
+        if (modelConfig.provider === 'custom') {
+            return Storage.getCustomEndpoint(modelConfig.endpointId)?.apiKey || null;
+        }
+        return apiKeys[modelConfig.provider] || null;
+    }
+
     updateModelCards(availableModels) {
         // Clear existing cards
         this.modelsGrid.innerHTML = '';
@@ -86,12 +123,8 @@ class App {
         // Get available models metadata
         const availableModelsData = availableModels || this.settingsPanel.getAvailableModels();
 
-        // Combine all models
-        const allModels = [
-            ...(availableModelsData.openai || []),
-            ...(availableModelsData.anthropic || []),
-            ...(availableModelsData.google || [])
-        ];
+        // Combine all models, keyed by provider id
+        const allModels = Object.values(availableModelsData).flat();
 
         // Create cards only for enabled models
         enabledModelIds.forEach(modelId => {
@@ -107,8 +140,156 @@ class App {
         this.modelsGrid.style.display = this.modelCards.size > 0 ? 'grid' : 'none';
     }
 
+    resetConversations() {
+        this.modelCards.forEach(card => card.resetConversation());
+        this.promptInput.clear();
+    }
+
+    // Cancellation: aborting the controller cancels the browser fetch, and the
+    // server proxy aborts its upstream request when it sees the client disconnect
+    createAbortSignal(modelId) {
+        this.abortControllers.get(modelId)?.abort();
+        const controller = new AbortController();
+        this.abortControllers.set(modelId, controller);
+        return controller.signal;
+    }
+
+    releaseAbortSignal(modelId, signal) {
+        if (this.abortControllers.get(modelId)?.signal === signal) {
+            this.abortControllers.delete(modelId);
+        }
+    }
+
+    stopModel(modelId) {
+        this.abortControllers.get(modelId)?.abort();
+    }
+
+    stopAll() {
+        this.abortControllers.forEach(controller => controller.abort());
+    }
+
+    // Options shared by live and batch requests: global parameters with the model's overrides,
+    // shared or per-model system prompt, prompt caching, tools and the response schema
+    buildBaseOptions(modelId, tools, responseSchema) {
+        const options = { ...Storage.getModelParamsFor(modelId) };
+
+        const systemPrompt = Storage.getSystemPromptFor(modelId);
+        if (systemPrompt) {
+            options.systemPrompt = systemPrompt;
+        }
+
+        // Only Anthropic needs cache breakpoints; OpenAI and Gemini cache on their own
+        const promptCaching = Storage.getPromptCaching();
+        if (promptCaching.systemPrompt || promptCaching.prompt) {
+            options.promptCaching = promptCaching;
+        }
+
+        if (responseSchema) {
+            options.responseSchema = responseSchema;
+        }
+
+        if (tools.length > 0) {
+            options.tools = tools;
+        }
+
+        return options;
+    }
+
+    // Build request options for a card: the shared options plus cancellation, retry progress,
+    // the card's prior turns in conversation mode, attachments and pending tool turns
+    buildRequestOptions(card) {
+        const options = {
+            ...this.buildBaseOptions(card.getModelId(), this.currentTools, this.currentResponseSchema),
+            signal: this.createAbortSignal(card.getModelId()),
+            onRetry: (retry) => card.setRetrying(retry)
+        };
+
+        if (this.conversationMode) {
+            options.history = card.getHistory();
+        }
+
+        if (this.currentImages.length > 0) {
+            options.images = this.currentImages;
+        }
+
+        const toolTurns = options.tools ? card.getToolTurns() : [];
+        if (toolTurns.length > 0) {
+            options.toolTurns = toolTurns;
+        }
+
+        return options;
+    }
+
+    // Catalog modalities decide when known; custom endpoints can't be probed for vision
+    // support, so their server decides
+    supportsImages(modelConfig) {
+        if (modelConfig.modalities) {
+            return modelConfig.modalities.input.includes('image');
+        }
+        return modelConfig.provider === 'custom' ||
+            isModelVisionCapable(modelConfig.apiModelId || modelConfig.id, modelConfig.capabilities);
+    }
+
+    // Placeholder result for a model left out because it can't read the attached images
+    createSkippedResult(modelConfig) {
+        return {
+            model: modelConfig.name,
+            modelId: modelConfig.id,
+            provider: modelConfig.provider,
+            text: '',
+            latency: 0,
+            inputTokens: 0,
+            outputTokens: 0,
+            totalTokens: 0,
+            estimatedCost: null,
+            warning: 'Skipped: no image input',
+            warningSuggestion: `${modelConfig.name} does not accept images. Remove the attachments or choose a vision model to include it.`,
+            warningType: 'unsupported_input',
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    // One request per model, or several when repeated sampling is on
+    executeRequest(modelConfig, prompt, apiKey, options, onChunk) {
+        const samples = Storage.getSamplesPerModel();
+        return samples > 1
+            ? Sampler.run(modelConfig, prompt, apiKey, options, samples, onChunk)
+            : ProviderFactory.executeRequest(modelConfig, prompt, apiKey, options, onChunk);
+    }
+
+    // Record the exchange on the card so the next prompt continues the thread
+    commitTurn(card, prompt, result, options) {
+        if (!this.conversationMode) return;
+
+        // A turn that ended in tool calls is still open until the final answer arrives
+        if (result.toolCalls?.length) return;
+
+        result.conversation = options.history;
+        if (!result.error) {
+            card.addTurn(prompt, result.text || '');
+        }
+    }
+
     async handleSubmit(prompt) {
+        try {
+            this.currentTools = this.promptInput.getTools();
+            this.currentResponseSchema = this.promptInput.getResponseSchema();
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+
         this.currentPrompt = prompt;
+        this.currentImages = this.promptInput.getAttachments();
+        this.conversationMode = this.promptInput.isConversationMode();
+
+        // One-shot comparisons start from an empty thread
+        if (!this.conversationMode) {
+            this.modelCards.forEach(card => card.resetConversation());
+        }
+
+        // Tool call steps belong to the previous prompt
+        this.modelCards.forEach(card => card.resetToolTurns());
 
         // Disable input during processing
         this.promptInput.setDisabled(true);
@@ -117,9 +298,9 @@ class App {
         // Get API keys
         const apiKeys = Storage.getAllApiKeys();
 
-        // Validate at least one API key is present
-        if (!apiKeys.openai && !apiKeys.anthropic && !apiKeys.google) {
-            alert('Please configure at least one API key in settings.');
+        // Validate at least one API key or custom endpoint is present
+        if (!this.hasAnyProviderConfigured()) {
+            alert('Please configure at least one API key or endpoint in settings.');
             this.promptInput.setDisabled(false);
             this.settingsPanel.open();
             return;
@@ -135,27 +316,32 @@ class App {
 
         this.modelCards.forEach((card, modelId) => {
             const modelConfig = card.getModelConfig();
-            const apiKey = apiKeys[modelConfig.provider];
+            const apiKey = this.getApiKey(modelConfig, apiKeys);
+
+            if (this.currentImages.length > 0 && !this.supportsImages(modelConfig)) {
+                const result = this.createSkippedResult(modelConfig);
+                card.setResponse(result);
+                results.push(result);
+                return;
+            }
 
             // Create streaming callback only if streaming is enabled
-            const onChunk = streamingEnabled ? (chunk) => {
-                card.appendStreamChunk(chunk);
+            const onChunk = streamingEnabled ? (chunk, kind) => {
+                card.appendStreamChunk(chunk, kind);
             } : null;
 
             // Execute request
-            const params = Storage.getModelParams();
-            const options = {
-                temperature: params.temperature,
-                maxTokens: params.maxTokens
-            };
+            const options = this.buildRequestOptions(card);
 
-            const promise = ProviderFactory.executeRequest(
+            const promise = this.executeRequest(
                 modelConfig,
                 prompt,
                 apiKey,
                 options,
                 onChunk
             ).then(result => {
+                this.releaseAbortSignal(modelId, options.signal);
+                this.commitTurn(card, prompt, result, options);
                 card.setResponse(result);
                 results.push(result);
                 return result;
@@ -189,15 +375,47 @@ class App {
         }
     }
 
+    // Batch runs send every prompt to the selected models with the current settings,
+    // as one-shot requests: no conversation history, attachments or tool turns
+    async handleBatchSubmit(prompts) {
+        let tools, responseSchema;
+        try {
+            tools = this.promptInput.getTools();
+            responseSchema = this.promptInput.getResponseSchema();
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+
+        const models = [...this.modelCards.values()].map(card => card.getModelConfig());
+        if (models.length === 0) {
+            alert('Please select at least one model in settings.');
+            this.settingsPanel.open();
+            return;
+        }
+
+        await this.batchPanel.start(
+            prompts,
+            models,
+            (modelId) => this.buildBaseOptions(modelId, tools, responseSchema),
+            { tools, responseSchema }
+        );
+    }
+
     async retryModel(modelId) {
         const card = this.modelCards.get(modelId);
         if (!card || !this.currentPrompt) return;
 
         const modelConfig = card.getModelConfig();
         const apiKeys = Storage.getAllApiKeys();
-        const apiKey = apiKeys[modelConfig.provider];
+        const apiKey = this.getApiKey(modelConfig, apiKeys);
+
+        if (this.currentImages.length > 0 && !this.supportsImages(modelConfig)) {
+            card.setResponse(this.createSkippedResult(modelConfig));
+            return;
+        }
 
-        if (!apiKey) {
+        if (!apiKey && ProviderFactory.requiresApiKey(modelConfig.provider)) {
             alert(`Please configure your ${modelConfig.provider} API key in settings.`);
             return;
         }
@@ -206,18 +424,14 @@ class App {
         card.setStreaming();
 
         // Create streaming callback
-        const onChunk = (chunk) => {
-            card.appendStreamChunk(chunk);
+        const onChunk = (chunk, kind) => {
+            card.appendStreamChunk(chunk, kind);
         };
 
         try {
-            const params = Storage.getModelParams();
-            const options = {
-                temperature: params.temperature,
-                maxTokens: params.maxTokens
-            };
+            const options = this.buildRequestOptions(card);
 
-            const result = await ProviderFactory.executeRequest(
+            const result = await this.executeRequest(
                 modelConfig,
                 this.currentPrompt,
                 apiKey,
@@ -225,6 +439,8 @@ class App {
                 onChunk
             );
 
+            this.releaseAbortSignal(modelId, options.signal);
+            this.commitTurn(card, this.currentPrompt, result, options);
             card.setResponse(result);
 
             // Update results if they exist
@@ -252,9 +468,14 @@ class App {
     }
 }
 
-// Initialize app when DOM is ready
+// Initialize app when DOM is ready, once signed in where the server requires it
+async function start() {
+    await new LoginDialog().ensureSession();
+    new App();
+}
+
 if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => new App());
+    document.addEventListener('DOMContentLoaded', start);
 } else {
-    new App();
+    start();
 }
@@ -0,0 +1,288 @@
+// Batch Run Component: submits a prompt list through the providers' batch APIs and shows
+// each job's progress and results; jobs are stored so polling resumes after a reload, and
+// their results are fetched again from the provider
+import { Storage } from '../utils/storage.js';
+import { Exporter } from '../utils/export.js';
+import { Metrics } from '../api/metrics.js';
+import { ProviderRegistry } from '../api/provider-registry.js';
+import { BatchRunner, parseBatchPrompts } from '../api/batch-runner.js';
+import { BATCH_CONFIG } from '../config/models.js';
+
+// Longer responses are cut in the results table; the export has them in full
+const PREVIEW_LENGTH = 400;
+
+export class BatchPanel {
+    constructor() {
+        this.promptsInput = document.getElementById('batchPromptsInput');
+        this.promptCount = document.getElementById('batchPromptCount');
+        this.submitBtn = document.getElementById('submitBatchBtn');
+        this.jobsContainer = document.getElementById('batchJobs');
+        this.pollTimer = null;
+        this.jobs = Storage.getBatchJobs().map(job => BatchRunner.fromStored(job));
+
+        this.init();
+    }
+
+    init() {
+        this.promptsInput.addEventListener('input', () => {
+            this.updatePromptCount();
+        });
+
+        // A reload during submission keeps whichever provider batches were already created
+        this.jobs
+            .filter(job => job.status === 'submitting')
+            .forEach(job => {
+                job.status = job.batches.every(batch => batch.collected) ? 'done' : 'running';
+                this.save(job);
+            });
+
+        this.render();
+        this.restoreResults();
+        this.schedulePoll(0);
+    }
+
+    // A full localStorage must not stop polling; the job just won't survive a reload as it is now
+    save(job) {
+        try {
+            Storage.saveBatchJob(BatchRunner.toStored(job));
+        } catch (error) {
+            console.warn(`Could not store batch job ${job.id}:`, error.message);
+        }
+    }
+
+    async restoreResults() {
+        const apiKeys = Storage.getAllApiKeys();
+        for (const job of this.jobs) {
+            await BatchRunner.restoreResults(job, apiKeys);
+        }
+        this.render();
+    }
+
+    updatePromptCount() {
+        const count = parseBatchPrompts(this.promptsInput.value).length;
+        this.promptCount.textContent = `${count} prompt${count !== 1 ? 's' : ''}`;
+    }
+
+    onSubmit(callback) {
+        this.submitBtn.addEventListener('click', () => {
+            const prompts = parseBatchPrompts(this.promptsInput.value);
+            if (prompts.length === 0) {
+                alert('Enter at least one prompt for the batch.');
+                return;
+            }
+            callback(prompts);
+        });
+    }
+
+    // models: the selected model configs; buildOptions(modelId): request options for a model
+    // settings: { tools, responseSchema } to check the results against
+    async start(prompts, models, buildOptions, settings) {
+        const job = BatchRunner.createJob(prompts, models, settings);
+        if (job.models.length === 0) {
+            const providers = ProviderRegistry.listBatchCapable().map(({ name }) => name).join(' or ');
+            alert(`Batch runs need at least one ${providers} model selected.`);
+            return;
+        }
+
+        this.submitBtn.disabled = true;
+        this.jobs.unshift(job);
+        this.save(job);
+        this.render();
+
+        try {
+            await BatchRunner.submit(job, Storage.getAllApiKeys(), buildOptions, submitted => this.save(submitted));
+        } finally {
+            this.submitBtn.disabled = false;
+            this.save(job);
+            this.render();
+            this.schedulePoll();
+        }
+    }
+
+    schedulePoll(delayMs = BATCH_CONFIG.pollInterval) {
+        clearTimeout(this.pollTimer);
+        if (!this.jobs.some(job => job.status === 'running')) return;
+        this.pollTimer = setTimeout(() => this.pollAll(), delayMs);
+    }
+
+    async pollAll() {
+        const apiKeys = Storage.getAllApiKeys();
+        try {
+            for (const job of this.jobs.filter(job => job.status === 'running')) {
+                await BatchRunner.poll(job, apiKeys);
+                // Removed while the poll was in flight
+                if (this.jobs.includes(job)) {
+                    this.save(job);
+                }
+            }
+        } finally {
+            this.render();
+            this.schedulePoll();
+        }
+    }
+
+    async cancelJob(jobId) {
+        if (!confirm('Cancel this batch? Requests already processed are still billed and their results kept.')) return;
+        const job = this.jobs.find(existing => existing.id === jobId);
+        if (!job) return;
+        await BatchRunner.cancel(job, Storage.getAllApiKeys());
+        this.save(job);
+        this.render();
+        this.schedulePoll(0);
+    }
+
+    removeJob(jobId) {
+        this.jobs = this.jobs.filter(job => job.id !== jobId);
+        Storage.removeBatchJob(jobId);
+        this.render();
+    }
+
+    render() {
+        this.jobsContainer.innerHTML = '';
+        this.jobsContainer.classList.toggle('hidden', this.jobs.length === 0);
+        this.jobs.forEach(job => this.jobsContainer.appendChild(this.renderJob(job)));
+    }
+
+    renderJob(job) {
+        const element = document.createElement('div');
+        element.className = 'batch-job';
+
+        const header = document.createElement('div');
+        header.className = 'batch-job-header';
+        const title = document.createElement('div');
+        const created = new Date(job.createdAt).toLocaleString();
+        title.innerHTML = `<strong></strong> <span class="setting-description"></span>`;
+        title.querySelector('strong').textContent =
+            `Batch: ${job.prompts.length} prompt${job.prompts.length !== 1 ? 's' : ''} × ${job.models.length} model${job.models.length !== 1 ? 's' : ''}`;
+        title.querySelector('span').textContent = `${created} · ${job.status}`;
+        header.appendChild(title);
+        header.appendChild(this.renderActions(job));
+        element.appendChild(header);
+
+        if (job.skippedModels?.length) {
+            const skipped = document.createElement('div');
+            skipped.className = 'batch-provider';
+            skipped.textContent = `Not batched (no batch API): ${job.skippedModels.join(', ')}`;
+            element.appendChild(skipped);
+        }
+
+        job.batches.forEach(batch => element.appendChild(this.renderProviderBatch(batch)));
+
+        if (Object.keys(job.results).length > 0) {
+            const cost = document.createElement('div');
+            cost.className = 'batch-provider';
+            cost.textContent = `Cost at batch price (${Math.round(BATCH_CONFIG.priceRate * 100)}% of regular): ` +
+                Metrics.formatCost(BatchRunner.getTotalCost(job));
+            element.appendChild(cost);
+            element.appendChild(this.renderResults(job));
+        }
+
+        return element;
+    }
+
+    renderActions(job) {
+        const actions = document.createElement('div');
+        actions.className = 'batch-job-actions';
+
+        const addButton = (label, onClick) => {
+            const button = document.createElement('button');
+            button.className = 'btn btn-secondary';
+            button.textContent = label;
+            button.addEventListener('click', onClick);
+            actions.appendChild(button);
+        };
+
+        if (job.status === 'running') {
+            addButton('Cancel', () => this.cancelJob(job.id));
+        }
+        if (Object.keys(job.results).length > 0) {
+            addButton('Export JSON', () => Exporter.downloadBatchJSON(job, BATCH_CONFIG.priceRate));
+        }
+        if (job.status !== 'submitting') {
+            addButton('Remove', () => this.removeJob(job.id));
+        }
+        return actions;
+    }
+
+    renderProviderBatch(batch) {
+        const element = document.createElement('div');
+        element.className = 'batch-provider';
+        const name = ProviderRegistry.get(batch.provider)?.name || batch.provider;
+
+        if (batch.error && !batch.id) {
+            element.classList.add('failed');
+            element.textContent = `${name}: not submitted - ${batch.error}`;
+            return element;
+        }
+
+        const counts = batch.counts || { total: 0, succeeded: 0, failed: 0 };
+        const processed = counts.succeeded + counts.failed;
+        let text = `${name}: ${batch.upstreamStatus || batch.status} · ${processed}/${counts.total} processed`;
+        if (counts.failed) text += `, ${counts.failed} failed`;
+        if (batch.error) text += ` - ${batch.error}`;
+        if (batch.pollError) text += ` (last check failed: ${batch.pollError})`;
+        element.textContent = text;
+
+        const progress = document.createElement('div');
+        progress.className = 'batch-progress';
+        const bar = document.createElement('div');
+        bar.className = 'batch-progress-bar';
+        bar.style.width = `${counts.total ? Math.round((processed / counts.total) * 100) : 0}%`;
+        progress.appendChild(bar);
+        element.appendChild(progress);
+
+        return element;
+    }
+
+    // Prompts down, models across; each cell holds the response (or error) and its cost
+    renderResults(job) {
+        const table = document.createElement('table');
+        table.className = 'batch-results';
+
+        const headRow = table.createTHead().insertRow();
+        ['Prompt', ...job.models.map(model => model.name)].forEach(label => {
+            const th = document.createElement('th');
+            th.textContent = label;
+            headRow.appendChild(th);
+        });
+
+        const body = table.createTBody();
+        job.prompts.forEach((prompt, promptIndex) => {
+            const row = body.insertRow();
+            row.insertCell().textContent = this.truncate(prompt);
+
+            job.models.forEach((model, modelIndex) => {
+                const cell = row.insertCell();
+                const result = BatchRunner.getResult(job, promptIndex, modelIndex);
+                if (!result) {
+                    cell.textContent = job.status === 'done' ? '—' : '…';
+                    return;
+                }
+
+                const content = document.createElement('span');
+                if (result.error) {
+                    content.className = 'batch-result-error';
+                    content.textContent = result.error;
+                } else {
+                    content.textContent = this.truncate(result.text || result.warning || '');
+                    content.title = result.text || '';
+                }
+                cell.appendChild(content);
+
+                if (!result.error) {
+                    const cost = document.createElement('span');
+                    cost.className = 'batch-result-cost';
+                    const schema = result.structuredOutput ? ` · schema ${result.structuredOutput.valid ? '✓' : '✗'}` : '';
+                    cost.textContent = `${Metrics.formatTokens(result.totalTokens || 0)} tokens · ${Metrics.formatCost(result.estimatedCost)}${schema}`;
+                    cell.appendChild(cost);
+                }
+            });
+        });
+
+        return table;
+    }
+
+    truncate(text) {
+        return text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH)}…` : text;
+    }
+}
@@ -0,0 +1,86 @@
+// Sign-in Component: on servers with authentication turned on (see utils/auth.js), asks for a
+// username and password before the app starts, and shows who is signed in with a sign-out button
+export class LoginDialog {
+    constructor() {
+        this.modal = document.getElementById('loginModal');
+        this.form = document.getElementById('loginForm');
+        this.usernameInput = document.getElementById('loginUsername');
+        this.passwordInput = document.getElementById('loginPassword');
+        this.errorMessage = document.getElementById('loginError');
+        this.submitBtn = document.getElementById('loginSubmitBtn');
+        this.authStatus = document.getElementById('authStatus');
+        this.authUser = document.getElementById('authUser');
+        this.signOutBtn = document.getElementById('signOutBtn');
+
+        this.signOutBtn.addEventListener('click', () => this.signOut());
+    }
+
+    // Resolves once the app may start: right away when the server has no authentication
+    async ensureSession() {
+        let session;
+        try {
+            const response = await fetch('/api/auth/session');
+            session = response.ok ? await response.json() : null;
+        } catch (error) {
+            console.log('Could not check the session (running without backend?)');
+        }
+        if (!session?.enabled) return null;
+
+        const user = session.user || await this.signIn(session);
+        this.showUser(user);
+        return user;
+    }
+
+    signIn(session) {
+        this.modal.classList.add('active');
+        if (!session.passwordLogin) {
+            this.showError('This server only accepts API tokens. Use the comparison API with your token.');
+            this.submitBtn.disabled = true;
+            return new Promise(() => {}); // Nothing to start without a session
+        }
+
+        this.usernameInput.focus();
+        return new Promise(resolve => {
+            this.form.addEventListener('submit', async (event) => {
+                event.preventDefault();
+                this.submitBtn.disabled = true;
+                this.showError('');
+
+                try {
+                    const response = await fetch('/api/auth/login', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ username: this.usernameInput.value.trim(), password: this.passwordInput.value })
+                    });
+                    const data = await response.json().catch(() => ({}));
+                    if (!response.ok) {
+                        throw new Error(data.error?.message || `HTTP ${response.status}`);
+                    }
+
+                    this.passwordInput.value = '';
+                    this.modal.classList.remove('active');
+                    resolve(data.user);
+                } catch (error) {
+                    this.showError(error.message);
+                } finally {
+                    this.submitBtn.disabled = false;
+                }
+            });
+        });
+    }
+
+    showError(message) {
+        this.errorMessage.textContent = message;
+        this.errorMessage.classList.toggle('hidden', !message);
+    }
+
+    showUser(user) {
+        this.authUser.textContent = user.name;
+        this.authStatus.classList.remove('hidden');
+    }
+
+    async signOut() {
+        await fetch('/api/auth/logout', { method: 'POST' }).catch(() => {});
+        window.location.reload();
+    }
+}
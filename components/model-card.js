@@ -1,7 +1,8 @@
 // Enhanced Model Card Component with streaming support
 import { Metrics } from '../api/metrics.js';
-import { getDisplayName } from '../config/models.js';
+import { ProviderRegistry } from '../api/provider-registry.js';
 import { ErrorHandler } from '../utils/error-handler.js';
+import { Storage } from '../utils/storage.js';
 
 export class ModelCard {
   constructor(modelConfig) {
@@ -10,6 +11,9 @@ export class ModelCard {
     this.element = this.createCard();
     this.isStreaming = false;
     this.streamedText = '';
+    this.streamedReasoning = '';
+    this.messages = []; // Committed conversation turns for this model
+    this.toolTurns = []; // Tool calls and mock results for the current prompt
   }
 
   createCard() {
@@ -17,17 +21,56 @@ export class ModelCard {
     card.className = 'model-card';
     card.id = `card-${this.modelId}`;
 
-    const displayName = getDisplayName(this.modelId);
-    const providerName = this.modelConfig.provider.charAt(0).toUpperCase() + this.modelConfig.provider.slice(1);
+    // Custom endpoint models keep their served name and show the endpoint as provider
+    const displayName = ProviderRegistry.formatModelName(this.modelConfig);
+    const providerName = this.modelConfig.endpointName ||
+      this.modelConfig.provider.charAt(0).toUpperCase() + this.modelConfig.provider.slice(1);
 
     card.innerHTML = `
       <div class="model-header">
         <div class="model-info">
-          <h3>${displayName}</h3>
-          <span class="model-provider">${providerName}</span>
+          <h3></h3>
+          <span class="model-provider"></span>
+          <span class="attempt-count hidden" data-part="attempts"></span>
         </div>
+        <div class="model-actions">
+          <button class="btn btn-secondary card-stop-btn" title="Stop this model">■ Stop</button>
+          <button class="btn btn-secondary system-override-btn" title="Override system instructions for this model">System</button>
+          <button class="btn btn-secondary param-override-btn" title="Override sampling parameters for this model">Params</button>
+        </div>
+      </div>
+      <div class="system-override hidden">
+        <textarea class="system-prompt-textarea" rows="3"
+          placeholder="Override the shared system instructions for this model..."></textarea>
       </div>
-      <div class="model-response" id="response-${this.modelId}">
+      <div class="param-overrides hidden">
+        <div class="param-grid">
+          <label>Temperature<input type="number" class="form-input" data-param="temperature" min="0" max="2" step="0.1"></label>
+          <label>Max tokens<input type="number" class="form-input" data-param="maxTokens" min="1" step="1"></label>
+          <label>Top P<input type="number" class="form-input" data-param="topP" min="0" max="1" step="0.05"></label>
+          <label>Top K<input type="number" class="form-input" data-param="topK" min="1" step="1"></label>
+          <label>Presence penalty<input type="number" class="form-input" data-param="presencePenalty" min="-2" max="2" step="0.1"></label>
+          <label>Frequency penalty<input type="number" class="form-input" data-param="frequencyPenalty" min="-2" max="2" step="0.1"></label>
+          <label>Seed<input type="number" class="form-input" data-param="seed" step="1"></label>
+          <label>Reasoning
+            <select class="form-input" data-param="reasoningEffort">
+              <option value="">Global</option>
+              <option value="low">Low</option>
+              <option value="medium">Medium</option>
+              <option value="high">High</option>
+            </select>
+          </label>
+        </div>
+        <label class="param-stop">Stop sequences (one per line)
+          <textarea class="system-prompt-textarea" data-param="stopSequences" rows="2"></textarea>
+        </label>
+      </div>
+      <div class="conversation-thread" data-part="thread"></div>
+      <details class="reasoning-section hidden" data-part="reasoning">
+        <summary>Reasoning <span class="reasoning-summary"></span></summary>
+        <div class="reasoning-text"></div>
+      </details>
+      <div class="model-response" data-part="response">
         <div class="skeleton skeleton-text"></div>
         <div class="skeleton skeleton-text"></div>
         <div class="skeleton skeleton-text"></div>
@@ -35,26 +78,134 @@ export class ModelCard {
       <div class="model-metrics">
         <div class="metric">
           <span class="metric-label">Latency</span>
-          <span class="metric-value latency" id="latency-${this.modelId}">--</span>
+          <span class="metric-value latency" data-part="latency">--</span>
         </div>
         <div class="metric">
           <span class="metric-label">Tokens</span>
-          <span class="metric-value" id="tokens-${this.modelId}">--</span>
+          <span class="metric-value" data-part="tokens">--</span>
         </div>
         <div class="metric">
           <span class="metric-label">Cost</span>
-          <span class="metric-value cost" id="cost-${this.modelId}">--</span>
+          <span class="metric-value cost" data-part="cost">--</span>
         </div>
         <div class="metric">
           <span class="metric-label">Context</span>
-          <span class="metric-value" id="context-${this.modelId}">${Metrics.formatTokens(this.modelConfig.contextWindow)}</span>
+          <span class="metric-value" data-part="context"></span>
+        </div>
+        <div class="metric reasoning-metric hidden" title="Reasoning tokens and their cost (included in Tokens and Cost)">
+          <span class="metric-label">Reasoning</span>
+          <span class="metric-value" data-part="reasoning-tokens">--</span>
+        </div>
+        <div class="metric cache-metric hidden">
+          <span class="metric-label">Cache</span>
+          <span class="metric-value" data-part="cache">--</span>
+        </div>
+        <div class="metric logprob-metric hidden" title="Mean and minimum token log probability">
+          <span class="metric-label">Logprob</span>
+          <span class="metric-value" data-part="logprob">--</span>
+        </div>
+        <div class="metric stream-metric hidden" title="Time to first token">
+          <span class="metric-label">TTFT</span>
+          <span class="metric-value latency" data-part="ttft">--</span>
+        </div>
+        <div class="metric stream-metric hidden" title="Time to last token">
+          <span class="metric-label">Last Token</span>
+          <span class="metric-value" data-part="ttlt">--</span>
+        </div>
+        <div class="metric stream-metric hidden" title="Output tokens per second after the first token">
+          <span class="metric-label">Throughput</span>
+          <span class="metric-value" data-part="tps">--</span>
+        </div>
+        <div class="metric stream-metric hidden" title="Standard deviation of the gaps between streamed chunks">
+          <span class="metric-label">Jitter</span>
+          <span class="metric-value" data-part="jitter">--</span>
         </div>
       </div>
     `;
+    // Names and IDs come from remote model catalogs, so they are set as text and properties,
+    // never written into the markup
+    card.querySelector('.model-info h3').textContent = displayName;
+    card.querySelector('.model-provider').textContent = providerName;
+    card.querySelector('[data-part="context"]').textContent = Metrics.formatTokens(this.modelConfig.contextWindow);
+    card.querySelectorAll('[data-part]').forEach(part => {
+      part.id = `${part.dataset.part}-${this.modelId}`;
+      part.removeAttribute('data-part');
+    });
+
+    this.initSystemOverride(card);
+    this.initParamOverrides(card);
+
+    card.querySelector('.card-stop-btn').addEventListener('click', () => {
+      window.dispatchEvent(new CustomEvent('stopModel', {
+        detail: { modelId: this.modelId }
+      }));
+    });
 
     return card;
   }
 
+  // Per-model system prompt override, persisted in storage
+  initSystemOverride(card) {
+    const toggleBtn = card.querySelector('.system-override-btn');
+    const panel = card.querySelector('.system-override');
+    const textarea = panel.querySelector('textarea');
+
+    textarea.value = Storage.getSystemPromptOverrides()[this.modelId] || '';
+    toggleBtn.classList.toggle('active', !!textarea.value);
+
+    toggleBtn.addEventListener('click', () => {
+      panel.classList.toggle('hidden');
+    });
+
+    textarea.addEventListener('input', () => {
+      const value = textarea.value.trim();
+      Storage.setSystemPromptOverride(this.modelId, value);
+      toggleBtn.classList.toggle('active', !!value);
+    });
+  }
+
+  // Per-model sampling parameters, persisted in storage; empty fields use the global setting or provider default
+  initParamOverrides(card) {
+    const toggleBtn = card.querySelector('.param-override-btn');
+    const panel = card.querySelector('.param-overrides');
+    const inputs = panel.querySelectorAll('[data-param]');
+    const overrides = Storage.getModelParamOverrides()[this.modelId] || {};
+    const globalParams = Storage.getModelParams();
+
+    inputs.forEach(input => {
+      const value = overrides[input.dataset.param];
+      input.value = Array.isArray(value) ? value.join('\n') : (value ?? '');
+      if (input.dataset.param in globalParams) {
+        input.placeholder = `${globalParams[input.dataset.param]} (global)`;
+      } else if (input.tagName === 'INPUT') {
+        input.placeholder = 'default';
+      }
+    });
+    toggleBtn.classList.toggle('active', Object.keys(overrides).length > 0);
+
+    toggleBtn.addEventListener('click', () => {
+      panel.classList.toggle('hidden');
+    });
+
+    panel.addEventListener('input', () => {
+      const params = {};
+      inputs.forEach(input => {
+        const name = input.dataset.param;
+        if (name === 'stopSequences') {
+          const sequences = input.value.split('\n').filter(sequence => sequence !== '');
+          if (sequences.length > 0) params[name] = sequences;
+        } else if (name === 'reasoningEffort') {
+          if (input.value) params[name] = input.value;
+        } else if (input.value !== '' && !Number.isNaN(Number(input.value))) {
+          params[name] = Number(input.value);
+        }
+      });
+
+      Storage.setModelParamOverride(this.modelId, params);
+      toggleBtn.classList.toggle('active', Object.keys(params).length > 0);
+    });
+  }
+
   setLoading() {
     this.element.classList.add('loading');
     this.element.classList.remove('success', 'error', 'streaming');
@@ -70,18 +221,67 @@ export class ModelCard {
   }
 
   setStreaming() {
-    this.element.classList.remove('loading');
+    this.element.classList.remove('loading', 'success', 'error', 'warning', 'cancelled');
     this.element.classList.add('streaming');
     this.isStreaming = true;
     this.streamedText = '';
+    this.streamedReasoning = '';
+    this.renderThread();
+    this.renderReasoning({});
+    this.renderCacheUsage({});
+    this.renderLogprobStats({});
+    this.renderAttemptCount(0);
+    this.renderStreamMetrics({});
 
     const responseDiv = document.getElementById(`response-${this.modelId}`);
     responseDiv.innerHTML = '<span class="typing-indicator">▋</span>';
   }
 
-  appendStreamChunk(chunk) {
+  // Automatic retry pending: say why and when the next attempt goes out
+  setRetrying({ attempt, maxAttempts, delayMs, status }) {
+    const responseDiv = document.getElementById(`response-${this.modelId}`);
+    responseDiv.innerHTML = '';
+
+    const notice = document.createElement('div');
+    notice.className = 'retry-notice';
+    notice.textContent = `↻ HTTP ${status} - retrying in ${(delayMs / 1000).toFixed(1)}s (attempt ${attempt} of ${maxAttempts})`;
+    responseDiv.appendChild(notice);
+
+    this.renderAttemptCount(attempt);
+  }
+
+  renderAttemptCount(count) {
+    const attemptsEl = document.getElementById(`attempts-${this.modelId}`);
+    attemptsEl.textContent = `${count} attempts`;
+    attemptsEl.classList.toggle('hidden', count < 2);
+  }
+
+  // Streaming timing is only shown when the run actually streamed tokens
+  renderStreamMetrics(result) {
+    const streamed = result.timeToFirstToken !== null && result.timeToFirstToken !== undefined;
+    this.element.querySelectorAll('.stream-metric').forEach(metric => metric.classList.toggle('hidden', !streamed));
+    if (!streamed) return;
+
+    document.getElementById(`ttft-${this.modelId}`).textContent = Metrics.formatLatency(result.timeToFirstToken);
+    document.getElementById(`ttlt-${this.modelId}`).textContent = Metrics.formatLatency(result.timeToLastToken);
+    document.getElementById(`tps-${this.modelId}`).textContent = Metrics.formatThroughput(result.tokensPerSecond);
+    document.getElementById(`jitter-${this.modelId}`).textContent =
+      result.interChunkJitter !== null ? Metrics.formatLatency(result.interChunkJitter) : '--';
+  }
+
+  // kind is 'reasoning' for thinking output, which streams into its own collapsed section
+  appendStreamChunk(chunk, kind = 'text') {
     if (!this.isStreaming) return;
 
+    if (kind === 'reasoning') {
+      this.streamedReasoning += chunk;
+      const section = document.getElementById(`reasoning-${this.modelId}`);
+      section.classList.remove('hidden');
+      section.querySelector('.reasoning-summary').textContent = '(thinking...)';
+      section.querySelector('.reasoning-text').textContent = this.streamedReasoning;
+      return;
+    }
+
     this.streamedText += chunk;
     const responseDiv = document.getElementById(`response-${this.modelId}`);
     responseDiv.textContent = this.streamedText;
@@ -99,7 +299,26 @@ export class ModelCard {
     const tokensEl = document.getElementById(`tokens-${this.modelId}`);
     const costEl = document.getElementById(`cost-${this.modelId}`);
 
-    if (result.error) {
+    this.renderAttemptCount(result.attempts?.length || 0);
+    this.renderStreamMetrics(result);
+    this.renderReasoning(result);
+    this.renderCacheUsage(result);
+    this.renderLogprobStats(result);
+
+    if (result.errorType === 'cancelled') {
+      // Keep whatever streamed before Stop was pressed
+      this.element.classList.add('cancelled');
+
+      const partialText = result.text || this.streamedText;
+      responseDiv.textContent = partialText;
+
+      const marker = document.createElement('div');
+      marker.className = 'cancelled-marker';
+      marker.textContent = partialText ? '⏹ Cancelled - partial response' : '⏹ Cancelled before any output';
+      responseDiv.appendChild(marker);
+
+      latencyEl.textContent = result.latency ? Metrics.formatLatency(result.latency) : '--';
+    } else if (result.error) {
       this.element.classList.add('error');
 
       const errorInfo = ErrorHandler.formatErrorForDisplay({
@@ -108,16 +327,21 @@ export class ModelCard {
         type: result.errorType
       });
 
+      // The message can come from the provider, so it is set as text
       responseDiv.innerHTML = `
         <div class="error-message">
           <div class="error-title">
-            <span class="error-icon">⚠️</span>
-            <strong>${errorInfo.title}</strong>
+            <span class="error-icon">${result.errorType === 'timeout' ? '⏱️' : '⚠️'}</span>
+            <strong></strong>
           </div>
-          ${errorInfo.description ? `<p class="error-suggestion">${errorInfo.description}</p>` : ''}
-          ${errorInfo.canRetry ? '<button class="btn btn-secondary retry-btn" data-model-id="' + this.modelId + '">Retry</button>' : ''}
+          ${errorInfo.description ? '<p class="error-suggestion"></p>' : ''}
+          ${errorInfo.canRetry ? '<button class="btn btn-secondary retry-btn">Retry</button>' : ''}
         </div>
       `;
+      responseDiv.querySelector('.error-title strong').textContent = errorInfo.title;
+      if (errorInfo.description) {
+        responseDiv.querySelector('.error-suggestion').textContent = errorInfo.description;
+      }
 
       // Add retry button listener
       if (errorInfo.canRetry) {
@@ -131,11 +355,13 @@ export class ModelCard {
 
       latencyEl.textContent = result.latency ? Metrics.formatLatency(result.latency) : '--';
 
-      // Show partial text if available
-      if (result.text) {
+      // Show partial text if available (a stalled stream keeps everything received before the deadline)
+      const partialText = result.text || this.streamedText;
+      if (partialText) {
         const partialDiv = document.createElement('div');
         partialDiv.className = 'partial-response';
-        partialDiv.innerHTML = `<p><em>Partial response before error:</em></p><p>${result.text}</p>`;
+        partialDiv.innerHTML = `<p><em>Partial response before ${result.errorType === 'timeout' ? 'timeout' : 'error'}:</em></p><p></p>`;
+        partialDiv.lastElementChild.textContent = partialText;
         responseDiv.appendChild(partialDiv);
       }
     } else if (result.warning) {
@@ -146,14 +372,21 @@ export class ModelCard {
         <div class="warning-message">
           <div class="warning-title">
             <span class="warning-icon">⚠️</span>
-            <strong>${result.warning}</strong>
+            <strong></strong>
           </div>
-          ${result.warningSuggestion ? `<p class="warning-suggestion">${result.warningSuggestion}</p>` : ''}
-          ${result.stopReason ? `<p class="warning-detail">Stop reason: <code>${result.stopReason}</code></p>` : ''}
-          <button class="btn btn-secondary show-raw-btn" data-model-id="${this.modelId}">Show Raw Response</button>
-          <pre class="raw-response hidden" id="raw-${this.modelId}"></pre>
+          ${result.warningSuggestion ? '<p class="warning-suggestion"></p>' : ''}
+          ${result.stopReason ? '<p class="warning-detail">Stop reason: <code></code></p>' : ''}
+          <button class="btn btn-secondary show-raw-btn">Show Raw Response</button>
+          <pre class="raw-response hidden"></pre>
         </div>
       `;
+      responseDiv.querySelector('.warning-title strong').textContent = result.warning;
+      if (result.warningSuggestion) {
+        responseDiv.querySelector('.warning-suggestion').textContent = result.warningSuggestion;
+      }
+      if (result.stopReason) {
+        responseDiv.querySelector('.warning-detail code').textContent = result.stopReason;
+      }
 
       // Add show raw response button listener
       const showRawBtn = responseDiv.querySelector('.show-raw-btn');
@@ -181,9 +414,20 @@ export class ModelCard {
         costEl.parentElement.style.display = 'flex';
         costEl.textContent = costFormatted;
       }
+
+      this.renderSchemaValidation(responseDiv, result.structuredOutput);
+      this.renderToolCalls(responseDiv, result);
+      this.renderParameterNotes(responseDiv, result.parameterNotes);
     } else {
       this.element.classList.add('success');
-      responseDiv.textContent = result.text || this.streamedText;
+      const textDiv = document.createElement('div');
+      responseDiv.textContent = '';
+      responseDiv.appendChild(textDiv);
+      this.renderResponseText(textDiv, { ...result, text: result.text || this.streamedText });
+      this.renderSamples(responseDiv, textDiv, result);
+      this.renderSchemaValidation(responseDiv, result.structuredOutput);
+      this.renderToolCalls(responseDiv, result);
+      this.renderParameterNotes(responseDiv, result.parameterNotes);
 
       latencyEl.textContent = Metrics.formatLatency(result.latency);
       tokensEl.textContent = Metrics.formatTokens(result.totalTokens);
@@ -198,6 +442,339 @@ export class ModelCard {
     }
   }
 
+  // Thinking output in its own collapsible section, with its tokens and cost as a separate metric
+  renderReasoning(result) {
+    const section = document.getElementById(`reasoning-${this.modelId}`);
+    const metric = document.getElementById(`reasoning-tokens-${this.modelId}`);
+    const reasoning = result.reasoning || this.streamedReasoning;
+    const reasoningTokens = result.reasoningTokens || 0;
+
+    section.classList.toggle('hidden', !reasoning && !reasoningTokens);
+    metric.parentElement.classList.toggle('hidden', !reasoningTokens);
+
+    section.querySelector('.reasoning-summary').textContent = reasoningTokens
+      ? `(${Metrics.formatTokens(reasoningTokens)} tokens)`
+      : '';
+    // OpenAI reasoning models report a token count but keep the reasoning itself hidden
+    section.querySelector('.reasoning-text').textContent = reasoning ||
+      'This provider reports reasoning tokens but does not return the reasoning itself.';
+
+    if (reasoningTokens) {
+      metric.textContent = `${Metrics.formatTokens(reasoningTokens)} · ${Metrics.formatCost(result.reasoningCost)}`;
+    }
+  }
+
+  // Prompt caching: input tokens read from cache (hits) and written to it, with the input cost split
+  renderCacheUsage(result) {
+    const metric = document.getElementById(`cache-${this.modelId}`);
+    const readTokens = result.cacheReadTokens || 0;
+    const writeTokens = result.cacheWriteTokens || 0;
+
+    metric.parentElement.classList.toggle('hidden', !readTokens && !writeTokens);
+    if (!readTokens && !writeTokens) return;
+
+    metric.textContent = writeTokens
+      ? `${Metrics.formatTokens(readTokens)} hit · ${Metrics.formatTokens(writeTokens)} written`
+      : `${Metrics.formatTokens(readTokens)} hit`;
+
+    const costs = result.inputCosts;
+    metric.parentElement.title = costs
+      ? `Input cost: ${Metrics.formatCost(costs.uncached)} uncached, ${Metrics.formatCost(costs.cacheWrite)} cache writes, ` +
+        `${Metrics.formatCost(costs.cacheRead)} cache reads (included in Tokens and Cost)`
+      : 'Cached input tokens (included in Tokens)';
+  }
+
+  // Mean and minimum token logprob, when the provider returned logprobs
+  renderLogprobStats(result) {
+    const metric = document.getElementById(`logprob-${this.modelId}`);
+    const stats = result.logprobStats;
+
+    metric.parentElement.classList.toggle('hidden', !stats);
+    if (!stats) return;
+
+    metric.textContent = `${stats.mean.toFixed(2)} mean · ${stats.min.toFixed(2)} min`;
+    metric.parentElement.title = `Mean ${Metrics.formatLogprob(stats.mean)}, minimum ${Metrics.formatLogprob(stats.min)} ` +
+      `over ${Metrics.formatTokens(stats.count)} tokens`;
+  }
+
+  // A response or sample: a logprob heatmap when there are logprobs, otherwise the plain text
+  renderResponseText(container, { text, logprobs, error }) {
+    if (error) {
+      container.textContent = `⚠️ ${error}${text ? `\n\n${text}` : ''}`;
+    } else if (logprobs?.length) {
+      this.renderLogprobs(container, logprobs);
+    } else {
+      container.textContent = text || '';
+    }
+  }
+
+  // Repeated sampling: page through every sample, with the spread across them above
+  renderSamples(responseDiv, textDiv, result) {
+    const samples = result.samples || [];
+    if (samples.length < 2) return;
+
+    const pager = document.createElement('div');
+    pager.className = 'sample-pager';
+    pager.innerHTML = `
+      <button class="btn btn-secondary sample-prev" title="Previous sample">‹</button>
+      <span class="sample-position"></span>
+      <button class="btn btn-secondary sample-next" title="Next sample">›</button>
+    `;
+    const position = pager.querySelector('.sample-position');
+    let index = 0;
+
+    const show = (next) => {
+      index = (next + samples.length) % samples.length;
+      position.textContent = `Sample ${index + 1} of ${samples.length}`;
+      this.renderResponseText(textDiv, samples[index]);
+    };
+    pager.querySelector('.sample-prev').addEventListener('click', () => show(index - 1));
+    pager.querySelector('.sample-next').addEventListener('click', () => show(index + 1));
+    position.textContent = `Sample 1 of ${samples.length}`;
+
+    responseDiv.insertBefore(pager, textDiv);
+    responseDiv.insertBefore(this.renderSampleStats(result), textDiv);
+  }
+
+  renderSampleStats(result) {
+    const element = document.createElement('div');
+    element.className = 'sample-stats';
+    const stats = result.sampleStats;
+    const requests = `${result.samples.length} samples from ${result.sampleRequests} request${result.sampleRequests !== 1 ? 's' : ''}`;
+
+    if (!stats) {
+      element.textContent = `${requests}; too few completed to compare`;
+      return element;
+    }
+
+    const lines = [
+      stats.latency
+        ? `Latency ${Metrics.formatLatency(stats.latency.min)} / ${Metrics.formatLatency(stats.latency.median)} / ${Metrics.formatLatency(stats.latency.max)} (min / median / max)`
+        : null,
+      `Length ${Math.round(stats.length.mean)} ± ${Math.round(stats.length.stdDev)} chars (variance ${Math.round(stats.length.variance)})`,
+      `Similarity ${stats.similarity.mean.toFixed(2)} mean, ${stats.similarity.min.toFixed(2)} min (word overlap between samples)`,
+      stats.failed ? `${stats.failed} sample${stats.failed !== 1 ? 's' : ''} failed` : null
+    ].filter(Boolean);
+
+    element.title = requests;
+    lines.forEach(line => {
+      const div = document.createElement('div');
+      div.textContent = line;
+      element.appendChild(div);
+    });
+    return element;
+  }
+
+  // Token heatmap: the less likely a token was, the stronger its shading; hover for the top alternatives
+  renderLogprobs(responseDiv, tokens) {
+    const heatmap = document.createElement('div');
+    heatmap.className = 'logprob-heatmap';
+
+    tokens.forEach(({ token, logprob, top }) => {
+      const span = document.createElement('span');
+      span.className = 'logprob-token';
+      span.textContent = token;
+      span.style.setProperty('--uncertainty', (1 - Math.exp(logprob)).toFixed(3));
+
+      const alternatives = top
+        .filter(alternative => alternative.token !== token)
+        .map(alternative => `  ${JSON.stringify(alternative.token)} ${Metrics.formatLogprob(alternative.logprob)}`);
+      span.title = [
+        `${JSON.stringify(token)} ${Metrics.formatLogprob(logprob)}`,
+        ...(alternatives.length ? ['Alternatives:', ...alternatives] : [])
+      ].join('\n');
+
+      heatmap.appendChild(span);
+    });
+
+    responseDiv.textContent = '';
+    responseDiv.appendChild(heatmap);
+  }
+
+  // Parameters the provider lowered or doesn't support, so the comparison isn't silently uneven
+  renderParameterNotes(responseDiv, notes) {
+    if (!notes?.length) return;
+
+    const notice = document.createElement('div');
+    notice.className = 'param-notice';
+    notice.textContent = `⚙️ ${notes.join('; ')}`;
+    responseDiv.appendChild(notice);
+  }
+
+  // Structured output verdict: pass, or fail with every validation error
+  renderSchemaValidation(responseDiv, structuredOutput) {
+    if (!structuredOutput) return;
+
+    const container = document.createElement('div');
+    container.className = `schema-validation ${structuredOutput.valid ? 'valid' : 'invalid'}`;
+
+    const title = document.createElement('strong');
+    title.textContent = structuredOutput.valid
+      ? '✓ Valid JSON matching the schema'
+      : `✗ Schema validation failed (${structuredOutput.errors.length} error${structuredOutput.errors.length !== 1 ? 's' : ''})`;
+    container.appendChild(title);
+
+    if (structuredOutput.errors.length > 0) {
+      const errors = document.createElement('ul');
+      structuredOutput.errors.forEach(message => {
+        const item = document.createElement('li');
+        item.textContent = message;
+        errors.appendChild(item);
+      });
+      container.appendChild(errors);
+    }
+
+    responseDiv.appendChild(container);
+  }
+
+  // Tool calls with their arguments and schema check, plus mock result inputs to continue the turn
+  renderToolCalls(responseDiv, result) {
+    if (!result.toolCalls?.length) return;
+
+    const container = document.createElement('div');
+    container.className = 'tool-calls';
+
+    result.toolCalls.forEach(call => {
+      const callDiv = document.createElement('div');
+      callDiv.className = 'tool-call';
+
+      const header = document.createElement('div');
+      header.className = 'tool-call-header';
+
+      const name = document.createElement('code');
+      name.className = 'tool-call-name';
+      name.textContent = `${call.name}()`;
+      header.appendChild(name);
+
+      if (call.valid !== undefined) {
+        const badge = document.createElement('span');
+        badge.className = `tool-call-badge ${call.valid ? 'valid' : 'invalid'}`;
+        badge.textContent = call.valid ? '✓ matches schema' : '✗ invalid arguments';
+        header.appendChild(badge);
+      }
+
+      const args = document.createElement('pre');
+      args.className = 'tool-call-args';
+      args.textContent = call.arguments !== null ? JSON.stringify(call.arguments, null, 2) : call.rawArguments;
+
+      callDiv.appendChild(header);
+      callDiv.appendChild(args);
+
+      if (call.errors?.length) {
+        const errors = document.createElement('ul');
+        errors.className = 'tool-call-errors';
+        call.errors.forEach(message => {
+          const item = document.createElement('li');
+          item.textContent = message;
+          errors.appendChild(item);
+        });
+        callDiv.appendChild(errors);
+      }
+
+      const mockResult = document.createElement('textarea');
+      mockResult.className = 'system-prompt-textarea tool-result-input';
+      mockResult.rows = 2;
+      mockResult.placeholder = `Mock result for ${call.name} (JSON or text, defaults to {})`;
+      mockResult.dataset.toolCallId = call.id;
+      callDiv.appendChild(mockResult);
+
+      container.appendChild(callDiv);
+    });
+
+    const continueBtn = document.createElement('button');
+    continueBtn.className = 'btn btn-secondary tool-continue-btn';
+    continueBtn.textContent = 'Continue with results →';
+    continueBtn.addEventListener('click', () => {
+      const mockResults = [...container.querySelectorAll('.tool-result-input')].map(input => input.value.trim() || '{}');
+      this.addToolResults(result, mockResults);
+      window.dispatchEvent(new CustomEvent('continueToolCalls', {
+        detail: { modelId: this.modelId }
+      }));
+    });
+    container.appendChild(continueBtn);
+
+    responseDiv.appendChild(container);
+  }
+
+  // Tool turn management: the assistant's calls followed by one result per call
+  getToolTurns() {
+    return this.toolTurns.map(turn => ({ ...turn }));
+  }
+
+  addToolResults(result, mockResults) {
+    this.toolTurns.push({
+      role: 'assistant',
+      content: result.text || '',
+      toolCalls: result.toolCalls.map(({ id, name, arguments: args }) => ({ id, name, arguments: args })),
+      // Anthropic requires the turn's thinking blocks to be sent back with the tool results
+      ...(result.thinkingBlocks?.length ? { thinkingBlocks: result.thinkingBlocks } : {})
+    });
+    result.toolCalls.forEach((call, index) => {
+      this.toolTurns.push({ role: 'tool', toolCallId: call.id, name: call.name, content: mockResults[index] });
+    });
+  }
+
+  resetToolTurns() {
+    this.toolTurns = [];
+    this.renderThread();
+  }
+
+  // Conversation thread management
+  getHistory() {
+    return this.messages.map(message => ({ ...message }));
+  }
+
+  addTurn(prompt, responseText) {
+    this.messages.push(
+      { role: 'user', content: prompt },
+      { role: 'assistant', content: responseText }
+    );
+  }
+
+  resetConversation() {
+    this.messages = [];
+    this.renderThread();
+  }
+
+  // Render earlier turns above the response area; the latest answer stays in the response div
+  renderThread() {
+    const threadDiv = document.getElementById(`thread-${this.modelId}`);
+    threadDiv.innerHTML = '';
+
+    this.messages.forEach(message => {
+      const turn = document.createElement('div');
+      turn.className = `conversation-turn ${message.role}`;
+
+      const role = document.createElement('span');
+      role.className = 'conversation-role';
+      role.textContent = message.role === 'user' ? 'You' : 'Model';
+
+      turn.appendChild(role);
+      turn.appendChild(document.createTextNode(message.content));
+      threadDiv.appendChild(turn);
+    });
+
+    // Earlier steps of the current tool calling turn
+    this.toolTurns.forEach(toolTurn => {
+      const turn = document.createElement('div');
+      turn.className = `conversation-turn tool-turn ${toolTurn.role}`;
+
+      const role = document.createElement('span');
+      role.className = 'conversation-role';
+      role.textContent = toolTurn.role === 'tool' ? `Result · ${toolTurn.name}` : 'Tool calls';
+
+      const text = toolTurn.role === 'tool'
+        ? toolTurn.content
+        : toolTurn.toolCalls.map(call => `${call.name}(${JSON.stringify(call.arguments)})`).join('\n');
+
+      turn.appendChild(role);
+      turn.appendChild(document.createTextNode(text));
+      threadDiv.appendChild(turn);
+    });
+
+    threadDiv.scrollTop = threadDiv.scrollHeight;
+  }
+
   getElement() {
     return this.element;
   }
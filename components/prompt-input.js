@@ -1,10 +1,36 @@
 // Prompt Input Component
+import { Storage } from '../utils/storage.js';
+import { parseToolDefinitions } from '../api/tools.js';
+import { parseResponseSchema } from '../api/structured-output.js';
+
+// Formats accepted by all three hosted providers; 5MB is Anthropic's per-image limit, the strictest
+const SUPPORTED_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
 export class PromptInput {
     constructor() {
         this.textarea = document.getElementById('promptInput');
         this.charCounter = document.getElementById('charCounter');
         this.submitBtn = document.getElementById('submitBtn');
         this.clearBtn = document.getElementById('clearBtn');
+        this.stopBtn = document.getElementById('stopBtn');
+        this.conversationToggle = document.getElementById('conversationMode');
+        this.newConversationBtn = document.getElementById('newConversationBtn');
+        this.systemPromptSection = document.getElementById('systemPromptSection');
+        this.systemPromptInput = document.getElementById('systemPromptInput');
+        this.cacheSystemPromptToggle = document.getElementById('cacheSystemPrompt');
+        this.cachePromptToggle = document.getElementById('cachePrompt');
+        this.toolsSection = document.getElementById('toolsSection');
+        this.toolsInput = document.getElementById('toolsInput');
+        this.toolsError = document.getElementById('toolsError');
+        this.structuredOutputSection = document.getElementById('structuredOutputSection');
+        this.structuredOutputToggle = document.getElementById('structuredOutputEnabled');
+        this.responseSchemaInput = document.getElementById('responseSchemaInput');
+        this.responseSchemaError = document.getElementById('responseSchemaError');
+        this.attachBtn = document.getElementById('attachBtn');
+        this.imageInput = document.getElementById('imageInput');
+        this.attachmentList = document.getElementById('attachmentList');
+        this.attachments = []; // { name, mimeType, size, data (base64) }
 
         this.init();
     }
@@ -20,6 +46,95 @@ export class PromptInput {
             this.clear();
         });
 
+        // Conversation mode toggle
+        this.conversationToggle.checked = Storage.getConversationMode();
+        this.updateConversationControls();
+        this.conversationToggle.addEventListener('change', () => {
+            Storage.setConversationMode(this.conversationToggle.checked);
+            this.updateConversationControls();
+        });
+
+        // Shared system instructions persist across reloads
+        this.systemPromptInput.value = Storage.getSystemPrompt();
+        this.systemPromptSection.open = !!this.systemPromptInput.value;
+        this.systemPromptInput.addEventListener('input', () => {
+            Storage.setSystemPrompt(this.systemPromptInput.value);
+        });
+
+        // Prompt caching toggles for the system instructions and the prompt
+        const promptCaching = Storage.getPromptCaching();
+        this.cacheSystemPromptToggle.checked = promptCaching.systemPrompt;
+        this.cachePromptToggle.checked = promptCaching.prompt;
+        const savePromptCaching = () => {
+            Storage.setPromptCaching({
+                systemPrompt: this.cacheSystemPromptToggle.checked,
+                prompt: this.cachePromptToggle.checked
+            });
+        };
+        this.cacheSystemPromptToggle.addEventListener('change', savePromptCaching);
+        this.cachePromptToggle.addEventListener('change', savePromptCaching);
+
+        // Tool definitions persist too, and are checked as they are typed
+        this.toolsInput.value = Storage.getToolDefinitions();
+        this.toolsSection.open = !!this.toolsInput.value.trim();
+        this.validateTools();
+        this.toolsInput.addEventListener('input', () => {
+            Storage.setToolDefinitions(this.toolsInput.value);
+            this.validateTools();
+        });
+
+        // Structured output: toggle plus response schema, both persisted
+        const structuredOutput = Storage.getStructuredOutput();
+        this.structuredOutputToggle.checked = structuredOutput.enabled;
+        this.responseSchemaInput.value = structuredOutput.schema;
+        this.structuredOutputSection.open = structuredOutput.enabled;
+        this.validateResponseSchema();
+        const saveStructuredOutput = () => {
+            Storage.setStructuredOutput({
+                enabled: this.structuredOutputToggle.checked,
+                schema: this.responseSchemaInput.value
+            });
+            this.validateResponseSchema();
+        };
+        this.structuredOutputToggle.addEventListener('change', saveStructuredOutput);
+        this.responseSchemaInput.addEventListener('input', saveStructuredOutput);
+
+        // Image attachments: file picker, drag-and-drop or paste onto the prompt
+        this.attachBtn.addEventListener('click', () => {
+            this.imageInput.click();
+        });
+
+        this.imageInput.addEventListener('change', () => {
+            this.addImages([...this.imageInput.files]);
+            this.imageInput.value = '';
+        });
+
+        this.textarea.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer.types.includes('Files')) return;
+            e.preventDefault();
+            this.textarea.classList.add('drag-over');
+        });
+
+        this.textarea.addEventListener('dragleave', () => {
+            this.textarea.classList.remove('drag-over');
+        });
+
+        this.textarea.addEventListener('drop', (e) => {
+            this.textarea.classList.remove('drag-over');
+            if (e.dataTransfer.files.length === 0) return;
+            e.preventDefault();
+            this.addImages([...e.dataTransfer.files]);
+        });
+
+        this.textarea.addEventListener('paste', (e) => {
+            const files = [...e.clipboardData.items]
+                .filter(item => item.kind === 'file')
+                .map(item => item.getAsFile());
+            if (files.length === 0) return;
+            e.preventDefault();
+            this.addImages(files);
+        });
+
         // Submit on Ctrl/Cmd + Enter
         this.textarea.addEventListener('keydown', (e) => {
             if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
@@ -34,20 +149,147 @@ export class PromptInput {
         this.charCounter.textContent = `${length} character${length !== 1 ? 's' : ''}`;
     }
 
+    async addImages(files) {
+        for (const file of files) {
+            const name = file.name || `pasted-image-${this.attachments.length + 1}`;
+
+            if (!SUPPORTED_IMAGE_TYPES.includes(file.type)) {
+                alert(`${name}: only PNG, JPEG, GIF and WebP images can be attached.`);
+                continue;
+            }
+
+            if (file.size > MAX_IMAGE_BYTES) {
+                alert(`${name} is larger than 5MB. Please attach a smaller image.`);
+                continue;
+            }
+
+            const dataUrl = await this.readAsDataURL(file);
+            this.attachments.push({
+                name,
+                mimeType: file.type,
+                size: file.size,
+                data: dataUrl.slice(dataUrl.indexOf(',') + 1)
+            });
+        }
+
+        this.renderAttachments();
+    }
+
+    readAsDataURL(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
+        });
+    }
+
+    removeAttachment(index) {
+        this.attachments.splice(index, 1);
+        this.renderAttachments();
+    }
+
+    renderAttachments() {
+        this.attachmentList.innerHTML = '';
+        this.attachmentList.classList.toggle('hidden', this.attachments.length === 0);
+
+        this.attachments.forEach((attachment, index) => {
+            const item = document.createElement('div');
+            item.className = 'attachment';
+            item.title = attachment.name;
+
+            const thumbnail = document.createElement('img');
+            thumbnail.src = `data:${attachment.mimeType};base64,${attachment.data}`;
+            thumbnail.alt = attachment.name;
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'attachment-remove';
+            removeBtn.textContent = '×';
+            removeBtn.title = 'Remove image';
+            removeBtn.addEventListener('click', () => this.removeAttachment(index));
+
+            item.appendChild(thumbnail);
+            item.appendChild(removeBtn);
+            this.attachmentList.appendChild(item);
+        });
+    }
+
+    getAttachments() {
+        return this.attachments.map(attachment => ({ ...attachment }));
+    }
+
+    validateTools() {
+        try {
+            parseToolDefinitions(this.toolsInput.value);
+            this.toolsError.classList.add('hidden');
+        } catch (error) {
+            this.toolsError.textContent = error.message;
+            this.toolsError.classList.remove('hidden');
+        }
+    }
+
+    // Parsed tool definitions; throws with a user-facing message when the JSON is invalid
+    getTools() {
+        return parseToolDefinitions(this.toolsInput.value);
+    }
+
+    validateResponseSchema() {
+        try {
+            if (this.structuredOutputToggle.checked) {
+                parseResponseSchema(this.responseSchemaInput.value);
+            }
+            this.responseSchemaError.classList.add('hidden');
+        } catch (error) {
+            this.responseSchemaError.textContent = error.message;
+            this.responseSchemaError.classList.remove('hidden');
+        }
+    }
+
+    // Parsed response schema, or null when structured output is off; throws when the JSON is invalid
+    getResponseSchema() {
+        return this.structuredOutputToggle.checked ? parseResponseSchema(this.responseSchemaInput.value) : null;
+    }
+
+    updateConversationControls() {
+        this.newConversationBtn.classList.toggle('hidden', !this.conversationToggle.checked);
+    }
+
+    isConversationMode() {
+        return this.conversationToggle.checked;
+    }
+
+    getSystemPrompt() {
+        return this.systemPromptInput.value.trim();
+    }
+
     getValue() {
         return this.textarea.value.trim();
     }
 
     clear() {
         this.textarea.value = '';
+        this.attachments = [];
+        this.renderAttachments();
         this.updateCharCounter();
         this.textarea.focus();
     }
 
     setDisabled(disabled) {
         this.textarea.disabled = disabled;
+        this.systemPromptInput.disabled = disabled;
+        this.cacheSystemPromptToggle.disabled = disabled;
+        this.cachePromptToggle.disabled = disabled;
+        this.toolsInput.disabled = disabled;
+        this.structuredOutputToggle.disabled = disabled;
+        this.responseSchemaInput.disabled = disabled;
         this.submitBtn.disabled = disabled;
         this.clearBtn.disabled = disabled;
+        this.attachBtn.disabled = disabled;
+        this.conversationToggle.disabled = disabled;
+        this.newConversationBtn.disabled = disabled;
+
+        // Stop is only offered while a comparison is running
+        this.stopBtn.classList.toggle('hidden', !disabled);
     }
 
     onSubmit(callback) {
@@ -58,4 +300,12 @@ export class PromptInput {
             }
         });
     }
+
+    onStop(callback) {
+        this.stopBtn.addEventListener('click', () => callback());
+    }
+
+    onNewConversation(callback) {
+        this.newConversationBtn.addEventListener('click', () => callback());
+    }
 }
@@ -1,7 +1,7 @@
 // Enhanced Settings Panel Component with dynamic model discovery
 import { ProviderFactory } from '../api/providers.js';
+import { ProviderRegistry } from '../api/provider-registry.js';
 import { Storage } from '../utils/storage.js';
-import { getDisplayName } from '../config/models.js';
 
 export class SettingsPanel {
     constructor() {
@@ -10,22 +10,30 @@ export class SettingsPanel {
         this.closeBtn = document.getElementById('closeSettingsBtn');
         this.saveBtn = document.getElementById('saveSettingsBtn');
 
-        this.openaiKeyInput = document.getElementById('openaiKey');
-        this.anthropicKeyInput = document.getElementById('anthropicKey');
-        this.googleKeyInput = document.getElementById('googleKey');
+        this.apiKeyFieldsContainer = document.getElementById('apiKeyFields');
+        this.keyInputs = new Map(); // provider id -> API key input
         this.streamingEnabledCheckbox = document.getElementById('streamingEnabled');
+        this.ollamaEnabledCheckbox = document.getElementById('ollamaEnabled');
+        this.ollamaUrlInput = document.getElementById('ollamaUrl');
 
         this.temperatureInput = document.getElementById('temperatureInput');
         this.temperatureValue = document.getElementById('temperatureValue');
         this.maxTokensInput = document.getElementById('maxTokensInput');
+        this.reasoningEffortInput = document.getElementById('reasoningEffortInput');
+        this.thinkingBudgetInput = document.getElementById('thinkingBudgetInput');
+        this.logprobsEnabledCheckbox = document.getElementById('logprobsEnabled');
+        this.topLogprobsInput = document.getElementById('topLogprobsInput');
+        this.samplesPerModelInput = document.getElementById('samplesPerModelInput');
 
         this.modelCheckboxesContainer = document.getElementById('modelCheckboxes');
+        this.customEndpointsContainer = document.getElementById('customEndpoints');
+        this.addEndpointBtn = document.getElementById('addEndpointBtn');
 
-        this.availableModels = {
-            openai: [],
-            anthropic: [],
-            google: []
-        };
+        // Working copy of OpenAI-compatible endpoints, persisted on save
+        this.customEndpoints = Storage.getCustomEndpoints();
+
+        // Discovered models per registered provider
+        this.availableModels = Object.fromEntries(ProviderRegistry.list().map(({ id }) => [id, []]));
 
         this.init();
     }
@@ -50,54 +58,87 @@ export class SettingsPanel {
             }
         });
 
-        // API key validation on input
-        this.openaiKeyInput.addEventListener('blur', () => this.validateAndFetchModels('openai'));
-        this.anthropicKeyInput.addEventListener('blur', () => this.validateAndFetchModels('anthropic'));
-        this.googleKeyInput.addEventListener('blur', () => this.validateAndFetchModels('google'));
+        // One API key input per registered provider, validated on blur
+        this.renderApiKeyFields();
+
+        this.addEndpointBtn.addEventListener('click', () => this.addCustomEndpoint());
+
+        // Ollama discovery
+        this.ollamaEnabledCheckbox.addEventListener('change', () => this.validateAndFetchOllamaModels());
+        this.ollamaUrlInput.addEventListener('blur', () => this.validateAndFetchOllamaModels());
 
         // Temperature slider update
         this.temperatureInput.addEventListener('input', (e) => {
             this.temperatureValue.textContent = e.target.value;
         });
 
-        // Load API keys from environment and localStorage
-        await this.loadApiKeysFromEnvironment();
+        // Find out which keys the server holds, then load the user's own from localStorage
+        await this.loadServerKeys();
         this.loadSettings();
 
         // Fetch models for any configured API keys
         await this.fetchAllModels();
     }
 
-    async loadApiKeysFromEnvironment() {
+    // The server reports which providers it holds a key for, never the keys; those work without
+    // one here, and a key entered in settings still overrides the server's
+    async loadServerKeys() {
         try {
             const response = await fetch('/api/env');
             if (response.ok) {
-                const envKeys = await response.json();
-
-                // Set keys from environment if not already in localStorage
-                if (envKeys.openai && !Storage.getApiKey('openai')) {
-                    this.openaiKeyInput.value = envKeys.openai;
-                    Storage.setApiKey('openai', envKeys.openai);
-                }
-                if (envKeys.anthropic && !Storage.getApiKey('anthropic')) {
-                    this.anthropicKeyInput.value = envKeys.anthropic;
-                    Storage.setApiKey('anthropic', envKeys.anthropic);
-                }
-                if (envKeys.google && !Storage.getApiKey('google')) {
-                    this.googleKeyInput.value = envKeys.google;
-                    Storage.setApiKey('google', envKeys.google);
-                }
+                const configured = await response.json();
+                ProviderRegistry.setServerKeys(Object.keys(configured).filter(provider => configured[provider] === true));
+
+                this.keyInputs.forEach((input, provider) => {
+                    if (ProviderRegistry.hasServerKey(provider)) {
+                        input.placeholder = 'Set on the server (enter a key to override)';
+                    }
+                });
             }
         } catch (error) {
-            console.log('Could not load environment variables (running without backend?)');
+            console.log('Could not load server key status (running without backend?)');
         }
     }
 
+    renderApiKeyFields() {
+        this.apiKeyFieldsContainer.innerHTML = '';
+        this.keyInputs.clear();
+
+        ProviderRegistry.listKeyed().forEach(({ id, keyField }) => {
+            const group = document.createElement('div');
+            group.className = 'form-group';
+
+            const label = document.createElement('label');
+            label.className = 'form-label';
+            label.htmlFor = `${id}Key`;
+            label.textContent = keyField.label;
+
+            if (keyField.createKeyUrl) {
+                const link = document.createElement('a');
+                link.href = keyField.createKeyUrl;
+                link.target = '_blank';
+                link.rel = 'noopener noreferrer';
+                link.className = 'create-key-link';
+                link.textContent = 'Create Key →';
+                label.append(' ', link);
+            }
+
+            const input = this.createEndpointInput('password', keyField.placeholder || '', '');
+            input.id = `${id}Key`;
+            input.addEventListener('blur', () => this.validateAndFetchModels(id));
+
+            group.appendChild(label);
+            group.appendChild(input);
+            this.apiKeyFieldsContainer.appendChild(group);
+            this.keyInputs.set(id, input);
+        });
+    }
+
     async validateAndFetchModels(provider) {
-        const input = this[`${provider}KeyInput`];
+        const input = this.keyInputs.get(provider);
         const apiKey = input.value.trim();
 
-        if (!apiKey) {
+        if (!apiKey && !ProviderRegistry.hasServerKey(provider)) {
             this.setValidationState(input, null);
             return;
         }
@@ -128,28 +169,135 @@ export class SettingsPanel {
         }
     }
 
+    addCustomEndpoint() {
+        this.customEndpoints.push({
+            id: `ep-${Date.now().toString(36)}`,
+            name: `Endpoint ${this.customEndpoints.length + 1}`,
+            baseUrl: '',
+            apiKey: ''
+        });
+        this.renderCustomEndpoints();
+    }
+
+    removeCustomEndpoint(endpointId) {
+        this.customEndpoints = this.customEndpoints.filter(endpoint => endpoint.id !== endpointId);
+        this.availableModels.custom = this.availableModels.custom.filter(model => model.endpointId !== endpointId);
+        this.renderCustomEndpoints();
+        this.updateModelCheckboxes();
+    }
+
+    renderCustomEndpoints() {
+        this.customEndpointsContainer.innerHTML = '';
+
+        this.customEndpoints.forEach(endpoint => {
+            const row = document.createElement('div');
+            row.className = 'custom-endpoint';
+
+            const header = document.createElement('div');
+            header.className = 'custom-endpoint-header';
+
+            const nameInput = this.createEndpointInput('text', 'Name (e.g. Local vLLM)', endpoint.name);
+            nameInput.addEventListener('input', () => {
+                endpoint.name = nameInput.value.trim();
+            });
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'btn btn-secondary';
+            removeBtn.textContent = 'Remove';
+            removeBtn.addEventListener('click', () => this.removeCustomEndpoint(endpoint.id));
+
+            header.appendChild(nameInput);
+            header.appendChild(removeBtn);
+
+            const urlGroup = document.createElement('div');
+            urlGroup.className = 'form-group';
+            const urlInput = this.createEndpointInput('text', 'http://localhost:8000/v1', endpoint.baseUrl);
+            urlGroup.appendChild(urlInput);
+
+            const keyGroup = document.createElement('div');
+            keyGroup.className = 'form-group';
+            const keyInput = this.createEndpointInput('password', 'API key (optional)', endpoint.apiKey);
+            keyGroup.appendChild(keyInput);
+
+            // Re-discover models whenever the connection details change
+            const refresh = () => {
+                endpoint.baseUrl = urlInput.value.trim();
+                endpoint.apiKey = keyInput.value.trim();
+                this.validateAndFetchCustomModels(endpoint, urlInput);
+            };
+            urlInput.addEventListener('blur', refresh);
+            keyInput.addEventListener('blur', refresh);
+
+            row.appendChild(header);
+            row.appendChild(urlGroup);
+            row.appendChild(keyGroup);
+            this.customEndpointsContainer.appendChild(row);
+        });
+    }
+
+    createEndpointInput(type, placeholder, value) {
+        const input = document.createElement('input');
+        input.type = type;
+        input.className = 'form-input';
+        input.placeholder = placeholder;
+        input.autocomplete = 'off';
+        input.value = value || '';
+        return input;
+    }
+
+    async validateAndFetchCustomModels(endpoint, input = null) {
+        // Drop stale models for this endpoint before re-discovery
+        this.availableModels.custom = this.availableModels.custom.filter(model => model.endpointId !== endpoint.id);
+
+        if (!endpoint.baseUrl) {
+            if (input) this.setValidationState(input, null);
+            this.updateModelCheckboxes();
+            return;
+        }
+
+        if (input) this.setValidationState(input, 'loading');
+
+        const models = await ProviderFactory.listModels('custom', endpoint.apiKey, endpoint);
+        this.availableModels.custom.push(...models);
+
+        if (input) this.setValidationState(input, models.length > 0 ? 'valid' : 'invalid');
+        this.updateModelCheckboxes();
+    }
+
+    async validateAndFetchOllamaModels() {
+        const input = this.ollamaUrlInput;
+
+        if (!this.ollamaEnabledCheckbox.checked) {
+            this.availableModels.ollama = [];
+            this.setValidationState(input, null);
+            this.updateModelCheckboxes();
+            return;
+        }
+
+        this.setValidationState(input, 'loading');
+
+        const models = await ProviderFactory.listModels('ollama', null, { baseUrl: input.value.trim() });
+        this.availableModels.ollama = models;
+
+        this.setValidationState(input, models.length > 0 ? 'valid' : 'invalid');
+        this.updateModelCheckboxes();
+    }
+
     selectDefaultModels(specificProvider = null) {
         let currentSelected = Storage.getEnabledModels() || [];
         // Double check in case we already have selections
         if (currentSelected.length > 0) return;
 
-        const providers = specificProvider ? [specificProvider] : ['openai', 'anthropic', 'google'];
+        const providers = specificProvider ? [specificProvider] : ProviderRegistry.listKeyed().map(({ id }) => id);
         const newSelections = [];
 
-        // Preferred models in priority order
-        const defaults = {
-            openai: ['gpt-4-turbo', 'gpt-4o', 'gpt-4'],
-            anthropic: ['claude-3-5-sonnet-20241022', 'claude-3-opus-20240229'],
-            google: ['gemini-2.5-flash', 'gemini-2.5-pro', 'gemini-2.0-flash', 'gemini-flash-latest']
-        };
-
         providers.forEach(provider => {
             const models = this.availableModels[provider] || [];
             if (models.length === 0) return;
 
-            // Try to find a preferred model
+            // Try to find a preferred model (the provider's defaultModels, in priority order)
             let selected = null;
-            for (const pref of defaults[provider]) {
+            for (const pref of ProviderRegistry.get(provider).defaultModels) {
                 const found = models.find(m => m.id === pref || m.id.includes(pref));
                 if (found) {
                     selected = found.id;
@@ -209,15 +357,14 @@ export class SettingsPanel {
     async fetchAllModels() {
         const apiKeys = Storage.getAllApiKeys();
 
-        const promises = [];
-        if (apiKeys.openai) {
-            promises.push(this.validateAndFetchModels('openai'));
-        }
-        if (apiKeys.anthropic) {
-            promises.push(this.validateAndFetchModels('anthropic'));
-        }
-        if (apiKeys.google) {
-            promises.push(this.validateAndFetchModels('google'));
+        const promises = Object.keys(apiKeys)
+            .filter(provider => apiKeys[provider] || ProviderRegistry.hasServerKey(provider))
+            .map(provider => this.validateAndFetchModels(provider));
+        this.customEndpoints.forEach(endpoint => {
+            promises.push(this.validateAndFetchCustomModels(endpoint));
+        });
+        if (Storage.getOllamaSettings().enabled) {
+            promises.push(this.validateAndFetchOllamaModels());
         }
 
         await Promise.all(promises);
@@ -234,15 +381,10 @@ export class SettingsPanel {
     // Helper to get default selections without side effects
     selectDefaultModelsInternal() {
         const selections = [];
-        const defaults = {
-            openai: ['gpt-4-turbo', 'gpt-4o', 'gpt-4'],
-            anthropic: ['claude-3-5-sonnet-20241022', 'claude-3-opus-20240229'],
-            google: ['gemini-1.5-pro', 'gemini-1.5-flash']
-        };
 
-        ['openai', 'anthropic', 'google'].forEach(p => {
+        ProviderRegistry.listKeyed().forEach(({ id: p, defaultModels }) => {
             const models = this.availableModels[p] || [];
-            for (const pref of defaults[p]) {
+            for (const pref of defaultModels) {
                 const found = models.find(m => m.id === pref || m.id.includes(pref));
                 if (found) {
                     selections.push(found.id);
@@ -269,39 +411,37 @@ export class SettingsPanel {
         const selectedModels = Storage.getEnabledModels() || [];
 
         // Combine all available models
-        const allModels = [
-            ...this.availableModels.openai,
-            ...this.availableModels.anthropic,
-            ...this.availableModels.google
-        ];
+        const allModels = Object.values(this.availableModels).flat();
 
         if (allModels.length === 0) {
             this.modelCheckboxesContainer.innerHTML = '<p class="no-models-message">Enter API keys above to load available models</p>';
             return;
         }
 
-        // Group models by provider
-        const modelsByProvider = {
-            openai: this.availableModels.openai,
-            anthropic: this.availableModels.anthropic,
-            google: this.availableModels.google
-        };
+        // Group models by provider in registration order, with one group per custom endpoint
+        const groups = ProviderRegistry.list().flatMap(({ id, name }) => {
+            if (id !== 'custom') return [[name, this.availableModels[id] || []]];
+            return this.customEndpoints.map(endpoint => [
+                endpoint.name || endpoint.baseUrl,
+                this.availableModels.custom.filter(model => model.endpointId === endpoint.id)
+            ]);
+        });
 
         // Create checkboxes grouped by provider
-        Object.entries(modelsByProvider).forEach(([provider, models]) => {
+        groups.forEach(([groupName, models]) => {
             if (models.length === 0) return;
 
             // Provider header
             const header = document.createElement('h4');
             header.className = 'provider-header';
-            header.textContent = provider.charAt(0).toUpperCase() + provider.slice(1);
+            header.textContent = groupName;
             this.modelCheckboxesContainer.appendChild(header);
 
             // Model checkboxes
             models.forEach(model => {
                 const label = document.createElement('label');
                 label.className = 'checkbox-label';
-                label.title = `Context: ${model.contextWindow.toLocaleString()} tokens`;
+                label.title = this.describeModel(model);
 
                 const checkbox = document.createElement('input');
                 checkbox.type = 'checkbox';
@@ -311,7 +451,7 @@ export class SettingsPanel {
 
                 const nameSpan = document.createElement('span');
                 nameSpan.className = 'model-name';
-                nameSpan.textContent = getDisplayName(model.id);
+                nameSpan.textContent = ProviderRegistry.formatModelName(model);
 
                 const contextSpan = document.createElement('span');
                 contextSpan.className = 'model-context';
@@ -319,46 +459,94 @@ export class SettingsPanel {
 
                 label.appendChild(checkbox);
                 label.appendChild(nameSpan);
+                if (model.deprecationDate) {
+                    const deprecatedSpan = document.createElement('span');
+                    deprecatedSpan.className = 'model-deprecated';
+                    deprecatedSpan.textContent = 'deprecated';
+                    label.appendChild(deprecatedSpan);
+                }
                 label.appendChild(contextSpan);
                 this.modelCheckboxesContainer.appendChild(label);
             });
         });
     }
 
+    // Tooltip with whatever the model catalog knows (providers listing themselves only give the context)
+    describeModel(model) {
+        const lines = [`Context: ${model.contextWindow.toLocaleString()} tokens`];
+        if (model.maxOutputTokens) lines.push(`Max output: ${model.maxOutputTokens.toLocaleString()} tokens`);
+        if (model.modalities) lines.push(`Input: ${model.modalities.input.join(', ')}`);
+        if (model.supportsTools !== undefined && model.supportsTools !== null) {
+            lines.push(`Tools: ${model.supportsTools ? 'yes' : 'no'}`);
+        }
+        if (model.pricing) {
+            // Catalog prices are per 1K tokens
+            const perMillion = (price) => `$${(price * 1000).toFixed(2)}`;
+            lines.push(`Price: ${perMillion(model.pricing.input)} in / ${perMillion(model.pricing.output)} out per 1M tokens`);
+        }
+        if (model.deprecationDate) lines.push(`Deprecated: ${model.deprecationDate}`);
+        return lines.join('\n');
+    }
+
     loadSettings() {
         // Load API keys
-        const apiKeys = Storage.getAllApiKeys();
-        if (apiKeys.openai) this.openaiKeyInput.value = apiKeys.openai;
-        if (apiKeys.anthropic) this.anthropicKeyInput.value = apiKeys.anthropic;
-        if (apiKeys.google) this.googleKeyInput.value = apiKeys.google;
+        this.keyInputs.forEach((input, provider) => {
+            const apiKey = Storage.getApiKey(provider);
+            if (apiKey) input.value = apiKey;
+        });
+
+        // Load custom endpoints
+        this.customEndpoints = Storage.getCustomEndpoints();
+        this.renderCustomEndpoints();
+
+        // Load Ollama settings
+        const ollamaSettings = Storage.getOllamaSettings();
+        this.ollamaEnabledCheckbox.checked = ollamaSettings.enabled;
+        this.ollamaUrlInput.value = ollamaSettings.baseUrl;
 
         // Load streaming preference
         this.streamingEnabledCheckbox.checked = Storage.getStreamingEnabled();
+        this.samplesPerModelInput.value = Storage.getSamplesPerModel();
 
         // Load model parameters
         const params = Storage.getModelParams();
         this.temperatureInput.value = params.temperature;
         this.temperatureValue.textContent = params.temperature;
         this.maxTokensInput.value = params.maxTokens;
+        this.reasoningEffortInput.value = params.reasoningEffort || '';
+        this.thinkingBudgetInput.value = params.thinkingBudget || '';
+        this.logprobsEnabledCheckbox.checked = params.logprobs;
+        this.topLogprobsInput.value = params.topLogprobs;
     }
 
     save() {
         // Save API keys
-        const openaiKey = this.openaiKeyInput.value.trim();
-        const anthropicKey = this.anthropicKeyInput.value.trim();
-        const googleKey = this.googleKeyInput.value.trim();
+        this.keyInputs.forEach((input, provider) => {
+            const apiKey = input.value.trim();
+            if (apiKey) Storage.setApiKey(provider, apiKey);
+        });
+
+        // Save custom endpoints (only those with a base URL)
+        Storage.setCustomEndpoints(this.customEndpoints.filter(endpoint => endpoint.baseUrl));
 
-        if (openaiKey) Storage.setApiKey('openai', openaiKey);
-        if (anthropicKey) Storage.setApiKey('anthropic', anthropicKey);
-        if (googleKey) Storage.setApiKey('google', googleKey);
+        // Save Ollama settings
+        Storage.setOllamaSettings({
+            enabled: this.ollamaEnabledCheckbox.checked,
+            baseUrl: this.ollamaUrlInput.value.trim()
+        });
 
         // Save streaming preference
         Storage.setStreamingEnabled(this.streamingEnabledCheckbox.checked);
+        Storage.setSamplesPerModel(parseInt(this.samplesPerModelInput.value) || 1);
 
         // Save model parameters
         Storage.setModelParams({
             temperature: parseFloat(this.temperatureInput.value),
-            maxTokens: parseInt(this.maxTokensInput.value)
+            maxTokens: parseInt(this.maxTokensInput.value),
+            reasoningEffort: this.reasoningEffortInput.value,
+            thinkingBudget: parseInt(this.thinkingBudgetInput.value) || null,
+            logprobs: this.logprobsEnabledCheckbox.checked,
+            topLogprobs: parseInt(this.topLogprobsInput.value) || 0
         });
 
         // Save enabled models
@@ -5,7 +5,9 @@
 export const API_ENDPOINTS = {
   openai: '/api/proxy/openai',
   anthropic: '/api/proxy/anthropic',
-  google: '/api/proxy/google'
+  google: '/api/proxy/google',
+  custom: '/api/proxy/custom', // OpenAI-compatible servers; target base URL travels in the x-base-url header
+  ollama: '/api/proxy/ollama'
 };
 
 // Pricing fallbacks for known models (per 1K tokens)
@@ -37,8 +39,18 @@ export const PRICING_FALLBACKS = {
   'gemini-pro-latest': { input: 0.0005, output: 0.0015 }
 };
 
+// Prompt caching prices as multiples of the input price, used when the pricing source lists none
+// Anthropic charges extra to write its 5-minute cache; OpenAI and Gemini cache automatically
+// and only discount the tokens read back
+export const CACHE_PRICE_RATES = {
+  anthropic: { write: 1.25, read: 0.1 },
+  openai: { write: 1, read: 0.5 },
+  google: { write: 1, read: 0.25 }
+};
+
 // Import the pricing service for dynamic pricing
 import { pricingService } from '../api/pricing-service.js';
+import { ProviderRegistry } from '../api/provider-registry.js';
 
 // Get pricing information for a model (async version with OpenRouter API)
 // Returns pricing from OpenRouter API with fallback to hardcoded values
@@ -61,36 +73,55 @@ export function getModelPricing(modelId) {
     return PRICING_FALLBACKS[modelId];
   }
 
-  // Check for partial matches (e.g., "gpt-4-turbo-2024-04-09" matches "gpt-4-turbo")
-  for (const [key, pricing] of Object.entries(PRICING_FALLBACKS)) {
-    if (modelId.startsWith(key)) {
-      return pricing;
-    }
-  }
+  // Check for partial matches (e.g., "gpt-4-turbo-2024-04-09" matches "gpt-4-turbo"), longest first
+  // and on whole ID segments, so "gpt-4o" and "gpt-4.1" don't get "gpt-4" prices
+  const key = Object.keys(PRICING_FALLBACKS)
+    .filter(candidate => modelId.startsWith(`${candidate}-`))
+    .sort((a, b) => b.length - a.length)[0];
 
-  return null;
+  return key ? PRICING_FALLBACKS[key] : null;
 }
 
 // Streaming configuration
 export const STREAMING_CONFIG = {
   enabled: true, // Can be toggled by user
   chunkDelay: 0, // No artificial delay
-  maxRetries: 3,
-  retryDelay: 1000,
-  timeout: 60000 // 60 seconds timeout for streaming connections
+  maxRetries: 3,          // Automatic retries for transient failures (see api/retry.js)
+  retryDelay: 1000,       // Base backoff, doubled per attempt with jitter
+  maxRetryDelay: 30000    // Give up instead of waiting longer than this between attempts
 };
 
 // Timeout settings (in milliseconds)
+// Enforced per phase by RequestTimer (api/request-timer.js) in the browser providers and the server proxy
 export const TIMEOUT_CONFIG = {
-  streaming: 60000,      // 60 seconds for streaming requests
-  nonStreaming: 30000,   // 30 seconds for non-streaming requests
-  connection: 10000      // 10 seconds for initial connection
+  connection: 10000,     // 10 seconds for response headers on streaming requests
+  firstToken: 60000,     // 60 seconds from headers to the first streamed token
+  idle: 30000,           // 30 seconds of silence between streamed chunks
+  nonStreaming: 30000    // 30 seconds for a whole non-streaming request
+};
+
+// Batch runs (api/batch-runner.js), submitted through the providers' batch APIs
+export const BATCH_CONFIG = {
+  priceRate: 0.5,        // OpenAI and Anthropic bill batch requests at half the regular price
+  pollInterval: 30000,   // 30 seconds between status checks while a batch is running
+  maxRequests: 10000     // Prompts x models per provider in one batch
+};
+
+// Repeated sampling (api/sampling.js): the same prompt sent to each model several times
+export const SAMPLING_CONFIG = {
+  maxSamples: 10         // Samples per model per prompt
+};
+
+// Token log probabilities, for providers that return them (OpenAI, Gemini)
+export const LOGPROBS_CONFIG = {
+  defaultTopLogprobs: 5, // Alternatives per token shown on hover
+  maxTopLogprobs: 20     // Highest count OpenAI and Gemini accept
 };
 
 // Model capability detection
 export function isModelChatCapable(modelId, capabilities = []) {
-  // OpenAI models
-  if (modelId.includes('gpt-4') || modelId.includes('gpt-3.5')) {
+  // OpenAI models, including the o-series reasoning models
+  if (/gpt-(3\.5|4|5)|^o\d/.test(modelId)) {
     return true;
   }
 
@@ -112,6 +143,46 @@ export function isModelChatCapable(modelId, capabilities = []) {
   return false;
 }
 
+// Image input support, for chat models only
+// Listed capabilities win (Ollama reports vision models); otherwise match known vision families
+const VISION_MODEL_PATTERNS = [
+  /gpt-4o/, /gpt-4\.1/, /gpt-4-turbo(?!-preview)/, /gpt-4-vision/, /gpt-5/,
+  /claude-3/, /claude-(opus|sonnet|haiku)-4/,
+  /gemini-(1\.5|2|3)/, /gemini-exp/
+];
+
+export function isModelVisionCapable(modelId, capabilities = []) {
+  if (capabilities.includes('vision')) {
+    return true;
+  }
+
+  if (!isModelChatCapable(modelId, capabilities)) {
+    return false;
+  }
+
+  return VISION_MODEL_PATTERNS.some(pattern => pattern.test(modelId));
+}
+
+// Models that think before answering and accept a reasoning effort or thinking budget
+// (Ollama names cover the common local thinking families)
+const REASONING_MODEL_PATTERNS = [
+  /^o\d/, /^gpt-5/,
+  /claude-3-7/, /claude-(opus|sonnet|haiku)-4/,
+  /gemini-(2\.5|3)/, /gemini-.*thinking/,
+  /deepseek-r1/, /qwen3/, /gpt-oss/, /magistral/
+];
+
+export function isModelReasoningCapable(modelId) {
+  return REASONING_MODEL_PATTERNS.some(pattern => pattern.test(modelId));
+}
+
+// Thinking budgets (tokens) for each reasoning effort, for providers that take a budget
+export const REASONING_BUDGETS = {
+  low: 1024,
+  medium: 4096,
+  high: 16384
+};
+
 // Extract display name from model ID
 export function getDisplayName(modelId) {
   // Remove version suffixes and format nicely
@@ -127,12 +198,9 @@ export function getDisplayName(modelId) {
   return name;
 }
 
-// Provider detection from model ID
+// Provider detection from model ID, using each registered provider's modelPattern
 export function getProviderFromModelId(modelId) {
-  if (modelId.startsWith('gpt-')) return 'openai';
-  if (modelId.startsWith('claude-')) return 'anthropic';
-  if (modelId.startsWith('gemini-')) return 'google';
-  return 'unknown';
+  return ProviderRegistry.getProviderFromModelId(modelId);
 }
 
 // Default parameters for requests
@@ -142,3 +210,14 @@ export const DEFAULT_PARAMS = {
   stream: true
 };
 
+// Optional sampling parameters (per-model overrides), keyed by request option name
+// Each provider maps the ones it supports to its native names and drops the rest
+export const SAMPLING_PARAMS = {
+  topP: 'top_p',
+  topK: 'top_k',
+  stopSequences: 'stop sequences',
+  presencePenalty: 'presence penalty',
+  frequencyPenalty: 'frequency penalty',
+  seed: 'seed'
+};
+
@@ -0,0 +1,5 @@
+// Provider modules, loaded by the browser app and the server alike
+// Built-in providers register themselves in api/providers.js. To add another (for example
+// an internal gateway), write a module that calls ProviderRegistry.register() - see
+// api/provider-registry.js for the definition fields - and import it below.
+import '../api/providers.js';
@@ -63,6 +63,11 @@ class QAContext {
         };
     }
 
+    // Servers with authentication on accept a bearer token from AUTH_TOKENS
+    getAuthHeaders() {
+        return process.env.QA_AUTH_TOKEN ? { 'Authorization': `Bearer ${process.env.QA_AUTH_TOKEN}` } : {};
+    }
+
     getApiKey(provider) {
         if (provider === 'google') return this.keys.google;
         return this.keys[provider];
@@ -4,7 +4,7 @@ import { context } from '../context.js';
 
 export const discover_provider_models = {
     name: 'discover_provider_models',
-    description: 'Discover available models for a specific AI provider via the backend proxy.',
+    description: 'Discover available models for a specific AI provider via the backend model catalog.',
     inputSchema: z.object({
         provider: z.enum(['openai', 'anthropic', 'google']).describe('The AI provider to query')
     }),
@@ -25,13 +25,14 @@ export const discover_provider_models = {
         }
 
         try {
-            const url = `${context.baseUrl}/api/proxy/${args.provider}/models`;
+            const url = `${context.baseUrl}/api/models/${args.provider}`;
             console.log(`[Discovery] Fetching ${url}`);
 
             const response = await fetch(url, {
                 method: 'GET',
                 headers: {
-                    'x-api-key': apiKey
+                    'x-api-key': apiKey,
+                    ...context.getAuthHeaders()
                 }
             });
 
@@ -39,14 +40,8 @@ export const discover_provider_models = {
                 throw new Error(`HTTP ${response.status} ${response.statusText}`);
             }
 
-            const data = await response.json();
-
-            // Normalize specific provider formats just for display/count
-            let count = 0;
-            if (args.provider === 'openai') count = data.data?.length;
-            if (args.provider === 'google') count = data.models?.length || data.length; // Google proxy might already reshape? No, it returns raw.
-            // Wait, server.js Google proxy returns `response.json()` which is `{ models: [] }` usually.
-            if (args.provider === 'anthropic') count = data.data?.length || data.length;
+            // Catalog entries share one shape across providers (see api/model-catalog.js)
+            const { models = [] } = await response.json();
 
             return {
                 content: [
@@ -55,8 +50,9 @@ export const discover_provider_models = {
                         text: JSON.stringify({
                             provider: args.provider,
                             status: 'success',
-                            model_count: count,
-                            raw_response_snippet: data
+                            model_count: models.length,
+                            models: models.map(({ id, name, contextWindow, maxOutputTokens, capabilities, deprecationDate }) =>
+                                ({ id, name, contextWindow, maxOutputTokens, capabilities, deprecationDate }))
                         }, null, 2)
                     }
                 ]
@@ -32,8 +32,8 @@ export const validate_model_response = {
             if (!modelId) {
                 const disc = await discover_provider_models.handler({ provider: 'google' });
                 const discData = JSON.parse(disc.content[0].text);
-                if (discData.status === 'success' && discData.raw_response_snippet?.models?.length > 0) {
-                    modelId = discData.raw_response_snippet.models[0].name.replace('models/', '');
+                if (discData.status === 'success' && discData.models?.length > 0) {
+                    modelId = discData.models[0].id;
                 } else {
                     modelId = 'gemini-2.5-flash'; // Fallback of last resort
                 }
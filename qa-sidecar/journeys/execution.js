@@ -1,6 +1,7 @@
 
 import { z } from 'zod';
 import { context } from '../context.js';
+import { createStreamParser, readStream } from '../../api/stream-parser.js';
 
 export const run_comparison_test = {
     name: 'run_comparison_test',
@@ -58,22 +59,22 @@ export function detectProvider(modelId) {
     return null;
 }
 
-// Helper to parse SSE data
-function parseSEEChunk(chunk) {
-    const lines = chunk.split('\n');
-    const results = [];
-    for (const line of lines) {
-        if (line.startsWith('data: ')) {
-            const data = line.slice(6);
-            if (data === '[DONE]') continue;
-            try {
-                results.push(JSON.parse(data));
-            } catch (e) {
-                // ignore parse errors for partial chunks
-            }
+// Text carried by one streamed item: an SSE event, or an element of Google's JSON array
+function extractStreamText(provider, item) {
+    let json = item;
+    if (typeof item.data === 'string') {
+        if (item.data === '[DONE]') return '';
+        try {
+            json = JSON.parse(item.data);
+        } catch (e) {
+            return '';
         }
     }
-    return results;
+
+    if (provider === 'openai') return json.choices?.[0]?.delta?.content || '';
+    if (provider === 'anthropic') return json.type === 'content_block_delta' ? (json.delta?.text || '') : '';
+    if (provider === 'google') return (json.candidates?.[0]?.content?.parts || []).map(part => part.text || '').join('');
+    return '';
 }
 
 export async function callProvider(provider, modelId, prompt, maxTokens, stream = false) {
@@ -115,7 +116,8 @@ export async function callProvider(provider, modelId, prompt, maxTokens, stream
         method: 'POST',
         headers: {
             'Content-Type': 'application/json',
-            'x-api-key': apiKey
+            'x-api-key': apiKey,
+            ...context.getAuthHeaders()
         },
         body: JSON.stringify(body)
     });
@@ -130,68 +132,15 @@ export async function callProvider(provider, modelId, prompt, maxTokens, stream
     let timeToFirstToken = null;
 
     if (stream) {
-        // Basic SSE consumer for Node.js fetch (async iterator on body)
-        // Note: This requires Node 18+ web streams or node-fetch compatible stream
-        const reader = response.body.getReader ? response.body.getReader() : null;
-
-        if (!reader && response.body[Symbol.asyncIterator]) {
-            // Node.js native fetch body is async iterable
-            for await (const chunk of response.body) {
-                const decoded = new TextDecoder().decode(chunk);
-                if (!timeToFirstToken) timeToFirstToken = performance.now() - startTime;
-
-                // Very rough parsing just to verify content flow
-                // Real apps need a robust parser (eventsource-parser), but here we just accumulating text
-                // to prove we got something.
-                // We won't reconstruct perfectly due to chunk boundaries splitting JSON, 
-                // but we can check if we got *some* data.
-                if (provider === 'google') {
-                    // Google sends valid JSON array chunks usually, or SSE?
-                    // The proxy pipes it. Let's assume it's roughly readable.
-                    text += decoded;
-                } else {
-                    // OpenAI/Anthropic send "data: {...}"
-                    const lines = decoded.split('\n');
-                    for (const line of lines) {
-                        if (line.startsWith('data: ') && line !== 'data: [DONE]') {
-                            try {
-                                const json = JSON.parse(line.slice(6));
-                                if (provider === 'openai') text += (json.choices?.[0]?.delta?.content || '');
-                                if (provider === 'anthropic' && json.type === 'content_block_delta') text += (json.delta?.text || '');
-                                // Note: Anthropic SSE format is complex (events), this is simplified check.
-                            } catch (e) { }
-                        }
-                    }
-                }
-            }
-        } else if (response.body && response.body.on) {
-            // Node.js Readable stream (older node or node-fetch)
-            await new Promise((resolve, reject) => {
-                response.body.on('data', chunk => {
-                    if (!timeToFirstToken) timeToFirstToken = performance.now() - startTime;
-                    const decoded = new TextDecoder().decode(chunk);
-
-                    if (provider === 'google') {
-                        text += decoded;
-                    } else {
-                        const lines = decoded.split('\n');
-                        for (const line of lines) {
-                            if (line.startsWith('data: ') && line !== 'data: [DONE]') {
-                                try {
-                                    const json = JSON.parse(line.slice(6));
-                                    if (provider === 'openai') text += (json.choices?.[0]?.delta?.content || '');
-                                    if (provider === 'anthropic' && json.type === 'content_block_delta') text += (json.delta?.text || '');
-                                } catch (e) { }
-                            }
-                        }
-                    }
-                });
-                response.body.on('end', resolve);
-                response.body.on('error', reject);
-            });
-        } else {
-            // Fallback
-            text = "(Stream consumed but body iteration not supported in this JS env: type=" + (response.body?.constructor?.name) + ")";
+        // The proxy passes each provider's stream through untouched: SSE for OpenAI and
+        // Anthropic, a JSON array for Google (no alt=sse), so pick the parser by Content-Type
+        const parser = createStreamParser(response.headers.get('content-type') || '');
+        const onBytes = () => {
+            if (!timeToFirstToken) timeToFirstToken = performance.now() - startTime;
+        };
+
+        for await (const item of readStream(response.body, parser, onBytes)) {
+            text += extractStreamText(provider, item);
         }
     } else {
         const data = await response.json();
@@ -79,21 +79,10 @@ async function runValidationChain() {
             let modelCount = discData.model_count;
             let firstModelId = null;
 
-            const raw = discData.raw_response_snippet;
-
-            if (provider === 'google' && raw.models && raw.models.length > 0) {
-                // Google returns "models/name", strip prefix
-                firstModelId = raw.models[0].name.replace('models/', '');
-                // Try to find flash if possible
-                const flash = raw.models.find(m => m.name.includes('flash'));
-                if (flash) firstModelId = flash.name.replace('models/', '');
-            } else if (provider === 'openai' && raw.data && raw.data.length > 0) {
-                firstModelId = raw.data[0].id;
-                const turbo = raw.data.find(m => m.id.includes('gpt-3.5'));
-                if (turbo) firstModelId = turbo.id;
-            } else if (provider === 'anthropic' && Array.isArray(raw)) {
-                if (raw.length > 0) firstModelId = raw[0].id;
-            }
+            // Catalog entries, newest first; prefer a cheap, fast model for the functional checks
+            const models = discData.models || [];
+            const preferred = { google: 'flash', openai: 'mini', anthropic: 'haiku' }[provider];
+            firstModelId = (models.find(m => m.id.includes(preferred)) || models[0])?.id || null;
 
             if (firstModelId) discoveredModels[provider] = firstModelId;
             console.log(`✅ Success! Found ${modelCount || '?'} models. (Sample: ${firstModelId})`);
@@ -0,0 +1,57 @@
+// Print a password hash for AUTH_USERS_FILE (see utils/auth.js)
+// Usage: node scripts/hash-password.js <username>
+// The password is read from stdin, typed without echo at a terminal or piped in (first line), so
+// it stays out of the shell history and the process list
+import { hashPassword } from '../utils/auth.js';
+
+function readPassword() {
+    const { stdin } = process;
+    stdin.setEncoding('utf8');
+
+    if (!stdin.isTTY) {
+        return new Promise((resolve, reject) => {
+            let input = '';
+            stdin.on('data', chunk => { input += chunk; });
+            stdin.on('end', () => resolve(input.split(/\r?\n/)[0]));
+            stdin.on('error', reject);
+        });
+    }
+
+    process.stderr.write('Password: ');
+    stdin.setRawMode(true);
+    return new Promise(resolve => {
+        let password = '';
+        const onData = (chunk) => {
+            for (const char of chunk) {
+                if (char === '\u0003') { // Ctrl+C
+                    process.stderr.write('\n');
+                    process.exit(130);
+                }
+                if (char === '\r' || char === '\n') {
+                    stdin.setRawMode(false);
+                    stdin.off('data', onData);
+                    stdin.pause();
+                    process.stderr.write('\n');
+                    resolve(password);
+                    return;
+                }
+                password = char === '\u007f' || char === '\b' ? password.slice(0, -1) : password + char;
+            }
+        };
+        stdin.on('data', onData);
+    });
+}
+
+const [username, extra] = process.argv.slice(2);
+if (!username || extra !== undefined) {
+    console.error('Usage: node scripts/hash-password.js <username>  (the password is read from stdin)');
+    process.exit(1);
+}
+
+const password = await readPassword();
+if (!password) {
+    console.error('No password given');
+    process.exit(1);
+}
+
+console.log(JSON.stringify({ username, passwordHash: hashPassword(password) }, null, 2));
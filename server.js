@@ -3,7 +3,24 @@ import cors from 'cors';
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { readFile } from 'fs/promises';
 import { Logger } from './utils/logger.js';
+import { RequestTimer } from './api/request-timer.js';
+import { RATE_LIMIT_HEADER_PATTERN } from './api/retry.js';
+import { ProviderRegistry } from './api/provider-registry.js';
+import { ModelCatalog } from './api/model-catalog.js';
+import { CompareRunner } from './api/compare-runner.js';
+import { Auth, LoginThrottle } from './utils/auth.js';
+import { UsageLimits } from './utils/usage-limits.js';
+import { UsageMeter } from './api/usage-meter.js';
+import { batchRequestsError } from './api/batch-api.js';
+import { AuditLog, requestParams } from './utils/audit-log.js';
+import { BatchOwners } from './utils/batch-owners.js';
+import { pricingService } from './api/pricing-service.js';
+import { checkTarget, fetchPinned, parseAllowedHosts } from './utils/target-policy.js';
+import { isInsideDir, isPublicAsset } from './utils/static-files.js';
+import { BATCH_CONFIG } from './config/models.js';
+import './config/providers.js';
 
 dotenv.config();
 
@@ -11,262 +28,698 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 3000;
+// Proxy deadlines are TIMEOUT_CONFIG plus this grace, so the browser (which knows the phase) normally reports first
+const PROXY_TIMEOUT_GRACE_MS = parseInt(process.env.PROXY_TIMEOUT_GRACE_MS || '5000', 10);
+const MODEL_METADATA_FILE = process.env.MODEL_METADATA_FILE || join(__dirname, 'config', 'model-metadata.json');
 
 app.use(cors());
-app.use(express.json());
-app.use(express.static(__dirname));
+// Image attachments travel as base64 in the request body (up to 5MB each before encoding)
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '25mb' }));
+// Only frontend files (utils/static-files.js); the rest of the app directory is not served
+const serveStatic = express.static(__dirname, { index: false });
+app.use((req, res, next) => isPublicAsset(req.path) ? serveStatic(req, res, next) : next());
+
+// Files holding password hashes, quotas or usage must not sit among the app's own files
+const DATA_FILE_SETTINGS = ['AUTH_USERS_FILE', 'LIMITS_FILE', 'AUDIT_LOG_FILE', 'BATCH_OWNERS_FILE'];
+for (const setting of DATA_FILE_SETTINGS) {
+    const path = process.env[setting];
+    if (path && path !== 'off' && isInsideDir(__dirname, path)) {
+        throw new Error(`${setting} (${path}) is inside the app directory ${__dirname}; move it elsewhere`);
+    }
+}
 
-app.get('/api/env', (req, res) => {
-    Logger.info('API', 'Fetching environment config');
-    res.json({
-        openai: process.env.OPENAI_API_KEY || null,
-        anthropic: process.env.ANTHROPIC_API_KEY || null,
-        google: process.env.INFERENCE_TOKEN || null
-    });
+// Authentication (utils/auth.js): off unless AUTH_USERS_FILE or AUTH_TOKENS is set
+const auth = Auth.fromEnv();
+const PUBLIC_API_PATHS = new Set(['/health', '/auth/session', '/auth/login', '/auth/logout']);
+const requireUser = auth.middleware();
+// Failed sign-ins back off per client and per username (utils/auth.js)
+const loginThrottle = new LoginThrottle();
+
+// Every other API route needs a signed-in user; req.user names who made the request
+app.use('/api', (req, res, next) => PUBLIC_API_PATHS.has(req.path) ? next() : requireUser(req, res, next));
+
+// Whether sign-in is needed, how, and who is signed in (null when nobody)
+app.get('/api/auth/session', (req, res) => {
+    res.json({ enabled: auth.enabled, passwordLogin: auth.supportsLogin, user: auth.identify(req) });
 });
 
-// OpenAI proxy - GET for listing models
-app.get('/api/proxy/openai/models', async (req, res) => {
-    const apiKey = req.headers['x-api-key'];
-    if (!apiKey) return res.status(401).json({ error: { message: 'API key required' } });
+app.post('/api/auth/login', (req, res) => {
+    const { username, password } = req.body || {};
+    if (!auth.supportsLogin) {
+        return res.status(400).json({ error: { message: 'Password sign-in is not configured on this server' } });
+    }
+    if (typeof username !== 'string' || typeof password !== 'string') {
+        return res.status(400).json({ error: { message: 'username and password are required' } });
+    }
 
-    try {
-        const response = await fetch('https://api.openai.com/v1/models', {
-            method: 'GET',
-            headers: { 'Authorization': `Bearer ${apiKey}` }
-        });
+    const throttleKeys = [`ip:${req.ip}`, `user:${username}`];
+    const retryAfterMs = loginThrottle.retryAfter(throttleKeys);
+    if (retryAfterMs > 0) {
+        const seconds = Math.ceil(retryAfterMs / 1000);
+        Logger.warn('AUTH', `Throttled sign-in for ${username}`, { ip: req.ip, retryAfterMs });
+        res.setHeader('Retry-After', seconds);
+        return res.status(429).json({ error: { message: `Too many failed sign-ins; try again in ${seconds} second${seconds !== 1 ? 's' : ''}`, type: 'auth' } });
+    }
 
-        const data = await response.json();
-        res.status(response.status).json(data);
-    } catch (error) {
-        res.status(500).json({ error: { message: error.message } });
+    const user = auth.login(username, password);
+    if (!user) {
+        loginThrottle.fail(throttleKeys);
+        Logger.warn('AUTH', `Failed sign-in for ${username}`, { ip: req.ip });
+        return res.status(401).json({ error: { message: 'Invalid username or password', type: 'auth' } });
     }
+
+    loginThrottle.succeed([`user:${username}`]); // The client's own failures still count
+    auth.startSession(res, user);
+    Logger.info('AUTH', `${user.id} signed in`, { ip: req.ip });
+    res.json({ user });
 });
 
-// OpenAI proxy - POST for chat completions
-app.post('/api/proxy/openai/*', async (req, res) => {
-    const path = req.params[0];
-    const apiKey = req.headers['x-api-key'];
-    if (!apiKey) return res.status(401).json({ error: { message: 'API key required' } });
+app.post('/api/auth/logout', (req, res) => {
+    auth.endSession(req, res);
+    res.json({ ok: true });
+});
+
+// Per-user and per-provider rate limits and spend quotas for proxied model calls (LIMITS_FILE)
+const limits = UsageLimits.fromEnv();
+
+// 429 for a request over one of our own limits; type usage_limit tells ErrorHandler it is not the provider's
+function respondOverLimit(req, res, exceeded) {
+    Logger.warn('LIMITS', exceeded.message, { user: req.user.id, limit: exceeded.limit, resetAt: exceeded.resetAt });
+    res.setHeader('Retry-After', Math.ceil(exceeded.retryAfterMs / 1000));
+    res.status(429).json({
+        error: { message: exceeded.message, type: 'usage_limit', scope: exceeded.scope, limit: exceeded.limit, resetAt: exceeded.resetAt }
+    });
+}
+
+// JSONL record of every proxied model call (AUDIT_LOG_* settings, see utils/audit-log.js)
+const auditLog = AuditLog.fromEnv();
+
+// Price a finished call from the usage it reported; counted calls add it to their user's and
+// provider's quotas. An answered call that reported none is charged an estimate from its request
+// body (see UsageMeter.estimateUnreported). Returns the cost, or null when unknown
+async function settleUsage(req, definition, meter, counted, answered) {
+    meter.finish();
+    if (!meter.reported && answered) {
+        meter.estimateUnreported(req.body);
+        Logger.warn('LIMITS', `${definition.name} reported no usage for ${meter.model || definition.id}; charged an estimate`, { user: req.user.id, usage: meter.usage });
+    }
+    if (!meter.reported) return null;
 
-    // DEBUG: Log full request
-    if (process.env.DEBUG) {
-        Logger.info('DEBUG', `OpenAI Request: ${path}`, { body: req.body });
+    const cost = await priceUsage(req, meter);
+    if (counted) {
+        limits.record(req.user.id, definition.id, { tokens: meter.totalTokens, dollars: quotaCost(req, definition, meter, cost) });
     }
+    return cost;
+}
 
+async function priceUsage(req, meter) {
     try {
-        const url = `https://api.openai.com/v1/${path}`;
-        const response = await fetch(url, {
-            method: req.method,
-            headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${apiKey}` },
-            body: req.method !== 'GET' ? JSON.stringify(req.body) : undefined
+        return await meter.cost();
+    } catch (error) {
+        Logger.error('LIMITS', `Could not price ${meter.model}`, error, { user: req.user.id });
+        return null;
+    }
+}
+
+// Dollars a call counts against quotas: its cost, or at unknownModelPricing when it has none
+function quotaCost(req, definition, meter, cost) {
+    if (cost !== null) return cost;
+
+    const dollars = meter.costAt(limits.unknownModelPricing);
+    Logger.warn('LIMITS', `No price for ${meter.model || definition.id}; counted against dollar quotas at the unknown-model rate`, { user: req.user.id, dollars });
+    return dollars;
+}
+
+// Batches count as one request each when created, and their estimated spend is held against
+// the quotas until their results are first collected and counted instead
+const batchReservations = new Map(); // "openai:batch_abc" -> { userId, tokens, dollars, periods }
+const settledBatches = new Set();
+
+// Usage, tokens and cost at the batch price over a batch's meters (see UsageMeter.forBatchResults);
+// counted ones also get the dollars they count against quotas
+async function priceBatch(req, definition, meters, counted) {
+    const priced = { usage: null, tokens: 0, cost: null, quotaDollars: 0 };
+    for (const meter of meters) {
+        const fullCost = await priceUsage(req, meter);
+        const cost = fullCost === null ? null : fullCost * BATCH_CONFIG.priceRate;
+        priced.usage ||= { inputTokens: 0, outputTokens: 0, cacheWriteTokens: 0, cacheReadTokens: 0 };
+        Object.keys(priced.usage).forEach(field => {
+            priced.usage[field] += meter.usage[field];
         });
+        priced.tokens += meter.totalTokens;
+        if (cost !== null) priced.cost = (priced.cost ?? 0) + cost;
+        if (counted) priced.quotaDollars += quotaCost(req, definition, meter, cost);
+    }
+    return priced;
+}
 
-        if (req.body?.stream) {
-            res.setHeader('Content-Type', 'text/event-stream');
-            res.setHeader('Cache-Control', 'no-cache');
-            res.setHeader('Connection', 'keep-alive');
-            const reader = response.body.getReader();
-            const decoder = new TextDecoder();
-            let streamedData = '';
-            while (true) {
-                const { done, value } = await reader.read();
-                if (done) break;
-                const chunk = decoder.decode(value, { stream: true });
-                streamedData += chunk;
-                res.write(chunk);
-            }
-            res.end();
-            // DEBUG: Log streamed response
-            if (process.env.DEBUG) {
-                Logger.info('DEBUG', `OpenAI Streamed Response: ${path}`, {
-                    status: response.status,
-                    dataLength: streamedData.length
-                });
-            }
-        } else {
-            const data = await response.json();
-            // DEBUG: Log full response
-            if (process.env.DEBUG) {
-                Logger.info('DEBUG', `OpenAI Response: ${path}`, {
-                    status: response.status,
-                    data: data
-                });
-            }
-            res.status(response.status).json(data);
-        }
+// Check a batch submission against the caller's limits with an estimate of its spend, and hold
+// that estimate against the quotas (req.batchEstimate) while the batch runs; it is given back
+// if no batch gets created (req.batchId)
+async function admitBatch(req, res, next) {
+    const definition = ProviderRegistry.get(req.params.provider);
+    if (!definition?.batch) return next();
+
+    const requests = req.body?.requests;
+    const malformed = batchRequestsError(requests);
+    if (malformed) return res.status(400).json({ error: { message: malformed } });
+    if (!limits.enabled) return next();
+
+    try {
+        const { tokens, quotaDollars } = await priceBatch(req, definition, UsageMeter.estimateBatch(definition, requests), true);
+        const estimate = { tokens, dollars: quotaDollars };
+        const exceeded = limits.admit(req.user.id, definition.id, { estimate });
+        if (exceeded) return respondOverLimit(req, res, exceeded);
+
+        req.batchEstimate = { ...estimate, periods: limits.record(req.user.id, definition.id, estimate) };
+        res.on('close', () => {
+            if (!req.batchId) limits.refund(req.user.id, definition.id, req.batchEstimate);
+        });
     } catch (error) {
-        Logger.error('API', 'OpenAI proxy error', error);
-        res.status(500).json({ error: { message: error.message } });
+        return next(error);
     }
+    next();
+}
+
+// Count a batch's results against the quotas of whoever created it, once, in place of its estimate
+async function settleBatchUsage(req, definition, batchId, results) {
+    const key = `${definition.id}:${batchId}`;
+    const counted = limits.enabled && !settledBatches.has(key);
+    const priced = await priceBatch(req, definition, UsageMeter.forBatchResults(definition, results), counted);
+    if (!counted) return priced;
+
+    const reservation = batchReservations.get(key);
+    const userId = reservation?.userId || req.user.id;
+    if (reservation) limits.refund(userId, definition.id, reservation);
+    limits.record(userId, definition.id, { tokens: priced.tokens, dollars: priced.quotaDollars });
+    batchReservations.delete(key);
+    settledBatches.add(key);
+    return priced;
+}
+
+// Abort the upstream provider request when the browser goes away (Stop button, closed tab)
+// so a cancelled stream stops generating - and billing - tokens
+function abortOnClientDisconnect(req, res) {
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) {
+            Logger.info('API', `Client disconnected, aborting upstream request: ${req.method} ${req.path}`);
+            controller.abort();
+        }
+    });
+    return controller.signal;
+}
+
+// Enforce TIMEOUT_CONFIG on the upstream request, still aborting when the client disconnects
+function createUpstreamTimer(req, res) {
+    return new RequestTimer(abortOnClientDisconnect(req, res), { graceMs: PROXY_TIMEOUT_GRACE_MS });
+}
+
+// Pass Retry-After and rate-limit headers through so the browser can time its retries
+function forwardRateLimitHeaders(upstream, res) {
+    upstream.headers.forEach((value, name) => {
+        if (RATE_LIMIT_HEADER_PATTERN.test(name)) {
+            res.setHeader(name, value);
+        }
+    });
+}
+
+// Answer a request whose upstream deadline fired; returns false when the failure was something else
+function respondToUpstreamTimeout(res, timer, label) {
+    if (!timer.timedOut) return false;
+
+    Logger.warn('API', `${label} upstream: ${timer.timeoutError.message}`);
+    if (res.headersSent) {
+        // Mid-stream: drop the connection so the client sees a failure rather than a clean end
+        res.destroy();
+    } else {
+        res.status(504).json({ error: { message: timer.timeoutError.message, type: 'timeout' } });
+    }
+    return true;
+}
+
+// Key a provider has in the server's environment; it is attached upstream and never sent to clients
+function serverApiKey(definition) {
+    return (definition.keyField?.envVar && process.env[definition.keyField.envVar]) || null;
+}
+
+// Key for an upstream call: the one the user entered (x-api-key) overrides the server's
+function resolveApiKey(definition, req) {
+    return req.headers['x-api-key'] || serverApiKey(definition);
+}
+
+ProviderRegistry.setServerKeys(ProviderRegistry.listKeyed().filter(serverApiKey).map(({ id }) => id));
+
+// Which providers have a server-held key: { openai: true, ... } - never the keys themselves
+app.get('/api/env', (req, res) => {
+    res.json(Object.fromEntries(ProviderRegistry.listKeyed().map(definition => [definition.id, !!serverApiKey(definition)])));
 });
 
-// Anthropic proxy - GET for listing models
-app.get('/api/proxy/anthropic/models', async (req, res) => {
-    const apiKey = req.headers['x-api-key'];
-    if (!apiKey) return res.status(401).json({ error: { message: 'API key required' } });
+// Resolve and validate the target of an OpenAI-compatible proxy request: { baseUrl, addresses },
+// the addresses its host was checked at, which upstreamFetch connects to
+// CUSTOM_ENDPOINT_HOSTS (comma-separated) lists the hosts that may be proxied to; without it, only
+// public addresses are reachable (see utils/target-policy.js)
+async function resolveCustomBaseUrl(rawBaseUrl) {
+    if (!rawBaseUrl) {
+        throw new Error('Base URL required (x-base-url header)');
+    }
 
+    let baseUrl;
     try {
-        const response = await fetch('https://api.anthropic.com/v1/models', {
-            headers: {
-                'x-api-key': apiKey,
-                'anthropic-version': '2023-06-01'
-            }
-        });
+        baseUrl = new URL(rawBaseUrl);
+    } catch (error) {
+        throw new Error(`Invalid base URL: ${rawBaseUrl}`);
+    }
 
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => ({ error: { message: `HTTP ${response.status}` } }));
-            return res.status(response.status).json(errorData);
-        }
+    if (!['http:', 'https:'].includes(baseUrl.protocol)) {
+        throw new Error('Base URL must use http or https');
+    }
 
-        const data = await response.json();
-        res.json(data);
-    } catch (error) {
-        Logger.error('API', 'Anthropic models error', error);
-        // Fallback to known models if API fails
-        res.json({
-            data: [
-                { id: 'claude-3-5-sonnet-20241022', type: 'model', display_name: 'Claude 3.5 Sonnet (v2)' },
-                { id: 'claude-3-opus-20240229', type: 'model', display_name: 'Claude 3 Opus' },
-                { id: 'claude-3-haiku-20240307', type: 'model', display_name: 'Claude 3 Haiku' }
-            ]
-        });
+    const addresses = await checkTarget(baseUrl, parseAllowedHosts(process.env.CUSTOM_ENDPOINT_HOSTS));
+
+    return { baseUrl: baseUrl.toString().replace(/\/+$/, ''), addresses };
+}
+
+// Upstream target for a provider: x-base-url when the provider accepts one, otherwise its
+// targetEnv variable or default target, which the operator configured and are not checked
+async function resolveProxyTarget(proxy, rawBaseUrl) {
+    if (proxy.allowTargetOverride && rawBaseUrl) {
+        return resolveCustomBaseUrl(rawBaseUrl);
     }
-});
 
-// Anthropic proxy - POST for messages
-app.post('/api/proxy/anthropic/*', async (req, res) => {
+    const target = (proxy.targetEnv && process.env[proxy.targetEnv]) || proxy.target;
+    if (!target) {
+        return resolveCustomBaseUrl(rawBaseUrl);
+    }
+    return { baseUrl: target.replace(/\/+$/, ''), addresses: null };
+}
+
+// fetch for a resolved target; a checked one is reached only at the addresses it was checked at
+function upstreamFetch(target, url, init) {
+    return target.addresses ? fetchPinned(url, init, target.addresses) : fetch(url, init);
+}
+
+// Provider proxy, driven by each registered provider's proxy definition (api/provider-registry.js)
+// Forwards /api/proxy/<provider>/<path> upstream with the provider's auth, streaming the
+// response through untouched (SSE, NDJSON or a JSON array) when the request streams
+app.all('/api/proxy/:provider/*', async (req, res, next) => {
+    const definition = ProviderRegistry.get(req.params.provider);
+    if (!definition) return next();
+
+    const { name, proxy } = definition;
     const path = req.params[0];
-    const apiKey = req.headers['x-api-key'];
-    if (!apiKey) return res.status(401).json({ error: { message: 'API key required' } });
+    const apiKey = resolveApiKey(definition, req);
+    if (!apiKey && ProviderRegistry.requiresApiKey(definition.id)) {
+        return res.status(401).json({ error: { message: 'API key required' } });
+    }
+
+    let target;
+    try {
+        target = await resolveProxyTarget(proxy, req.headers['x-base-url']);
+    } catch (error) {
+        return res.status(400).json({ error: { message: error.message } });
+    }
 
-    // DEBUG: Log full request
-    if (process.env.DEBUG) {
-        Logger.info('DEBUG', `Anthropic Request: ${path}`, { body: req.body });
+    const query = new URLSearchParams(apiKey && proxy.query ? proxy.query(apiKey) : {});
+    (proxy.forwardQuery || []).forEach(param => {
+        if (req.query[param]) query.set(param, req.query[param]);
+    });
+    const search = query.toString();
+    const { baseUrl } = target;
+    const url = `${baseUrl}${proxy.targetPath || ''}/${path}${search ? `?${search}` : ''}`;
+    const hasBody = !['GET', 'HEAD'].includes(req.method);
+    const streaming = proxy.isStreaming ? proxy.isStreaming(path, req.body) : !!req.body?.stream;
+
+    // Model calls are limited and audited; GET requests (model lists) are not
+    const modelCall = hasBody;
+    const metered = limits.enabled && modelCall;
+    const meter = new UsageMeter(definition, UsageMeter.modelFor(definition, path, req.body));
+    const startedAt = Date.now();
+    // What became of the call, for the audit log
+    const call = { status: null, outcome: 'ok', error: null, response: undefined };
+    const audit = (cost = null) => auditLog.record({
+        user: req.user.id,
+        provider: definition.id,
+        model: meter.model,
+        method: req.method,
+        path,
+        streaming,
+        params: requestParams(req.body),
+        status: call.status,
+        outcome: call.outcome,
+        latencyMs: Date.now() - startedAt,
+        usage: meter.reported ? meter.usage : null,
+        usageEstimated: meter.estimated,
+        cost,
+        error: call.error,
+        request: req.body,
+        response: call.response
+    });
+
+    if (metered) {
+        const exceeded = limits.admit(req.user.id, definition.id, { streaming });
+        if (exceeded) {
+            Object.assign(call, { status: 429, outcome: 'limited', error: exceeded.message });
+            audit();
+            return respondOverLimit(req, res, exceeded);
+        }
     }
 
+    const timer = createUpstreamTimer(req, res);
+    const signal = timer.signal;
+
+    // A failed call's outcome: its deadline fired, the client left, or the given outcome
+    const failed = (outcome, status, error) => Object.assign(call, timer.timedOut
+        ? { status: 504, outcome: 'timeout', error: timer.timeoutError.message }
+        : signal.aborted ? { outcome: 'cancelled', error: 'Client disconnected' } : { outcome, status, error: error.message });
+
     try {
-        const url = `https://api.anthropic.com/v1/${path}`;
-        const response = await fetch(url, {
+        timer.start(streaming);
+        const response = await upstreamFetch(target, url, {
             method: req.method,
-            headers: { 'Content-Type': 'application/json', 'x-api-key': apiKey, 'anthropic-version': '2023-06-01' },
-            body: JSON.stringify(req.body)
+            headers: {
+                'Content-Type': 'application/json',
+                ...(apiKey && proxy.headers ? proxy.headers(apiKey) : {})
+            },
+            body: hasBody ? JSON.stringify(proxy.requestBody ? proxy.requestBody(path, req.body) : req.body) : undefined,
+            signal
         });
+        forwardRateLimitHeaders(response, res);
+        call.status = response.status;
 
-        // Check for error response before streaming
+        // Check for error response before streaming (keeps the status for retries)
         if (!response.ok) {
-            const errorData = await response.json().catch(() => ({ error: { message: `HTTP ${response.status}` } }));
+            const errorText = await response.text();
+            let errorData;
+            try {
+                errorData = JSON.parse(errorText);
+            } catch (e) {
+                errorData = { error: { message: errorText || `HTTP ${response.status}` } };
+            }
+            Logger.warn('API', `${name} error response (${response.status}) for ${path}`, { user: req.user.id });
+            Object.assign(call, { outcome: 'error', error: errorData.error?.message || errorData.message || errorText, response: errorData });
             return res.status(response.status).json(errorData);
         }
 
-        if (req.body?.stream) {
-            res.setHeader('Content-Type', 'text/event-stream');
+        if (streaming && response.body) {
+            // Upstream decides the format: SSE, NDJSON (Ollama) or a JSON array (Gemini without alt=sse)
+            const contentType = response.headers.get('content-type') || 'text/event-stream';
+            res.setHeader('Content-Type', contentType);
             res.setHeader('Cache-Control', 'no-cache');
             res.setHeader('Connection', 'keep-alive');
+            res.flushHeaders(); // Send headers now so the client's connection deadline ends when upstream answers
+            timer.headersReceived();
 
             const reader = response.body.getReader();
             const decoder = new TextDecoder();
-
+            call.response = auditLog.includeBodies ? '' : undefined;
             try {
                 while (true) {
                     const { done, value } = await reader.read();
                     if (done) break;
-                    res.write(decoder.decode(value, { stream: true }));
+                    timer.tokenReceived();
+                    const text = decoder.decode(value, { stream: true });
+                    if (modelCall) meter.push(text, contentType);
+                    if (call.response !== undefined) call.response += text;
+                    res.write(text);
                 }
                 res.end();
             } catch (streamError) {
-                console.error('Streaming error:', streamError);
-                // Send error event in SSE format
-                res.write(`data: ${JSON.stringify({ type: 'error', error: { message: 'Stream interrupted: ' + streamError.message } })}\n\n`);
-                res.end();
+                failed('interrupted', response.status, streamError);
+                if (respondToUpstreamTimeout(res, timer, name)) return;
+                if (signal.aborted) return; // Client already gone
+                Logger.error('API', `${name} stream interrupted`, streamError, { user: req.user.id });
+                if (proxy.streamError) {
+                    res.end(proxy.streamError(`Stream interrupted: ${streamError.message}`));
+                } else {
+                    // Drop the connection so the client sees a failure rather than a clean end
+                    res.destroy();
+                }
+                return;
             }
         } else {
             const data = await response.json();
-            // DEBUG: Log full response
-            if (process.env.DEBUG) {
-                Logger.info('DEBUG', `Anthropic Response: ${path}`, { status: response.status, data: data });
+            if (modelCall) {
+                meter.read(data);
+                meter.received(JSON.stringify(data));
             }
+            call.response = data;
             res.status(response.status).json(data);
         }
     } catch (error) {
-        Logger.error('API', 'Anthropic proxy error', error);
-        res.status(500).json({ error: { message: error.message } });
+        failed('unreachable', 502, error);
+        if (respondToUpstreamTimeout(res, timer, name)) return;
+        if (signal.aborted) return; // Client already gone
+        Logger.error('API', `${name} proxy error (${baseUrl})`, error, { user: req.user.id });
+        res.status(502).json({ error: { message: `Could not reach ${name} at ${baseUrl}: ${error.message}` } });
+    } finally {
+        timer.clear();
+        if (metered) {
+            limits.release(req.user.id, definition.id, { streaming });
+        }
+        if (modelCall) {
+            audit(await settleUsage(req, definition, meter, metered, call.status >= 200 && call.status < 300));
+        }
     }
 });
 
-// Google proxy - GET for listing models
-app.get('/api/proxy/google/models', async (req, res) => {
-    const apiKey = req.headers['x-api-key'];
-    if (!apiKey) return res.status(401).json({ error: { message: 'API key required' } });
-
-    try {
-        const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models?key=${apiKey}`, {
-            method: 'GET'
-        });
+// Upstream client for a provider's batch and model catalog adapters (api/batch-api.js,
+// api/model-catalog.js): each call gets the non-streaming deadline, and failures carry the upstream status
+function createUpstreamClient(definition, target, apiKey, timer) {
+    const { proxy } = definition;
 
-        const data = await response.json();
-        res.status(response.status).json(data);
-    } catch (error) {
-        res.status(500).json({ error: { message: error.message } });
-    }
-});
+    const request = async (path, init = {}) => {
+        const headers = { ...(apiKey && proxy.headers ? proxy.headers(apiKey) : {}) };
+        if (typeof init.body === 'string') {
+            headers['Content-Type'] = 'application/json';
+        }
 
-// Google proxy - POST for content generation
-app.post('/api/proxy/google/*', async (req, res) => {
-    const path = req.params[0];
-    const apiKey = req.headers['x-api-key'] || req.query.key;
-    if (!apiKey) return res.status(401).json({ error: { message: 'API key required' } });
+        const url = new URL(`${target.baseUrl}${proxy.targetPath || ''}${path}`);
+        Object.entries(apiKey && proxy.query ? proxy.query(apiKey) : {}).forEach(([name, value]) => {
+            url.searchParams.set(name, value);
+        });
 
-    // DEBUG: Log full request
-    if (process.env.DEBUG) {
-        Logger.info('DEBUG', `Google Request: ${path}`, { body: req.body });
-    }
+        timer.start(false);
+        const response = await upstreamFetch(target, url, { ...init, headers, signal: timer.signal });
+        if (!response.ok) {
+            const errorText = await response.text();
+            let message = errorText;
+            try {
+                const errorData = JSON.parse(errorText);
+                message = errorData.error?.message || errorData.message || errorText;
+            } catch (e) {
+                // Plain-text error body
+            }
+            const error = new Error(message || `HTTP ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        return response;
+    };
+
+    return {
+        json: async (path, init) => (await request(path, init)).json(),
+        text: async (path, init) => (await request(path, init)).text()
+    };
+}
+
+// Routes over a provider adapter (definition[field]) and the upstream client
+// The browser only sees the adapter's shared shapes, never the provider's own
+// Calls are audited unless audited is false; actions fill in what they know on the entry they
+// get (model, params, usage, cost, response)
+function handleProviderRoute(field, action, { audited = true } = {}) {
+    return async (req, res, next) => {
+        const definition = ProviderRegistry.get(req.params.provider);
+        if (!definition?.[field]) return next();
+
+        const { name, proxy } = definition;
+        const apiKey = resolveApiKey(definition, req);
+        if (!apiKey && ProviderRegistry.requiresApiKey(definition.id)) {
+            return res.status(401).json({ error: { message: 'API key required' } });
+        }
 
-    try {
-        // Google requires API key as query parameter, not in body
-        const url = `https://generativelanguage.googleapis.com/v1beta/${path}?key=${apiKey}`;
-        Logger.info('API', `Google request to ${path}`);
+        let target;
+        try {
+            target = await resolveProxyTarget(proxy);
+        } catch (error) {
+            return res.status(400).json({ error: { message: error.message } });
+        }
 
-        const response = await fetch(url, {
+        const startedAt = Date.now();
+        const entry = { model: null, params: null, usage: null, cost: null, response: undefined };
+        const audit = (status, outcome, error = null) => audited && auditLog.record({
+            user: req.user.id,
+            provider: definition.id,
+            model: entry.model,
             method: req.method,
-            headers: { 'Content-Type': 'application/json' },
-            body: req.method !== 'GET' ? JSON.stringify(req.body) : undefined
+            path: req.path,
+            streaming: false,
+            params: entry.params,
+            status,
+            outcome,
+            latencyMs: Date.now() - startedAt,
+            usage: entry.usage,
+            cost: entry.cost,
+            error,
+            request: Object.keys(req.body || {}).length ? req.body : undefined,
+            response: entry.response
         });
 
-        Logger.info('API', `Google response status: ${response.status}`);
-
-        // Check for error response before streaming
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => ({ error: { message: `HTTP ${response.status}` } }));
-            // Always log Google errors for debugging
-            Logger.error('API', `Google error response: ${JSON.stringify(errorData)}`);
-            return res.status(response.status).json(errorData);
+        const timer = createUpstreamTimer(req, res);
+        try {
+            const client = createUpstreamClient(definition, target, apiKey, timer);
+            res.json(await action(definition[field], client, req, definition, entry));
+            audit(200, 'ok');
+        } catch (error) {
+            if (timer.timedOut) {
+                audit(504, 'timeout', timer.timeoutError.message);
+            } else if (timer.signal.aborted) {
+                audit(null, 'cancelled', 'Client disconnected');
+            } else {
+                audit(error.status || 502, error.status ? 'error' : 'unreachable', error.message);
+            }
+            if (respondToUpstreamTimeout(res, timer, `${name} ${field}`)) return;
+            if (timer.signal.aborted) return; // Client already gone
+            Logger.warn('API', `${name} ${field} ${req.method} ${req.path} failed: ${error.message}`, { user: req.user.id });
+            res.status(error.status || 502).json({
+                error: { message: error.status ? error.message : `Could not reach ${name} at ${target.baseUrl}: ${error.message}` }
+            });
+        } finally {
+            timer.clear();
         }
+    };
+}
+
+// Batch routes: create, poll, cancel and collect results of a provider batch (shapes in api/batch-api.js)
+// All but the status checks the browser polls with are audited; results carry the batch's usage and cost
+const handleBatchRoute = (action, options) => handleProviderRoute('batch', action, options);
+
+// Creator of each batch (BATCH_OWNERS_FILE, see utils/batch-owners.js)
+const batchOwners = BatchOwners.fromEnv();
+
+// A batch is only reachable by whoever created it. One with no recorded creator (submitted before
+// creators were kept) is reachable while sign-in is off, when every request runs as the same user
+function requireBatchOwner(req, res, next) {
+    const owner = batchOwners.get(req.params.provider, req.params.id);
+    if (owner === req.user.id || (owner === null && !auth.enabled)) return next();
+
+    Logger.warn('API', `Refused ${req.params.provider} batch ${req.params.id} to ${req.user.id}, who did not create it`, { owner });
+    res.status(404).json({ error: { message: 'Batch not found' } });
+}
+
+app.post('/api/batch/:provider', admitBatch, handleBatchRoute(async (batch, client, req, definition, entry) => {
+    const requests = req.body.requests; // Checked by admitBatch
+    const models = [...new Set(requests.map(({ body }) => body?.model).filter(Boolean))];
+    Object.assign(entry, {
+        model: models.length === 1 ? models[0] : null,
+        params: { requests: requests.length, models, estimate: req.batchEstimate || null }
+    });
+    Logger.info('API', `Creating ${req.params.provider} batch of ${requests.length} requests`, { user: req.user.id, estimate: req.batchEstimate });
 
-        if (path.includes('streamGenerateContent')) {
-            res.setHeader('Content-Type', 'text/event-stream');
-            res.setHeader('Cache-Control', 'no-cache');
-            res.setHeader('Connection', 'keep-alive');
-            const reader = response.body.getReader();
-            const decoder = new TextDecoder();
-            while (true) {
-                const { done, value } = await reader.read();
-                if (done) break;
-                res.write(decoder.decode(value, { stream: true }));
-            }
-            res.end();
-        } else {
-            const data = await response.json();
-            // DEBUG: Log full response
-            if (process.env.DEBUG) {
-                Logger.info('DEBUG', `Google Response: ${path}`, { status: response.status, data: data });
-            }
-            res.status(response.status).json(data);
+    const created = await batch.create(client, requests);
+    req.batchId = created.id;
+    batchOwners.set(definition.id, created.id, req.user.id);
+    if (req.batchEstimate) {
+        batchReservations.set(`${definition.id}:${created.id}`, { userId: req.user.id, ...req.batchEstimate });
+    }
+    entry.response = created;
+    return created;
+}));
+
+app.get('/api/batch/:provider/:id', requireBatchOwner, handleBatchRoute((batch, client, req) => batch.retrieve(client, req.params.id), { audited: false }));
+
+app.get('/api/batch/:provider/:id/results', requireBatchOwner, handleBatchRoute(async (batch, client, req, definition, entry) => {
+    const results = await batch.results(client, req.params.id);
+    const { usage, cost } = await settleBatchUsage(req, definition, req.params.id, results);
+    const models = [...new Set(results.map(({ body }) => body?.model).filter(Boolean))];
+    Object.assign(entry, {
+        model: models.length === 1 ? models[0] : null,
+        params: { results: results.length, failed: results.filter(item => item.error).length, models },
+        usage,
+        cost,
+        response: { results }
+    });
+    return { results };
+}));
+
+app.post('/api/batch/:provider/:id/cancel', requireBatchOwner, handleBatchRoute(async (batch, client, req, definition, entry) => {
+    entry.response = await batch.cancel(client, req.params.id);
+    return entry.response;
+}));
+
+// Local model metadata, read on each catalog request so edits apply without a restart
+async function loadModelMetadata() {
+    try {
+        return JSON.parse(await readFile(MODEL_METADATA_FILE, 'utf8'));
+    } catch (error) {
+        Logger.warn('SYSTEM', `Model metadata unavailable (${MODEL_METADATA_FILE}): ${error.message}`);
+        return {};
+    }
+}
+
+// Model catalog: the provider's chat models merged with local metadata and OpenRouter data
+// (entry shape in api/model-catalog.js)
+app.get('/api/models/:provider', handleProviderRoute('models', async (adapter, client, req, definition) => {
+    const metadata = await loadModelMetadata();
+    return {
+        models: await ModelCatalog.list(definition.id, adapter, client, {
+            metadata: metadata[definition.id],
+            getOpenRouterModel: (modelId) => pricingService.getModel(modelId)
+        })
+    };
+}));
+
+// Comparisons run on the server call the provider classes, which reach this server's proxy over loopback
+ProviderRegistry.setProxyOrigin(`http://127.0.0.1:${PORT}`);
+
+// Comparison as a service: one prompt to several models, streamed as one SSE response with
+// events tagged by model ID and a final summary in the export format (see api/compare-runner.js)
+// Send stream: false for the summary alone as JSON
+app.post('/api/compare', async (req, res) => {
+    let comparison;
+    try {
+        comparison = CompareRunner.parseRequest(req.body);
+    } catch (error) {
+        return res.status(error.status || 400).json({ error: { message: error.message } });
+    }
+
+    // Keys sent in the body override the server's, which the proxy attaches on the loopback call
+    const apiKeys = req.body.apiKeys || {};
+    const signal = abortOnClientDisconnect(req, res);
+    const streaming = req.body.stream !== false;
+    // The loopback proxy calls run as the caller
+    const proxyHeaders = Object.fromEntries(['authorization', 'cookie']
+        .filter(name => req.headers[name])
+        .map(name => [name, req.headers[name]]));
+    Logger.info('API', `Comparing ${comparison.models.length} models: ${comparison.models.map(({ id }) => id).join(', ')}`, { user: req.user.id });
+
+    if (!streaming) {
+        try {
+            const summary = await CompareRunner.run(comparison, apiKeys, () => {}, { signal, proxyHeaders });
+            if (!signal.aborted) res.json(summary);
+        } catch (error) {
+            Logger.error('API', 'Comparison failed', error, { user: req.user.id });
+            if (!res.headersSent) res.status(502).json({ error: { message: error.message } });
         }
+        return;
+    }
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.flushHeaders();
+
+    const emit = (event, data) => {
+        if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    try {
+        await CompareRunner.run(comparison, apiKeys, emit, { signal, proxyHeaders });
     } catch (error) {
-        Logger.error('API', 'Google proxy error', error);
-        res.status(500).json({ error: { message: error.message } });
+        // Provider errors arrive as error events; this is a failure of the comparison itself
+        Logger.error('API', 'Comparison failed', error, { user: req.user.id });
+        emit('error', { model: null, error: { message: error.message } });
     }
+    res.end();
 });
 
 app.get('/api/health', (req, res) => {
@@ -286,16 +739,25 @@ app.get('/', (req, res) => {
 
 app.listen(PORT, () => {
     Logger.info('SYSTEM', `Server running on http://localhost:${PORT}`);
-    Logger.info('SYSTEM', 'Environment Config', {
-        openai: !!process.env.OPENAI_API_KEY,
-        anthropic: !!process.env.ANTHROPIC_API_KEY,
-        google: !!process.env.INFERENCE_TOKEN
-    });
+    const keyed = ProviderRegistry.listKeyed().filter(({ keyField }) => keyField.envVar);
+    Logger.info('SYSTEM', 'Environment Config', Object.fromEntries(keyed.map(({ id, keyField }) => [id, !!process.env[keyField.envVar]])));
     console.log(`🚀 Multi-Model Chat Comparator server running on http://localhost:${PORT}`);
     // Keep visible console logs for local dev convenience
     console.log(`📝 Environment variables loaded:`);
-    console.log(`   - OpenAI API Key: ${process.env.OPENAI_API_KEY ? '✓ Set' : '✗ Not set'}`);
-    console.log(`   - Anthropic API Key: ${process.env.ANTHROPIC_API_KEY ? '✓ Set' : '✗ Not set'}`);
-    console.log(`   - Google API Key (INFERENCE_TOKEN): ${process.env.INFERENCE_TOKEN ? '✓ Set' : '✗ Not set'}`);
+    keyed.forEach(({ keyField }) => {
+        console.log(`   - ${keyField.label} (${keyField.envVar}): ${process.env[keyField.envVar] ? '✓ Set' : '✗ Not set'}`);
+    });
+    ProviderRegistry.list().filter(({ proxy }) => proxy.targetEnv).forEach(({ name, proxy }) => {
+        console.log(`   - ${name} URL: ${process.env[proxy.targetEnv] || proxy.target}`);
+    });
     console.log(`\n✨ API proxy enabled - all requests will be routed through this server`);
+    if (!auth.enabled) {
+        Logger.warn('SYSTEM', 'Authentication is off: anyone who can reach this port can use the proxy. Set AUTH_USERS_FILE or AUTH_TOKENS before sharing it.');
+    }
+    if (limits.enabled) {
+        Logger.info('SYSTEM', 'Usage limits on', { users: Object.keys(limits.config.users), providers: Object.keys(limits.config.providers) });
+    }
+    if (auditLog.enabled) {
+        Logger.info('SYSTEM', `Auditing proxied model calls to ${auditLog.path}`, { bodies: auditLog.includeBodies });
+    }
 });
@@ -6,7 +6,7 @@ import { runTests } from './unit.test.js';
 console.log('🚀 Multi-Model Chat Comparator - Test Suite\n');
 console.log('='.repeat(50));
 
-const results = runTests();
+const results = await runTests();
 
 console.log('='.repeat(50));
 
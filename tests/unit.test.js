@@ -1,3 +1,32 @@
+import { existsSync, mkdtempSync, readFileSync } from 'fs';
+import { createServer } from 'http';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ErrorHandler } from '../utils/error-handler.js';
+import { Logger } from '../utils/logger.js';
+import { OpenAIProvider, OpenAICompatibleProvider, AnthropicProvider, GoogleProvider, OllamaProvider, ProviderFactory } from '../api/providers.js';
+import { RequestTimer, TimeoutError } from '../api/request-timer.js';
+import { getServerRetryDelay, computeRetryDelay, isRetryableStatus } from '../api/retry.js';
+import { Metrics } from '../api/metrics.js';
+import { isModelVisionCapable, isModelChatCapable, getProviderFromModelId, getModelPricing } from '../config/models.js';
+import { parseToolDefinitions, createToolCall, validateToolCall } from '../api/tools.js';
+import { JsonSchema } from '../utils/json-schema.js';
+import { parseResponseSchema, validateStructuredOutput, STRUCTURED_OUTPUT_TOOL } from '../api/structured-output.js';
+import { SSEParser, NDJSONParser, JSONArrayParser, createStreamParser } from '../api/stream-parser.js';
+import { ProviderRegistry } from '../api/provider-registry.js';
+import { BatchRunner, parseBatchPrompts } from '../api/batch-runner.js';
+import { Sampler, planSampleRequests, textSimilarity, computeSampleStats } from '../api/sampling.js';
+import { ModelCatalog, OPENAI_MODELS, GOOGLE_MODELS, baseModelId } from '../api/model-catalog.js';
+import { CompareRunner } from '../api/compare-runner.js';
+import { UsageLimits } from '../utils/usage-limits.js';
+import { addressScope, checkTarget, fetchPinned, pinnedLookup, refuseTarget } from '../utils/target-policy.js';
+import { isInsideDir, isPublicAsset } from '../utils/static-files.js';
+import { AuditLog, DEFAULT_AUDIT_LOG_PATH, parseRedactions, redact, requestParams } from '../utils/audit-log.js';
+import { UsageMeter } from '../api/usage-meter.js';
+import { batchRequestsError } from '../api/batch-api.js';
+import { BatchOwners } from '../utils/batch-owners.js';
+import { Auth, LocalUserStore, LoginThrottle, StaticTokens, SessionStore, ANONYMOUS_USER, SESSION_COOKIE, hashPassword, verifyPassword } from '../utils/auth.js';
+
 // Simple test framework
 const tests = [];
 const describes = [];
@@ -25,21 +54,21 @@ export function beforeEach(fn) {
     currentBeforeEach = fn;
 }
 
-// Run tests
-export function runTests() {
+// Run tests, one at a time; a test may return a promise, which is awaited
+export async function runTests() {
     console.log('🧪 Running tests...\n');
 
     let passed = 0;
     let failed = 0;
 
-    describes.forEach(({ name, fn }) => {
+    for (const { name, fn } of describes) {
         console.log(`\n📦 ${name}`);
         fn();
 
-        tests.forEach(({ name: testName, fn: testFn }) => {
+        for (const { name: testName, fn: testFn } of tests) {
             try {
                 if (currentBeforeEach) currentBeforeEach();
-                testFn();
+                await testFn();
                 console.log(`  ✅ ${testName}`);
                 passed++;
             } catch (error) {
@@ -47,11 +76,11 @@ export function runTests() {
                 console.log(`     ${error.message}`);
                 failed++;
             }
-        });
+        }
 
         tests.length = 0;
         currentBeforeEach = null;
-    });
+    }
 
     console.log(`\n📊 Results: ${passed} passed, ${failed} failed`);
     return { passed, failed };
@@ -110,3 +139,1285 @@ describe('Streaming Preference', () => {
         expect(streamingEnabled).toBe(true);
     });
 });
+
+describe('Conversation History', () => {
+    const history = [
+        { role: 'user', content: 'What is 2 + 2?' },
+        { role: 'assistant', content: '4' }
+    ];
+
+    it('should append the new prompt after prior turns', () => {
+        const messages = new OpenAIProvider('key').buildMessages('And times 3?', history);
+        expect(messages.length).toBe(3);
+        expect(messages[2].role).toBe('user');
+        expect(messages[2].content).toBe('And times 3?');
+    });
+
+    it('should send a single user message without history', () => {
+        const messages = new OpenAIProvider('key').buildMessages('Hello');
+        expect(messages.length).toBe(1);
+    });
+
+    it('should map assistant turns to the Gemini model role', () => {
+        const provider = new GoogleProvider('key');
+        const contents = provider.toGeminiContents(provider.buildMessages('And times 3?', history));
+        expect(contents[1].role).toBe('model');
+        expect(contents[1].parts[0].text).toBe('4');
+        expect(contents[2].role).toBe('user');
+    });
+});
+
+describe('System Instructions', () => {
+    it('should use the system role for chat models', () => {
+        expect(new OpenAIProvider('key').getSystemRole('gpt-4o')).toBe('system');
+    });
+
+    it('should use the developer role for o-series models', () => {
+        expect(new OpenAIProvider('key').getSystemRole('o3-mini')).toBe('developer');
+    });
+});
+
+describe('OpenAI-Compatible Endpoints', () => {
+    it('should route through the custom proxy with the base URL header', () => {
+        const provider = new OpenAICompatibleProvider('', { id: 'ep-1', baseUrl: 'http://localhost:8000/v1' });
+        expect(provider.endpoint).toBe('/api/proxy/custom');
+        expect(provider.getHeaders()['x-base-url']).toBe('http://localhost:8000/v1');
+    });
+
+    it('should omit the API key header when no key is set', () => {
+        const provider = new OpenAICompatibleProvider('', { id: 'ep-1', baseUrl: 'http://localhost:8000/v1' });
+        expect('x-api-key' in provider.getHeaders()).toBe(false);
+    });
+});
+
+describe('Ollama Provider', () => {
+    it('should not require an API key', () => {
+        expect(ProviderFactory.requiresApiKey('ollama')).toBe(false);
+        expect(ProviderFactory.requiresApiKey('openai')).toBe(true);
+    });
+
+    it('should only send a base URL override when one is configured', () => {
+        expect(Object.keys(new OllamaProvider(null).getHeaders()).length).toBe(0);
+        expect(new OllamaProvider(null, { baseUrl: 'http://gpu-box:11434' }).getHeaders()['x-base-url']).toBe('http://gpu-box:11434');
+    });
+});
+
+describe('Cancellation', () => {
+    it('should classify aborted requests as cancelled for any provider', () => {
+        const abortError = new DOMException('The operation was aborted.', 'AbortError');
+        expect(ErrorHandler.parseError(abortError, 'openai', 'gpt-4o').type).toBe('cancelled');
+        expect(ErrorHandler.parseError(abortError, 'ollama', 'llama3').type).toBe('cancelled');
+    });
+
+    it('should allow retrying a cancelled request', () => {
+        expect(ErrorHandler.formatErrorForDisplay({ type: 'cancelled' }).canRetry).toBe(true);
+    });
+});
+
+describe('Request Timeouts', () => {
+    it('should classify each deadline as a timeout with its phase', () => {
+        const errorInfo = ErrorHandler.parseError(new TimeoutError('idle', 30000), 'anthropic', 'claude-3-haiku');
+        expect(errorInfo.type).toBe('timeout');
+        expect(errorInfo.timeoutPhase).toBe('idle');
+        expect(errorInfo.message).toBe('Stream stalled');
+        expect(ErrorHandler.parseError(new TimeoutError('connection', 10000), 'openai', 'gpt-4o').message).toBe('Connection timed out');
+    });
+
+    it('should only let stream bytes extend the idle deadline once tokens flow', () => {
+        const timer = new RequestTimer();
+        timer.headersReceived();
+        timer.chunkReceived();
+        expect(timer.phase).toBe('firstToken');
+        timer.tokenReceived();
+        expect(timer.phase).toBe('idle');
+        timer.clear();
+    });
+
+    it('should forward user cancellation without reporting a timeout', () => {
+        const controller = new AbortController();
+        const timer = new RequestTimer(controller.signal);
+        timer.start(true);
+        controller.abort();
+        expect(timer.signal.aborted).toBe(true);
+        expect(timer.timedOut).toBe(false);
+    });
+});
+
+describe('Automatic Retries', () => {
+    it('should only retry transient statuses', () => {
+        expect(isRetryableStatus(429)).toBe(true);
+        expect(isRetryableStatus(529)).toBe(true);
+        expect(isRetryableStatus(400)).toBe(false);
+    });
+
+    it('should honor Retry-After and exhausted rate-limit buckets', () => {
+        expect(getServerRetryDelay(new Headers({ 'retry-after': '2' }))).toBe(2000);
+        expect(getServerRetryDelay(new Headers({
+            'x-ratelimit-remaining-requests': '0',
+            'x-ratelimit-reset-requests': '1m30s',
+            'x-ratelimit-remaining-tokens': '5000',
+            'x-ratelimit-reset-tokens': '6m0s'
+        }))).toBe(90000);
+        expect(getServerRetryDelay(new Headers())).toBe(null);
+    });
+
+    it('should back off exponentially but wait at least as long as asked', () => {
+        expect(computeRetryDelay(3, new Headers(), () => 1)).toBe(4000);
+        expect(computeRetryDelay(1, new Headers({ 'retry-after-ms': '2500' }), () => 0)).toBe(2500);
+        expect(computeRetryDelay(1, new Headers({ 'retry-after': '120' }))).toBe(null);
+    });
+});
+
+describe('Streaming Metrics', () => {
+    it('should measure first token, last token and throughput from chunk times', () => {
+        const metrics = Metrics.calculateStreamMetrics(1000, [1400, 1600, 1800, 2400], 70);
+        expect(metrics.timeToFirstToken).toBe(400);
+        expect(metrics.timeToLastToken).toBe(1400);
+        expect(metrics.tokensPerSecond).toBe(70);
+    });
+
+    it('should report jitter as the spread of inter-chunk gaps', () => {
+        expect(Metrics.calculateStreamMetrics(0, [100, 200, 300], 3).interChunkJitter).toBe(0);
+        expect(Metrics.calculateStreamMetrics(0, [100, 200, 500], 3).interChunkJitter).toBe(100);
+    });
+
+    it('should leave every stream metric empty when nothing streamed', () => {
+        const metrics = Metrics.calculateStreamMetrics(0, [], 0);
+        expect(metrics.timeToFirstToken).toBe(null);
+        expect(metrics.tokensPerSecond).toBe(null);
+    });
+});
+
+describe('Image Attachments', () => {
+    const image = { name: 'chart.png', mimeType: 'image/png', size: 4, data: 'iVBORw==' };
+
+    it('should encode images in each provider\'s multimodal format', () => {
+        const openaiContent = new OpenAIProvider('key').buildMessages('Describe', [], [image])[0].content;
+        expect(openaiContent[1].image_url.url).toBe('data:image/png;base64,iVBORw==');
+
+        const anthropicContent = new AnthropicProvider('key').buildMessages('Describe', [], [image])[0].content;
+        expect(anthropicContent[0].source.media_type).toBe('image/png');
+        expect(anthropicContent[1].text).toBe('Describe');
+
+        const google = new GoogleProvider('key');
+        const parts = google.toGeminiContents(google.buildMessages('Describe', [], [image]))[0].parts;
+        expect(parts[1].inline_data.data).toBe('iVBORw==');
+
+        expect(new OllamaProvider(null).buildMessages('Describe', [], [image])[0].images[0]).toBe('iVBORw==');
+    });
+
+    it('should keep plain string content when nothing is attached', () => {
+        expect(new OpenAIProvider('key').buildMessages('Hello')[0].content).toBe('Hello');
+    });
+
+    it('should only treat vision models as able to read images', () => {
+        expect(isModelVisionCapable('gpt-4o-mini')).toBe(true);
+        expect(isModelVisionCapable('gpt-3.5-turbo')).toBe(false);
+        expect(isModelVisionCapable('claude-3-5-haiku-20241022')).toBe(true);
+        expect(isModelVisionCapable('llava:13b', ['chat', 'vision'])).toBe(true);
+    });
+});
+
+describe('Tool Calling', () => {
+    const tools = parseToolDefinitions(JSON.stringify([{
+        type: 'function',
+        function: {
+            name: 'get_weather',
+            parameters: {
+                type: 'object',
+                properties: { city: { type: 'string' }, unit: { enum: ['c', 'f'] } },
+                required: ['city']
+            }
+        }
+    }]));
+
+    it('should accept neutral or OpenAI-wrapped definitions and reject bad names', () => {
+        expect(tools[0].name).toBe('get_weather');
+        expect(tools[0].description).toBe('');
+
+        let message = null;
+        try {
+            parseToolDefinitions('[{ "name": "get weather" }]');
+        } catch (error) {
+            message = error.message;
+        }
+        expect(message.startsWith('Tool 1:')).toBe(true);
+    });
+
+    it('should check tool call arguments against the schema', () => {
+        expect(validateToolCall(createToolCall('1', 'get_weather', '{"city":"Oslo"}'), tools).valid).toBe(true);
+
+        const result = validateToolCall(createToolCall('2', 'get_weather', { unit: 'k' }), tools);
+        expect(result.errors.join('; ')).toBe('$: missing required property "city"; $.unit: must be one of ["c","f"]');
+
+        expect(validateToolCall(createToolCall('3', 'get_weather', '{"city":'), tools).errors[0]).toBe('arguments are not valid JSON');
+        expect(validateToolCall(createToolCall('4', 'get_time', {}), tools).valid).toBe(false);
+    });
+
+    it('should validate nested schemas with $ref and combinators', () => {
+        const schema = {
+            type: 'object',
+            properties: { items: { type: 'array', items: { $ref: '#/$defs/item' } } },
+            $defs: { item: { anyOf: [{ type: 'integer' }, { type: 'string', minLength: 2 }] } }
+        };
+        expect(JsonSchema.validate({ items: [1, 'ab'] }, schema).length).toBe(0);
+        expect(JsonSchema.validate({ items: [1.5] }, schema)[0].path).toBe('$.items[0]');
+    });
+
+    it('should send tools and tool turns in each provider\'s native format', () => {
+        const call = { id: 'call_1', name: 'get_weather', arguments: { city: 'Oslo' } };
+        const turns = [
+            { role: 'assistant', content: '', toolCalls: [call] },
+            { role: 'tool', toolCallId: 'call_1', name: 'get_weather', content: '{"temp":4}' }
+        ];
+
+        const openai = new OpenAIProvider('key');
+        expect(openai.formatTools(tools)[0].function.name).toBe('get_weather');
+        const openaiMessages = openai.buildMessages('Weather?', [], [], turns);
+        expect(openaiMessages[1].tool_calls[0].function.arguments).toBe('{"city":"Oslo"}');
+        expect(openaiMessages[2].tool_call_id).toBe('call_1');
+
+        const anthropic = new AnthropicProvider('key');
+        expect(anthropic.formatTools(tools)[0].input_schema.required[0]).toBe('city');
+        expect(anthropic.formatToolTurn(turns[1]).content[0].tool_use_id).toBe('call_1');
+
+        const google = new GoogleProvider('key');
+        const contents = google.toGeminiContents(google.buildMessages('Weather?', [], [], turns));
+        expect(contents[1].role).toBe('model');
+        expect(contents[1].parts[0].functionCall.args.city).toBe('Oslo');
+        expect(contents[2].parts[0].functionResponse.name).toBe('get_weather');
+
+        expect(new OllamaProvider(null).formatToolTurn(turns[1]).tool_name).toBe('get_weather');
+    });
+});
+
+describe('Structured Output', () => {
+    const schema = parseResponseSchema('{"type":"object","properties":{"answer":{"type":"string"},"score":{"type":"integer","maximum":10}},"required":["answer"],"additionalProperties":false}');
+
+    it('should pass conforming JSON and list every validation error otherwise', () => {
+        expect(validateStructuredOutput('{"answer":"42","score":7}', schema).valid).toBe(true);
+
+        const result = validateStructuredOutput('{"score":11,"extra":true}', schema);
+        expect(result.errors.join('; ')).toBe('$: missing required property "answer"; $.score: must be <= 10; $: unexpected property "extra"');
+
+        expect(validateStructuredOutput('Sure! Here is the JSON', schema).errors[0].startsWith('not valid JSON')).toBe(true);
+    });
+
+    it('should require an object schema at the root', () => {
+        let message = null;
+        try {
+            parseResponseSchema('{"type":"array"}');
+        } catch (error) {
+            message = error.message;
+        }
+        expect(message).toBe('Response schema must be a JSON Schema with type "object" at the root');
+    });
+
+    it('should map the schema to each provider\'s native mechanism', () => {
+        const openaiBody = {};
+        new OpenAIProvider('key').applyResponseSchema(openaiBody, schema);
+        expect(openaiBody.response_format.type).toBe('json_schema');
+
+        const anthropicBody = {};
+        new AnthropicProvider('key').applyResponseSchema(anthropicBody, schema);
+        expect(anthropicBody.tool_choice.name).toBe(STRUCTURED_OUTPUT_TOOL);
+        expect(anthropicBody.tools[0].input_schema).toBe(schema);
+
+        const googleBody = { generationConfig: {} };
+        new GoogleProvider('key').applyResponseSchema(googleBody, schema);
+        expect(googleBody.generationConfig.responseMimeType).toBe('application/json');
+        expect('additionalProperties' in googleBody.generationConfig.responseSchema).toBe(false);
+    });
+});
+
+describe('Per-Model Parameters', () => {
+    const options = { temperature: 1.5, topP: 0.9, topK: 40, presencePenalty: 0.5, seed: 7, stopSequences: ['a', 'b', 'c', 'd', 'e', 'f'] };
+
+    it('should map only the parameters each provider supports', () => {
+        const openai = new OpenAIProvider('key').resolveSamplingParams(options);
+        expect(openai.temperature).toBe(1.5);
+        expect(openai.params.top_p).toBe(0.9);
+        expect(openai.params.presence_penalty).toBe(0.5);
+        expect('top_k' in openai.params).toBe(false);
+        expect(openai.params.stop.length).toBe(4);
+
+        const google = new GoogleProvider('key').resolveSamplingParams(options);
+        expect(google.params.topK).toBe(40);
+        expect(google.params.stopSequences.length).toBe(5);
+
+        expect(new OllamaProvider(null).resolveSamplingParams(options).notes.length).toBe(0);
+    });
+
+    it('should clamp temperature and note every dropped parameter', () => {
+        const anthropic = new AnthropicProvider('key').resolveSamplingParams(options);
+        expect(anthropic.temperature).toBe(1);
+        expect(anthropic.params.top_k).toBe(40);
+        expect(anthropic.notes.join('; ')).toBe(
+            "temperature 1.5 lowered to this provider's maximum of 1; presence penalty is not supported by this provider and was not sent; seed is not supported by this provider and was not sent"
+        );
+    });
+});
+
+describe('Reasoning Models', () => {
+    it('should send reasoning effort only to reasoning models', () => {
+        const openai = new OpenAIProvider('key');
+        const reasoning = openai.resolveSamplingParams({ temperature: 0.7, topP: 0.9, reasoningEffort: 'high' }, 'o3-mini');
+        expect(reasoning.reasoning.effort).toBe('high');
+        expect(reasoning.temperature).toBe(undefined);
+        expect('top_p' in reasoning.params).toBe(false);
+
+        const chat = openai.resolveSamplingParams({ temperature: 0.7, reasoningEffort: 'high' }, 'gpt-4o');
+        expect(chat.reasoning).toBe(null);
+        expect(chat.notes[0]).toBe('reasoning effort is not supported by this model and was not sent');
+    });
+
+    it('should turn effort into a thinking budget for Claude', () => {
+        const sampling = new AnthropicProvider('key').resolveSamplingParams({ temperature: 0.5, topK: 20, reasoningEffort: 'medium' }, 'claude-sonnet-4-20250514');
+        expect(sampling.reasoning.budgetTokens).toBe(4096);
+        expect(sampling.temperature).toBe(undefined);
+        expect('top_k' in sampling.params).toBe(false);
+
+        const budget = new GoogleProvider('key').resolveSamplingParams({ reasoningEffort: 'low', thinkingBudget: 2048 }, 'gemini-2.5-flash');
+        expect(budget.reasoning.budgetTokens).toBe(2048);
+    });
+
+    it('should count reasoning tokens and cost apart from the answer', () => {
+        const usage = new OpenAIProvider('key').usageFields({ input: 1, output: 4 }, 1000, 500, 1500);
+        expect(usage.totalTokens).toBe(3000);
+        expect(usage.reasoningCost).toBe(6);
+        expect(usage.estimatedCost).toBe(9);
+    });
+});
+
+// Feeds text to a parser in fixed-size pieces, so events split at every possible offset
+function parseInChunks(parser, text, size) {
+    const items = [];
+    for (let i = 0; i < text.length; i += size) {
+        items.push(...parser.push(text.slice(i, i + size)));
+    }
+    return [...items, ...parser.flush()];
+}
+
+describe('Stream Parsing', () => {
+    it('should assemble SSE events split at any chunk boundary', () => {
+        const body = ': ping\r\nevent: content_block_delta\r\ndata: {"text":"a"}\r\n\r\n'
+            + 'data: first line\ndata: second line\nid: 7\n\n'
+            + 'data: [DONE]\n\n';
+        for (let size = 1; size <= body.length; size++) {
+            const events = parseInChunks(new SSEParser(), body, size);
+            expect(events.length).toBe(3);
+            expect(events[0].event).toBe('content_block_delta');
+            expect(JSON.parse(events[0].data).text).toBe('a');
+            expect(events[1].event).toBe('message');
+            expect(events[1].data).toBe('first line\nsecond line');
+            expect(events[1].id).toBe('7');
+            expect(events[2].data).toBe('[DONE]');
+        }
+    });
+
+    it('should deliver a final SSE event missing its blank line', () => {
+        const events = parseInChunks(new SSEParser(), 'data: {"done":true}', 4);
+        expect(events.length).toBe(1);
+        expect(events[0].data).toBe('{"done":true}');
+    });
+
+    it('should parse NDJSON lines across chunks and skip blank lines', () => {
+        const body = '{"message":{"content":"Hi"}}\n\n{"done":true,"eval_count":3}';
+        for (let size = 1; size <= body.length; size++) {
+            const values = parseInChunks(new NDJSONParser(), body, size);
+            expect(values.length).toBe(2);
+            expect(values[1].eval_count).toBe(3);
+        }
+    });
+
+    it('should yield elements of a pretty-printed JSON array as they complete', () => {
+        const body = '[{\n  "text": "brackets ] } and \\"quotes\\" [{"\n}\n,\r\n{\n  "parts": [{"text": "é"}]\n}\n]';
+        for (let size = 1; size <= body.length; size++) {
+            const values = parseInChunks(new JSONArrayParser(), body, size);
+            expect(values.length).toBe(2);
+            expect(values[0].text).toBe('brackets ] } and "quotes" [{');
+            expect(values[1].parts[0].text).toBe('é');
+        }
+    });
+
+    it('should emit a JSON array element before the array closes', () => {
+        const parser = new JSONArrayParser();
+        expect(parser.push('[{"a":1},').length).toBe(1);
+        expect(parser.push('{"a":').length).toBe(0);
+        expect(parser.push('2}').length).toBe(1);
+    });
+
+    it('should pick the parser from the Content-Type', () => {
+        expect(createStreamParser('text/event-stream; charset=utf-8') instanceof SSEParser).toBe(true);
+        expect(createStreamParser('application/x-ndjson') instanceof NDJSONParser).toBe(true);
+        expect(createStreamParser('application/json') instanceof JSONArrayParser).toBe(true);
+    });
+});
+
+describe('Provider Registry', () => {
+    it('should register the built-in providers with their key fields', () => {
+        expect(ProviderRegistry.listKeyed().map(({ id }) => id).join(',')).toBe('openai,anthropic,google');
+        expect(ProviderRegistry.requiresApiKey('ollama')).toBe(false);
+        expect(ProviderFactory.createProvider('google', 'key') instanceof GoogleProvider).toBe(true);
+    });
+
+    it('should drive model ownership and creation for a plugin provider', () => {
+        class GatewayProvider extends OpenAIProvider {
+            get endpoint() {
+                return ProviderRegistry.proxyPath('test-gateway');
+            }
+        }
+        ProviderRegistry.register({
+            id: 'test-gateway',
+            name: 'Test Gateway',
+            keyField: { label: 'Gateway Key', envVar: 'TEST_GATEWAY_KEY' },
+            proxy: { target: 'https://gateway.example/v1' },
+            modelPattern: /^gw-/,
+            create: (apiKey) => new GatewayProvider(apiKey)
+        });
+
+        expect(getProviderFromModelId('gw-large')).toBe('test-gateway');
+        expect(getProviderFromModelId('claude-3-opus-20240229')).toBe('anthropic');
+        expect(ProviderFactory.requiresApiKey('test-gateway')).toBe(true);
+        expect(ProviderFactory.createProvider('test-gateway', 'key').endpoint).toBe('/api/proxy/test-gateway');
+    });
+
+    it('should reject incomplete or duplicate definitions', () => {
+        let error = null;
+        try {
+            ProviderRegistry.register({ id: 'broken', name: 'Broken' });
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).toBe('Provider broken is missing proxy, create');
+
+        error = null;
+        try {
+            ProviderRegistry.register({ id: 'openai', name: 'Again', proxy: {}, create: () => null });
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).toBe('Provider "openai" is already registered');
+    });
+});
+
+describe('Prompt Caching', () => {
+    it('should price cache writes, cache reads and uncached input separately', () => {
+        const pricing = Metrics.withCachePricing({ input: 0.003, output: 0.015 }, { write: 1.25, read: 0.1 });
+        const costs = Metrics.calculateInputCosts(pricing, 3000, { writeTokens: 1000, readTokens: 1000 });
+        expect(costs.uncached.toFixed(6)).toBe('0.003000');
+        expect(costs.cacheWrite.toFixed(6)).toBe('0.003750');
+        expect(costs.cacheRead.toFixed(6)).toBe('0.000300');
+        expect(Metrics.calculateCost(pricing, 3000, 0, 0, { writeTokens: 1000, readTokens: 1000 }).toFixed(6)).toBe('0.007050');
+        // Listed cache prices win over the multipliers; without cache usage everything is input
+        expect(Metrics.withCachePricing({ input: 0.003, output: 0.015, cacheRead: 0.0006 }, { write: 1.25, read: 0.1 }).cacheRead).toBe(0.0006);
+        expect(Metrics.calculateCost({ input: 0.003, output: 0.015 }, 1000, 0).toFixed(6)).toBe('0.003000');
+    });
+
+    it('should read cached tokens from each provider\'s usage block', () => {
+        const anthropic = new AnthropicProvider('key').getCacheUsage({ input_tokens: 5, cache_creation_input_tokens: 2000, cache_read_input_tokens: 0 });
+        expect(anthropic.writeTokens).toBe(2000);
+        expect(new OpenAIProvider('key').getCacheUsage({ prompt_tokens: 1500, prompt_tokens_details: { cached_tokens: 1024 } }).readTokens).toBe(1024);
+        expect(new GoogleProvider('key').getCacheUsage({ promptTokenCount: 3000, cachedContentTokenCount: 2048 }).readTokens).toBe(2048);
+        expect(new OllamaProvider().getCacheUsage({ prompt_eval_count: 10 }).readTokens).toBe(0);
+
+        const fields = new AnthropicProvider('key').usageFields({ input: 0.003, output: 0.015 }, 2005, 10, 0, anthropic);
+        expect(fields.cacheWriteTokens).toBe(2000);
+        expect(fields.inputCosts.cacheWrite.toFixed(6)).toBe('0.006000');
+        expect(new OpenAIProvider('key').usageFields(null, 10, 10).inputCosts).toBe(null);
+    });
+
+    it('should put an Anthropic cache breakpoint on the last content block', () => {
+        const anthropic = new AnthropicProvider('key');
+        const marked = anthropic.addCacheBreakpoint({ role: 'user', content: 'Long document...' });
+        expect(marked.content[0].text).toBe('Long document...');
+        expect(marked.content[0].cache_control.type).toBe('ephemeral');
+
+        const image = { name: 'a.png', mimeType: 'image/png', size: 3, data: 'AAA' };
+        const [message] = anthropic.buildMessages('Describe', [], [image]);
+        const withImage = anthropic.addCacheBreakpoint(message);
+        expect(withImage.content[0].cache_control).toBe(undefined);
+        expect(withImage.content[1].cache_control.type).toBe('ephemeral');
+        expect(message.content[1].cache_control).toBe(undefined);
+    });
+});
+
+describe('Batch Runs', () => {
+    it('should split prompts by line, or by --- lines for multi-line prompts', () => {
+        expect(parseBatchPrompts('First\n\nSecond\n').length).toBe(2);
+        const multiLine = parseBatchPrompts('Summarize:\nline one\n---\nTranslate:\nline two');
+        expect(multiLine.length).toBe(2);
+        expect(multiLine[0]).toBe('Summarize:\nline one');
+    });
+
+    it('should build one non-streaming request per prompt and batch-capable model', () => {
+        const models = [
+            { id: 'claude-3-haiku-20240307', name: 'Claude 3 Haiku', provider: 'anthropic' },
+            { id: 'gemini-2.5-flash', name: 'Gemini 2.5 Flash', provider: 'google' }
+        ];
+        const job = BatchRunner.createJob(['One', 'Two'], models);
+        expect(job.models.length).toBe(1);
+        expect(job.skippedModels[0]).toBe('Gemini 2.5 Flash');
+
+        const requests = BatchRunner.buildRequests(job, 'anthropic', 'key', () => ({ systemPrompt: 'Be brief' }));
+        expect(requests.length).toBe(2);
+        expect(requests[1].customId).toBe('p1-m0');
+        expect(requests[1].body.system).toBe('Be brief');
+        expect(requests[1].body.stream).toBe(undefined);
+    });
+
+    it('should price batch results at the batch rate', () => {
+        const job = BatchRunner.createJob(['One'], [{ id: 'gpt-4', name: 'GPT-4', provider: 'openai' }]);
+        const pricing = Metrics.scalePricing({ input: 0.03, output: 0.06, source: 'fallback' }, 0.5);
+        expect(pricing.input).toBe(0.015);
+        expect(pricing.source).toBe('fallback');
+
+        const body = { choices: [{ message: { content: 'Hi' }, finish_reason: 'stop' }], usage: { prompt_tokens: 1000, completion_tokens: 1000 } };
+        const result = BatchRunner.createResult(new OpenAIProvider('key'), job.models[0], { customId: 'p0-m0', body }, pricing, job);
+        expect(result.text).toBe('Hi');
+        expect(result.estimatedCost.toFixed(3)).toBe('0.045');
+        expect(BatchRunner.createResult(new OpenAIProvider('key'), job.models[0], { customId: 'p0-m0', error: 'Batch expired' }, pricing, job).error !== undefined).toBe(true);
+    });
+
+    it('should store jobs without their results but with their upstream batch IDs', () => {
+        const job = BatchRunner.createJob(['One'], [{ id: 'gpt-4', name: 'GPT-4', provider: 'openai' }]);
+        job.batches.push({ provider: 'openai', id: 'batch_abc', status: 'ended', counts: null, error: null, collected: true });
+        job.results['p0-m0'] = { text: 'A long response' };
+
+        const stored = JSON.parse(JSON.stringify(BatchRunner.toStored(job)));
+        expect(stored.results).toBe(undefined);
+        expect(stored.batches[0].id).toBe('batch_abc');
+        expect(Object.keys(BatchRunner.fromStored(stored).results).length).toBe(0);
+        expect(Object.keys(job.results).length).toBe(1);
+    });
+
+    it('should remember who created each batch across restarts', () => {
+        const path = join(mkdtempSync(join(tmpdir(), 'batch-owners-')), 'owners', 'batch-owners.json');
+        const owners = new BatchOwners(path);
+        owners.set('openai', 'batch_abc', 'alice');
+        expect(owners.get('openai', 'batch_abc')).toBe('alice');
+        expect(owners.get('anthropic', 'batch_abc')).toBe(null);
+
+        const restarted = BatchOwners.fromEnv(undefined, { BATCH_OWNERS_FILE: path });
+        expect(restarted.get('openai', 'batch_abc')).toBe('alice');
+        expect(BatchOwners.fromEnv(undefined, { BATCH_OWNERS_FILE: 'off' }).path).toBe(null);
+    });
+});
+
+describe('Token Logprobs', () => {
+    it('should request logprobs only from models that return them', () => {
+        const openai = new OpenAIProvider('key');
+        const { requestBody } = openai.buildRequestBody('gpt-4o', 'Hi', { logprobs: true, topLogprobs: 50 });
+        expect(requestBody.logprobs).toBe(true);
+        expect(requestBody.top_logprobs).toBe(20);
+
+        const reasoning = openai.resolveSamplingParams({ logprobs: true }, 'o3-mini');
+        expect(reasoning.logprobs).toBe(null);
+        expect(reasoning.notes[0]).toBe('token logprobs are not supported by this model and were not requested');
+        expect(new GoogleProvider('key').resolveSamplingParams({ logprobs: true }, 'gemini-2.0-flash').logprobs.topLogprobs).toBe(5);
+        expect(new AnthropicProvider('key').resolveSamplingParams({ logprobs: true }).notes.length).toBe(1);
+        expect(openai.buildRequestBody('gpt-4o', 'Hi', {}).requestBody.logprobs).toBe(undefined);
+    });
+
+    it('should normalize OpenAI and Gemini logprobs to one shape', () => {
+        const data = {
+            choices: [{
+                message: { content: 'Hi there' },
+                finish_reason: 'stop',
+                logprobs: { content: [
+                    { token: 'Hi', logprob: -0.01, top_logprobs: [{ token: 'Hi', logprob: -0.01 }, { token: 'Hello', logprob: -4.6 }] },
+                    { token: ' there', logprob: -1.2, top_logprobs: [] }
+                ] }
+            }],
+            usage: { prompt_tokens: 5, completion_tokens: 2 }
+        };
+        const result = new OpenAIProvider('key').parseResponse(data, null);
+        expect(result.logprobs.length).toBe(2);
+        expect(result.logprobs[0].top[1].token).toBe('Hello');
+        expect(result.logprobStats.min).toBe(-1.2);
+
+        const gemini = new GoogleProvider('key').normalizeLogprobs({
+            chosenCandidates: [{ token: 'Yes', logProbability: -0.5 }],
+            topCandidates: [{ candidates: [{ token: 'Yes', logProbability: -0.5 }, { token: 'No', logProbability: -1 }] }]
+        });
+        expect(gemini[0].logprob).toBe(-0.5);
+        expect(gemini[0].top[1].logprob).toBe(-1);
+        expect(new OpenAIProvider('key').parseResponse({ ...data, choices: [{ ...data.choices[0], logprobs: null }] }, null).logprobs).toBe(undefined);
+    });
+
+    it('should summarize mean and minimum logprob', () => {
+        const stats = Metrics.summarizeLogprobs([{ logprob: -0.5 }, { logprob: -1.5 }, { logprob: -0.1 }]);
+        expect(stats.mean.toFixed(3)).toBe('-0.700');
+        expect(stats.min).toBe(-1.5);
+        expect(stats.count).toBe(3);
+        expect(Metrics.summarizeLogprobs([])).toBe(null);
+        expect(Metrics.formatLogprob(Math.log(0.9))).toBe('-0.105 (90.0%)');
+    });
+});
+
+describe('Repeated Sampling', () => {
+    it('should ask for n completions where the provider can return several', () => {
+        expect(planSampleRequests(5, 128).join(',')).toBe('5');
+        expect(planSampleRequests(10, 8).join(',')).toBe('8,2');
+        expect(planSampleRequests(3, 1).join(',')).toBe('1,1,1');
+        expect(new OpenAICompatibleProvider('key', { baseUrl: 'http://localhost:8000/v1' }).getMaxChoices()).toBe(1);
+        expect(new AnthropicProvider('key').getMaxChoices()).toBe(1);
+
+        const openai = new OpenAIProvider('key');
+        expect(openai.buildRequestBody('gpt-4o', 'Hi', { choices: 3 }).requestBody.n).toBe(3);
+        expect(openai.buildRequestBody('gpt-4o', 'Hi', {}).requestBody.n).toBe(undefined);
+    });
+
+    it('should combine samples from n completions and repeated requests', () => {
+        const data = {
+            choices: [
+                { index: 0, message: { content: 'Paris' }, finish_reason: 'stop' },
+                { index: 1, message: { content: 'Paris, France' }, finish_reason: 'stop' }
+            ],
+            usage: { prompt_tokens: 10, completion_tokens: 6 }
+        };
+        const first = { ...new OpenAIProvider('key').parseResponse(data, { input: 0.01, output: 0.03 }), latency: 800 };
+        expect(first.choices.length).toBe(2);
+
+        const failed = { error: 'Rate limit exceeded', errorType: 'rate_limit', latency: 100 };
+        const combined = Sampler.combine([failed, first, { ...first, choices: undefined, text: 'Paris.', latency: 1200 }]);
+        expect(combined.text).toBe('Paris');
+        expect(combined.choices).toBe(undefined);
+        expect(combined.samples.length).toBe(4);
+        expect(combined.samples[1].text).toBe('Paris, France');
+        expect(combined.samples[2].error).toBe('Rate limit exceeded');
+        expect(combined.samples[3].text).toBe('Paris.');
+        expect(combined.inputTokens).toBe(20);
+        expect(combined.sampleRequests).toBe(3);
+        expect(combined.sampleStats.failed).toBe(1);
+    });
+
+    it('should report latency, length and similarity spread', () => {
+        expect(textSimilarity('The cat sat', 'the cat ran')).toBe(0.5);
+        expect(textSimilarity('', '')).toBe(1);
+
+        const stats = computeSampleStats([
+            { text: 'abcd', latency: 300 },
+            { text: 'ab', latency: 100 },
+            { text: 'abcdef', latency: 200 },
+            { text: '', error: 'Timeout', latency: 5000 }
+        ]);
+        expect(stats.count).toBe(3);
+        expect(stats.latency.median).toBe(200);
+        expect(stats.latency.max).toBe(300);
+        expect(stats.length.mean).toBe(4);
+        expect(stats.length.variance.toFixed(3)).toBe('2.667');
+        expect(stats.similarity.min).toBe(0);
+        expect(computeSampleStats([{ text: 'only one' }])).toBe(null);
+    });
+
+    it('should spread latency over requests, not over the n completions of one', () => {
+        const data = {
+            choices: ['Paris', 'Paris, France', 'It is Paris'].map((content, index) => ({ index, message: { content }, finish_reason: 'stop' })),
+            usage: { prompt_tokens: 10, completion_tokens: 9 }
+        };
+        const threeChoices = { ...new OpenAIProvider('key').parseResponse(data, null), latency: 800 };
+
+        const single = Sampler.combine([threeChoices]);
+        expect(single.samples.length).toBe(3);
+        expect(single.sampleStats.count).toBe(3);
+        expect(single.sampleStats.latency).toBe(null);
+
+        const stats = Sampler.combine([threeChoices, { ...threeChoices, choices: undefined, latency: 1200 }]).sampleStats;
+        expect(stats.count).toBe(4);
+        expect(stats.latency.min).toBe(800);
+        expect(stats.latency.median).toBe(1000);
+        expect(stats.latency.max).toBe(1200);
+    });
+});
+
+describe('Model Catalog', () => {
+    it('should keep chat models from provider lists', () => {
+        const openai = OPENAI_MODELS.parse({
+            data: ['gpt-4.1', 'o3-mini', 'gpt-5', 'text-embedding-3-small', 'whisper-1', 'gpt-4o-realtime-preview', 'dall-e-3']
+                .map(id => ({ id }))
+        });
+        expect(openai.map(model => model.id).join(',')).toBe('gpt-4.1,o3-mini,gpt-5');
+        expect(isModelChatCapable('o3-mini')).toBe(true);
+        expect(isModelChatCapable('gpt-4.1')).toBe(true);
+
+        const google = GOOGLE_MODELS.parse({
+            models: [
+                { name: 'models/gemini-2.5-pro', displayName: 'Gemini 2.5 Pro', inputTokenLimit: 1048576, outputTokenLimit: 65536, thinking: true, supportedGenerationMethods: ['generateContent'] },
+                { name: 'models/gemini-embedding-001', supportedGenerationMethods: ['embedContent'] }
+            ]
+        });
+        expect(google.length).toBe(1);
+        expect(google[0].id).toBe('gemini-2.5-pro');
+        expect(google[0].maxOutputTokens).toBe(65536);
+        expect(google[0].supportsReasoning).toBe(true);
+    });
+
+    it('should merge local metadata over provider and OpenRouter data', () => {
+        const local = ModelCatalog.findMetadata({ 'gpt-4o': { name: 'GPT-4o', maxOutputTokens: 16384 } }, 'gpt-4o-2024-08-06');
+        expect(baseModelId('claude-3-opus-20240229')).toBe('claude-3-opus');
+        expect(baseModelId('gpt-4-0613')).toBe('gpt-4');
+
+        const openRouter = {
+            name: 'OpenAI: GPT-4o (2024-08-06)',
+            context_length: 128000,
+            top_provider: { max_completion_tokens: 4096 },
+            architecture: { input_modalities: ['text', 'image', 'file'], output_modalities: ['text'] },
+            supported_parameters: ['tools', 'temperature']
+        };
+        const entry = ModelCatalog.mergeEntry('openai', { id: 'gpt-4o-2024-08-06' }, local, openRouter, { input: 0.0025, output: 0.01 }, OPENAI_MODELS.defaults);
+        expect(entry.name).toBe('GPT-4o');
+        expect(entry.maxOutputTokens).toBe(16384);
+        expect(entry.contextWindow).toBe(128000);
+        expect(entry.supportsTools).toBe(true);
+        expect(entry.supportsReasoning).toBe(false);
+        expect(entry.capabilities.join(',')).toBe('chat,streaming,vision,tools');
+        expect(entry.sources.join(',')).toBe('local,provider,openrouter');
+        expect(entry.pricing.input).toBe(0.0025);
+    });
+
+    it('should fall back to defaults when no source knows the model', () => {
+        const entry = ModelCatalog.mergeEntry('openai', { id: 'gpt-9-experimental' }, null, null, null, OPENAI_MODELS.defaults);
+        expect(entry.name).toBe('Gpt 9 Experimental');
+        expect(entry.contextWindow).toBe(8192);
+        expect(entry.modalities).toBe(null);
+        expect(entry.deprecationDate).toBe(null);
+        expect(entry.capabilities.join(',')).toBe('chat,streaming');
+        expect(ProviderRegistry.catalogPath('openai')).toBe('/api/models/openai');
+
+        // Fallback prices match whole ID segments, so newer families aren't priced as older ones
+        expect(getModelPricing('gpt-4-turbo-2024-04-09').input).toBe(0.01);
+        expect(getModelPricing('gpt-4.1')).toBe(null);
+        expect(getModelPricing('gpt-4o-mini')).toBe(null);
+        expect(ProviderRegistry.get('ollama').models).toBe(undefined);
+    });
+});
+
+describe('Compare Endpoint', () => {
+    it('should parse a comparison request with defaults', () => {
+        const comparison = CompareRunner.parseRequest({
+            prompt: 'Hi',
+            models: ['gpt-4o', { id: 'claude-3-5-sonnet-20241022', parameters: { temperature: 0.2, bogus: 1 } }],
+            parameters: { topP: 0.9 },
+            systemPrompt: 'Be brief.',
+            samples: 50
+        });
+        expect(comparison.options.temperature).toBe(0.7);
+        expect(comparison.options.maxTokens).toBe(2048);
+        expect(comparison.options.topP).toBe(0.9);
+        expect(comparison.options.systemPrompt).toBe('Be brief.');
+        expect(comparison.samples).toBe(10);
+        expect(comparison.models[0].provider).toBe('openai');
+        expect(comparison.models[1].provider).toBe('anthropic');
+        expect(comparison.models[1].parameters.temperature).toBe(0.2);
+        expect(comparison.models[1].parameters.bogus).toBe(undefined);
+    });
+
+    it('should reject requests it cannot run', () => {
+        const messageOf = (body) => {
+            try {
+                CompareRunner.parseRequest(body);
+                return null;
+            } catch (error) {
+                return `${error.status} ${error.message}`;
+            }
+        };
+        expect(messageOf({ models: ['gpt-4o'] })).toBe('400 prompt must be a non-empty string');
+        expect(messageOf({ prompt: 'Hi', models: [] }).startsWith('400 models must be')).toBe(true);
+        expect(messageOf({ prompt: 'Hi', models: ['mystery-model'] })).toBe('400 Unknown provider for model mystery-model; pass { id, provider }');
+        expect(messageOf({ prompt: 'Hi', models: ['gpt-4o'], responseSchema: { type: 'array' } }).startsWith('400 Response schema must be')).toBe(true);
+        expect(CompareRunner.resolveModel({ id: 'llama3', provider: 'ollama' }).provider).toBe('ollama');
+    });
+
+    it('should resolve proxy paths against the configured origin', () => {
+        expect(ProviderRegistry.resolveProxyUrl('/api/proxy/openai/chat/completions')).toBe('/api/proxy/openai/chat/completions');
+        ProviderRegistry.setProxyOrigin('http://127.0.0.1:3000/');
+        expect(ProviderRegistry.resolveProxyUrl('/api/proxy/openai/chat/completions')).toBe('http://127.0.0.1:3000/api/proxy/openai/chat/completions');
+        expect(ProviderRegistry.resolveProxyUrl('https://example.com/v1')).toBe('https://example.com/v1');
+        ProviderRegistry.setProxyOrigin('');
+    });
+});
+
+describe('Server-Held Keys', () => {
+    it('should not require a browser key for providers the server holds a key for', () => {
+        expect(ProviderFactory.requiresApiKey('openai')).toBe(true);
+        ProviderRegistry.setServerKeys(['openai']);
+        expect(ProviderFactory.requiresApiKey('openai')).toBe(false);
+        expect(ProviderFactory.requiresApiKey('anthropic')).toBe(true);
+        expect(ProviderRegistry.requiresApiKey('openai')).toBe(true);
+        ProviderRegistry.setServerKeys([]);
+        expect(ProviderRegistry.hasServerKey('openai')).toBe(false);
+    });
+
+    it('should only send a key header when the user entered a key', () => {
+        expect(Object.keys(new OpenAIProvider(null).getHeaders()).length).toBe(0);
+        expect(new OpenAIProvider('sk-user').getHeaders()['x-api-key']).toBe('sk-user');
+        expect(new AnthropicProvider(null).getKeyHeaders()['x-api-key']).toBe(undefined);
+
+        const custom = new OpenAICompatibleProvider(null, { baseUrl: 'http://localhost:8000/v1' });
+        expect(custom.getHeaders()['x-base-url']).toBe('http://localhost:8000/v1');
+        expect('x-api-key' in custom.getHeaders()).toBe(false);
+    });
+
+    it('should leave custom endpoints and Ollama keyless', () => {
+        ProviderRegistry.setServerKeys(['custom', 'ollama']);
+        expect(ProviderRegistry.needsClientKey('custom')).toBe(false);
+        expect(ProviderRegistry.needsClientKey('ollama')).toBe(false);
+        expect(ProviderRegistry.listKeyed().some(({ id }) => id === 'custom' || id === 'ollama')).toBe(false);
+        ProviderRegistry.setServerKeys([]);
+    });
+});
+
+describe('Authentication', () => {
+    it('should verify scrypt password hashes', () => {
+        const stored = hashPassword('s3cret', 'abcd');
+        expect(stored.startsWith('scrypt:abcd:')).toBe(true);
+        expect(verifyPassword('s3cret', stored)).toBe(true);
+        expect(verifyPassword('wrong', stored)).toBe(false);
+        expect(verifyPassword('s3cret', 'plain')).toBe(false);
+
+        const users = new LocalUserStore([{ username: 'alice', passwordHash: stored, name: 'Alice' }]);
+        expect(users.login('alice', 's3cret').name).toBe('Alice');
+        expect(users.login('bob', 's3cret')).toBe(null);
+    });
+
+    it('should identify requests by bearer token or session cookie', () => {
+        const auth = new Auth().use(StaticTokens.parse('ci:tok-1, eval:tok-2'));
+        expect(auth.identify({ headers: { authorization: 'Bearer tok-2' } }).id).toBe('eval');
+        expect(auth.identify({ headers: { authorization: 'Bearer nope' } })).toBe(null);
+        expect(auth.identify({ headers: {} })).toBe(null);
+
+        const sessionId = auth.sessions.create({ id: 'alice', name: 'Alice', method: 'password' });
+        expect(auth.identify({ headers: { cookie: `theme=dark; ${SESSION_COOKIE}=${sessionId}` } }).id).toBe('alice');
+        expect(new Auth().identify({ headers: {} })).toBe(ANONYMOUS_USER);
+    });
+
+    it('should expire sessions and reject malformed token lists', () => {
+        const sessions = new SessionStore(-1);
+        expect(sessions.get(sessions.create({ id: 'alice' }))).toBe(null);
+
+        let message = '';
+        try { StaticTokens.parse('no-separator'); } catch (error) { message = error.message; }
+        expect(message.includes('name:token')).toBe(true);
+
+        const parsed = ErrorHandler.parseError(new Error('Authentication required'), 'openai', 'gpt-4o');
+        expect(parsed.type).toBe('auth');
+    });
+
+    it('should back off failed sign-ins per client and per username', () => {
+        let now = 0;
+        const throttle = new LoginThrottle({ freeAttempts: 2, baseDelayMs: 1000, maxDelayMs: 4000, resetMs: 60000, now: () => now });
+        const keys = ['ip:10.0.0.7', 'user:alice'];
+        throttle.fail(keys);
+        throttle.fail(keys);
+        expect(throttle.retryAfter(keys)).toBe(0);
+
+        throttle.fail(keys);
+        expect(throttle.retryAfter(['ip:10.0.0.8', 'user:alice'])).toBe(1000);
+        throttle.fail(keys);
+        throttle.fail(keys);
+        throttle.fail(keys);
+        expect(throttle.retryAfter(['ip:10.0.0.7'])).toBe(4000);
+
+        throttle.succeed(['user:alice']);
+        expect(throttle.retryAfter(['user:alice'])).toBe(0);
+        now = 70000;
+        expect(throttle.retryAfter(keys)).toBe(0);
+        throttle.fail(keys);
+        expect(throttle.retryAfter(keys)).toBe(0);
+    });
+
+    it('should forget quiet clients once too many are tracked', () => {
+        let now = 0;
+        const throttle = new LoginThrottle({ resetMs: 1000, maxTracked: 2, now: () => now });
+        throttle.fail(['ip:10.0.0.1', 'user:a']);
+        now = 5000;
+        throttle.fail(['ip:10.0.0.2']);
+        expect(throttle.failures.size).toBe(1);
+    });
+});
+
+describe('Usage Limits', () => {
+    it('should enforce requests per minute and concurrent streams with a reset time', () => {
+        let now = Date.UTC(2026, 9, 19, 12, 0, 0);
+        const limits = new UsageLimits({ users: { '*': { requestsPerMinute: 2, concurrentStreams: 1 } } }, () => now);
+
+        expect(limits.admit('alice', 'openai', { streaming: true })).toBe(null);
+        expect(limits.admit('alice', 'openai', { streaming: true }).limit).toBe('concurrentStreams');
+        limits.release('alice', 'openai', { streaming: true });
+        now += 1000;
+        expect(limits.admit('alice', 'openai')).toBe(null);
+
+        const exceeded = limits.admit('alice', 'openai');
+        expect(exceeded.limit).toBe('requestsPerMinute');
+        expect(exceeded.resetAt).toBe('2026-10-19T12:01:00.000Z');
+        expect(exceeded.retryAfterMs).toBe(59000);
+        expect(limits.admit('bob', 'openai')).toBe(null);
+    });
+
+    it('should apply daily and monthly ceilings per user and per provider', () => {
+        let now = Date.UTC(2026, 9, 19, 23, 0, 0);
+        const limits = new UsageLimits({
+            users: { '*': { daily: { dollars: 1 } }, root: { daily: { dollars: null } } },
+            providers: { anthropic: { monthly: { tokens: 5000 } } }
+        }, () => now);
+
+        limits.record('alice', 'openai', { tokens: 100, dollars: 1.5 });
+        const exceeded = limits.admit('alice', 'openai');
+        expect(exceeded.limit).toBe('daily.dollars');
+        expect(exceeded.message).toBe('Daily limit of $1.00 reached for alice');
+        expect(exceeded.resetAt).toBe('2026-10-20T00:00:00.000Z');
+
+        limits.record('root', 'anthropic', { tokens: 6000, dollars: 10 });
+        expect(limits.admit('root', 'anthropic').scope).toBe('provider');
+        expect(limits.admit('root', 'openai')).toBe(null);
+
+        now += 2 * 60 * 60 * 1000; // Next UTC day
+        expect(limits.admit('alice', 'openai')).toBe(null);
+    });
+
+    it('should read usage from streamed and whole responses', () => {
+        const anthropic = ProviderRegistry.get('anthropic');
+        const meter = new UsageMeter(anthropic, UsageMeter.modelFor(anthropic, 'messages', { model: 'claude-3-5-sonnet-20241022' }));
+        meter.push('event: message_start\ndata: {"type":"message_start","message":{"usage":{"input_tokens":10,"cache_read_input_tokens":90,"output_tokens":1}}}\n\n', 'text/event-stream');
+        meter.push('event: message_delta\ndata: {"type":"message_delta","usage":{"output_tokens":42}}\n', 'text/event-stream');
+        meter.finish();
+        expect(meter.model).toBe('claude-3-5-sonnet-20241022');
+        expect(meter.usage.inputTokens).toBe(100);
+        expect(meter.usage.cacheReadTokens).toBe(90);
+        expect(meter.totalTokens).toBe(142);
+
+        const google = ProviderRegistry.get('google');
+        const geminiMeter = new UsageMeter(google, UsageMeter.modelFor(google, 'models/gemini-2.5-flash:generateContent', {}));
+        geminiMeter.read({ usageMetadata: { promptTokenCount: 7, candidatesTokenCount: 3, thoughtsTokenCount: 20 } });
+        expect(geminiMeter.model).toBe('gemini-2.5-flash');
+        expect(geminiMeter.totalTokens).toBe(30);
+
+        const error = Object.assign(new Error('Limit of 2 requests per minute reached for alice'), {
+            rawResponse: { error: { type: 'usage_limit', limit: 'daily.dollars', message: 'Daily limit of $1.00 reached for alice', resetAt: '2026-10-20T00:00:00.000Z' } }
+        });
+        expect(ErrorHandler.isComparatorError(error)).toBe(true);
+        expect(ErrorHandler.parseError(error, 'anthropic', 'claude-3-haiku').type).toBe('quota');
+        expect(ErrorHandler.parseError(error, 'anthropic', 'claude-3-haiku').resetAt).toBe('2026-10-20T00:00:00.000Z');
+    });
+
+    it('should have a conservative price for models without one', () => {
+        const custom = ProviderRegistry.get('custom');
+        const meter = new UsageMeter(custom, 'my-finetune');
+        meter.read({ usage: { prompt_tokens: 2000, completion_tokens: 1000 } });
+        expect(meter.costAt(null)).toBe(null);
+
+        const limits = new UsageLimits({ users: { '*': { daily: { dollars: 0.1 } } } });
+        expect(meter.costAt(limits.unknownModelPricing).toFixed(3)).toBe('0.105');
+        limits.record('alice', 'custom', { tokens: meter.totalTokens, dollars: meter.costAt(limits.unknownModelPricing) });
+        expect(limits.admit('alice', 'custom').limit).toBe('daily.dollars');
+
+        const free = new UsageLimits({ unknownModelPricing: { input: 0, output: 0 } });
+        expect(meter.costAt(free.unknownModelPricing)).toBe(0);
+    });
+
+    it('should estimate batches before they run and meter their results per model', () => {
+        const openai = ProviderRegistry.get('openai');
+        const body = { model: 'gpt-4-turbo', max_tokens: 500, messages: [{ role: 'user', content: 'Twelve chars' }] };
+        const [estimate] = UsageMeter.estimateBatch(openai, [{ customId: 'p0-m0', body }, { customId: 'p1-m0', body }]);
+        expect(estimate.model).toBe('gpt-4-turbo');
+        expect(estimate.usage.inputTokens).toBe(6);
+        expect(estimate.usage.outputTokens).toBe(1000);
+
+        const response = (model) => ({ model, usage: { prompt_tokens: 10, completion_tokens: 20 } });
+        const meters = UsageMeter.forBatchResults(openai, [
+            { customId: 'p0-m0', body: response('gpt-4-turbo') },
+            { customId: 'p1-m0', body: response('gpt-4-turbo') },
+            { customId: 'p0-m1', body: response('gpt-4o') },
+            { customId: 'p1-m1', error: 'Batch expired' }
+        ]);
+        expect(meters.length).toBe(2);
+        expect(meters[0].totalTokens).toBe(60);
+        expect(meters[1].model).toBe('gpt-4o');
+    });
+
+    it('should ask OpenAI chat streams for their usage', () => {
+        const { requestBody } = ProviderRegistry.get('openai').proxy;
+        const body = { model: 'gpt-4o', stream: true, messages: [] };
+        expect(JSON.stringify(requestBody('chat/completions', body).stream_options)).toBe('{"include_usage":true}');
+        expect(body.stream_options).toBe(undefined);
+        expect(requestBody('chat/completions', { model: 'gpt-4o', messages: [] }).stream_options).toBe(undefined);
+        expect(ProviderRegistry.get('custom').proxy.requestBody).toBe(undefined);
+    });
+
+    it('should estimate the usage of answered calls that reported none', () => {
+        const meter = new UsageMeter(ProviderRegistry.get('custom'), 'llama-3');
+        meter.push('data: {"choices":[{"delta":{"content":"Hi"}}]}\n\n', 'text/event-stream');
+        meter.finish();
+        expect(meter.reported).toBe(false);
+
+        const image = { type: 'image_url', image_url: { url: `data:image/png;base64,${'A'.repeat(4000)}` } };
+        meter.estimateUnreported({ model: 'llama-3', messages: [{ role: 'user', content: [{ type: 'text', text: 'x'.repeat(40) }, image] }] });
+        expect(meter.estimated).toBe(true);
+        expect(meter.usage.inputTokens).toBe(10);
+        expect(meter.usage.outputTokens).toBe(12);
+
+        const capped = new UsageMeter(ProviderRegistry.get('google'), 'gemini-2.5-flash');
+        capped.received('x'.repeat(4000));
+        capped.estimateUnreported({ systemInstruction: { parts: [{ text: 'Be brief' }] }, contents: [{ parts: [{ text: 'Hi' }] }], generationConfig: { maxOutputTokens: 50 } });
+        expect(capped.usage.inputTokens).toBe(3);
+        expect(capped.usage.outputTokens).toBe(50);
+    });
+
+    it('should refuse malformed batch requests before estimating them', () => {
+        expect(batchRequestsError(undefined)).toBe('requests must be a non-empty array of { customId, body }');
+        expect(batchRequestsError([null])).toBe('requests[0] must be { customId, body } with body.messages an array of message objects');
+        expect(batchRequestsError([{ customId: 'p0-m0', body: { model: 'gpt-4o', messages: 'hello' } }]).startsWith('requests[0]')).toBe(true);
+        expect(batchRequestsError([
+            { customId: 'p0-m0', body: { messages: [{ role: 'user', content: 'Hi' }] } },
+            { customId: 'p1-m0', body: { messages: [null] } }
+        ]).startsWith('requests[1]')).toBe(true);
+        expect(batchRequestsError([{ customId: 'p0-m0', body: { model: 'gpt-4o', messages: [{ role: 'user', content: [null, { text: 'Hi' }] }] } }])).toBe(null);
+
+        const [estimate] = UsageMeter.estimateBatch(ProviderRegistry.get('openai'), [
+            { customId: 'p0-m0', body: { model: 'gpt-4o', max_tokens: '500', messages: [{ role: 'user', content: [null, { text: 'Twelve chars' }] }] } }
+        ]);
+        expect(estimate.usage.inputTokens).toBe(3);
+        expect(estimate.usage.outputTokens).toBe(4096);
+    });
+
+    it('should hold a batch estimate against spend ceilings until it is refunded', () => {
+        const limits = new UsageLimits({ users: { '*': { requestsPerMinute: 5, daily: { dollars: 1 } } } });
+        expect(limits.admit('alice', 'openai', { estimate: { dollars: 1.5 } }).message.includes('estimated $1.50')).toBe(true);
+        expect(limits.admit('alice', 'openai', { estimate: { dollars: 0.6 } })).toBe(null);
+        const periods = limits.record('alice', 'openai', { dollars: 0.6 });
+        expect(limits.admit('alice', 'openai', { estimate: { dollars: 0.6 } }).limit).toBe('daily.dollars');
+
+        limits.refund('alice', 'openai', { dollars: 0.6, periods });
+        limits.record('alice', 'openai', { dollars: 0.2 });
+        expect(limits.admit('alice', 'openai', { estimate: { dollars: 0.6 } })).toBe(null);
+        limits.refund('alice', 'openai', { dollars: 5, periods });
+        expect(limits.periodUsage(limits.counter('users', 'alice'), 'daily', new Date()).dollars).toBe(0);
+    });
+
+    it('should refund a batch estimate to the day and month it was charged to', () => {
+        let now = Date.UTC(2025, 0, 31, 23, 0);
+        const limits = new UsageLimits({ users: { '*': { daily: { dollars: 10 }, monthly: { dollars: 100 } } } }, () => now);
+        const periods = limits.record('alice', 'openai', { dollars: 4 });
+        expect(JSON.stringify(periods)).toBe('{"daily":"2025-01-31","monthly":"2025-01"}');
+
+        now = Date.UTC(2025, 1, 1, 9, 0);
+        limits.record('alice', 'openai', { dollars: 1 });
+        limits.refund('alice', 'openai', { dollars: 4, periods });
+        const counter = limits.counter('users', 'alice');
+        expect(limits.periodUsage(counter, 'daily', new Date(now)).dollars).toBe(1);
+        expect(limits.periodUsage(counter, 'monthly', new Date(now)).dollars).toBe(1);
+
+        const sameMonth = limits.record('alice', 'openai', { dollars: 2 });
+        now = Date.UTC(2025, 1, 2, 9, 0);
+        limits.refund('alice', 'openai', { dollars: 2, periods: sameMonth });
+        expect(limits.periodUsage(counter, 'monthly', new Date(now)).dollars).toBe(1);
+    });
+});
+
+describe('Audit Log', () => {
+    it('should redact keys, tokens and emails anywhere in a body', () => {
+        const patterns = parseRedactions('');
+        const body = redact({
+            messages: [{ role: 'user', content: 'Key sk-proj-abcdefghijklmnopqrstuv, mail jane.doe@example.com' }],
+            headers: ['Bearer abc.def-123'],
+            temperature: 0.2
+        }, patterns);
+        expect(body.messages[0].content).toBe('Key [REDACTED], mail [REDACTED]');
+        expect(body.headers[0]).toBe('[REDACTED]');
+        expect(body.temperature).toBe(0.2);
+
+        const custom = parseRedactions('email, /ACME-\\d{4}/i');
+        expect(redact('acme-1234 and sk-proj-abcdefghijklmnopqrstuv', custom)).toBe('[REDACTED] and sk-proj-abcdefghijklmnopqrstuv');
+        expect(parseRedactions('none').length).toBe(0);
+
+        let message = '';
+        try { parseRedactions('phone'); } catch (error) { message = error.message; }
+        expect(message.includes('Unknown AUDIT_LOG_REDACT pattern "phone"')).toBe(true);
+    });
+
+    it('should keep parameters but drop bodies unless asked to', () => {
+        const request = { model: 'gpt-4o', messages: [{ role: 'user', content: 'hi' }], temperature: 0, max_tokens: 50, stream: true };
+        expect(JSON.stringify(requestParams(request))).toBe('{"temperature":0,"max_tokens":50,"stream":true}');
+        expect(JSON.stringify(requestParams({ contents: [], generationConfig: { topK: 3 } }))).toBe('{"generationConfig":{"topK":3}}');
+
+        const log = new AuditLog({ path: '/tmp/audit.jsonl' });
+        const entry = log.entry({ user: 'alice', params: requestParams(request), error: 'Incorrect API key provided: sk-abcdefghijklmnopqrstuv', request, response: { ok: true } });
+        expect(entry.user).toBe('alice');
+        expect(entry.error).toBe('Incorrect API key provided: [REDACTED]');
+        expect(entry.request).toBe(undefined);
+        expect(entry.response).toBe(undefined);
+        expect(new AuditLog().enabled).toBe(false);
+    });
+
+    it('should cut bodies nested too deep to walk', () => {
+        let nested = 'sk-proj-abcdefghijklmnopqrstuv';
+        for (let i = 0; i < 20000; i++) nested = [nested];
+
+        const log = new AuditLog({ path: '/tmp/audit.jsonl', includeBodies: true });
+        const entry = log.entry({ user: 'alice', params: { temperature: 0, extra: nested }, request: { messages: nested } });
+        expect(JSON.stringify(entry.params).includes('[TRUNCATED]')).toBe(true);
+        expect(entry.request.messages.length).toBe(1);
+        expect(JSON.stringify(redact([[['sk-proj-abcdefghijklmnopqrstuv']]], parseRedactions('')))).toBe('[[["[REDACTED]"]]]');
+    });
+
+    it('should truncate long bodies and name rotated files', () => {
+        const log = new AuditLog({ path: 'logs/audit.jsonl', includeBodies: true });
+        expect(log.entry({ request: { prompt: 'write to a@b.io' } }).request.prompt).toBe('write to [REDACTED]');
+
+        const stored = log.body({ text: 'x'.repeat(150000) });
+        expect(typeof stored).toBe('string');
+        expect(stored.endsWith('[truncated 50011 chars]')).toBe(true);
+        expect(log.rotatedPath(2)).toBe('logs/audit.2.jsonl');
+        expect(AuditLog.fromEnv('logs/audit.jsonl', { AUDIT_LOG_FILE: 'off' }).enabled).toBe(false);
+    });
+
+    it('should rotate the file once the next entry would pass the size limit', async () => {
+        const path = join(mkdtempSync(join(tmpdir(), 'audit-')), 'logs', 'audit.jsonl');
+        const log = new AuditLog({ path, maxBytes: 300, maxFiles: 3 });
+        for (let call = 1; call <= 5; call++) {
+            await log.record({ user: 'alice', provider: 'openai', path: 'chat/completions', latencyMs: call });
+        }
+
+        const lines = (file) => readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+        expect(lines(path).length).toBe(1);
+        expect(lines(path)[0].latencyMs).toBe(5);
+        expect(lines(log.rotatedPath(1))[0].latencyMs).toBe(3);
+        expect(lines(log.rotatedPath(2))[0].latencyMs).toBe(1);
+        expect(existsSync(log.rotatedPath(3))).toBe(false);
+    });
+
+    it('should log rather than throw when an entry cannot be built', async () => {
+        const path = join(mkdtempSync(join(tmpdir(), 'audit-')), 'audit.jsonl');
+        const log = new AuditLog({ path });
+        const logged = [];
+        const original = Logger.error;
+        Logger.error = (category, message) => logged.push(message);
+        try {
+            await log.record({ user: 'alice', method: 'POST', path: 'chat/completions', params: { seed: 10n } });
+        } finally {
+            Logger.error = original;
+        }
+        expect(logged[0]).toBe('Could not build the audit entry for POST chat/completions');
+        expect(existsSync(path)).toBe(false);
+
+        let nested = 'deep';
+        for (let i = 0; i < 20000; i++) nested = [nested];
+        await log.record({ user: 'alice', method: 'POST', path: 'chat/completions', params: { extra: nested } });
+        expect(readFileSync(path, 'utf8').trim().split('\n').length).toBe(1);
+    });
+});
+
+describe('Custom Endpoint Targets', () => {
+    it('should classify metadata, link-local, loopback and private addresses', () => {
+        expect(addressScope('169.254.169.254')).toBe('link-local');
+        expect(addressScope('127.0.0.1')).toBe('loopback');
+        expect(addressScope('[::1]')).toBe('loopback');
+        expect(addressScope('::ffff:7f00:1')).toBe('loopback');
+        expect(addressScope('10.1.2.3')).toBe('private');
+        expect(addressScope('172.20.0.5')).toBe('private');
+        expect(addressScope('192.168.1.10')).toBe('private');
+        expect(addressScope('fd12::1')).toBe('private');
+        expect(addressScope('fe80::1')).toBe('link-local');
+        expect(addressScope('fd00:ec2::254')).toBe('metadata');
+        expect(addressScope('0.0.0.0')).toBe('unspecified');
+        expect(addressScope('172.32.0.1')).toBe('public');
+        expect(addressScope('8.8.8.8')).toBe('public');
+    });
+
+    it('should refuse private targets unless they are allowlisted', () => {
+        const local = new URL('http://localhost:8000/v1');
+        expect(refuseTarget(local, ['127.0.0.1'], []).includes('add it to CUSTOM_ENDPOINT_HOSTS')).toBe(true);
+        expect(refuseTarget(local, ['127.0.0.1'], ['localhost:8000'])).toBe(null);
+        expect(refuseTarget(new URL('https://api.example.com/v1'), ['93.184.216.34'], [])).toBe(null);
+        expect(refuseTarget(new URL('https://api.example.com/v1'), ['93.184.216.34'], ['gpu-box:8080']).includes('not in CUSTOM_ENDPOINT_HOSTS')).toBe(true);
+        // A public name that resolves to a private address counts as private
+        expect(refuseTarget(new URL('http://rebind.example.com'), ['10.0.0.7'], []).includes('private')).toBe(true);
+    });
+
+    it('should never forward to metadata addresses, even when allowlisted', () => {
+        const metadata = new URL('http://169.254.169.254/latest');
+        expect(refuseTarget(metadata, ['169.254.169.254'], ['169.254.169.254']).includes('never forwards')).toBe(true);
+        expect(refuseTarget(new URL('http://[fd00:ec2::254]/'), ['fd00:ec2::254'], []).includes('metadata')).toBe(true);
+    });
+
+    it('should check the addresses a host resolves to and hand them back', async () => {
+        const resolveTo = (address) => async () => [{ address, family: 4 }];
+        const addresses = await checkTarget(new URL('https://api.example.com/v1'), [], resolveTo('93.184.216.34'));
+        expect(addresses.join()).toBe('93.184.216.34');
+
+        const refusal = async (url, resolve) => checkTarget(new URL(url), [], resolve).then(() => null, error => error.message);
+        expect((await refusal('http://rebind.example.com', resolveTo('10.0.0.7'))).includes('private')).toBe(true);
+        expect(await refusal('http://nowhere.example.com', async () => { throw Object.assign(new Error('not found'), { code: 'ENOTFOUND' }); }))
+            .toBe('Could not resolve nowhere.example.com: ENOTFOUND');
+    });
+
+    it('should reach a checked host at its checked address and refuse its redirects', async () => {
+        const server = createServer((req, res) => {
+            if (req.url === '/moved') {
+                res.writeHead(302, { Location: 'http://169.254.169.254/latest/meta-data' });
+                return res.end();
+            }
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify({ host: req.headers.host, contentLength: req.headers['content-length'] }));
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        const { port } = server.address();
+        try {
+            // The name never resolves; only the pinned address is used
+            const response = await fetchPinned(`http://rebind.invalid:${port}/v1`, { method: 'POST', body: '{}' }, ['127.0.0.1']);
+            const data = await response.json();
+            expect(data.host).toBe(`rebind.invalid:${port}`);
+            expect(data.contentLength).toBe('2');
+
+            const redirected = await fetchPinned(`http://rebind.invalid:${port}/moved`, {}, ['127.0.0.1']).then(() => null, error => error.message);
+            expect(redirected.includes('redirect (302) to http://169.254.169.254/latest/meta-data')).toBe(true);
+        } finally {
+            server.close();
+        }
+    });
+
+    it('should connect to the checked addresses instead of resolving the host again', () => {
+        const lookup = pinnedLookup(['93.184.216.34', '2606:2800:220:1::1']);
+        let answer = null;
+        lookup('rebind.example.com', {}, (error, address, family) => { answer = { address, family }; });
+        expect(JSON.stringify(answer)).toBe('{"address":"93.184.216.34","family":4}');
+        lookup('rebind.example.com', { all: true }, (error, addresses) => { answer = addresses; });
+        expect(answer.length).toBe(2);
+        expect(answer[1].family).toBe(6);
+    });
+});
+
+describe('Static Files', () => {
+    it('should serve the page, its stylesheet and browser modules', () => {
+        expect(isPublicAsset('/index.html')).toBe(true);
+        expect(isPublicAsset('/app.js')).toBe(true);
+        expect(isPublicAsset('/components/model-card.js')).toBe(true);
+        expect(isPublicAsset('/config/models.js')).toBe(true);
+    });
+
+    it('should not serve data files, server code or dependencies', () => {
+        expect(isPublicAsset('/config/users.json')).toBe(false);
+        expect(isPublicAsset('/config/model-metadata.json')).toBe(false);
+        expect(isPublicAsset('/server.js')).toBe(false);
+        expect(isPublicAsset('/package.json')).toBe(false);
+        expect(isPublicAsset('/.env')).toBe(false);
+        expect(isPublicAsset('/node_modules/express/index.js')).toBe(false);
+        expect(isPublicAsset('/utils/..%2Fserver.js')).toBe(false);
+        expect(isPublicAsset('/%E0%A4%A')).toBe(false);
+    });
+
+    it('should tell which data files sit inside the app directory', () => {
+        expect(isInsideDir('/srv/app', '/srv/app/config/users.json')).toBe(true);
+        expect(isInsideDir('/srv/app', '/srv/app')).toBe(true);
+        expect(isInsideDir('/srv/app', '/srv/app-data/users.json')).toBe(false);
+        expect(isInsideDir('/srv/app', '/srv/app/../users.json')).toBe(false);
+    });
+
+    it('should keep the audit log out of reach of the static files', () => {
+        expect(isPublicAsset('/logs/audit.jsonl')).toBe(false);
+        expect(isPublicAsset('/logs/audit.1.jsonl')).toBe(false);
+        expect(isInsideDir(new URL('..', import.meta.url).pathname, DEFAULT_AUDIT_LOG_PATH)).toBe(false);
+        expect(AuditLog.fromEnv(undefined, {}).path).toBe(DEFAULT_AUDIT_LOG_PATH);
+    });
+});
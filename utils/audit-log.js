@@ -0,0 +1,171 @@
+// Persistent audit log of proxied model calls, batch submissions, cancellations and results,
+// and model catalog requests, one JSON object per line, for answering "who spent what on which
+// model" and troubleshooting failures after the fact:
+//
+//   { timestamp, user, provider, model, method, path, streaming, params, status, outcome,
+//     latencyMs, usage: { inputTokens, outputTokens, cacheWriteTokens, cacheReadTokens } | null,
+//     usageEstimated, cost, error, request, response }
+//
+// usageEstimated marks usage the proxy estimated because the provider reported none. outcome is
+// ok | error | limited | timeout | cancelled | interrupted | unreachable. Prompt and
+// response bodies (request, response) are only kept with AUDIT_LOG_BODIES=true, and are redacted
+// first; error messages are always redacted. The file rotates by size: audit.jsonl moves to
+// audit.1.jsonl, and so on up to AUDIT_LOG_MAX_FILES.
+import { appendFile, mkdir, rename, rm, stat } from 'fs/promises';
+import { homedir } from 'os';
+import { dirname, extname, join } from 'path';
+import { Logger } from './logger.js';
+
+// Outside the app directory, which the server partly serves as static files
+export const DEFAULT_AUDIT_LOG_PATH = join(homedir(), '.llm-comparator', 'audit.jsonl');
+
+// Built-in redactions, selected by name in AUDIT_LOG_REDACT
+export const REDACTION_PATTERNS = {
+    apiKey: /\b(sk-(?:ant-|proj-)?[A-Za-z0-9_-]{16,}|AIza[0-9A-Za-z_-]{35})\b/g,
+    bearer: /\bBearer\s+[A-Za-z0-9._~+/-]+=*/g,
+    jwt: /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\b/g,
+    email: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g,
+    cardNumber: /\b(?:\d[ -]?){13,16}\b/g
+};
+
+// Request fields holding the conversation; everything else counts as parameters
+const CONTENT_FIELDS = ['messages', 'contents', 'system', 'systemInstruction', 'tools', 'prompt', 'input'];
+// Longest body kept per entry, in characters of JSON; images in prompts would otherwise dominate
+const MAX_BODY_CHARS = 100000;
+// Deepest nesting redact walks into; anything below is replaced, so no body can exhaust the stack
+const MAX_REDACT_DEPTH = 32;
+
+// AUDIT_LOG_REDACT: comma-separated names from REDACTION_PATTERNS and/or /regex/flags; "none" for none
+export function parseRedactions(value) {
+    if (!value) return Object.values(REDACTION_PATTERNS);
+    if (value.trim() === 'none') return [];
+
+    return value.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+        const custom = entry.match(/^\/(.+)\/([a-z]*)$/);
+        if (custom) return new RegExp(custom[1], custom[2].includes('g') ? custom[2] : `${custom[2]}g`);
+        if (!REDACTION_PATTERNS[entry]) {
+            throw new Error(`Unknown AUDIT_LOG_REDACT pattern "${entry}"; use ${Object.keys(REDACTION_PATTERNS).join(', ')} or /regex/`);
+        }
+        return REDACTION_PATTERNS[entry];
+    });
+}
+
+// Strings anywhere in value, with every match replaced by [REDACTED]; arrays and objects nested
+// deeper than MAX_REDACT_DEPTH become [TRUNCATED]
+export function redact(value, patterns, depth = 0) {
+    if (typeof value === 'string') {
+        return patterns.reduce((text, pattern) => text.replace(pattern, '[REDACTED]'), value);
+    }
+    if (value && typeof value === 'object' && depth >= MAX_REDACT_DEPTH) return '[TRUNCATED]';
+    if (Array.isArray(value)) return value.map(item => redact(item, patterns, depth + 1));
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redact(item, patterns, depth + 1)]));
+    }
+    return value;
+}
+
+// A request body's generation settings, without the model and the conversation
+export function requestParams(body) {
+    if (!body || typeof body !== 'object') return null;
+    return Object.fromEntries(Object.entries(body).filter(([key]) => key !== 'model' && !CONTENT_FIELDS.includes(key)));
+}
+
+export class AuditLog {
+    constructor({ path = null, includeBodies = false, redactions = Object.values(REDACTION_PATTERNS), maxBytes = 50 * 1024 * 1024, maxFiles = 5 } = {}) {
+        this.path = path;
+        this.includeBodies = includeBodies;
+        this.redactions = redactions;
+        this.maxBytes = maxBytes;
+        this.maxFiles = maxFiles;
+        this.size = null; // Bytes in the current file, read on the first write
+        this.writes = Promise.resolve(); // Appends run one at a time, in order
+    }
+
+    // AUDIT_LOG_FILE ("off" disables), AUDIT_LOG_BODIES, AUDIT_LOG_REDACT, AUDIT_LOG_MAX_MB, AUDIT_LOG_MAX_FILES
+    static fromEnv(defaultPath = DEFAULT_AUDIT_LOG_PATH, env = process.env) {
+        const path = env.AUDIT_LOG_FILE || defaultPath;
+        return new AuditLog({
+            path: path === 'off' ? null : path,
+            includeBodies: env.AUDIT_LOG_BODIES === 'true',
+            redactions: parseRedactions(env.AUDIT_LOG_REDACT),
+            maxBytes: parseFloat(env.AUDIT_LOG_MAX_MB || '50') * 1024 * 1024,
+            maxFiles: parseInt(env.AUDIT_LOG_MAX_FILES || '5', 10)
+        });
+    }
+
+    get enabled() {
+        return !!this.path;
+    }
+
+    // A body as stored: redacted, and cut to MAX_BODY_CHARS of JSON
+    body(value) {
+        if (!this.includeBodies || value === undefined || value === null) return undefined;
+
+        const redacted = redact(value, this.redactions);
+        const json = typeof redacted === 'string' ? redacted : JSON.stringify(redacted);
+        return json.length > MAX_BODY_CHARS ? `${json.slice(0, MAX_BODY_CHARS)}… [truncated ${json.length - MAX_BODY_CHARS} chars]` : redacted;
+    }
+
+    // The entry for one call; request/response are bodies, dropped unless AUDIT_LOG_BODIES is on
+    entry({ params, request, response, error, ...fields }) {
+        return {
+            timestamp: new Date().toISOString(),
+            ...fields,
+            params: redact(params ?? null, this.redactions),
+            error: error ? redact(error, this.redactions) : null,
+            request: this.body(request),
+            response: this.body(response)
+        };
+    }
+
+    // Append an entry; resolves once written. Failures are logged, never thrown at the caller
+    record(fields) {
+        if (!this.enabled) return Promise.resolve();
+
+        let line;
+        try {
+            line = `${JSON.stringify(this.entry(fields))}\n`;
+        } catch (error) {
+            Logger.error('AUDIT', `Could not build the audit entry for ${fields.method} ${fields.path}`, error, { user: fields.user });
+            return Promise.resolve();
+        }
+        this.writes = this.writes
+            .then(() => this.append(line))
+            .catch(error => Logger.error('AUDIT', `Could not write the audit log at ${this.path}`, error));
+        return this.writes;
+    }
+
+    async append(line) {
+        if (this.size === null) {
+            await mkdir(dirname(this.path), { recursive: true });
+            this.size = await stat(this.path).then(info => info.size, () => 0);
+        }
+
+        const bytes = Buffer.byteLength(line);
+        if (this.size > 0 && this.size + bytes > this.maxBytes) {
+            await this.rotate();
+        }
+        await appendFile(this.path, line);
+        this.size += bytes;
+    }
+
+    // audit.jsonl -> audit.1.jsonl -> audit.2.jsonl ...; maxFiles counts the current file too
+    rotatedPath(index) {
+        const extension = extname(this.path);
+        return `${this.path.slice(0, this.path.length - extension.length)}.${index}${extension}`;
+    }
+
+    async rotate() {
+        const keep = Math.max(this.maxFiles - 1, 0);
+        if (keep === 0) {
+            await rm(this.path, { force: true });
+        } else {
+            await rm(this.rotatedPath(keep), { force: true });
+            for (let index = keep - 1; index >= 1; index--) {
+                await rename(this.rotatedPath(index), this.rotatedPath(index + 1)).catch(() => {});
+            }
+            await rename(this.path, this.rotatedPath(1));
+        }
+        this.size = 0;
+    }
+}
@@ -0,0 +1,255 @@
+// Server-side authentication for shared deployments
+// Authenticators are plugins: each one may check a username and password (login) and/or a
+// bearer token (verifyToken), returning a user or null. A password login starts a session
+// kept in an HttpOnly cookie; scripts send their token as "Authorization: Bearer <token>".
+// Every request to a protected route then carries req.user:
+//
+//   user   { id, name, method: 'password' | 'token' | 'none' }
+//
+// Built in: LocalUserStore (AUTH_USERS_FILE, scrypt password hashes) and StaticTokens
+// (AUTH_TOKENS). With neither configured, authentication is off and requests run as ANONYMOUS_USER.
+// LoginThrottle slows down repeated failed sign-ins from one client or for one username.
+import { scryptSync, randomBytes, timingSafeEqual, createHash } from 'crypto';
+import { readFileSync } from 'fs';
+
+export const SESSION_COOKIE = 'llm_comparator_session';
+export const ANONYMOUS_USER = { id: 'anonymous', name: 'Anonymous', method: 'none' };
+
+const SCRYPT_KEY_LENGTH = 64;
+const MINUTE_MS = 60 * 1000;
+
+// Stored as scrypt:<salt>:<hash>, both hex
+export function hashPassword(password, salt = randomBytes(16).toString('hex')) {
+    return `scrypt:${salt}:${scryptSync(password, salt, SCRYPT_KEY_LENGTH).toString('hex')}`;
+}
+
+export function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = (stored || '').split(':');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = scryptSync(password, salt, expected.length);
+    return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+// Checked against for unknown usernames, so they take as long as known ones; hashed once, up front
+const UNKNOWN_USER_HASH = hashPassword('', '00');
+
+// Constant-time comparison for secrets of any length
+function secretsMatch(a, b) {
+    const digest = (value) => createHash('sha256').update(value).digest();
+    return timingSafeEqual(digest(a), digest(b));
+}
+
+// Users from a JSON file: [{ username, passwordHash, name }]
+export class LocalUserStore {
+    constructor(users = []) {
+        this.name = 'local';
+        this.users = new Map(users.map(user => [user.username, user]));
+    }
+
+    static fromFile(path) {
+        return new LocalUserStore(JSON.parse(readFileSync(path, 'utf8')));
+    }
+
+    login(username, password) {
+        const user = this.users.get(username);
+        // Hash anyway for unknown users, so timing doesn't reveal which usernames exist
+        const valid = verifyPassword(password, user?.passwordHash || UNKNOWN_USER_HASH);
+        return user && valid ? { id: user.username, name: user.name || user.username, method: 'password' } : null;
+    }
+}
+
+// Static bearer tokens for scripts and services: "name:token,name:token"
+export class StaticTokens {
+    constructor(tokens = []) {
+        this.name = 'tokens';
+        this.tokens = tokens;
+    }
+
+    static parse(value) {
+        return new StaticTokens((value || '')
+            .split(',')
+            .map(entry => entry.trim())
+            .filter(Boolean)
+            .map(entry => {
+                const separator = entry.indexOf(':');
+                if (separator < 1) throw new Error('AUTH_TOKENS entries must look like name:token');
+                return { name: entry.slice(0, separator), token: entry.slice(separator + 1) };
+            }));
+    }
+
+    verifyToken(token) {
+        const match = this.tokens.find(entry => secretsMatch(entry.token, token));
+        return match ? { id: match.name, name: match.name, method: 'token' } : null;
+    }
+}
+
+// Backoff after failed sign-ins, tracked per key (the client's IP and the username tried): past
+// freeAttempts failures, each one doubles the wait before that key may try again, up to maxDelayMs.
+// A key's failures are forgotten once it has been quiet for resetMs, or when it signs in.
+// In memory, like sessions
+export class LoginThrottle {
+    constructor({ freeAttempts = 5, baseDelayMs = 1000, maxDelayMs = 15 * MINUTE_MS, resetMs = 60 * MINUTE_MS, maxTracked = 10000, now = () => Date.now() } = {}) {
+        this.freeAttempts = freeAttempts;
+        this.baseDelayMs = baseDelayMs;
+        this.maxDelayMs = maxDelayMs;
+        this.resetMs = resetMs;
+        this.maxTracked = maxTracked;
+        this.now = now;
+        this.failures = new Map(); // "ip:10.0.0.7" | "user:alice" -> { count, lastAt, retryAt }
+    }
+
+    entry(key, now) {
+        const entry = this.failures.get(key);
+        return entry && now - entry.lastAt < this.resetMs ? entry : null;
+    }
+
+    // Milliseconds until all of keys may try again; 0 when they may now
+    retryAfter(keys) {
+        const now = this.now();
+        return Math.max(0, ...keys.map(key => (this.entry(key, now)?.retryAt ?? now) - now));
+    }
+
+    fail(keys) {
+        const now = this.now();
+        if (this.failures.size >= this.maxTracked) this.prune(now);
+
+        keys.forEach(key => {
+            const count = (this.entry(key, now)?.count || 0) + 1;
+            const delayMs = count > this.freeAttempts ? Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** (count - this.freeAttempts - 1)) : 0;
+            this.failures.set(key, { count, lastAt: now, retryAt: now + delayMs });
+        });
+    }
+
+    succeed(keys) {
+        keys.forEach(key => this.failures.delete(key));
+    }
+
+    prune(now) {
+        this.failures.forEach((entry, key) => {
+            if (!this.entry(key, now)) this.failures.delete(key);
+        });
+    }
+}
+
+// In-memory sessions; a restart signs everyone out
+export class SessionStore {
+    constructor(ttlMs) {
+        this.ttlMs = ttlMs;
+        this.sessions = new Map(); // id -> { user, expiresAt }
+    }
+
+    create(user) {
+        const id = randomBytes(32).toString('hex');
+        this.sessions.set(id, { user, expiresAt: Date.now() + this.ttlMs });
+        return id;
+    }
+
+    get(id) {
+        const session = id && this.sessions.get(id);
+        if (!session) return null;
+        if (session.expiresAt <= Date.now()) {
+            this.sessions.delete(id);
+            return null;
+        }
+        return session.user;
+    }
+
+    destroy(id) {
+        this.sessions.delete(id);
+    }
+}
+
+export function parseCookies(header) {
+    return Object.fromEntries((header || '')
+        .split(';')
+        .map(part => part.trim())
+        .filter(Boolean)
+        .map(part => {
+            const separator = part.indexOf('=');
+            return separator < 0 ? [part, ''] : [part.slice(0, separator), decodeURIComponent(part.slice(separator + 1))];
+        }));
+}
+
+export class Auth {
+    constructor({ sessionTtlMs = 12 * 60 * 60 * 1000, secureCookies = false } = {}) {
+        this.authenticators = [];
+        this.sessions = new SessionStore(sessionTtlMs);
+        this.secureCookies = secureCookies;
+    }
+
+    // AUTH_USERS_FILE, AUTH_TOKENS, AUTH_SESSION_HOURS and AUTH_COOKIE_SECURE
+    static fromEnv(env = process.env) {
+        const auth = new Auth({
+            sessionTtlMs: parseFloat(env.AUTH_SESSION_HOURS || '12') * 60 * 60 * 1000,
+            secureCookies: env.AUTH_COOKIE_SECURE === 'true'
+        });
+        if (env.AUTH_USERS_FILE) auth.use(LocalUserStore.fromFile(env.AUTH_USERS_FILE));
+        if (env.AUTH_TOKENS) auth.use(StaticTokens.parse(env.AUTH_TOKENS));
+        return auth;
+    }
+
+    use(authenticator) {
+        this.authenticators.push(authenticator);
+        return this;
+    }
+
+    get enabled() {
+        return this.authenticators.length > 0;
+    }
+
+    get supportsLogin() {
+        return this.authenticators.some(authenticator => authenticator.login);
+    }
+
+    login(username, password) {
+        for (const authenticator of this.authenticators) {
+            const user = authenticator.login?.(username, password);
+            if (user) return user;
+        }
+        return null;
+    }
+
+    // The user behind a request: its bearer token, else its session cookie
+    identify(req) {
+        if (!this.enabled) return ANONYMOUS_USER;
+
+        const [scheme, token] = (req.headers.authorization || '').split(' ');
+        if (scheme === 'Bearer' && token) {
+            for (const authenticator of this.authenticators) {
+                const user = authenticator.verifyToken?.(token);
+                if (user) return user;
+            }
+            return null;
+        }
+
+        return this.sessions.get(parseCookies(req.headers.cookie)[SESSION_COOKIE]);
+    }
+
+    sessionCookie(id, maxAgeMs) {
+        return `${SESSION_COOKIE}=${id}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${Math.floor(maxAgeMs / 1000)}` +
+            (this.secureCookies ? '; Secure' : '');
+    }
+
+    startSession(res, user) {
+        res.setHeader('Set-Cookie', this.sessionCookie(this.sessions.create(user), this.sessions.ttlMs));
+    }
+
+    endSession(req, res) {
+        this.sessions.destroy(parseCookies(req.headers.cookie)[SESSION_COOKIE]);
+        res.setHeader('Set-Cookie', this.sessionCookie('', 0));
+    }
+
+    // Express middleware: sets req.user, or answers 401 when authentication is on and fails
+    middleware() {
+        return (req, res, next) => {
+            const user = this.identify(req);
+            if (!user) {
+                return res.status(401).json({ error: { message: 'Authentication required', type: 'auth' } });
+            }
+            req.user = user;
+            next();
+        };
+    }
+}
@@ -0,0 +1,53 @@
+// Who created each provider batch, so only they can check, cancel or collect it. Kept in a JSON
+// file (BATCH_OWNERS_FILE, "off" for memory only) so batches stay theirs across restarts:
+//
+//   { "openai:batch_abc": "alice", "anthropic:msgbatch_123": "bob" }
+import { mkdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { homedir } from 'os';
+import { dirname, join } from 'path';
+import { Logger } from './logger.js';
+
+// Outside the app directory, which the server partly serves as static files
+export const DEFAULT_BATCH_OWNERS_PATH = join(homedir(), '.llm-comparator', 'batch-owners.json');
+
+function readOwners(path) {
+    try {
+        return JSON.parse(readFileSync(path, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return {};
+        throw new Error(`Could not read batch owners from ${path}: ${error.message}`);
+    }
+}
+
+export class BatchOwners {
+    constructor(path = null) {
+        this.path = path;
+        this.owners = new Map(Object.entries(path ? readOwners(path) : {}));
+    }
+
+    static fromEnv(defaultPath = DEFAULT_BATCH_OWNERS_PATH, env = process.env) {
+        const path = env.BATCH_OWNERS_FILE || defaultPath;
+        return new BatchOwners(path === 'off' ? null : path);
+    }
+
+    // User ID of the batch's creator, or null when none was recorded
+    get(providerId, batchId) {
+        return this.owners.get(`${providerId}:${batchId}`) || null;
+    }
+
+    // The batch exists upstream by now, so a failed write is logged rather than thrown; the
+    // owner is still known until a restart
+    set(providerId, batchId, userId) {
+        this.owners.set(`${providerId}:${batchId}`, userId);
+        if (!this.path) return;
+
+        try {
+            mkdirSync(dirname(this.path), { recursive: true });
+            const temporary = `${this.path}.tmp`;
+            writeFileSync(temporary, JSON.stringify(Object.fromEntries(this.owners)));
+            renameSync(temporary, this.path);
+        } catch (error) {
+            Logger.error('BATCH', `Could not save batch owners to ${this.path}`, error, { user: userId });
+        }
+    }
+}
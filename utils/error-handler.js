@@ -12,6 +12,58 @@ export class ErrorHandler {
             };
         }
 
+        // Cancellation via AbortController is the same for every provider
+        if (error.name === 'AbortError') {
+            return {
+                message: 'Request cancelled',
+                suggestion: 'Stopped before the model finished. Any text received so far is kept.',
+                type: 'cancelled',
+                provider,
+                modelId,
+                timestamp: new Date().toISOString()
+            };
+        }
+
+        // Deadline from RequestTimer (api/request-timer.js) - phase says where the request stalled
+        if (error.name === 'TimeoutError' && error.phase) {
+            return {
+                ...this.describeTimeout(error.phase, error.timeoutMs),
+                type: 'timeout',
+                timeoutPhase: error.phase,
+                provider,
+                modelId,
+                timestamp: new Date().toISOString()
+            };
+        }
+
+        // The comparator's own sign-in (utils/auth.js) rejected the request, not the provider
+        if (error.message === 'Authentication required') {
+            return {
+                message: 'Signed out of the comparator',
+                suggestion: 'Your session has ended. Reload the page and sign in again.',
+                type: 'auth',
+                provider,
+                modelId,
+                timestamp: new Date().toISOString()
+            };
+        }
+
+        // The comparator's own rate limits and quotas (utils/usage-limits.js), not the provider's
+        const usageLimit = error.rawResponse?.error;
+        if (usageLimit?.type === 'usage_limit') {
+            return {
+                message: usageLimit.message,
+                suggestion: usageLimit.resetAt
+                    ? `Set by this comparator's administrator. It resets at ${new Date(usageLimit.resetAt).toLocaleString()}.`
+                    : 'Set by this comparator\'s administrator. Try again when one of your other requests finishes.',
+                type: usageLimit.limit.includes('.') ? 'quota' : 'rate_limit',
+                resetAt: usageLimit.resetAt,
+                provider,
+                modelId,
+                timestamp: new Date().toISOString()
+            };
+        }
+
         // Extract error message from various API response formats
         let message = error.message || String(error) || 'Unknown error occurred';
         let suggestion = '';
@@ -24,6 +76,8 @@ export class ErrorHandler {
             ({ message, suggestion, type } = this.parseAnthropicError(error, message));
         } else if (provider === 'google') {
             ({ message, suggestion, type } = this.parseGoogleError(error, message));
+        } else if (provider === 'ollama') {
+            ({ message, suggestion, type } = this.parseOllamaError(error, message));
         }
 
         return {
@@ -37,6 +91,37 @@ export class ErrorHandler {
         };
     }
 
+    // Refused by this comparator's server (sign-in or usage limits) rather than by the provider
+    static isComparatorError(error) {
+        return error?.message === 'Authentication required' || error?.rawResponse?.error?.type === 'usage_limit';
+    }
+
+    static describeTimeout(phase, timeoutMs) {
+        const seconds = Math.round(timeoutMs / 1000);
+        switch (phase) {
+            case 'connection':
+                return {
+                    message: 'Connection timed out',
+                    suggestion: `No response from the provider within ${seconds}s. Check your network or the proxy server, then retry.`
+                };
+            case 'firstToken':
+                return {
+                    message: 'No output before first-token timeout',
+                    suggestion: `The request was accepted but no tokens arrived within ${seconds}s. The provider may be overloaded - retry shortly.`
+                };
+            case 'idle':
+                return {
+                    message: 'Stream stalled',
+                    suggestion: `No data for ${seconds}s in the middle of the response. The partial text received so far is kept.`
+                };
+            default:
+                return {
+                    message: 'Request timed out',
+                    suggestion: `No complete response within ${seconds}s. Enable streaming or lower max tokens for long responses.`
+                };
+        }
+    }
+
     static parseOpenAIError(error, defaultMessage) {
         let message = defaultMessage;
         let suggestion = '';
@@ -140,12 +225,38 @@ export class ErrorHandler {
         return { message, suggestion, type };
     }
 
+    static parseOllamaError(error, defaultMessage) {
+        let message = defaultMessage;
+        let suggestion = '';
+        let type = 'unknown';
+
+        if (message.includes('Could not reach') || message.includes('ECONNREFUSED') || message.includes('502')) {
+            type = 'network';
+            message = 'Ollama not reachable';
+            suggestion = 'Make sure Ollama is running (`ollama serve`) and the server URL in settings is correct.';
+        } else if (message.includes('not found')) {
+            type = 'model_not_found';
+            message = 'Model not installed';
+            suggestion = 'Pull the model first with `ollama pull <model>`, then refresh the model list in settings.';
+        } else if (message.includes('timeout')) {
+            type = 'timeout';
+            message = 'Request timed out';
+            suggestion = 'The local model took too long, possibly while loading into memory. Try again.';
+        } else if (message.includes('Failed to fetch') || message.includes('NetworkError')) {
+            type = 'network';
+            message = 'Network error';
+            suggestion = 'Please check that the comparator server is running and try again.';
+        }
+
+        return { message, suggestion, type };
+    }
+
     static formatErrorForDisplay(errorInfo) {
         return {
             title: errorInfo.message,
             description: errorInfo.suggestion,
             type: errorInfo.type,
-            canRetry: ['timeout', 'network', 'rate_limit', 'overloaded'].includes(errorInfo.type)
+            canRetry: ['timeout', 'network', 'rate_limit', 'overloaded', 'cancelled'].includes(errorInfo.type)
         };
     }
 }
@@ -1,50 +1,132 @@
 // Export functionality for JSON download
+import { batchCustomId } from '../api/batch-runner.js';
+
 export class Exporter {
     static exportToJSON(data) {
         const exportData = {
             exportedAt: new Date().toISOString(),
             prompt: data.prompt,
-            responses: data.responses.map(response => ({
-                model: response.model,
-                provider: response.provider,
-                response: response.text,
-                metrics: {
-                    latency: response.latency,
-                    inputTokens: response.inputTokens,
-                    outputTokens: response.outputTokens,
-                    totalTokens: response.totalTokens,
-                    estimatedCost: response.estimatedCost
-                },
-                metadata: {
-                    contextWindow: response.contextWindow,
-                    timestamp: response.timestamp
-                },
-                error: response.error || null,
-                // Include warning information for empty responses
-                warning: response.warning || null,
-                warningSuggestion: response.warningSuggestion || null,
-                warningType: response.warningType || null,
-                // Include diagnostic information
-                stopReason: response.stopReason || null,
-                finishReason: response.finishReason || null,
-                // Debug: Raw API request/response for troubleshooting
-                rawApiRequest: response.rawApiRequest || null,
-                rawApiResponse: response.rawApiResponse || null,
-                debugInfo: response.debugInfo || null
-            })),
+            responses: data.responses.map(response => this.formatResponse(response)),
             summary: {
                 totalModels: data.responses.length,
                 successfulResponses: data.responses.filter(r => !r.error && !r.warning).length,
                 responsesWithWarnings: data.responses.filter(r => r.warning).length,
-                failedResponses: data.responses.filter(r => r.error).length,
+                failedResponses: data.responses.filter(r => r.error && r.errorType !== 'cancelled').length,
+                cancelledResponses: data.responses.filter(r => r.errorType === 'cancelled').length,
+                retriedResponses: data.responses.filter(r => (r.attempts?.length || 0) > 1).length,
+                schemaConformingResponses: data.responses.filter(r => r.structuredOutput?.valid).length,
                 totalCost: data.responses.reduce((sum, r) => sum + (r.estimatedCost || 0), 0),
-                averageLatency: this.calculateAverageLatency(data.responses)
+                totalReasoningCost: data.responses.reduce((sum, r) => sum + (r.reasoningCost || 0), 0),
+                averageLatency: this.calculateAverageLatency(data.responses),
+                averageTimeToFirstToken: this.calculateAverage(data.responses, 'timeToFirstToken'),
+                averageTokensPerSecond: this.calculateAverage(data.responses, 'tokensPerSecond')
             }
         };
 
         return exportData;
     }
 
+    // One response as exported, shared by comparisons and batch runs
+    static formatResponse(response) {
+        return {
+            model: response.model,
+            provider: response.provider,
+            response: response.text,
+            // Thinking / reasoning output, kept apart from the answer
+            reasoning: response.reasoning || null,
+            systemPrompt: response.systemPrompt || null,
+            // Prior turns sent with this request when conversation mode is on
+            conversation: response.conversation || null,
+            // Sampling settings as requested, and what the provider lowered or dropped
+            parameters: response.parameters || null,
+            parameterNotes: response.parameterNotes || [],
+            // Tool calling mode: tools offered, earlier call/result steps, and the calls made with schema checks
+            tools: response.tools || null,
+            toolTurns: response.toolTurns || null,
+            toolCalls: response.toolCalls || null,
+            // Structured output mode: the schema and whether the response conformed, with each error
+            responseSchema: response.responseSchema || null,
+            structuredOutput: response.structuredOutput || null,
+            // Repeated sampling: every sample (the first is the response above) and the spread across them
+            samples: response.samples?.map(({ logprobs, ...sample }) => sample) || null,
+            sampleStats: response.sampleStats || null,
+            metrics: {
+                latency: response.latency,
+                inputTokens: response.inputTokens,
+                outputTokens: response.outputTokens,
+                totalTokens: response.totalTokens,
+                estimatedCost: response.estimatedCost,
+                // Streaming runs only; null otherwise
+                timeToFirstToken: response.timeToFirstToken ?? null,
+                timeToLastToken: response.timeToLastToken ?? null,
+                tokensPerSecond: response.tokensPerSecond ?? null,
+                interChunkJitter: response.interChunkJitter ?? null,
+                // Reasoning models only; included in totalTokens and estimatedCost
+                reasoningTokens: response.reasoningTokens || 0,
+                reasoningCost: response.reasoningCost ?? null,
+                // Prompt caching; included in inputTokens, with the input cost split by cache status
+                cacheReadTokens: response.cacheReadTokens || 0,
+                cacheWriteTokens: response.cacheWriteTokens || 0,
+                inputCosts: response.inputCosts || null,
+                // Token logprobs (OpenAI, Gemini) when requested; low values mark where the model was unsure
+                logprobMean: response.logprobStats?.mean ?? null,
+                logprobMin: response.logprobStats?.min ?? null
+            },
+            metadata: {
+                contextWindow: response.contextWindow,
+                timestamp: response.timestamp
+            },
+            error: response.error || null,
+            errorType: response.errorType || null,
+            // Every try including automatic retries: status, latency, error and the wait that followed
+            attempts: response.attempts || [],
+            // Include warning information for empty responses
+            warning: response.warning || null,
+            warningSuggestion: response.warningSuggestion || null,
+            warningType: response.warningType || null,
+            // Include diagnostic information
+            stopReason: response.stopReason || null,
+            finishReason: response.finishReason || null,
+            // Debug: Raw API request/response for troubleshooting
+            rawApiRequest: response.rawApiRequest || null,
+            rawApiResponse: response.rawApiResponse || null,
+            debugInfo: response.debugInfo || null
+        };
+    }
+
+    // Batch run: every prompt with each model's response, at batch pricing
+    static exportBatchToJSON(job, priceRate) {
+        const responses = Object.values(job.results);
+        return {
+            exportedAt: new Date().toISOString(),
+            batch: {
+                id: job.id,
+                createdAt: job.createdAt,
+                status: job.status,
+                priceRate,
+                models: job.models.map(model => model.id),
+                skippedModels: job.skippedModels,
+                providerBatches: job.batches.map(({ provider, id, upstreamStatus, counts, error }) => ({
+                    provider, id, upstreamStatus: upstreamStatus || null, counts, error: error || null
+                }))
+            },
+            prompts: job.prompts.map((prompt, promptIndex) => ({
+                prompt,
+                responses: job.models
+                    .map((model, modelIndex) => job.results[batchCustomId(promptIndex, modelIndex)])
+                    .filter(Boolean)
+                    .map(response => this.formatResponse(response))
+            })),
+            summary: {
+                totalPrompts: job.prompts.length,
+                totalModels: job.models.length,
+                successfulResponses: responses.filter(r => !r.error && !r.warning).length,
+                failedResponses: responses.filter(r => r.error).length,
+                totalCost: responses.reduce((sum, r) => sum + (r.estimatedCost || 0), 0)
+            }
+        };
+    }
+
     static calculateAverageLatency(responses) {
         const validLatencies = responses
             .filter(r => !r.error && r.latency)
@@ -56,8 +138,25 @@ export class Exporter {
         return sum / validLatencies.length;
     }
 
+    // Mean of a numeric result field over successful responses that report it
+    static calculateAverage(responses, field) {
+        const values = responses
+            .filter(r => !r.error && typeof r[field] === 'number')
+            .map(r => r[field]);
+
+        if (values.length === 0) return null;
+        return values.reduce((a, b) => a + b, 0) / values.length;
+    }
+
     static downloadJSON(data, filename = 'llm-comparison') {
-        const exportData = this.exportToJSON(data);
+        this.saveJSON(this.exportToJSON(data), filename);
+    }
+
+    static downloadBatchJSON(job, priceRate) {
+        this.saveJSON(this.exportBatchToJSON(job, priceRate), 'llm-batch');
+    }
+
+    static saveJSON(exportData, filename) {
         const jsonString = JSON.stringify(exportData, null, 2);
         const blob = new Blob([jsonString], { type: 'application/json' });
         const url = URL.createObjectURL(blob);
@@ -0,0 +1,172 @@
+// Minimal JSON Schema validator for checking model output locally
+// Covers the keywords tool and response schemas use in practice: type, enum, const,
+// properties/required/additionalProperties, items, string/number/array bounds,
+// pattern, allOf/anyOf/oneOf/not and local $ref (#/$defs/..., #/definitions/...)
+export class JsonSchema {
+    // Returns a list of { path, message }; empty when the value conforms
+    static validate(value, schema) {
+        const errors = [];
+        this.check(value, schema, '$', schema, errors);
+        return errors;
+    }
+
+    static typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (Number.isInteger(value)) return 'integer';
+        return typeof value;
+    }
+
+    static matchesType(value, type) {
+        const actual = this.typeOf(value);
+        if (type === 'number') return actual === 'number' || actual === 'integer';
+        return actual === type;
+    }
+
+    static resolveRef(ref, root) {
+        if (!ref.startsWith('#/')) {
+            throw new Error(`Only local $ref is supported: ${ref}`);
+        }
+        return ref.slice(2).split('/').reduce((node, key) => node?.[key.replace(/~1/g, '/').replace(/~0/g, '~')], root);
+    }
+
+    static check(value, schema, path, root, errors) {
+        if (schema === true || schema === undefined) return;
+        if (schema === false) {
+            errors.push({ path, message: 'no value is allowed here' });
+            return;
+        }
+
+        if (schema.$ref) {
+            const target = this.resolveRef(schema.$ref, root);
+            if (!target) {
+                errors.push({ path, message: `unresolved $ref ${schema.$ref}` });
+                return;
+            }
+            this.check(value, target, path, root, errors);
+        }
+
+        if (schema.type) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some(type => this.matchesType(value, type))) {
+                errors.push({ path, message: `expected ${types.join(' or ')}, got ${this.typeOf(value)}` });
+                return;
+            }
+        }
+
+        if (schema.enum && !schema.enum.some(option => this.equals(option, value))) {
+            errors.push({ path, message: `must be one of ${JSON.stringify(schema.enum)}` });
+        }
+
+        if ('const' in schema && !this.equals(schema.const, value)) {
+            errors.push({ path, message: `must equal ${JSON.stringify(schema.const)}` });
+        }
+
+        const type = this.typeOf(value);
+        if (type === 'object') {
+            this.checkObject(value, schema, path, root, errors);
+        } else if (type === 'array') {
+            this.checkArray(value, schema, path, root, errors);
+        } else if (type === 'string') {
+            this.checkString(value, schema, path, errors);
+        } else if (type === 'number' || type === 'integer') {
+            this.checkNumber(value, schema, path, errors);
+        }
+
+        this.checkCombinators(value, schema, path, root, errors);
+    }
+
+    static checkObject(value, schema, path, root, errors) {
+        const properties = schema.properties || {};
+
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) {
+                errors.push({ path, message: `missing required property "${key}"` });
+            }
+        });
+
+        Object.keys(value).forEach(key => {
+            const childPath = `${path}.${key}`;
+            if (key in properties) {
+                this.check(value[key], properties[key], childPath, root, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path, message: `unexpected property "${key}"` });
+            } else if (typeof schema.additionalProperties === 'object') {
+                this.check(value[key], schema.additionalProperties, childPath, root, errors);
+            }
+        });
+    }
+
+    static checkArray(value, schema, path, root, errors) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ path, message: `must have at least ${schema.minItems} items` });
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+        }
+        if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+            errors.push({ path, message: 'items must be unique' });
+        }
+        if (schema.items) {
+            value.forEach((item, index) => this.check(item, schema.items, `${path}[${index}]`, root, errors));
+        }
+    }
+
+    static checkString(value, schema, path, errors) {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+            errors.push({ path, message: `must match pattern ${schema.pattern}` });
+        }
+    }
+
+    static checkNumber(value, schema, path, errors) {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ path, message: `must be >= ${schema.minimum}` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ path, message: `must be <= ${schema.maximum}` });
+        }
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            errors.push({ path, message: `must be > ${schema.exclusiveMinimum}` });
+        }
+        if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+            errors.push({ path, message: `must be < ${schema.exclusiveMaximum}` });
+        }
+    }
+
+    static checkCombinators(value, schema, path, root, errors) {
+        const countMatches = (schemas) => schemas.filter(option => this.validateAt(value, option, path, root).length === 0).length;
+
+        (schema.allOf || []).forEach(option => this.check(value, option, path, root, errors));
+
+        if (schema.anyOf && countMatches(schema.anyOf) === 0) {
+            errors.push({ path, message: 'must match at least one schema in anyOf' });
+        }
+        if (schema.oneOf && countMatches(schema.oneOf) !== 1) {
+            errors.push({ path, message: 'must match exactly one schema in oneOf' });
+        }
+        if (schema.not && this.validateAt(value, schema.not, path, root).length === 0) {
+            errors.push({ path, message: 'must not match the schema in not' });
+        }
+    }
+
+    static validateAt(value, schema, path, root) {
+        const errors = [];
+        this.check(value, schema, path, root, errors);
+        return errors;
+    }
+
+    static equals(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    // "$.city: expected string, got number"
+    static formatError(error) {
+        return `${error.path}: ${error.message}`;
+    }
+}
@@ -0,0 +1,29 @@
+// What the server hands out from the app directory: the page, its stylesheet and the browser's
+// ES modules. Nothing else there is public - server code, node_modules, package files, and any
+// data file (users, limits, audit log) someone places next to them.
+import { isAbsolute, relative, resolve } from 'path';
+
+const ROOT_FILES = new Set(['index.html', 'app.js', 'styles.css']);
+// Folders of browser modules, one level deep; only their .js files are served
+const MODULE_DIRS = new Set(['api', 'components', 'config', 'utils']);
+
+// Whether a request path (e.g. /components/model-card.js) names a frontend file
+export function isPublicAsset(urlPath) {
+    let path;
+    try {
+        path = decodeURIComponent(urlPath);
+    } catch (e) {
+        return false; // Malformed escapes
+    }
+
+    const segments = path.split('/').filter(Boolean);
+    if (segments.some(segment => segment.startsWith('.') || segment.includes('\\'))) return false;
+    if (segments.length === 1) return ROOT_FILES.has(segments[0]);
+    return segments.length === 2 && MODULE_DIRS.has(segments[0]) && segments[1].endsWith('.js');
+}
+
+// Whether path (relative ones from the working directory) is dir or somewhere below it
+export function isInsideDir(dir, path) {
+    const fromDir = relative(resolve(dir), resolve(path));
+    return fromDir === '' || (!fromDir.startsWith('..') && !isAbsolute(fromDir));
+}
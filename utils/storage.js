@@ -1,42 +1,81 @@
 // LocalStorage wrapper for API keys and settings
+import { ProviderRegistry } from '../api/provider-registry.js';
+import { LOGPROBS_CONFIG, SAMPLING_CONFIG } from '../config/models.js';
+
 const STORAGE_KEYS = {
-    OPENAI_KEY: 'llm_comparator_openai_key',
-    ANTHROPIC_KEY: 'llm_comparator_anthropic_key',
-    GOOGLE_KEY: 'llm_comparator_google_key',
     ENABLED_MODELS: 'llm_comparator_enabled_models',
     HISTORY: 'llm_comparator_history',
     STREAMING_ENABLED: 'llm_comparator_streaming_enabled',
     TEMPERATURE: 'llm_comparator_temperature',
-    MAX_TOKENS: 'llm_comparator_max_tokens'
+    MAX_TOKENS: 'llm_comparator_max_tokens',
+    CONVERSATION_MODE: 'llm_comparator_conversation_mode',
+    SYSTEM_PROMPT: 'llm_comparator_system_prompt',
+    SYSTEM_PROMPT_OVERRIDES: 'llm_comparator_system_prompt_overrides',
+    CUSTOM_ENDPOINTS: 'llm_comparator_custom_endpoints',
+    OLLAMA_SETTINGS: 'llm_comparator_ollama_settings',
+    TOOL_DEFINITIONS: 'llm_comparator_tool_definitions',
+    STRUCTURED_OUTPUT: 'llm_comparator_structured_output',
+    MODEL_PARAM_OVERRIDES: 'llm_comparator_model_param_overrides',
+    REASONING_EFFORT: 'llm_comparator_reasoning_effort',
+    THINKING_BUDGET: 'llm_comparator_thinking_budget',
+    PROMPT_CACHING: 'llm_comparator_prompt_caching',
+    BATCH_JOBS: 'llm_comparator_batch_jobs',
+    LOGPROBS: 'llm_comparator_logprobs',
+    TOP_LOGPROBS: 'llm_comparator_top_logprobs',
+    SAMPLES_PER_MODEL: 'llm_comparator_samples_per_model'
 };
 
 export class Storage {
-    // API Key Management
+    // API Key Management - one entry per registered provider with a key field
+    static apiKeyStorageKey(provider) {
+        return ProviderRegistry.get(provider)?.keyField ? `llm_comparator_${provider}_key` : null;
+    }
+
     static setApiKey(provider, key) {
-        const storageKey = STORAGE_KEYS[`${provider.toUpperCase()}_KEY`];
+        const storageKey = this.apiKeyStorageKey(provider);
         if (storageKey) {
             localStorage.setItem(storageKey, key);
         }
     }
 
     static getApiKey(provider) {
-        const storageKey = STORAGE_KEYS[`${provider.toUpperCase()}_KEY`];
+        const storageKey = this.apiKeyStorageKey(provider);
         return storageKey ? localStorage.getItem(storageKey) : null;
     }
 
     static clearApiKey(provider) {
-        const storageKey = STORAGE_KEYS[`${provider.toUpperCase()}_KEY`];
+        const storageKey = this.apiKeyStorageKey(provider);
         if (storageKey) {
             localStorage.removeItem(storageKey);
         }
     }
 
     static getAllApiKeys() {
-        return {
-            openai: this.getApiKey('openai'),
-            anthropic: this.getApiKey('anthropic'),
-            google: this.getApiKey('google')
-        };
+        return Object.fromEntries(ProviderRegistry.listKeyed().map(({ id }) => [id, this.getApiKey(id)]));
+    }
+
+    // OpenAI-compatible endpoints: [{ id, name, baseUrl, apiKey }]
+    static setCustomEndpoints(endpoints) {
+        localStorage.setItem(STORAGE_KEYS.CUSTOM_ENDPOINTS, JSON.stringify(endpoints));
+    }
+
+    static getCustomEndpoints() {
+        const stored = localStorage.getItem(STORAGE_KEYS.CUSTOM_ENDPOINTS);
+        return stored ? JSON.parse(stored) : [];
+    }
+
+    static getCustomEndpoint(endpointId) {
+        return this.getCustomEndpoints().find(endpoint => endpoint.id === endpointId) || null;
+    }
+
+    // Ollama: { enabled, baseUrl } - an empty baseUrl uses the server's OLLAMA_BASE_URL
+    static setOllamaSettings(settings) {
+        localStorage.setItem(STORAGE_KEYS.OLLAMA_SETTINGS, JSON.stringify(settings));
+    }
+
+    static getOllamaSettings() {
+        const stored = localStorage.getItem(STORAGE_KEYS.OLLAMA_SETTINGS);
+        return stored ? JSON.parse(stored) : { enabled: false, baseUrl: '' };
     }
 
     // Enabled Models Management
@@ -59,7 +98,16 @@ export class Storage {
 
         // Keep only last 50 entries
         const trimmedHistory = history.slice(0, 50);
-        localStorage.setItem(STORAGE_KEYS.HISTORY, JSON.stringify(trimmedHistory));
+        localStorage.setItem(STORAGE_KEYS.HISTORY, JSON.stringify(trimmedHistory, this.redactImageData));
+    }
+
+    // JSON replacer: raw requests can carry base64 images that would exhaust the localStorage quota
+    static redactImageData(key, value) {
+        if (typeof value !== 'string' || value.length < 1024) return value;
+        if (value.startsWith('data:image/') || /^[A-Za-z0-9+/=]+$/.test(value)) {
+            return `[image data omitted: ${value.length} chars]`;
+        }
+        return value;
     }
 
     static getHistory() {
@@ -71,6 +119,29 @@ export class Storage {
         localStorage.removeItem(STORAGE_KEYS.HISTORY);
     }
 
+    // Batch runs, newest first, kept until removed so progress survives reloads; jobs come
+    // without their results (BatchRunner.toStored). Throws QuotaExceededError when storage is full
+    static saveBatchJob(job) {
+        const jobs = this.getBatchJobs();
+        const index = jobs.findIndex(existing => existing.id === job.id);
+        if (index >= 0) {
+            jobs[index] = job;
+        } else {
+            jobs.unshift(job);
+        }
+        localStorage.setItem(STORAGE_KEYS.BATCH_JOBS, JSON.stringify(jobs));
+    }
+
+    static getBatchJobs() {
+        const stored = localStorage.getItem(STORAGE_KEYS.BATCH_JOBS);
+        return stored ? JSON.parse(stored) : [];
+    }
+
+    static removeBatchJob(jobId) {
+        const jobs = this.getBatchJobs().filter(job => job.id !== jobId);
+        localStorage.setItem(STORAGE_KEYS.BATCH_JOBS, JSON.stringify(jobs));
+    }
+
     // Streaming Preference
     static setStreamingEnabled(enabled) {
         localStorage.setItem(STORAGE_KEYS.STREAMING_ENABLED, JSON.stringify(enabled));
@@ -81,6 +152,84 @@ export class Storage {
         return stored !== null ? JSON.parse(stored) : true; // Default to true
     }
 
+    // Repeated sampling: responses requested from each model per prompt
+    static setSamplesPerModel(count) {
+        localStorage.setItem(STORAGE_KEYS.SAMPLES_PER_MODEL, count);
+    }
+
+    static getSamplesPerModel() {
+        const stored = parseInt(localStorage.getItem(STORAGE_KEYS.SAMPLES_PER_MODEL));
+        return Number.isFinite(stored) && stored > 0 ? Math.min(stored, SAMPLING_CONFIG.maxSamples) : 1;
+    }
+
+    // Conversation Mode Preference
+    static setConversationMode(enabled) {
+        localStorage.setItem(STORAGE_KEYS.CONVERSATION_MODE, JSON.stringify(enabled));
+    }
+
+    static getConversationMode() {
+        const stored = localStorage.getItem(STORAGE_KEYS.CONVERSATION_MODE);
+        return stored !== null ? JSON.parse(stored) : false; // Default to one-shot comparisons
+    }
+
+    // System Instructions
+    static setSystemPrompt(text) {
+        localStorage.setItem(STORAGE_KEYS.SYSTEM_PROMPT, text);
+    }
+
+    static getSystemPrompt() {
+        return localStorage.getItem(STORAGE_KEYS.SYSTEM_PROMPT) || '';
+    }
+
+    // Tool panel JSON, kept as typed so an invalid draft survives a reload
+    static setToolDefinitions(text) {
+        localStorage.setItem(STORAGE_KEYS.TOOL_DEFINITIONS, text);
+    }
+
+    static getToolDefinitions() {
+        return localStorage.getItem(STORAGE_KEYS.TOOL_DEFINITIONS) || '';
+    }
+
+    // Structured output: { enabled, schema } with the schema JSON kept as typed
+    static setStructuredOutput(settings) {
+        localStorage.setItem(STORAGE_KEYS.STRUCTURED_OUTPUT, JSON.stringify(settings));
+    }
+
+    static getStructuredOutput() {
+        const stored = localStorage.getItem(STORAGE_KEYS.STRUCTURED_OUTPUT);
+        return stored ? JSON.parse(stored) : { enabled: false, schema: '' };
+    }
+
+    // Prompt caching: { systemPrompt, prompt } - which parts carry Anthropic cache breakpoints
+    static setPromptCaching(settings) {
+        localStorage.setItem(STORAGE_KEYS.PROMPT_CACHING, JSON.stringify(settings));
+    }
+
+    static getPromptCaching() {
+        const stored = localStorage.getItem(STORAGE_KEYS.PROMPT_CACHING);
+        return stored ? JSON.parse(stored) : { systemPrompt: false, prompt: false };
+    }
+
+    // Per-model overrides, keyed by model ID; an empty override falls back to the shared prompt
+    static setSystemPromptOverride(modelId, text) {
+        const overrides = this.getSystemPromptOverrides();
+        if (text) {
+            overrides[modelId] = text;
+        } else {
+            delete overrides[modelId];
+        }
+        localStorage.setItem(STORAGE_KEYS.SYSTEM_PROMPT_OVERRIDES, JSON.stringify(overrides));
+    }
+
+    static getSystemPromptOverrides() {
+        const stored = localStorage.getItem(STORAGE_KEYS.SYSTEM_PROMPT_OVERRIDES);
+        return stored ? JSON.parse(stored) : {};
+    }
+
+    static getSystemPromptFor(modelId) {
+        return (this.getSystemPromptOverrides()[modelId] || this.getSystemPrompt()).trim();
+    }
+
     // Model Parameters
     static setModelParams(params) {
         if (params.temperature !== undefined) {
@@ -89,23 +238,65 @@ export class Storage {
         if (params.maxTokens !== undefined) {
             localStorage.setItem(STORAGE_KEYS.MAX_TOKENS, params.maxTokens);
         }
+        // Empty effort means the provider default; an empty budget is derived from the effort
+        if (params.reasoningEffort !== undefined) {
+            localStorage.setItem(STORAGE_KEYS.REASONING_EFFORT, params.reasoningEffort || '');
+        }
+        if (params.thinkingBudget !== undefined) {
+            localStorage.setItem(STORAGE_KEYS.THINKING_BUDGET, params.thinkingBudget || '');
+        }
+        if (params.logprobs !== undefined) {
+            localStorage.setItem(STORAGE_KEYS.LOGPROBS, JSON.stringify(!!params.logprobs));
+        }
+        if (params.topLogprobs !== undefined) {
+            localStorage.setItem(STORAGE_KEYS.TOP_LOGPROBS, params.topLogprobs);
+        }
     }
 
     static getModelParams() {
         const temp = localStorage.getItem(STORAGE_KEYS.TEMPERATURE);
         const maxTokens = localStorage.getItem(STORAGE_KEYS.MAX_TOKENS);
+        const thinkingBudget = localStorage.getItem(STORAGE_KEYS.THINKING_BUDGET);
+        const topLogprobs = localStorage.getItem(STORAGE_KEYS.TOP_LOGPROBS);
 
         return {
             temperature: temp !== null ? parseFloat(temp) : 0.7,
-            maxTokens: maxTokens !== null ? parseInt(maxTokens) : 2048
+            maxTokens: maxTokens !== null ? parseInt(maxTokens) : 2048,
+            reasoningEffort: localStorage.getItem(STORAGE_KEYS.REASONING_EFFORT) || null,
+            thinkingBudget: thinkingBudget ? parseInt(thinkingBudget) : null,
+            logprobs: localStorage.getItem(STORAGE_KEYS.LOGPROBS) === 'true',
+            topLogprobs: topLogprobs !== null ? parseInt(topLogprobs) : LOGPROBS_CONFIG.defaultTopLogprobs
         };
     }
 
+    // Per-model parameter overrides, keyed by model ID: { temperature, maxTokens, topP, topK,
+    // stopSequences, presencePenalty, frequencyPenalty, seed }, each optional
+    static setModelParamOverride(modelId, params) {
+        const overrides = this.getModelParamOverrides();
+        if (Object.keys(params).length > 0) {
+            overrides[modelId] = params;
+        } else {
+            delete overrides[modelId];
+        }
+        localStorage.setItem(STORAGE_KEYS.MODEL_PARAM_OVERRIDES, JSON.stringify(overrides));
+    }
+
+    static getModelParamOverrides() {
+        const stored = localStorage.getItem(STORAGE_KEYS.MODEL_PARAM_OVERRIDES);
+        return stored ? JSON.parse(stored) : {};
+    }
+
+    // Global temperature and max tokens with this model's overrides applied
+    static getModelParamsFor(modelId) {
+        return { ...this.getModelParams(), ...this.getModelParamOverrides()[modelId] };
+    }
+
     // Clear all data
     static clearAll() {
         Object.values(STORAGE_KEYS).forEach(key => {
             localStorage.removeItem(key);
         });
+        ProviderRegistry.listKeyed().forEach(({ id }) => this.clearApiKey(id));
     }
 
     // Generic storage methods
@@ -0,0 +1,135 @@
+// Where the proxy may forward a user-supplied base URL (x-base-url: custom endpoints, Ollama).
+// Cloud metadata and other link-local addresses are never reachable. Loopback and private
+// networks are only reachable for hosts listed in CUSTOM_ENDPOINT_HOSTS; when that list is set,
+// nothing outside it is. Hostnames are resolved first, so a public name pointing at a private
+// address is treated as private, and fetchPinned then connects to the addresses that were checked
+// rather than resolving the name again; redirects are not followed.
+import { lookup } from 'dns/promises';
+import http from 'http';
+import https from 'https';
+import { isIP } from 'net';
+import { Readable } from 'stream';
+
+// Metadata services outside the link-local range (AWS over IPv6)
+const METADATA_ADDRESSES = new Set(['fd00:ec2::254']);
+
+function ipv4Scope(address) {
+    const [a, b] = address.split('.').map(Number);
+    if (a === 0) return 'unspecified';
+    if (a === 127) return 'loopback';
+    if (a === 169 && b === 254) return 'link-local';
+    if (a === 10 || (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168) || (a === 100 && b >= 64 && b <= 127)) {
+        return 'private';
+    }
+    return 'public';
+}
+
+// An IPv4 address embedded in an IPv4-mapped IPv6 one (::ffff:127.0.0.1 or ::ffff:7f00:1)
+function mappedIPv4(address) {
+    const dotted = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (dotted) return dotted[1];
+
+    const hex = address.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+    if (!hex) return null;
+    const [high, low] = [parseInt(hex[1], 16), parseInt(hex[2], 16)];
+    return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+}
+
+// public | private | loopback | link-local | unspecified | metadata
+export function addressScope(rawAddress) {
+    const address = rawAddress.toLowerCase().replace(/^\[|\]$/g, '');
+    if (METADATA_ADDRESSES.has(address)) return 'metadata';
+    if (isIP(address) === 4) return ipv4Scope(address);
+
+    const mapped = mappedIPv4(address);
+    if (mapped) return ipv4Scope(mapped);
+    if (address === '::') return 'unspecified';
+    if (address === '::1') return 'loopback';
+    if (/^fe[89ab]/.test(address)) return 'link-local';
+    if (/^f[cd]/.test(address)) return 'private';
+    return 'public';
+}
+
+export function parseAllowedHosts(value) {
+    return (value || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+}
+
+// Why url (a URL whose host resolved to addresses) may not be proxied to, or null when it may
+export function refuseTarget(url, addresses, allowedHosts) {
+    const allowlisted = allowedHosts.includes(url.host.toLowerCase()) || allowedHosts.includes(url.hostname.toLowerCase());
+    if (allowedHosts.length > 0 && !allowlisted) {
+        return `Host ${url.host} is not in CUSTOM_ENDPOINT_HOSTS`;
+    }
+
+    for (const address of addresses) {
+        const scope = addressScope(address);
+        if (['link-local', 'metadata', 'unspecified'].includes(scope)) {
+            return `Host ${url.host} resolves to a ${scope} address (${address}), which the proxy never forwards to`;
+        }
+        if ((scope === 'loopback' || scope === 'private') && !allowlisted) {
+            return `Host ${url.host} is on a ${scope} network; add it to CUSTOM_ENDPOINT_HOSTS to allow it`;
+        }
+    }
+    return null;
+}
+
+// Throws when url may not be proxied to (see refuseTarget); returns the addresses its host resolved to
+export async function checkTarget(url, allowedHosts, resolve = lookup) {
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    let addresses = [hostname];
+    if (!isIP(hostname)) {
+        try {
+            addresses = (await resolve(hostname, { all: true })).map(({ address }) => address);
+        } catch (error) {
+            throw new Error(`Could not resolve ${url.hostname}: ${error.code || error.message}`);
+        }
+    }
+
+    const reason = refuseTarget(url, addresses, allowedHosts);
+    if (reason) throw new Error(reason);
+    return addresses;
+}
+
+// A socket lookup that answers with addresses instead of asking DNS
+export function pinnedLookup(addresses) {
+    return (hostname, options, callback) => {
+        if (options.all) {
+            callback(null, addresses.map(address => ({ address, family: isIP(address) })));
+        } else {
+            callback(null, addresses[0], isIP(addresses[0]));
+        }
+    };
+}
+
+// Statuses whose Response must not have a body
+const NULL_BODY_STATUSES = new Set([204, 205, 304]);
+
+// fetch(url, { method, headers, body, signal }) against a host checkTarget passed, connecting to
+// the addresses it checked. The hostname still names the server (Host, TLS). A redirect is an
+// error: its Location was never checked
+export function fetchPinned(url, { method = 'GET', headers = {}, body, signal } = {}, addresses) {
+    const target = new URL(url);
+    const transport = target.protocol === 'https:' ? https : http;
+    const requestHeaders = body === undefined ? headers : { ...headers, 'Content-Length': Buffer.byteLength(body) };
+
+    return new Promise((resolve, reject) => {
+        const request = transport.request(target, { method, headers: requestHeaders, lookup: pinnedLookup(addresses), signal }, response => {
+            const { statusCode: status, statusMessage: statusText } = response;
+            if (status >= 300 && status < 400) {
+                response.resume();
+                reject(new Error(`${target.host} answered with a redirect (${status}) to ${response.headers.location || 'nowhere'}, which the proxy does not follow`));
+                return;
+            }
+
+            const responseHeaders = new Headers();
+            Object.entries(response.headers).forEach(([name, value]) => {
+                [].concat(value).forEach(item => responseHeaders.append(name, item));
+            });
+            const responseBody = NULL_BODY_STATUSES.has(status) ? null : Readable.toWeb(response);
+            if (!responseBody) response.resume();
+            resolve(new Response(responseBody, { status, statusText, headers: responseHeaders }));
+        });
+        request.on('error', reject);
+        request.end(body);
+    });
+}
@@ -0,0 +1,181 @@
+// Rate limits and spend quotas for the proxy, per user (req.user.id, see utils/auth.js) and
+// per provider. Configured from a JSON file (LIMITS_FILE); "*" holds the defaults that named
+// entries override field by field, and null lifts a limit:
+//
+//   {
+//     "users":     { "*": { "requestsPerMinute": 20, "concurrentStreams": 3,
+//                           "daily": { "tokens": 1000000, "dollars": 5 }, "monthly": { "dollars": 50 } },
+//                    "alice": { "daily": { "dollars": 20 } } },
+//     "providers": { "openai": { "requestsPerMinute": 300, "monthly": { "dollars": 500 } } },
+//     "unknownModelPricing": { "input": 0.015, "output": 0.075 }
+//   }
+//
+// Days and months are UTC. Spend is checked before a request and counted once its usage is
+// known, so one request may overshoot a ceiling. Batches are checked with an estimate of their
+// spend, held against the ceilings until their results are counted in its place. Calls to models without a known price count
+// at unknownModelPricing (dollars per 1K tokens), so dollar ceilings still hold for them.
+// Counters live in memory; a restart resets them.
+import { readFileSync } from 'fs';
+
+const MINUTE_MS = 60 * 1000;
+// Default for unknownModelPricing: as dear as the priciest fallback (Claude 3 Opus), to err high
+const UNKNOWN_MODEL_PRICING = { input: 0.015, output: 0.075 };
+// No fixed reset for a full set of streams; ask the client to check back after this long
+const STREAM_RETRY_MS = 5000;
+
+const PERIODS = {
+    daily: { label: 'Daily', key: (date) => date.toISOString().slice(0, 10), next: (date) => Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1) },
+    monthly: { label: 'Monthly', key: (date) => date.toISOString().slice(0, 7), next: (date) => Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1) }
+};
+
+const SUBJECTS = {
+    users: (key) => key,
+    providers: (key) => `all ${key} requests`
+};
+
+function mergeLimits(base = {}, override = {}) {
+    return {
+        ...base,
+        ...override,
+        daily: { ...base.daily, ...override.daily },
+        monthly: { ...base.monthly, ...override.monthly }
+    };
+}
+
+function formatAmount(unit, amount) {
+    return unit === 'dollars' ? `$${amount.toFixed(2)}` : `${amount.toLocaleString('en-US')} tokens`;
+}
+
+export class UsageLimits {
+    constructor(config = {}, now = () => Date.now()) {
+        this.config = { users: config.users || {}, providers: config.providers || {} };
+        this.unknownModelPricing = config.unknownModelPricing || UNKNOWN_MODEL_PRICING;
+        this.now = now;
+        this.counters = new Map(); // "users:alice" -> { requests, streams, daily, monthly }
+    }
+
+    static fromFile(path) {
+        return new UsageLimits(JSON.parse(readFileSync(path, 'utf8')));
+    }
+
+    static fromEnv(env = process.env) {
+        return env.LIMITS_FILE ? UsageLimits.fromFile(env.LIMITS_FILE) : new UsageLimits();
+    }
+
+    get enabled() {
+        return Object.keys(this.config.users).length > 0 || Object.keys(this.config.providers).length > 0;
+    }
+
+    limitsFor(scope, key) {
+        const entries = this.config[scope];
+        return mergeLimits(entries['*'], entries[key]);
+    }
+
+    counter(scope, key) {
+        const id = `${scope}:${key}`;
+        if (!this.counters.has(id)) {
+            this.counters.set(id, { requests: [], streams: 0, daily: { key: null }, monthly: { key: null } });
+        }
+        return this.counters.get(id);
+    }
+
+    // Spend so far in the current day or month: { tokens, dollars }
+    periodUsage(counter, period, date) {
+        const key = PERIODS[period].key(date);
+        if (counter[period].key !== key) {
+            counter[period] = { key, tokens: 0, dollars: 0 };
+        }
+        return counter[period];
+    }
+
+    // The first limit of scope/key a new request would break, counting the spend it is
+    // expected to add (estimate { tokens, dollars }, for batches):
+    // { scope, key, limit, message, resetAt, retryAfterMs }, or null
+    check(scope, key, streaming, estimate = {}) {
+        const limits = this.limitsFor(scope, key);
+        const counter = this.counter(scope, key);
+        const now = this.now();
+        const subject = SUBJECTS[scope](key);
+        const exceeded = (limit, message, resetAt) => ({
+            scope: scope === 'users' ? 'user' : 'provider',
+            key,
+            limit,
+            message,
+            resetAt: resetAt ? new Date(resetAt).toISOString() : null,
+            retryAfterMs: Math.max(0, (resetAt ?? now + STREAM_RETRY_MS) - now)
+        });
+
+        counter.requests = counter.requests.filter(time => time > now - MINUTE_MS);
+        if (limits.requestsPerMinute != null && counter.requests.length >= limits.requestsPerMinute) {
+            return exceeded('requestsPerMinute', `Limit of ${limits.requestsPerMinute} requests per minute reached for ${subject}`, counter.requests[0] + MINUTE_MS);
+        }
+        if (streaming && limits.concurrentStreams != null && counter.streams >= limits.concurrentStreams) {
+            return exceeded('concurrentStreams', `Limit of ${limits.concurrentStreams} concurrent streams reached for ${subject}`, null);
+        }
+
+        const date = new Date(now);
+        for (const period of Object.keys(PERIODS)) {
+            const used = this.periodUsage(counter, period, date);
+            for (const unit of ['tokens', 'dollars']) {
+                const ceiling = limits[period][unit];
+                if (ceiling == null) continue;
+                if (used[unit] >= ceiling) {
+                    return exceeded(`${period}.${unit}`, `${PERIODS[period].label} limit of ${formatAmount(unit, ceiling)} reached for ${subject}`, PERIODS[period].next(date));
+                }
+                if (used[unit] + (estimate[unit] || 0) > ceiling) {
+                    return exceeded(`${period}.${unit}`, `An estimated ${formatAmount(unit, estimate[unit])} would go over the ${PERIODS[period].label.toLowerCase()} limit of ${formatAmount(unit, ceiling)} for ${subject}`, PERIODS[period].next(date));
+                }
+            }
+        }
+        return null;
+    }
+
+    // Check a request against its user's and its provider's limits; returns the limit it
+    // breaks (see check), or null once the request has been counted
+    admit(userId, providerId, { streaming = false, estimate = {} } = {}) {
+        const exceeded = this.check('users', userId, streaming, estimate) || this.check('providers', providerId, streaming, estimate);
+        if (exceeded) return exceeded;
+
+        const now = this.now();
+        [this.counter('users', userId), this.counter('providers', providerId)].forEach(counter => {
+            counter.requests.push(now);
+            if (streaming) counter.streams++;
+        });
+        return null;
+    }
+
+    // End an admitted request, freeing its stream
+    release(userId, providerId, { streaming = false } = {}) {
+        if (!streaming) return;
+        [this.counter('users', userId), this.counter('providers', providerId)].forEach(counter => {
+            counter.streams = Math.max(0, counter.streams - 1);
+        });
+    }
+
+    // Add what a request used, { tokens, dollars }, to the current day and month; returns the
+    // periods it went to, { daily: '2025-01-31', monthly: '2025-01' }, for refund
+    record(userId, providerId, { tokens = 0, dollars = 0 } = {}) {
+        const date = new Date(this.now());
+        [this.counter('users', userId), this.counter('providers', providerId)].forEach(counter => {
+            Object.keys(PERIODS).forEach(period => {
+                const used = this.periodUsage(counter, period, date);
+                used.tokens = Math.max(0, used.tokens + tokens);
+                used.dollars = Math.max(0, used.dollars + dollars);
+            });
+        });
+        return Object.fromEntries(Object.keys(PERIODS).map(period => [period, PERIODS[period].key(date)]));
+    }
+
+    // Take back spend recorded earlier, such as a batch's estimate once its results are counted,
+    // from the periods record returned; a period that has ended since keeps what it had
+    refund(userId, providerId, { tokens = 0, dollars = 0, periods }) {
+        [this.counter('users', userId), this.counter('providers', providerId)].forEach(counter => {
+            Object.keys(PERIODS).forEach(period => {
+                const used = counter[period];
+                if (used.key !== periods[period]) return;
+                used.tokens = Math.max(0, used.tokens - tokens);
+                used.dollars = Math.max(0, used.dollars - dollars);
+            });
+        });
+    }
+}